@@ -73,7 +73,11 @@ exports.create = function create (options) {
     // on the input types. When false (default), output type can vary depending
     // on input values. For example `math.sqrt(-4)` returns `complex('2i')` when
     // predictable is false, and returns `NaN` when true.
-    predictable: false
+    predictable: false,
+
+    // random seed for seeded pseudo random number generation
+    // null = randomly seed
+    randomSeed: null
   };
 
   /**
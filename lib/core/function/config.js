@@ -8,7 +8,7 @@ function factory (type, config, load, typed, math) {
 
   /**
    * Set configuration options for math.js, and get current options.
-   * Will emit a 'config' event, with arguments (curr, prev).
+   * Will emit a 'config' event, with arguments (curr, prev, changes).
    *
    * Syntax:
    *
@@ -35,6 +35,9 @@ function factory (type, config, load, typed, math) {
    *                            {string} parenthesis
    *                              How to display parentheses in LaTeX and string
    *                              output.
+   *                            {string} randomSeed
+   *                              Random seed for seeded pseudo random number generator.
+   *                              Set to null to randomly seed.
    * @return {Object} Returns the current configuration
    */
   function _config(options) {
@@ -51,7 +54,7 @@ function factory (type, config, load, typed, math) {
       var curr = object.clone(config);
 
       // emit 'config' event
-      math.emit('config', curr, prev);
+      math.emit('config', curr, prev, options);
 
       return curr;
     }
@@ -56,9 +56,13 @@ exports.create = function create(type) {
     { name: 'AssignmentNode',            test: function (x) { return x && x.isAssignmentNode } },
     { name: 'BlockNode',                 test: function (x) { return x && x.isBlockNode } },
     { name: 'ConditionalNode',           test: function (x) { return x && x.isConditionalNode } },
+    { name: 'ErrorNode',                 test: function (x) { return x && x.isErrorNode } },
+    { name: 'ForNode',                   test: function (x) { return x && x.isForNode } },
     { name: 'IndexNode',                 test: function (x) { return x && x.isIndexNode } },
+    { name: 'LambdaNode',                test: function (x) { return x && x.isLambdaNode } },
     { name: 'RangeNode',                 test: function (x) { return x && x.isRangeNode } },
     { name: 'UpdateNode',                test: function (x) { return x && x.isUpdateNode } },
+    { name: 'WhileNode',                 test: function (x) { return x && x.isWhileNode } },
     { name: 'Node',                      test: function (x) { return x && x.isNode } }
   ];
 
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Create an error thrown when evaluating an expression violates a
+ * restriction, like calling a function which is not allowed or exceeding
+ * the maximum number of evaluation steps.
+ * @param {string} restriction   The name of the violated restriction, like
+ *                               'functions', 'assignment' or 'maxSteps'
+ * @param {string} message       Description of the violation
+ * @extends Error
+ */
+function RestrictionError(restriction, message) {
+  if (!(this instanceof RestrictionError)) {
+    throw new SyntaxError('Constructor must be called with the new operator');
+  }
+
+  this.restriction = restriction;
+  this.message = message;
+
+  this.stack = (new Error()).stack;
+}
+
+RestrictionError.prototype = new Error();
+RestrictionError.prototype.constructor = Error;
+RestrictionError.prototype.name = 'RestrictionError';
+RestrictionError.prototype.isRestrictionError = true;
+
+module.exports = RestrictionError;
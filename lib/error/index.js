@@ -3,6 +3,7 @@
 var ArgumentsError = require('./ArgumentsError');
 var DimensionError = require('./DimensionError');
 var IndexError = require('./IndexError');
+var RestrictionError = require('./RestrictionError');
 
 module.exports = [
   {
@@ -24,6 +25,13 @@ module.exports = [
     factory: function () {
       return IndexError;
     }
+  },
+  {
+    name: 'RestrictionError',
+    path: 'error',
+    factory: function () {
+      return RestrictionError;
+    }
   }
 ];
 
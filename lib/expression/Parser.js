@@ -1,9 +1,11 @@
 'use strict';
 
-var extend = require('../utils/object').extend;
+var createScope = require('../utils/scope').createScope;
+var scopeKeys = require('../utils/scope').keys;
 
 function factory (type, config, load, typed, math) {
   var _parse = load(require('./parse'));
+  var Restriction = load(require('./Restriction'));
 
   /**
    * @constructor Parser
@@ -52,13 +54,41 @@ function factory (type, config, load, typed, math) {
    *    // clear defined functions and variables
    *    parser.clear();
    *
+   *    // create a parser for untrusted expressions
+   *    var restricted = new Parser({restrict: {assignment: false, maxSteps: 1000}});
+   *    restricted.eval('2 + 3');               // 5
+   *    restricted.eval('x = 2');               // RestrictionError
+   *
+   *    // keep the variables in a Map
+   *    var variables = new Map();
+   *    var mapped = new Parser({scope: variables});
+   *    mapped.eval('x = 2');                   // 2
+   *    variables.get('x');                     // 2
+   *
+   * @param {{restrict: Object, scope: Object}} [options]
+   *                                        Available options:
+   *                                        - `restrict` restrictions for
+   *                                          evaluating untrusted expressions,
+   *                                          see `math.expression.Restriction`
+   *                                        - `scope` the scope in which the
+   *                                          variables are stored: a plain
+   *                                          object, or an object implementing
+   *                                          the scope interface like a Map.
+   *                                          An empty scope is created when
+   *                                          not provided.
    */
-  function Parser() {
+  function Parser(options) {
     if (!(this instanceof Parser)) {
       throw new SyntaxError(
           'Constructor must be called with the new operator');
     }
-    this.scope = {};
+    this.scope = createScope(options && options.scope);
+
+    // a single restriction for all evaluated expressions, such that limits
+    // are checked for functions defined in one expression and called in another
+    this.restriction = (options && options.restrict)
+        ? new Restriction(options.restrict)
+        : null;
   }
 
   /**
@@ -99,7 +129,7 @@ function factory (type, config, load, typed, math) {
   Parser.prototype.eval = function (expr) {
     // TODO: validate arguments
     return _parse(expr)
-        .compile()
+        .compile(this.restriction ? {restrict: this.restriction} : undefined)
         .eval(this.scope);
   };
 
@@ -111,7 +141,7 @@ function factory (type, config, load, typed, math) {
    */
   Parser.prototype.get = function (name) {
     // TODO: validate arguments
-    return this.scope[name];
+    return this.scope.get(name);
   };
 
   /**
@@ -119,7 +149,12 @@ function factory (type, config, load, typed, math) {
    * @return {Object} values
    */
   Parser.prototype.getAll = function () {
-    return extend({}, this.scope);
+    var scope = this.scope;
+    var values = {};
+    scopeKeys(scope).forEach(function (name) {
+      values[name] = scope.get(name);
+    });
+    return values;
   };
 
   /**
@@ -129,7 +164,8 @@ function factory (type, config, load, typed, math) {
    */
   Parser.prototype.set = function (name, value) {
     // TODO: validate arguments
-    return this.scope[name] = value;
+    this.scope.set(name, value);
+    return value;
   };
 
   /**
@@ -138,18 +174,17 @@ function factory (type, config, load, typed, math) {
    */
   Parser.prototype.remove = function (name) {
     // TODO: validate arguments
-    delete this.scope[name];
+    this.scope['delete'](name);
   };
 
   /**
    * Clear the scope with variables and functions
    */
   Parser.prototype.clear = function () {
-    for (var name in this.scope) {
-      if (this.scope.hasOwnProperty(name)) {
-        delete this.scope[name];
-      }
-    }
+    var scope = this.scope;
+    scopeKeys(scope).forEach(function (name) {
+      scope['delete'](name);
+    });
   };
 
   return Parser;
@@ -0,0 +1,491 @@
+'use strict';
+
+var RestrictionError = require('../error/RestrictionError');
+var arraySize = require('../utils/array').size;
+var flatten = require('../utils/array').flatten;
+var isCollection = require('../utils/collection/isCollection');
+
+function factory (type, config, load, typed, math) {
+  var operators = load(require('./operators'));
+
+  /**
+   * @constructor Restriction
+   * A Restriction limits what an expression may do while being evaluated,
+   * which is needed when evaluating expressions entered by untrusted users.
+   * A restriction is checked when compiling an expression, and keeps track
+   * of the number of evaluation steps and the recursion depth during
+   * evaluation. Violating a restriction throws a RestrictionError.
+   *
+   * Example usage:
+   *    var restriction = new Restriction({
+   *      functions: ['sqrt', 'sin', 'cos'],
+   *      functionAssignment: false,
+   *      maxSteps: 10000
+   *    });
+   *    math.parse('sqrt(16)').compile({restrict: restriction}).eval();   // 4
+   *    math.parse('import({})').compile({restrict: restriction});        // RestrictionError
+   *
+   * @param {Object} [options]  Available options:
+   *   - `functions: string[]`        The functions which may be used. By
+   *                                  default all functions are allowed except
+   *                                  the unsafe functions listed in
+   *                                  `Restriction.UNSAFE_FUNCTIONS`. Custom
+   *                                  operators may only be used when their
+   *                                  function is allowed.
+   *   - `assignment: boolean`        Whether variables may be assigned.
+   *                                  True by default.
+   *   - `functionAssignment: boolean` Whether functions, including anonymous
+   *                                  functions, may be defined.
+   *                                  True by default.
+   *   - `maxDepth: number`           Maximum depth of nested calls of
+   *                                  functions defined in an expression.
+   *   - `maxMatrixSize: number`      Maximum number of elements of a matrix
+   *                                  returned by an operator or function.
+   *                                  Functions like `zeros` and `range`,
+   *                                  and assignments like `A[1000] = 1`,
+   *                                  are validated before allocating.
+   *   - `maxSteps: number`           Maximum number of evaluated operators
+   *                                  and function calls.
+   */
+  function Restriction(options) {
+    if (!(this instanceof Restriction)) {
+      throw new SyntaxError('Constructor must be called with the new operator');
+    }
+
+    options = options || {};
+    if (options.functions !== undefined && !Array.isArray(options.functions)) {
+      throw new TypeError('Array expected for option "functions"');
+    }
+    ['maxDepth', 'maxMatrixSize', 'maxSteps'].forEach(function (name) {
+      if (options[name] !== undefined && !(typeof options[name] === 'number' && options[name] >= 0)) {
+        throw new TypeError('Non-negative number expected for option "' + name + '"');
+      }
+    });
+
+    this.functions = options.functions ? options.functions.slice(0) : null;
+    this.assignment = options.assignment !== false;
+    this.functionAssignment = options.functionAssignment !== false;
+    this.maxDepth = (options.maxDepth !== undefined) ? options.maxDepth : Infinity;
+    this.maxMatrixSize = (options.maxMatrixSize !== undefined) ? options.maxMatrixSize : Infinity;
+    this.maxSteps = (options.maxSteps !== undefined) ? options.maxSteps : Infinity;
+
+    // state during evaluation
+    this.steps = 0;
+    this.depth = 0;
+    this._running = 0;
+  }
+
+  /**
+   * Attach type information
+   */
+  Restriction.prototype.type = 'Restriction';
+  Restriction.prototype.isRestriction = true;
+
+  /**
+   * Functions which are not allowed by default: functions which can change
+   * the math.js instance, or which can evaluate arbitrary expressions.
+   * @type {string[]}
+   */
+  Restriction.UNSAFE_FUNCTIONS = [
+    'import', 'create', 'createUnit', 'config', 'typed',
+    'eval', 'parse', 'compile', 'parser', 'chain', 'help',
+    'simplify', 'derivative', 'rationalize', 'expand',
+    'emit', 'on', 'off', 'once'
+  ];
+
+  /**
+   * Object properties which can never be accessed in a restricted expression
+   * @type {string[]}
+   */
+  Restriction.UNSAFE_PROPERTIES = [
+    'constructor', 'prototype', '__proto__',
+    '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+  ];
+
+  /**
+   * Validate a node tree before compiling it. Throws a RestrictionError when
+   * the expression uses a function which is not allowed, assigns a variable
+   * or defines a function when this is not allowed, or accesses an unsafe
+   * object property.
+   * @param {Node} node
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.validate = function (node) {
+    var restriction = this;
+
+    function _validate (node, params) {
+      // a for loop assigns its loop variable
+      if ((node.isAssignmentNode || node.isForNode) && !restriction.assignment) {
+        throw new RestrictionError('assignment', 'Assignment of variables is not allowed');
+      }
+
+      if (node.isFunctionAssignmentNode || node.isLambdaNode) {
+        if (!restriction.functionAssignment) {
+          throw new RestrictionError('functionAssignment', 'Definition of functions is not allowed');
+        }
+
+        // parameters of the function may shadow functions of math.js
+        params = Object.create(params);
+        node.params.forEach(function (param) {
+          params[param] = true;
+        });
+      }
+
+      if (node.isSymbolNode && !params[node.name] && !restriction.isAllowed(node.name)) {
+        throw new RestrictionError('functions', 'Function ' + node.name + ' is not allowed');
+      }
+
+      // a custom operator can evaluate any function, unlike built-in operators
+      if (node.isOperatorNode && operators.get(node.op) && !restriction.isAllowed(node.fn)) {
+        throw new RestrictionError('functions', 'Function ' + node.fn + ' is not allowed');
+      }
+
+      if (node.isIndexNode && node.isObjectProperty()) {
+        restriction.validateProperty(node.getObjectProperty());
+      }
+
+      if (node.isFunctionNode) {
+        // the function itself is no child node
+        _validate(node.fn, params);
+      }
+
+      node.forEach(function (child) {
+        _validate(child, params);
+      });
+    }
+
+    _validate(node, {});
+  };
+
+  /**
+   * Test whether a symbol may be resolved from the math namespace. Constants
+   * like `pi` are always allowed, functions only when allowed by the option
+   * `functions`, and namespaces like `expression` only when listed explicitly.
+   * Symbols not defined by math.js, like variables and units, are allowed.
+   * @param {string} name
+   * @return {boolean}
+   */
+  Restriction.prototype.isAllowed = function (name) {
+    var namespace = math.expression.transform;
+    if (!(name in namespace)) {
+      return true;
+    }
+
+    var value = namespace[name];
+    var isFunction = typeof value === 'function';
+    // note that the constructor of some classes, like Complex, is Object too,
+    // so namespaces are recognized by their prototype
+    var isNamespace = value !== null && typeof value === 'object' &&
+        Object.getPrototypeOf(value) === Object.prototype;
+    if (!isFunction && !isNamespace) {
+      return true;
+    }
+
+    if (this.functions) {
+      return this.functions.indexOf(name) !== -1;
+    }
+
+    return isFunction && Restriction.UNSAFE_FUNCTIONS.indexOf(name) === -1;
+  };
+
+  /**
+   * Throw a RestrictionError when an object property is unsafe
+   * @param {string} property
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.validateProperty = function (property) {
+    if (Restriction.UNSAFE_PROPERTIES.indexOf(property) !== -1) {
+      throw new RestrictionError('properties', 'Property ' + property + ' is not allowed');
+    }
+  };
+
+  /**
+   * Validate an index evaluated at runtime, which can contain an object
+   * property calculated by the expression.
+   * @param {Index} index
+   * @return {Index} Returns the index itself
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.validateIndex = function (index) {
+    if (index && index.isIndex && index.isObjectProperty()) {
+      this.validateProperty(index.getObjectProperty());
+    }
+
+    return index;
+  };
+
+  /**
+   * Validate the size of a matrix or string before replacing a subset of it,
+   * like `A[1000, 1000] = 1`, because it is resized when the index exceeds
+   * its size.
+   * @param {Array | Matrix | string} object  The matrix or string being updated
+   * @param {Index} index
+   * @return {Index} Returns the index itself
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.validateSubset = function (object, index) {
+    if (this.maxMatrixSize !== Infinity && index && index.isIndex && !index.isObjectProperty()) {
+      var size = (typeof object === 'string') ? [object.length] : _size(object);
+      var max = index.max();
+      var resized = [];
+      for (var i = 0; i < Math.max(size.length, max.length); i++) {
+        // dimensions which the object does not have yet are added with size 1
+        var dim = (i < size.length) ? size[i] : 1;
+        resized[i] = (i < max.length) ? Math.max(dim, max[i] + 1) : dim;
+      }
+      this.validateSize(_count(resized));
+    }
+
+    return index;
+  };
+
+  /**
+   * Evaluate a compiled expression. The number of steps is reset when
+   * this is the outermost evaluation.
+   * @param {function} fn
+   * @return {*} Returns the result of fn
+   */
+  Restriction.prototype.evaluate = function (fn) {
+    if (this._running === 0) {
+      this.steps = 0;
+      this.depth = 0;
+    }
+
+    this._running++;
+    try {
+      return fn();
+    }
+    finally {
+      this._running--;
+    }
+  };
+
+  /**
+   * Evaluate the body of a function defined in an expression, keeping track
+   * of the depth of nested function calls.
+   * @param {function} fn
+   * @return {*} Returns the result of fn
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.call = function (fn) {
+    var restriction = this;
+
+    return this.evaluate(function () {
+      if (restriction.depth >= restriction.maxDepth) {
+        throw new RestrictionError('maxDepth',
+            'Maximum depth of function calls exceeded (' + restriction.maxDepth + ')');
+      }
+
+      restriction.depth++;
+      try {
+        return fn();
+      }
+      finally {
+        restriction.depth--;
+      }
+    });
+  };
+
+  /**
+   * Test whether a function of math.js creates a matrix whose size is given
+   * by its arguments, like `zeros`, `range` and `kron`. The arguments of such a
+   * function are validated before calling it, see validateArguments.
+   * @param {string} name
+   * @return {boolean}
+   */
+  Restriction.prototype.isAllocating = function (name) {
+    return ALLOCATING_FUNCTIONS.hasOwnProperty(name);
+  };
+
+  /**
+   * Validate the size of the matrix which will be created by a function like
+   * `zeros` or `range` before calling it, so a matrix exceeding the maximum
+   * matrix size is never allocated. Other functions, like a function with
+   * the same name defined in the scope, are not validated.
+   * @param {string} name   Name of the function
+   * @param {function} fn   The function which will be called
+   * @param {Array} args    The evaluated arguments of the function
+   * @return {Array} Returns the arguments themselves
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.validateArguments = function (name, fn, args) {
+    if (this.maxMatrixSize !== Infinity && this.isAllocating(name) &&
+        fn === math.expression.transform[name]) {
+      this.validateSize(ALLOCATING_FUNCTIONS[name](args));
+    }
+
+    return args;
+  };
+
+  /**
+   * Validate the items of a matrix literal like `[A, A]` before creating
+   * the matrix.
+   * @param {Array} items   The evaluated items of the matrix
+   * @return {Array} Returns the items themselves
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.validateItems = function (items) {
+    if (this.maxMatrixSize !== Infinity) {
+      this.validateSize(items.length * _count(_size(items[0])));
+    }
+
+    return items;
+  };
+
+  /**
+   * Throw a RestrictionError when a number of matrix elements exceeds the
+   * maximum matrix size
+   * @param {number} count
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.validateSize = function (count) {
+    if (count > this.maxMatrixSize) {
+      throw new RestrictionError('maxMatrixSize',
+          'Maximum matrix size exceeded (' + count + ' > ' + this.maxMatrixSize + ')');
+    }
+  };
+
+  /**
+   * Count an evaluation step, and validate the size of its result.
+   * @param {*} value   The result of the evaluated operator or function
+   * @return {*} Returns the value itself
+   * @throws {RestrictionError}
+   */
+  Restriction.prototype.step = function (value) {
+    this.steps++;
+    if (this.steps > this.maxSteps) {
+      throw new RestrictionError('maxSteps',
+          'Maximum number of evaluation steps exceeded (' + this.maxSteps + ')');
+    }
+
+    if (this.maxMatrixSize !== Infinity && (Array.isArray(value) || (value && value.isMatrix))) {
+      this.validateSize(_count(_size(value)));
+    }
+
+    return value;
+  };
+
+  /**
+   * Functions creating a matrix whose size is given by their arguments,
+   * mapped to a function returning the number of elements of the matrix
+   * which will be created for given arguments.
+   */
+  var ALLOCATING_FUNCTIONS = {
+    zeros: _countOfSize,
+    ones: _countOfSize,
+    eye: function (args) {
+      var size = _sizeArguments(args);
+      // eye(n) creates an n x n matrix
+      return _count(size.length === 1 ? [size[0], size[0]] : size);
+    },
+    range: _countOfRange,
+    resize: function (args) {
+      return _count(_toSize(args[1]));
+    },
+    kron: function (args) {
+      return _count(_size(args[0])) * _count(_size(args[1]));
+    },
+    concat: function (args) {
+      // the last argument can be the dimension, which is no matrix
+      return args.reduce(function (count, arg) {
+        return count + (isCollection(arg) ? _count(_size(arg)) : 0);
+      }, 0);
+    }
+  };
+
+  /**
+   * Count the elements of a matrix created by a function like zeros(m, n),
+   * zeros([m, n]) or zeros(m, n, format)
+   * @param {Array} args
+   * @return {number}
+   * @private
+   */
+  function _countOfSize (args) {
+    return _count(_sizeArguments(args));
+  }
+
+  /**
+   * Get the size given by arguments like (m, n), ([m, n]) or (m, n, format)
+   * @param {Array} args
+   * @return {number[]}
+   * @private
+   */
+  function _sizeArguments (args) {
+    args = args.filter(function (arg) {
+      return typeof arg !== 'string';
+    });
+
+    return (args.length === 1 && isCollection(args[0])) ? _toSize(args[0]) : _toSize(args);
+  }
+
+  /**
+   * Count the elements of a range created by range(str [, includeEnd]) or
+   * range(start, end [, step] [, includeEnd]). The end is included unless
+   * includeEnd is false, like in the expression parser.
+   * @param {Array} args
+   * @return {number}
+   * @private
+   */
+  function _countOfRange (args) {
+    args = args.slice(0);
+    var includeEnd = (typeof args[args.length - 1] === 'boolean') ? args.pop() : true;
+
+    var params = (typeof args[0] === 'string') ? args[0].split(':') : args;
+    var numbers = _toSize(params.length === 3 && typeof args[0] === 'string'
+        ? [params[0], params[2], params[1]] // start:step:end
+        : params);
+    var start = numbers[0];
+    var end = numbers[1];
+    var step = (numbers.length > 2) ? numbers[2] : 1;
+
+    var count = includeEnd
+        ? Math.floor((end - start) / step) + 1
+        : Math.ceil((end - start) / step);
+
+    return (count > 0) ? count : 0;
+  }
+
+  /**
+   * Convert an Array, Matrix, or Array with numbers, BigNumbers or strings
+   * into an Array with numbers
+   * @param {Array | Matrix} values
+   * @return {number[]}
+   * @private
+   */
+  function _toSize (values) {
+    return flatten(values.valueOf()).map(function (value) {
+      return Number(value.valueOf());
+    });
+  }
+
+  /**
+   * Get the size of an Array or Matrix, or an empty size for a scalar
+   * @param {*} value
+   * @return {number[]}
+   * @private
+   */
+  function _size (value) {
+    return Array.isArray(value) ? arraySize(value)
+        : (value && value.isMatrix) ? value.size()
+        : [];
+  }
+
+  /**
+   * Count the number of elements of a matrix with given size
+   * @param {number[]} size
+   * @return {number}
+   * @private
+   */
+  function _count (size) {
+    return size.reduce(function (count, dim) {
+      return count * dim;
+    }, 1);
+  }
+
+  return Restriction;
+}
+
+exports.name = 'Restriction';
+exports.path = 'expression';
+exports.factory = factory;
+exports.math = true; // requires the math namespace as 5th argument
@@ -11,6 +11,7 @@ module.exports = {
   'examples': [
     '5.5 mm',
     '3 inch',
+    '5 ft 3 in',
     'unit(7.1, "kilogram")',
     'unit("23 deg")'
   ],
@@ -0,0 +1,16 @@
+module.exports = {
+  'name': 'chol',
+  'category': 'Algebra',
+  'syntax': [
+    'chol(A)',
+    'chol(A, order)'
+  ],
+  'description': 'Calculate the Cholesky decomposition of a symmetric positive definite matrix. Matrix A is decomposed in a lower triangular matrix L and a permutation vector p where P * A * P\' = L * L\'',
+  'examples': [
+    'chol([4, 2, -2; 2, 10, 2; -2, 2, 5])',
+    'chol(sparse([4, 2, -2; 2, 10, 2; -2, 2, 5]), 1)'
+  ],
+  'seealso': [
+    'cholsolve', 'lup', 'slu', 'matrix', 'sparse'
+  ]
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  'name': 'cholsolve',
+  'category': 'Algebra',
+  'syntax': [
+    'x=cholsolve(A, b)',
+    'x=cholsolve(A, b, order)',
+    'x=cholsolve(chol, b)'
+  ],
+  'description': 'Solves the linear system A * x = b where A is an [n x n] symmetric positive definite matrix and b is a [n] column vector, using the Cholesky decomposition of A.',
+  'examples': [
+    'a = [4, 2, -2; 2, 10, 2; -2, 2, 5]',
+    'b = [2, 28, 17]',
+    'x = cholsolve(a, b)'
+  ],
+  'seealso': [
+    'chol', 'lusolve', 'lsolve', 'usolve', 'matrix', 'sparse'
+  ]
+};
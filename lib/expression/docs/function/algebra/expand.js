@@ -0,0 +1,16 @@
+module.exports = {
+  'name': 'expand',
+  'category': 'Algebra',
+  'syntax': [
+    'expand(expr)'
+  ],
+  'description': 'Expand an expression tree: products and integer powers of sums are multiplied out, after which like terms are collected.',
+  'examples': [
+    'expand("(x+1)^2")',
+    'expand("(x+1)^2 - x^2")',
+    'expand("(a+b)*(a-b)")'
+  ],
+  'seealso': [
+    'simplify', 'rationalize', 'parse'
+  ]
+};
@@ -0,0 +1,17 @@
+module.exports = {
+  'name': 'lstsq',
+  'category': 'Algebra',
+  'syntax': [
+    'r=lstsq(A, b)'
+  ],
+  'description': 'Solves the linear least squares problem min ||A * x - b|| where A is an [m x n] matrix and b is a [m] column vector. Returns an object with the minimum norm solution x, the residuals b - A * x and the rank of A.',
+  'examples': [
+    'a = [1, 0; 1, 1; 1, 2]',
+    'b = [1, 3, 4]',
+    'r = lstsq(a, b)',
+    'r.x'
+  ],
+  'seealso': [
+    'lusolve', 'qr', 'lsolve', 'usolve', 'matrix'
+  ]
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  'name': 'qr',
+  'category': 'Algebra',
+  'syntax': [
+    'qr(A)',
+    'qr(A, order)'
+  ],
+  'description':
+  'Calculate the Matrix QR decomposition using Householder reflections. Matrix A is decomposed in an orthogonal matrix Q and an upper triangular matrix R where A = Q * R. Sparse matrices can be decomposed with a fill-reducing column ordering q, A(:,q) = Q * R',
+  'examples': [
+    'qr([3, 0; 4, 5])',
+    'qr([3, 1; 4, 2; 0, 2])',
+    'qr(sparse([3, 1; 4, 2; 0, 2]), 3)'
+  ],
+  'seealso': [
+    'lup', 'slu', 'chol', 'matrix', 'sparse'
+  ]
+};
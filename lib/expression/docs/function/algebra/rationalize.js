@@ -0,0 +1,19 @@
+module.exports = {
+  'name': 'rationalize',
+  'category': 'Algebra',
+  'syntax': [
+    'rationalize(expr)',
+    'rationalize(expr, scope)',
+    'rationalize(expr, scope, detailed)'
+  ],
+  'description': 'Transform a rational expression into a single fraction of two polynomials in expanded form, numerator / denominator. When detailed is true, an object is returned with the expression, numerator, denominator, variables and coefficients.',
+  'examples': [
+    'rationalize("(x+1)/(x-1) + 2/x")',
+    'rationalize("(x^2-1)/(2x-2)")',
+    'rationalize("x/y + a", {a: 3})',
+    'rationalize("(2x+1)^2", {}, true)'
+  ],
+  'seealso': [
+    'simplify', 'expand', 'parse', 'eval'
+  ]
+};
@@ -3,17 +3,20 @@ module.exports = {
   'category': 'Algebra',
   'syntax': [
     'simplify(expr)',
-    'simplify(expr, rules)'
+    'simplify(expr, rules)',
+    'simplify(expr, options)',
+    'simplify(expr, rules, options)'
   ],
-  'description': 'Simplify an expression tree.',
+  'description': 'Simplify an expression tree. With option {expand: true}, products and integer powers of sums are multiplied out and like terms are collected afterwards.',
   'examples': [
     'simplify("3 + 2 / 4")',
     'simplify("2x + x")',
+    'simplify("(x+1)^2 - x^2", {expand: true})',
     'f = parse("x * (x + 2 + x)")',
     'simplified = simplify(f)',
     'simplified.eval({x: 2})'
   ],
   'seealso': [
-    'derivative', 'parse', 'eval'
+    'derivative', 'expand', 'rationalize', 'parse', 'eval'
   ]
 };
@@ -0,0 +1,16 @@
+module.exports = {
+  'name': 'svd',
+  'category': 'Algebra',
+  'syntax': [
+    'svd(A)'
+  ],
+  'description':
+  'Calculate the singular value decomposition of a matrix. Matrix A is decomposed in a matrix U with orthonormal columns, a vector S with the singular values in descending order and a matrix V with orthonormal columns, where A = U * diag(S) * V\'',
+  'examples': [
+    'svd([3, 0; 4, 5])',
+    'svd([1, 2; 3, 4; 5, 6]).S'
+  ],
+  'seealso': [
+    'qr', 'lup', 'pinv', 'rank', 'cond'
+  ]
+};
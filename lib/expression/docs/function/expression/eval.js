@@ -3,7 +3,8 @@ module.exports = {
   'category': 'Expression',
   'syntax': [
     'eval(expression)',
-    'eval([expr1, expr2, expr3, ...])'
+    'eval([expr1, expr2, expr3, ...])',
+    'eval(expression, scope, options)'
   ],
   'description': 'Evaluate an expression or an array with expressions.',
   'examples': [
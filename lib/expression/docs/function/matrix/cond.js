@@ -0,0 +1,16 @@
+module.exports = {
+  'name': 'cond',
+  'category': 'Matrix',
+  'syntax': [
+    'cond(x)'
+  ],
+  'description': 'Calculate the condition number of a matrix with respect to the 2-norm, the ratio of the largest and the smallest singular value',
+  'examples': [
+    'cond([1, 0; 0, 2])',
+    'cond([1, 1; 1, 1.001])',
+    'cond([1, 2; 2, 4])'
+  ],
+  'seealso': [
+    'svd', 'rank', 'norm', 'det'
+  ]
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  'name': 'eigs',
+  'category': 'Matrix',
+  'syntax': [
+    'eigs(x)'
+  ],
+  'description': 'Calculate the eigenvalues and eigenvectors of a real square matrix. Returns an object with the eigenvalues and a matrix with the eigenvectors as columns.',
+  'examples': [
+    'eigs([2, 1; 1, 2])',
+    'eigs([0, -1; 1, 0]).values'
+  ],
+  'seealso': [
+    'det', 'inv', 'trace'
+  ]
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  'name': 'expm',
+  'category': 'Matrix',
+  'syntax': [
+    'expm(x)'
+  ],
+  'description': 'Calculate the matrix exponential of a square matrix. This is not the same as the element-wise exponential exp(x).',
+  'examples': [
+    'expm([0, 1; 0, 0])',
+    'expm([0, 2; -2, 0])',
+    'expm([1, 2; 3, 4])'
+  ],
+  'seealso': [
+    'exp', 'logm', 'sqrtm'
+  ]
+};
@@ -6,7 +6,9 @@ module.exports = {
   ],
   'description': 'Iterates over all elements of a matrix/array, and executes the given callback function.',
   'examples': [
-    'forEach([1, 2, 3], function(val) { console.log(val) })'
+    'total = 0',
+    'forEach([1, 2, 3], x -> total = total + x)',
+    'total'
   ],
   'seealso': ['map', 'sort', 'filter']
 };
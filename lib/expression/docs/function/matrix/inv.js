@@ -11,6 +11,6 @@ module.exports = {
     '1 / 4'
   ],
   'seealso': [
-    'concat', 'det', 'diag', 'eye', 'ones', 'range', 'size', 'squeeze', 'subset', 'trace', 'transpose', 'zeros'
+    'concat', 'det', 'diag', 'eye', 'ones', 'pinv', 'range', 'size', 'squeeze', 'subset', 'trace', 'transpose', 'zeros'
   ]
 };
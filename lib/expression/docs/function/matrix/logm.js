@@ -0,0 +1,16 @@
+module.exports = {
+  'name': 'logm',
+  'category': 'Matrix',
+  'syntax': [
+    'logm(x)'
+  ],
+  'description': 'Calculate the principal logarithm of a square matrix. This is not the same as the element-wise logarithm log(x).',
+  'examples': [
+    'logm([1, 1; 0, 1])',
+    'logm(expm([1, 2; 0, 3]))',
+    'logm([-1, 0; 0, -1])'
+  ],
+  'seealso': [
+    'log', 'expm', 'sqrtm'
+  ]
+};
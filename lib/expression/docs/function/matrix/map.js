@@ -6,7 +6,7 @@ module.exports = {
   ],
   'description': 'Create a new matrix or array with the results of the callback function executed on each entry of the matrix/array.',
   'examples': [
-    'map([1, 2, 3], function(val) { return value * value })'
+    'map([1, 2, 3], x -> x^2)'
   ],
   'seealso': ['filter', 'forEach']
 };
@@ -0,0 +1,16 @@
+module.exports = {
+  'name': 'pinv',
+  'category': 'Matrix',
+  'syntax': [
+    'pinv(x)'
+  ],
+  'description': 'Calculate the Moore-Penrose pseudo-inverse of a matrix',
+  'examples': [
+    'pinv([1, 2; 3, 4])',
+    'pinv([1, 2; 2, 4])',
+    'pinv([1; 2])'
+  ],
+  'seealso': [
+    'inv', 'svd', 'lstsq', 'rank'
+  ]
+};
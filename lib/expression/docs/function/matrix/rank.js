@@ -0,0 +1,17 @@
+module.exports = {
+  'name': 'rank',
+  'category': 'Matrix',
+  'syntax': [
+    'rank(x)',
+    'rank(x, tol)'
+  ],
+  'description': 'Calculate the rank of a matrix, the number of singular values larger than a tolerance',
+  'examples': [
+    'rank([1, 2; 3, 4])',
+    'rank([1, 2, 3; 2, 4, 6])',
+    'rank([1, 0; 0, 1e-6], 1e-3)'
+  ],
+  'seealso': [
+    'svd', 'cond', 'det', 'pinv'
+  ]
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  'name': 'sqrtm',
+  'category': 'Matrix',
+  'syntax': [
+    'sqrtm(x)'
+  ],
+  'description': 'Calculate the principal square root of a square matrix, the matrix X with X * X = x. This is not the same as the element-wise square root sqrt(x).',
+  'examples': [
+    'sqrtm([33, 24; 48, 57])',
+    'sqrtm([-4, 0; 0, -9])'
+  ],
+  'seealso': [
+    'sqrt', 'expm', 'logm'
+  ]
+};
@@ -6,12 +6,16 @@ module.exports = {
     'distribution(name, arg1, arg2, ...)'
   ],
   'description':
-      'Create a distribution object of a specific type. ' +
-          'A distribution object contains functions `random([size,] [min,] [max])`, ' +
-          '`randomInt([size,] [min,] [max])` and `pickRandom(array)`. ' +
-          'Available types of distributions: "uniform", "normal". ' +
-          'Note that the function distribution is currently not available via the expression parser.',
+      'Create a distribution object of a specific type with given parameters. ' +
+          'A distribution object contains functions `pdf(x)`, `cdf(x)`, `inv(p)`, ' +
+          '`mean()`, `variance()` and `random([size])`. ' +
+          'Available types of distributions: "uniform", "normal", "lognormal", ' +
+          '"exponential", "gamma", "beta", "chiSquared", "studentT", "f", ' +
+          '"poisson", "binomial", "geometric".',
   'examples': [
+    'distribution("normal", 100, 15).cdf(130)',
+    'distribution("poisson", 4).pdf(2)',
+    'distribution("binomial", 10, 0.5).mean()'
   ],
   'seealso': ['random', 'randomInt']
 };
@@ -98,12 +98,19 @@ function factory (construction, config, load, typed) {
   docs.planckTemperature = {description: 'Planck temperature', examples: ['planckTemperature']};
 
   // functions - algebra
+  docs.chol = require('./function/algebra/chol');
+  docs.cholsolve = require('./function/algebra/cholsolve');
   docs.derivative = require('./function/algebra/derivative');
+  docs.expand = require('./function/algebra/expand');
   docs.lsolve = require('./function/algebra/lsolve');
+  docs.lstsq = require('./function/algebra/lstsq');
   docs.lup = require('./function/algebra/lup');
   docs.lusolve = require('./function/algebra/lusolve');
+  docs.qr = require('./function/algebra/qr');
+  docs.rationalize = require('./function/algebra/rationalize');
   docs.simplify = require('./function/algebra/simplify');
   docs.slu = require('./function/algebra/slu');
+  docs.svd = require('./function/algebra/svd');
   docs.usolve = require('./function/algebra/usolve');
 
   // functions - arithmetic
@@ -180,23 +187,30 @@ function factory (construction, config, load, typed) {
 
   // functions - matrix
   docs['concat'] = require('./function/matrix/concat');
+  docs.cond = require('./function/matrix/cond');
   docs.cross = require('./function/matrix/cross');
   docs.det = require('./function/matrix/det');
   docs.diag = require('./function/matrix/diag');
   docs.dot = require('./function/matrix/dot');
+  docs.eigs = require('./function/matrix/eigs');
   docs.eye = require('./function/matrix/eye');
+  docs.expm = require('./function/matrix/expm');
   docs.filter =  require('./function/matrix/filter');
   docs.flatten = require('./function/matrix/flatten');
   docs.forEach =  require('./function/matrix/forEach');
   docs.inv = require('./function/matrix/inv');
   docs.kron = require('./function/matrix/kron');
+  docs.logm = require('./function/matrix/logm');
   docs.map =  require('./function/matrix/map');
   docs.ones = require('./function/matrix/ones');
   docs.partitionSelect =  require('./function/matrix/partitionSelect');
+  docs.pinv = require('./function/matrix/pinv');
   docs.range = require('./function/matrix/range');
+  docs.rank = require('./function/matrix/rank');
   docs.resize = require('./function/matrix/resize');
   docs.size = require('./function/matrix/size');
   docs.sort =  require('./function/matrix/sort');
+  docs.sqrtm = require('./function/matrix/sqrtm');
   docs.squeeze = require('./function/matrix/squeeze');
   docs.subset = require('./function/matrix/subset');
   docs.trace = require('./function/matrix/trace');
@@ -205,7 +219,7 @@ function factory (construction, config, load, typed) {
 
   // functions - probability
   docs.combinations = require('./function/probability/combinations');
-  //docs.distribution = require('./function/probability/distribution');
+  docs.distribution = require('./function/probability/distribution');
   docs.factorial = require('./function/probability/factorial');
   docs.gamma = require('./function/probability/gamma');
   docs.kldivergence = require('./function/probability/kldivergence');
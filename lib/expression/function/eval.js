@@ -4,6 +4,7 @@ var deepMap = require('../../utils/collection/deepMap');
 
 function factory (type, config, load, typed) {
   var parse = load(require('../parse'));
+  var Restriction = load(require('../Restriction'));
 
   /**
    * Evaluate an expression.
@@ -14,6 +15,7 @@ function factory (type, config, load, typed) {
    *     math.eval(expr, scope)
    *     math.eval([expr1, expr2, expr3, ...])
    *     math.eval([expr1, expr2, expr3, ...], scope)
+   *     math.eval(expr, scope, options)
    *
    * Example:
    *
@@ -25,12 +27,27 @@ function factory (type, config, load, typed) {
    *     var scope = {a:3, b:4};
    *     math.eval('a * b', scope);           // 12
    *
+   *     var variables = new Map([['a', 3]]);
+   *     math.eval('b = a + 1', variables);   // 4
+   *     variables.get('b');                  // 4
+   *
+   *     var options = {restrict: {functions: ['sqrt'], maxSteps: 1000}};
+   *     math.eval('sqrt(a) + b', scope, options);   // 5.732050807568877
+   *     math.eval('sin(a)', scope, options);        // RestrictionError
+   *
    * See also:
    *
    *    parse, compile
    *
    * @param {string | string[] | Matrix} expr   The expression to be evaluated
-   * @param {Object} [scope]                    Scope to read/write variables
+   * @param {Object | Map} [scope]              Scope to read/write variables.
+   *                                             Can be a plain object, or an
+   *                                             object implementing the scope
+   *                                             interface like a Map.
+   * @param {{restrict: Object}} [options]       Available options:
+   *                                             - `restrict` restrictions for
+   *                                               evaluating untrusted expressions,
+   *                                               see `math.expression.Restriction`
    * @return {*} The result of the expression
    * @throws {Error}
    */
@@ -55,8 +72,32 @@ function factory (type, config, load, typed) {
       return deepMap(expr, function (entry) {
         return parse(entry).compile().eval(scope);
       });
+    },
+
+    'string, Object, Object': function (expr, scope, options) {
+      var compileOptions = _compileOptions(options);
+      return parse(expr).compile(compileOptions).eval(scope);
+    },
+
+    'Array | Matrix, Object, Object': function (expr, scope, options) {
+      var compileOptions = _compileOptions(options);
+      return deepMap(expr, function (entry) {
+        return parse(entry).compile(compileOptions).eval(scope);
+      });
     }
   });
+
+  /**
+   * Create the options for compiling an expression from the options of eval
+   * @param {{restrict: Object}} options
+   * @return {{restrict: Restriction} | undefined}
+   * @private
+   */
+  function _compileOptions (options) {
+    return options.restrict
+        ? {restrict: new Restriction(options.restrict)}
+        : undefined;
+  }
 }
 
 exports.name = 'eval';
@@ -29,14 +29,24 @@ function factory (type, config, load, typed) {
    *     var nodes = math.parse(['a = 3', 'b = 4', 'a * b']);
    *     nodes[2].compile().eval(); // 12
    *
+   *     var node = math.parse('2 * (x + 1)', {locations: true});
+   *     node.args[1].location; // {start: 4, end: 11, line: 1, column: 5}
+   *
    * See also:
    *
    *     eval, compile
    *
    * @param {string | string[] | Matrix} expr          Expression to be parsed
-   * @param {{nodes: Object<string, Node>}} [options]  Available options:
-   *                                                   - `nodes` a set of custom nodes
-   * @return {Node | Node[]} node
+   * @param {{nodes: Object<string, Node>, locations: boolean, recover: boolean}} [options]
+   *            Available options:
+   *            - `nodes` a set of custom nodes
+   *            - `locations` when true, each node gets a property `location`
+   *              with the source span `{start, end, line, column}` of the
+   *              node in the expression
+   *            - `recover` when true, parsing continues after a syntax error,
+   *              and an object `{node, errors}` is returned containing the
+   *              node tree and a list with all syntax errors
+   * @return {Node | Node[] | {node: Node, errors: SyntaxError[]}} node
    * @throws {Error}
    */
   return typed('parse', {
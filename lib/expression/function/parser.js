@@ -9,6 +9,7 @@ function factory (type, config, load, typed, math) {
    * Syntax:
    *
    *    math.parser()
+   *    math.parser(options)
    *
    * Examples:
    *
@@ -40,15 +41,39 @@ function factory (type, config, load, typed, math) {
    *     // clear defined functions and variables
    *     parser.clear();
    *
+   *     // create a parser for untrusted expressions
+   *     var restricted = math.parser({restrict: {functions: ['sqrt'], maxSteps: 1000}});
+   *     restricted.eval('sqrt(16)');            // 4
+   *     restricted.eval('import({})');          // RestrictionError
+   *
+   *     // store the variables of a parser in a Map
+   *     var variables = new Map();
+   *     var mapped = math.parser({scope: variables});
+   *     mapped.eval('x = 7');                   // 7
+   *     variables.get('x');                     // 7
+   *
    * See also:
    *
    *    eval, compile, parse
    *
+   * @param {{restrict: Object, scope: Object}} [options]
+   *                                        Available options:
+   *                                        - `restrict` restrictions for
+   *                                          evaluating untrusted expressions,
+   *                                          see `math.expression.Restriction`
+   *                                        - `scope` the scope in which the
+   *                                          variables are stored: a plain
+   *                                          object, or an object implementing
+   *                                          the scope interface like a Map
    * @return {Parser} Parser
    */
   return typed('parser', {
     '': function () {
-      return new Parser(math);
+      return new Parser();
+    },
+
+    'Object': function (options) {
+      return new Parser(options);
     }
   });
 }
@@ -5,6 +5,8 @@ module.exports = [
   require('./transform'),
 
   require('./Help'),
+  require('./operators'),
   require('./parse'),
-  require('./Parser')
+  require('./Parser'),
+  require('./Restriction')
 ];
@@ -2,5 +2,8 @@
 
 // Reserved keywords not allowed to use in the parser
 module.exports = {
-  end: true
+  end: true,
+  'for': true,
+  'function': true,
+  'while': true
 };
@@ -1,5 +1,7 @@
 'use strict';
 
+var mathml = require('../../utils/mathml');
+
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
   var access = load(require('./utils/access'));
@@ -69,21 +71,24 @@ function factory (type, config, load, typed) {
 
     var object = this.object._compile(defs, args);
     var index = this.index._compile(defs, args);
+    var code;
 
     if (this.index.isObjectProperty()) {
-      return object + '["' + this.index.getObjectProperty() + '"]';
+      code = object + '["' + this.index.getObjectProperty() + '"]';
     }
     else if (this.index.needsSize()) {
       // if some parameters use the 'end' parameter, we need to calculate the size
-      return '(function () {' +
+      code = '(function () {' +
           '  var object = ' + object + ';' +
           '  var size = math.size(object).valueOf();' +
           '  return access(object, ' + index + ');' +
           '})()';
     }
     else {
-      return 'access(' + object + ', ' + index + ')';
+      code = 'access(' + object + ', ' + index + ')';
     }
+
+    return this._compileLocation(defs, code);
   };
 
   /**
@@ -113,7 +118,30 @@ function factory (type, config, load, typed) {
    * @return {AccessorNode}
    */
   AccessorNode.prototype.clone = function () {
-    return new AccessorNode(this.object, this.index);
+    return this._withLocation(new AccessorNode(this.object, this.index));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  AccessorNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'AccessorNode',
+      object: this.object,
+      index: this.index
+    };
+  };
+
+  /**
+   * Instantiate an AccessorNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "AccessorNode", object: ..., index: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {AccessorNode}
+   */
+  AccessorNode.fromJSON = function (json) {
+    return new AccessorNode(json.object, json.index);
   };
 
   /**
@@ -155,6 +183,23 @@ function factory (type, config, load, typed) {
         || node.isSymbolNode);
   }
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  AccessorNode.prototype._toMathML = function (options) {
+    var object = this.object.toMathML(options);
+    if (needParenthesis(this.object)) {
+      object = mathml.parens(object);
+    }
+
+    var index = this.index.toMathML(options);
+    return this.index.dotNotation
+        ? mathml.row([object, index])
+        : '<msub>' + object + index + '</msub>';
+  };
+
   return AccessorNode;
 }
 
@@ -1,5 +1,7 @@
 'use strict';
 
+var mathml = require('../../utils/mathml');
+
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
 
@@ -53,6 +55,13 @@ function factory (type, config, load, typed) {
       return node._compile(defs, args);
     });
 
+    if (defs.restriction) {
+      // validate the size of the matrix before creating it
+      return (asMatrix ? 'math.matrix(' : '') +
+          'restriction.validateItems([' + items.join(',') + '])' +
+          (asMatrix ? ')' : '');
+    }
+
     return (asMatrix ? 'math.matrix([' : '[') +
         items.join(',') +
         (asMatrix ? '])' : ']');
@@ -88,7 +97,29 @@ function factory (type, config, load, typed) {
    * @return {ArrayNode}
    */
   ArrayNode.prototype.clone = function() {
-    return new ArrayNode(this.items.slice(0));
+    return this._withLocation(new ArrayNode(this.items.slice(0)));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  ArrayNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'ArrayNode',
+      items: this.items
+    };
+  };
+
+  /**
+   * Instantiate an ArrayNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "ArrayNode", items: [...]}`,
+   *                       where the child nodes are revived already
+   * @returns {ArrayNode}
+   */
+  ArrayNode.fromJSON = function (json) {
+    return new ArrayNode(json.items);
   };
 
   /**
@@ -129,6 +160,25 @@ function factory (type, config, load, typed) {
     return s;
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  ArrayNode.prototype._toMathML = function(options) {
+    var rows = this.items.map(function(node) {
+      var cells = node.items
+          ? node.items.map(function(childNode) {
+            return '<mtd>' + childNode.toMathML(options) + '</mtd>';
+          })
+          : ['<mtd>' + node.toMathML(options) + '</mtd>'];
+
+      return '<mtr>' + cells.join('') + '</mtr>';
+    });
+
+    return mathml.parens('<mtable>' + rows.join('') + '</mtable>', '[', ']');
+  };
+
   return ArrayNode;
 }
 
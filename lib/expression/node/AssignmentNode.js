@@ -1,6 +1,8 @@
 'use strict';
 
 var latex = require('../../utils/latex');
+var mathml = require('../../utils/mathml');
+var setVariable = require('../../utils/scope').setVariable;
 
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
@@ -10,7 +12,7 @@ function factory (type, config, load, typed) {
   var access = load(require('./utils/access'));
 
   var keywords = require('../keywords');
-  var operators = require('../operators');
+  var operators = load(require('../operators'));
 
   /**
    * @constructor AssignmentNode
@@ -99,6 +101,7 @@ function factory (type, config, load, typed) {
   AssignmentNode.prototype._compile = function (defs, args) {
     defs.assign = assign;
     defs.access = access;
+    defs.setVariable = setVariable;
 
     var size;
     var object = this.object._compile(defs, args);
@@ -111,7 +114,7 @@ function factory (type, config, load, typed) {
         throw new TypeError('SymbolNode expected as object');
       }
 
-      return 'scope["' + this.object.name + '"] = ' + value;
+      return compileAssignment(this.object.name, value, args);
     }
     else if (this.index.isObjectProperty()) {
       // apply an object property for example `a.b=2`
@@ -126,7 +129,7 @@ function factory (type, config, load, typed) {
           '  var object = ' + object + ';' +
           '  var value = ' + value + ';' +
           '  ' + size +
-          '  scope["' + this.object.name + '"] = assign(object, ' + index + ', value);' +
+          '  ' + compileAssignment(this.object.name, compileAssign('object', index, 'value', defs), args) + ';' +
           '  return value;' +
           '})()';
     }
@@ -146,7 +149,7 @@ function factory (type, config, load, typed) {
             '  var object = parent' + parentProperty + ';' + // parentIndex is a property
             '  var value = ' + value + ';' +
             size +
-            '  parent' + parentProperty + ' = assign(object, ' + index + ', value);' +
+            '  parent' + parentProperty + ' = ' + compileAssign('object', index, 'value', defs) + ';' +
             '  return value;' +
             '})()';
       }
@@ -162,13 +165,44 @@ function factory (type, config, load, typed) {
             '  var object = access(parent, parentIndex);' +
             '  var value = ' + value + ';' +
             '  ' + size +
-            '  assign(parent, parentIndex, assign(object, ' + index + ', value));' +
+            '  ' + compileAssign('parent', 'parentIndex', compileAssign('object', index, 'value', defs), defs) + ';' +
             '  return value;' +
             '})()';
       }
     }
   };
 
+  /**
+   * Compile the replacement of a subset of a matrix or string. In a
+   * restricted expression the size of the updated matrix is validated first.
+   * @param {string} object   Compiled matrix or string
+   * @param {string} index    Compiled index
+   * @param {string} value    Compiled value
+   * @param {Object} defs     Object with definitions of the compiled expression
+   * @return {string} js
+   * @private
+   */
+  function compileAssign (object, index, value, defs) {
+    return defs.restriction
+        ? 'assign(' + object + ', restriction.validateSubset(' + object + ', ' + index + '), ' + value + ')'
+        : 'assign(' + object + ', ' + index + ', ' + value + ')';
+  }
+
+  /**
+   * Compile an assignment to a variable: a local function argument when
+   * assigning a parameter inside the body of a function, and the scope
+   * otherwise.
+   * @param {string} name     Name of the variable
+   * @param {string} value    Compiled value
+   * @param {Object} args     Object with local function arguments
+   * @return {string} js
+   * @private
+   */
+  function compileAssignment (name, value, args) {
+    return args[name]
+        ? name + ' = ' + value
+        : 'setVariable(scope, "' + name + '", ' + value + ')';
+  }
 
   /**
    * Execute a callback for each of the child nodes of this node
@@ -203,7 +237,31 @@ function factory (type, config, load, typed) {
    * @return {AssignmentNode}
    */
   AssignmentNode.prototype.clone = function() {
-    return new AssignmentNode(this.object, this.index, this.value);
+    return this._withLocation(new AssignmentNode(this.object, this.index, this.value));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  AssignmentNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'AssignmentNode',
+      object: this.object,
+      index: this.index,
+      value: this.value
+    };
+  };
+
+  /**
+   * Instantiate an AssignmentNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "AssignmentNode", object: ..., index: ..., value: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {AssignmentNode}
+   */
+  AssignmentNode.fromJSON = function (json) {
+    return new AssignmentNode(json.object, json.index, json.value);
   };
 
   /*
@@ -255,6 +313,27 @@ function factory (type, config, load, typed) {
     return object + index + ':=' + value;
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  AssignmentNode.prototype._toMathML = function(options) {
+    var object = this.object.toMathML(options);
+    if (this.index) {
+      var index = this.index.toMathML(options);
+      object = this.index.dotNotation
+          ? mathml.row([object, index])
+          : '<msub>' + object + index + '</msub>';
+    }
+    var value = this.value.toMathML(options);
+    if (needParenthesis(this, options && options.parenthesis)) {
+      value = mathml.parens(value);
+    }
+
+    return mathml.row([object, mathml.toOperator(':='), value]);
+  };
+
   return AssignmentNode;
 }
 
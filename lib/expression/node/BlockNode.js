@@ -1,5 +1,7 @@
 'use strict';
 
+var mathml = require('../../utils/mathml');
+
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
   var ResultSet = load(require('../../type/resultset/ResultSet'));
@@ -71,6 +73,32 @@ function factory (type, config, load, typed) {
         '})()';
   };
 
+  /**
+   * Compile the node as the body of a loop or function: the statements are
+   * evaluated in order, and the body evaluates to the value of the last
+   * statement instead of a ResultSet.
+   * @param {Object} defs     Object which can be used to define functions
+   *                          or constants globally available for the compiled
+   *                          expression
+   * @param {Object} args     Object with local function arguments, the key is
+   *                          the name of the argument, and the value is `true`.
+   *                          The object may not be mutated, but must be
+   *                          extended instead.
+   * @return {string} js
+   * @protected
+   */
+  BlockNode.prototype._compileBody = function (defs, args) {
+    if (this.blocks.length === 0) {
+      return 'undefined';
+    }
+
+    var statements = this.blocks.map(function (param) {
+      return '(' + param.node._compile(defs, args) + ')';
+    });
+
+    return '(' + statements.join(', ') + ')';
+  };
+
   /**
    * Execute a callback for each of the child blocks of this node
    * @param {function(child: Node, path: string, parent: Node)} callback
@@ -112,7 +140,29 @@ function factory (type, config, load, typed) {
       };
     });
 
-    return new BlockNode(blocks);
+    return this._withLocation(new BlockNode(blocks));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  BlockNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'BlockNode',
+      blocks: this.blocks
+    };
+  };
+
+  /**
+   * Instantiate a BlockNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "BlockNode", blocks: [{node: ..., visible: true}, ...]}`,
+   *                       where the child nodes are revived already
+   * @returns {BlockNode}
+   */
+  BlockNode.fromJSON = function (json) {
+    return new BlockNode(json.blocks);
   };
 
   /**
@@ -138,6 +188,24 @@ function factory (type, config, load, typed) {
     }).join('\\;\\;\n');
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   * @override
+   */
+  BlockNode.prototype._toMathML = function (options) {
+    var rows = this.blocks.map(function (param) {
+      var node = param.node.toMathML(options);
+      if (!param.visible) {
+        node = mathml.row([node, mathml.toOperator(';')]);
+      }
+      return '<mtr><mtd>' + node + '</mtd></mtr>';
+    });
+
+    return '<mtable columnalign="left">' + rows.join('') + '</mtable>';
+  };
+
   return BlockNode;
 }
 
@@ -1,10 +1,12 @@
 'use strict';
 
 var latex = require('../../utils/latex');
-var operators = require('../operators');
+var mathml = require('../../utils/mathml');
 
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
+  var operators = load(require('../operators'));
+  var testCondition = load(require('./utils/testCondition'));
 
   /**
    * A lazy evaluating conditional operator: 'condition ? trueExpr : falseExpr'
@@ -48,38 +50,7 @@ function factory (type, config, load, typed) {
    * @private
    */
   ConditionalNode.prototype._compile = function (defs, args) {
-    /**
-     * Test whether a condition is met
-     * @param {*} condition
-     * @returns {boolean} true if condition is true or non-zero, else false
-     */
-    defs.testCondition = function (condition) {
-      if (typeof condition === 'number'
-          || typeof condition === 'boolean'
-          || typeof condition === 'string') {
-        return condition ? true : false;
-      }
-
-      if (condition) {
-        if (condition.isBigNumber === true) {
-          return condition.isZero() ? false : true;
-        }
-
-        if (condition.isComplex === true) {
-          return (condition.re || condition.im) ? true : false;
-        }
-
-        if (condition.isUnit === true) {
-          return condition.value ? true : false;
-        }
-      }
-
-      if (condition === null || condition === undefined) {
-        return false;
-      }
-
-      throw new TypeError('Unsupported type of condition "' + defs.math['typeof'](condition) + '"');
-    };
+    defs.testCondition = testCondition;
 
     return (
       'testCondition(' + this.condition._compile(defs, args) + ') ? ' +
@@ -117,7 +88,31 @@ function factory (type, config, load, typed) {
    * @return {ConditionalNode}
    */
   ConditionalNode.prototype.clone = function () {
-    return new ConditionalNode(this.condition, this.trueExpr, this.falseExpr);
+    return this._withLocation(new ConditionalNode(this.condition, this.trueExpr, this.falseExpr));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  ConditionalNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'ConditionalNode',
+      condition: this.condition,
+      trueExpr: this.trueExpr,
+      falseExpr: this.falseExpr
+    };
+  };
+
+  /**
+   * Instantiate a ConditionalNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "ConditionalNode", condition: ..., trueExpr: ..., falseExpr: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {ConditionalNode}
+   */
+  ConditionalNode.fromJSON = function (json) {
+    return new ConditionalNode(json.condition, json.trueExpr, json.falseExpr);
   };
 
   /**
@@ -172,6 +167,23 @@ function factory (type, config, load, typed) {
         + '}, &\\quad{\\text{otherwise}}\\end{cases}';
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  ConditionalNode.prototype._toMathML = function (options) {
+    return mathml.row([
+      mathml.toOperator('{'),
+      '<mtable columnalign="left">' +
+          '<mtr><mtd>' + this.trueExpr.toMathML(options) + '</mtd>' +
+          '<mtd>' + mathml.row(['<mtext>if&#xA0;</mtext>', this.condition.toMathML(options)]) + '</mtd></mtr>' +
+          '<mtr><mtd>' + this.falseExpr.toMathML(options) + '</mtd>' +
+          '<mtd><mtext>otherwise</mtext></mtd></mtr>' +
+          '</mtable>'
+    ]);
+  };
+
   return ConditionalNode;
 }
 
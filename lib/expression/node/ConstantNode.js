@@ -1,9 +1,12 @@
 'use strict';
 
 var getType = require('../../utils/types').type;
+var latex = require('../../utils/latex');
+var mathml = require('../../utils/mathml');
 
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
+  var Unit = load(require('../../type/unit/Unit'));
 
   /**
    * A ConstantNode holds a constant value like a number or string. A ConstantNode
@@ -11,7 +14,8 @@ function factory (type, config, load, typed) {
    * JavaScript.
    *
    * In case of a stringified number as input, this may be compiled to a BigNumber
-   * when the math instance is configured for BigNumbers.
+   * when the math instance is configured for BigNumbers. A constant of type
+   * 'unit' holds a compound quantity like '5 ft 3 in', the sum of its parts.
    *
    * Usage:
    *
@@ -19,6 +23,7 @@ function factory (type, config, load, typed) {
    *     new ConstantNode('2.3', 'number');
    *     new ConstantNode('true', 'boolean');
    *     new ConstantNode('hello', 'string');
+   *     new ConstantNode('5 ft 3 in', 'unit');
    *
    *     // non-stringified values, type will be automatically detected
    *     new ConstantNode(2.3);
@@ -31,7 +36,7 @@ function factory (type, config, load, typed) {
    *                            number, string, boolean, null, or undefined, and
    *                            the type will be determined automatically.
    * @param {string} [valueType]  The type of value. Choose from 'number', 'string',
-   *                              'boolean', 'undefined', 'null'
+   *                              'boolean', 'undefined', 'null', 'unit'
    * @constructor ConstantNode
    * @extends {Node}
    */
@@ -67,7 +72,8 @@ function factory (type, config, load, typed) {
     'string': true,
     'boolean': true,
     'undefined': true,
-    'null': true
+    'null': true,
+    'unit': true
   };
 
   ConstantNode.prototype = new Node();
@@ -118,6 +124,10 @@ function factory (type, config, load, typed) {
       case 'null':
         return this.value;
 
+      case 'unit':
+        defs.Unit = Unit;
+        return 'Unit.parse(' + JSON.stringify(this.value) + ')';
+
       default:
         // TODO: move this error to the constructor?
         throw new TypeError('Unsupported type of constant "' + this.valueType + '"');
@@ -148,7 +158,30 @@ function factory (type, config, load, typed) {
    * @return {ConstantNode}
    */
   ConstantNode.prototype.clone = function () {
-    return new ConstantNode(this.value, this.valueType);
+    return this._withLocation(new ConstantNode(this.value, this.valueType));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  ConstantNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'ConstantNode',
+      value: this.value,
+      valueType: this.valueType
+    };
+  };
+
+  /**
+   * Instantiate a ConstantNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "ConstantNode", value: "2.3", valueType: "number"}`,
+   *                       where the child nodes are revived already
+   * @returns {ConstantNode}
+   */
+  ConstantNode.fromJSON = function (json) {
+    return new ConstantNode(json.value, json.valueType);
   };
 
   /**
@@ -186,11 +219,65 @@ function factory (type, config, load, typed) {
         }
         return value;
 
+      case 'unit':
+        // the parts of a compound quantity, like '5 ft 3 in'
+        return value.split(/\s+/).map(function (part, i) {
+          return (i % 2 === 0) ? part : latex.toSymbol(part, true);
+        }).join('~');
+
       default:
         return value;
     }
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  ConstantNode.prototype._toMathML = function (options) {
+    var value = this.value;
+    switch (this.valueType) {
+      case 'string':
+        return '<ms>' + mathml.escape(value) + '</ms>';
+
+      case 'number':
+        var index = value.toLowerCase().indexOf('e');
+        if (index !== -1) {
+          return mathml.row([
+            toNumber(value.substring(0, index)),
+            mathml.toOperator(mathml.operators.multiply),
+            '<msup><mn>10</mn>' + toNumber(value.substring(index + 1)) + '</msup>'
+          ]);
+        }
+        return toNumber(value);
+
+      case 'unit':
+        // the parts of a compound quantity, like '5 ft 3 in'
+        return mathml.row(value.split(/\s+/).map(function (part, i) {
+          return (i % 2 === 0) ? toNumber(part) : mathml.toSymbol(part, true);
+        }));
+
+      default:
+        return '<mi>' + mathml.escape(value) + '</mi>';
+    }
+  };
+
+  /**
+   * Get MathML representation of a stringified number, which can be negative
+   * @param {string} value
+   * @return {string} str
+   * @private
+   */
+  function toNumber (value) {
+    if (value.charAt(0) === '-' || value.charAt(0) === '+') {
+      var sign = (value.charAt(0) === '-') ? mathml.operators.unaryMinus : '+';
+      return mathml.row([mathml.toOperator(sign), toNumber(value.substring(1))]);
+    }
+
+    return '<mn>' + mathml.escape(value) + '</mn>';
+  }
+
   return ConstantNode;
 }
 
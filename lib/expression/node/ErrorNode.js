@@ -0,0 +1,148 @@
+'use strict';
+
+var mathml = require('../../utils/mathml');
+
+function factory (type, config, load, typed) {
+  var Node = load(require('./Node'));
+
+  /**
+   * @constructor ErrorNode
+   * @extends {Node}
+   * An error node is a placeholder for a part of an expression containing a
+   * syntax error. Error nodes are created by `parse` with the option `recover`,
+   * which continues parsing after a syntax error. Evaluating an error node
+   * throws the syntax error.
+   * @param {string} message    The message of the syntax error
+   * @param {string} [text]     The part of the expression which could not be parsed
+   * @extends {Node}
+   */
+  function ErrorNode(message, text) {
+    if (!(this instanceof ErrorNode)) {
+      throw new SyntaxError('Constructor must be called with the new operator');
+    }
+
+    // validate input
+    if (typeof message !== 'string') throw new TypeError('String expected for parameter "message"');
+    if (text !== undefined && typeof text !== 'string') throw new TypeError('String expected for parameter "text"');
+
+    this.message = message;
+    this.text = text || '';
+  }
+
+  ErrorNode.prototype = new Node();
+
+  ErrorNode.prototype.type = 'ErrorNode';
+
+  ErrorNode.prototype.isErrorNode = true;
+
+  /**
+   * Compile the node to javascript code
+   * @param {Object} defs     Object which can be used to define functions
+   *                          or constants globally available for the compiled
+   *                          expression
+   * @param {Object} args     Object with local function arguments, the key is
+   *                          the name of the argument, and the value is `true`.
+   *                          The object may not be mutated, but must be
+   *                          extended instead.
+   * @return {string} js
+   * @private
+   */
+  ErrorNode.prototype._compile = function (defs, args) {
+    defs['syntaxError'] = syntaxError;
+
+    return this._compileLocation(defs, 'syntaxError(' + JSON.stringify(this.message) + ')');
+  };
+
+  /**
+   * Execute a callback for each of the child nodes of this node
+   * @param {function(child: Node, path: string, parent: Node)} callback
+   */
+  ErrorNode.prototype.forEach = function (callback) {
+    // nothing to do, we don't have childs
+  };
+
+  /**
+   * Create a new ErrorNode having it's childs be the results of calling
+   * the provided callback function for each of the childs of the original node.
+   * @param {function(child: Node, path: string, parent: Node) : Node} callback
+   * @returns {ErrorNode} Returns a clone of the node
+   */
+  ErrorNode.prototype.map = function (callback) {
+    return this.clone();
+  };
+
+  /**
+   * Throws a SyntaxError with given message
+   * @param {string} message
+   */
+  function syntaxError (message) {
+    throw new SyntaxError(message);
+  }
+
+  /**
+   * Create a clone of this node, a shallow copy
+   * @return {ErrorNode}
+   */
+  ErrorNode.prototype.clone = function() {
+    return this._withLocation(new ErrorNode(this.message, this.text));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  ErrorNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'ErrorNode',
+      message: this.message,
+      text: this.text
+    };
+  };
+
+  /**
+   * Instantiate an ErrorNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "ErrorNode", message: "...", text: "2 +* 3"}`,
+   *                       where the child nodes are revived already
+   * @returns {ErrorNode}
+   */
+  ErrorNode.fromJSON = function (json) {
+    return new ErrorNode(json.message, json.text);
+  };
+
+  /**
+   * Get string representation: the original text of the expression
+   * @param {Object} options
+   * @return {string} str
+   * @override
+   */
+  ErrorNode.prototype._toString = function(options) {
+    return this.text;
+  };
+
+  /**
+   * Get LaTeX representation
+   * @param {Object} options
+   * @return {string} str
+   * @override
+   */
+  ErrorNode.prototype._toTex = function(options) {
+    return '\\mathtt{' + this.text + '}';
+  };
+
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   * @override
+   */
+  ErrorNode.prototype._toMathML = function(options) {
+    return '<merror><mtext>' + mathml.escape(this.text) + '</mtext></merror>';
+  };
+
+  return ErrorNode;
+}
+
+exports.name = 'ErrorNode';
+exports.path = 'expression.node';
+exports.factory = factory;
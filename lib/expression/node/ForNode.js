@@ -0,0 +1,200 @@
+'use strict';
+
+var mathml = require('../../utils/mathml');
+var bodyOutput = require('./utils/body');
+var flatten = require('../../utils/array').flatten;
+var setVariable = require('../../utils/scope').setVariable;
+
+function factory (type, config, load, typed) {
+  var Node = load(require('./Node'));
+
+  /**
+   * A for loop, evaluating the body for every value of a range, matrix, or
+   * array, with the loop variable assigned the value:
+   *
+   *     for variable = values
+   *       body
+   *     end
+   *
+   * Multi dimensional matrices are iterated element by element. A value which
+   * is no matrix or array is iterated as a single value. Like an assignment,
+   * the loop variable is written to the scope. The loop evaluates to the value
+   * of the body in the last iteration, or to undefined when there are no values.
+   *
+   * @param {SymbolNode} variable   The loop variable
+   * @param {Node} values           The values to iterate over, like a range `1:10`
+   * @param {Node} body             The body of the loop, typically a BlockNode
+   *                                with the statements of the loop
+   *
+   * @constructor ForNode
+   * @extends {Node}
+   */
+  function ForNode(variable, values, body) {
+    if (!(this instanceof ForNode)) {
+      throw new SyntaxError('Constructor must be called with the new operator');
+    }
+    if (!(variable && variable.isSymbolNode)) throw new TypeError('SymbolNode expected as variable');
+    if (!(values && values.isNode)) throw new TypeError('Parameter values must be a Node');
+    if (!(body && body.isNode)) throw new TypeError('Parameter body must be a Node');
+
+    this.variable = variable;
+    this.values = values;
+    this.body = body;
+  }
+
+  ForNode.prototype = new Node();
+
+  ForNode.prototype.type = 'ForNode';
+
+  ForNode.prototype.isForNode = true;
+
+  /**
+   * Compile the node to javascript code
+   * @param {Object} defs     Object which can be used to define functions
+   *                          or constants globally available for the compiled
+   *                          expression
+   * @param {Object} args     Object with local function arguments, the key is
+   *                          the name of the argument, and the value is `true`.
+   *                          The object may not be mutated, but must be
+   *                          extended instead.
+   * @return {string} js
+   * @private
+   */
+  ForNode.prototype._compile = function (defs, args) {
+    defs.iterationValues = iterationValues;
+    defs.setVariable = setVariable;
+
+    // a parameter of a function is assigned locally, like in AssignmentNode
+    var name = this.variable.name;
+    var assignment = args[name]
+        ? name + ' = $values[$i]'
+        : 'setVariable(scope, "' + name + '", $values[$i])';
+
+    // variable names contain a $ so they cannot clash with function arguments
+    return '(function () {' +
+        '  var $result;' +
+        '  var $values = iterationValues(' + this.values._compile(defs, args) + ');' +
+        '  for (var $i = 0; $i < $values.length; $i++) {' +
+        (defs.restriction ? 'restriction.step();' : '') +
+        '    ' + assignment + ';' +
+        '    $result = ' + this.body._compileBody(defs, args) + ';' +
+        '  }' +
+        '  return $result;' +
+        '})()';
+  };
+
+  /**
+   * Get the values to iterate over
+   * @param {*} values
+   * @return {Array}
+   * @private
+   */
+  function iterationValues (values) {
+    if (values && values.isMatrix === true) {
+      return flatten(values.valueOf());
+    }
+
+    if (Array.isArray(values)) {
+      return flatten(values);
+    }
+
+    return [values];
+  }
+
+  /**
+   * Execute a callback for each of the child nodes of this node
+   * @param {function(child: Node, path: string, parent: Node)} callback
+   */
+  ForNode.prototype.forEach = function (callback) {
+    callback(this.variable, 'variable', this);
+    callback(this.values, 'values', this);
+    callback(this.body, 'body', this);
+  };
+
+  /**
+   * Create a new ForNode having it's childs be the results of calling
+   * the provided callback function for each of the childs of the original node.
+   * @param {function(child: Node, path: string, parent: Node): Node} callback
+   * @returns {ForNode} Returns a transformed copy of the node
+   */
+  ForNode.prototype.map = function (callback) {
+    return new ForNode(
+        this._ifNode(callback(this.variable, 'variable', this)),
+        this._ifNode(callback(this.values, 'values', this)),
+        this._ifNode(callback(this.body, 'body', this))
+    );
+  };
+
+  /**
+   * Create a clone of this node, a shallow copy
+   * @return {ForNode}
+   */
+  ForNode.prototype.clone = function () {
+    return this._withLocation(new ForNode(this.variable, this.values, this.body));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  ForNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'ForNode',
+      variable: this.variable,
+      values: this.values,
+      body: this.body
+    };
+  };
+
+  /**
+   * Instantiate a ForNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "ForNode", variable: ..., values: ..., body: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {ForNode}
+   */
+  ForNode.fromJSON = function (json) {
+    return new ForNode(json.variable, json.values, json.body);
+  };
+
+  /**
+   * Get string representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  ForNode.prototype._toString = function (options) {
+    var header = 'for ' + this.variable.toString(options) + ' = ' + this.values.toString(options);
+    return bodyOutput.toString(header, this.body, options);
+  };
+
+  /**
+   * Get LaTeX representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  ForNode.prototype._toTex = function (options) {
+    var header = '\\mathbf{for}\\;' + this.variable.toTex(options) + '\\in ' + this.values.toTex(options);
+    return bodyOutput.toTex(header, this.body, options);
+  };
+
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  ForNode.prototype._toMathML = function (options) {
+    var header = mathml.row([
+      bodyOutput.keyword('for&#xA0;'),
+      this.variable.toMathML(options),
+      mathml.toOperator('&#x2208;'),
+      this.values.toMathML(options)
+    ]);
+    return bodyOutput.toMathML(header, this.body, options);
+  };
+
+  return ForNode;
+}
+
+exports.name = 'ForNode';
+exports.path = 'expression.node';
+exports.factory = factory;
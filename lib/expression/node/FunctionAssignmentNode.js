@@ -2,7 +2,9 @@
 
 var keywords = require('../keywords');
 var latex = require('../../utils/latex');
-var operators = require('../operators');
+var mathml = require('../../utils/mathml');
+var bodyOutput = require('./utils/body');
+var setVariable = require('../../utils/scope').setVariable;
 
 function isString (x) {
   return typeof x === 'string';
@@ -10,6 +12,7 @@ function isString (x) {
 
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
+  var operators = load(require('../operators'));
 
   /**
    * @constructor FunctionAssignmentNode
@@ -21,7 +24,10 @@ function factory (type, config, load, typed) {
    *                                Array with function parameter names, or an
    *                                array with objects containing the name
    *                                and type of the parameter
-   * @param {Node} expr             The function expression
+   * @param {Node} expr             The function expression. When this is a
+   *                                BlockNode, the function body consists of
+   *                                multiple statements, and the function
+   *                                returns the value of the last statement.
    */
   function FunctionAssignmentNode(name, params, expr) {
     if (!(this instanceof FunctionAssignmentNode)) {
@@ -64,6 +70,7 @@ function factory (type, config, load, typed) {
    */
   FunctionAssignmentNode.prototype._compile = function (defs, args) {
     defs.typed = typed;
+    defs.setVariable = setVariable;
 
     // we extend the original args and add the args to the child object
     var childArgs = Object.create(args);
@@ -72,9 +79,14 @@ function factory (type, config, load, typed) {
     });
 
     // compile the function expression with the child args
-    var jsExpr = this.expr._compile(defs, childArgs);
+    var jsExpr = this.expr._compileBody(defs, childArgs);
 
-    return 'scope["' + this.name + '"] = ' +
+    if (defs.restriction) {
+      // keep track of the depth of nested function calls
+      jsExpr = 'restriction.call(function () { return ' + jsExpr + '; })';
+    }
+
+    return 'setVariable(scope, "' + this.name + '", ' +
         '  (function () {' +
         '    var fn = typed("' + this.name + '", {' +
         '      "' + this.types.join(',') + '": function (' + this.params.join(',') + ') {' +
@@ -83,7 +95,7 @@ function factory (type, config, load, typed) {
         '    });' +
         '    fn.syntax = "' + this.name + '(' + this.params.join(', ') + ')";' +
         '    return fn;' +
-        '  })()';
+        '  })())';
   };
 
   /**
@@ -111,7 +123,35 @@ function factory (type, config, load, typed) {
    * @return {FunctionAssignmentNode}
    */
   FunctionAssignmentNode.prototype.clone = function () {
-    return new FunctionAssignmentNode(this.name, this.params.slice(0), this.expr);
+    return this._withLocation(new FunctionAssignmentNode(this.name, this.params.slice(0), this.expr));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  FunctionAssignmentNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'FunctionAssignmentNode',
+      name: this.name,
+      params: this.params,
+      types: this.types,
+      expr: this.expr
+    };
+  };
+
+  /**
+   * Instantiate a FunctionAssignmentNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "FunctionAssignmentNode", name: "f", params: ["x"], types: ["any"], expr: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {FunctionAssignmentNode}
+   */
+  FunctionAssignmentNode.fromJSON = function (json) {
+    var params = json.params.map(function (param, i) {
+      return {name: param, type: json.types ? json.types[i] : 'any'};
+    });
+    return new FunctionAssignmentNode(json.name, params, json.expr);
   };
 
   /**
@@ -134,6 +174,11 @@ function factory (type, config, load, typed) {
    * @return {string} str
    */
   FunctionAssignmentNode.prototype._toString = function (options) {
+    if (this.expr.isBlockNode) {
+      var header = 'function ' + this.name + '(' + this.params.join(', ') + ')';
+      return bodyOutput.toString(header, this.expr, options);
+    }
+
     var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
     var expr = this.expr.toString(options);
     if (needParenthesis(this, parenthesis)) {
@@ -148,6 +193,12 @@ function factory (type, config, load, typed) {
    * @return {string} str
    */
   FunctionAssignmentNode.prototype._toTex = function (options) {
+    if (this.expr.isBlockNode) {
+      var header = '\\mathbf{function}\\;\\mathrm{' + this.name
+          + '}\\left(' + this.params.map(latex.toSymbol).join(',') + '\\right)';
+      return bodyOutput.toTex(header, this.expr, options);
+    }
+
     var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
     var expr = this.expr.toTex(options);
     if (needParenthesis(this, parenthesis)) {
@@ -158,6 +209,35 @@ function factory (type, config, load, typed) {
         + '}\\left(' + this.params.map(latex.toSymbol).join(',') + '\\right):=' + expr;
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  FunctionAssignmentNode.prototype._toMathML = function (options) {
+    var params = this.params.map(function (param) {
+      return mathml.toSymbol(param);
+    });
+    var fn = mathml.toFunction(mathml.toSymbol(this.name), params);
+
+    if (this.expr.isBlockNode) {
+      var header = mathml.row([bodyOutput.keyword('function&#xA0;'), fn]);
+      return bodyOutput.toMathML(header, this.expr, options);
+    }
+
+    var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
+    var expr = this.expr.toMathML(options);
+    if (needParenthesis(this, parenthesis)) {
+      expr = mathml.parens(expr);
+    }
+
+    return mathml.row([
+      fn,
+      mathml.toOperator(':='),
+      expr
+    ]);
+  };
+
   return FunctionAssignmentNode;
 }
 exports.name = 'FunctionAssignmentNode';
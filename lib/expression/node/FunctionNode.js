@@ -1,7 +1,9 @@
 'use strict';
 
 var latex = require('../../utils/latex');
-var extend = require('../../utils/object').extend;
+var mathml = require('../../utils/mathml');
+var createChildScope = require('../../utils/scope').createChildScope;
+var toRawScope = require('../../utils/scope').toRawScope;
 
 function factory (type, config, load, typed, math) {
   var Node = load(require('./Node'));
@@ -76,7 +78,9 @@ function factory (type, config, load, typed, math) {
       return arg._compile(defs, args);
     });
     var jsScope = this._compileScope(defs, args);
+    var jsOptions = this._compileOptions(defs);
     var argsName;
+    var code;
 
     if (this.fn.isSymbolNode) {
       // we can statically determine whether the function has an rawArgs property
@@ -89,11 +93,18 @@ function factory (type, config, load, typed, math) {
         argsName = this._getUniqueArgumentsName(defs);
         defs[argsName] = this.args;
 
-        return jsFn + '(' + argsName + ', math, ' + jsScope + ')';
+        code = jsFn + '(' + argsName + ', math, ' + jsScope + jsOptions + ')';
+      }
+      else if (defs.restriction && defs.restriction.isAllocating(name)) {
+        // validate the size of the matrix created by a function like zeros
+        // before calling it
+        code = '(function (fn) {' +
+            'return fn.apply(null, restriction.validateArguments("' + name + '", fn, [' + jsArgs.join(', ') + ']))' +
+            '})(' + jsFn + ')';
       }
       else {
         // "regular" evaluation
-        return jsFn + '(' + jsArgs.join(', ') + ')';
+        code = jsFn + '(' + jsArgs.join(', ') + ')';
       }
     }
     else if (this.fn.isAccessorNode && this.fn.index.isObjectProperty()) {
@@ -104,10 +115,10 @@ function factory (type, config, load, typed, math) {
       var jsObject = this.fn.object._compile(defs, args);
       var prop = this.fn.index.getObjectProperty();
 
-      return '(function () {' +
+      code = '(function () {' +
           'var object = ' + jsObject + ';' +
           'return (object["' + prop + '"] && object["' + prop + '"].rawArgs) ' +
-          ' ? object["' + prop + '"](' + argsName + ', math, ' + jsScope + ')' +
+          ' ? object["' + prop + '"](' + argsName + ', math, ' + jsScope + jsOptions + ')' +
           ' : object["' + prop + '"](' + jsArgs.join(', ') + ')' +
           '})()';
     }
@@ -116,20 +127,24 @@ function factory (type, config, load, typed, math) {
       argsName = this._getUniqueArgumentsName(defs);
       defs[argsName] = this.args;
 
-      return '(function () {' +
+      code = '(function () {' +
           'var fn = ' + jsFn + ';' +
           'return (fn && fn.rawArgs) ' +
-          ' ? fn(' + argsName + ', math, ' + jsScope + ')' +
+          ' ? fn(' + argsName + ', math, ' + jsScope + jsOptions + ')' +
           ' : fn(' + jsArgs.join(', ') + ')' +
           '})()';
     }
+
+    return this._compileLocation(defs, this._compileStep(defs, code));
   };
 
   /**
-   * Merge function arguments into scope before passing to the actual function.
-   * This is needed when the function has `rawArgs=true`. In that case we have
-   * to pass the `scope` as third argument, including any variables of
-   * enclosing functions.
+   * Create a child scope containing the function arguments before passing it
+   * to the actual function. This is needed when the function has
+   * `rawArgs=true`. In that case we have to pass the `scope` as third
+   * argument, including any variables of enclosing functions. When the
+   * expression is evaluated with a plain object as scope, the function
+   * receives a plain object too, see toRawScope.
    * @param {Object} defs     Object which can be used to define functions
    *                          or constants globally available for the compiled
    *                          expression
@@ -141,13 +156,19 @@ function factory (type, config, load, typed, math) {
    * @private
    */
   FunctionNode.prototype._compileScope = function (defs, args) {
-    var names = Object.keys(args);
+    // args inherits the arguments of enclosing functions from its prototype
+    var names = [];
+    for (var name in args) {
+      names.push(name);
+    }
+
+    defs.toRawScope = toRawScope;
+
     if (names.length === 0) {
-      return 'scope';
+      return 'toRawScope(scope)';
     }
     else {
-      // merge arguments into scope
-      defs.extend = extend;
+      defs.createChildScope = createChildScope;
 
       var jsArgs = names
           .map(function (arg) {
@@ -155,8 +176,28 @@ function factory (type, config, load, typed, math) {
           })
           .join(', ');
 
-      return 'extend(extend({}, scope), {' + jsArgs + '})';
+      return 'toRawScope(createChildScope(scope, {' + jsArgs + '}))';
+    }
+  };
+
+  /**
+   * Create the compile options passed as fourth argument to a function with
+   * `rawArgs=true`, which must be used when the function compiles its
+   * arguments. This passes the restriction of the expression, if any, on to
+   * the arguments.
+   * @param {Object} defs     Object which can be used to define functions
+   *                          or constants globally available for the compiled
+   *                          expression
+   * @return {string} js      Returns an empty string when there are no options
+   * @private
+   */
+  FunctionNode.prototype._compileOptions = function (defs) {
+    if (!defs.restriction) {
+      return '';
     }
+
+    defs.compileOptions = {restrict: defs.restriction};
+    return ', compileOptions';
   };
 
   /**
@@ -208,7 +249,30 @@ function factory (type, config, load, typed, math) {
    * @return {FunctionNode}
    */
   FunctionNode.prototype.clone = function () {
-    return new FunctionNode(this.fn, this.args.slice(0));
+    return this._withLocation(new FunctionNode(this.fn, this.args.slice(0)));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  FunctionNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'FunctionNode',
+      fn: this.fn,
+      args: this.args
+    };
+  };
+
+  /**
+   * Instantiate a FunctionNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "FunctionNode", fn: ..., args: [...]}`,
+   *                       where the child nodes are revived already
+   * @returns {FunctionNode}
+   */
+  FunctionNode.fromJSON = function (json) {
+    return new FunctionNode(json.fn, json.args);
   };
 
   //backup Node's toString function
@@ -403,6 +467,63 @@ function factory (type, config, load, typed, math) {
     return expandTemplate(latex.defaultTemplate, this, options);
   };
 
+  //backup Node's toMathML function
+  //@private
+  var nodeToMathML = FunctionNode.prototype.toMathML;
+
+  /**
+   * Get MathML representation. (wrapper function)
+   * This overrides parts of Node's toMathML function.
+   * If callback is an object containing callbacks, it
+   * calls the correct callback for the current node,
+   * otherwise it falls back to calling Node's toMathML
+   * function.
+   *
+   * @param {Object} options
+   * @return {string}
+   */
+  FunctionNode.prototype.toMathML = function (options) {
+    var customMathML;
+    if (options && (typeof options.handler === 'object') && options.handler.hasOwnProperty(this.name)) {
+      //callback is a map of callback functions
+      customMathML = options.handler[this.name](this, options);
+    }
+
+    if (typeof customMathML !== 'undefined') {
+      return customMathML;
+    }
+
+    //fall back to Node's toMathML
+    return nodeToMathML.call(this, options);
+  };
+
+  /**
+   * Get MathML representation. A function can define its own MathML output
+   * via a callback function `toMathML(node, options)` attached to it.
+   * @param {Object} options
+   * @return {string} str
+   */
+  FunctionNode.prototype._toMathML = function (options) {
+    var fn = math[this.name];
+    if (fn && (typeof fn.toMathML === 'function')) {
+      var customMathML = fn.toMathML(this, options);
+      if (typeof customMathML !== 'undefined') {
+        return customMathML;
+      }
+    }
+
+    var args = this.args.map(function (arg) { //get MathML of the arguments
+      return arg.toMathML(options);
+    });
+
+    var notation = mathml.functions.hasOwnProperty(this.name) && mathml.functions[this.name][args.length];
+    if (notation && (this.fn.isSymbolNode)) {
+      return notation(args);
+    }
+
+    return mathml.toFunction(this.fn.toMathML(options), args);
+  };
+
   /**
    * Get identifier.
    * @return {string}
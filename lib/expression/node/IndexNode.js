@@ -1,5 +1,7 @@
 'use strict';
 
+var mathml = require('../../utils/mathml');
+
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
   var RangeNode = load(require('./RangeNode'));
@@ -129,7 +131,10 @@ function factory (type, config, load, typed) {
       }
     });
 
-    return 'math.index(' + dimensions.join(', ') + ')';
+    var index = 'math.index(' + dimensions.join(', ') + ')';
+
+    // an index calculated at runtime can contain an unsafe object property
+    return defs.restriction ? ('restriction.validateIndex(' + index + ')') : index;
   };
 
   /**
@@ -162,7 +167,30 @@ function factory (type, config, load, typed) {
    * @return {IndexNode}
    */
   IndexNode.prototype.clone = function () {
-    return new IndexNode(this.dimensions.slice(0));
+    return this._withLocation(new IndexNode(this.dimensions.slice(0)));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  IndexNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'IndexNode',
+      dimensions: this.dimensions,
+      dotNotation: this.dotNotation
+    };
+  };
+
+  /**
+   * Instantiate an IndexNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "IndexNode", dimensions: [...], dotNotation: false}`,
+   *                       where the child nodes are revived already
+   * @returns {IndexNode}
+   */
+  IndexNode.fromJSON = function (json) {
+    return new IndexNode(json.dimensions, json.dotNotation);
   };
 
   /**
@@ -222,6 +250,27 @@ function factory (type, config, load, typed) {
     });
   };
 
+  /**
+   * Get MathML representation. The index of an AccessorNode or AssignmentNode
+   * is rendered as subscript of the object, except for dot notation.
+   * @param {Object} options
+   * @return {string} str
+   */
+  IndexNode.prototype._toMathML = function (options) {
+    if (this.dotNotation) {
+      return mathml.row([
+        mathml.toOperator('.'),
+        '<mi>' + mathml.escape(this.getObjectProperty()) + '</mi>'
+      ]);
+    }
+
+    var dimensions = this.dimensions.map(function (range) {
+      return range.toMathML(options);
+    });
+
+    return mathml.row([dimensions.join(mathml.toOperator(','))]);
+  };
+
   return IndexNode;
 }
 
@@ -0,0 +1,226 @@
+'use strict';
+
+var latex = require('../../utils/latex');
+var mathml = require('../../utils/mathml');
+
+function isString (x) {
+  return typeof x === 'string';
+}
+
+function factory (type, config, load, typed) {
+  var Node = load(require('./Node'));
+  var operators = load(require('../operators'));
+
+  /**
+   * @constructor LambdaNode
+   * @extends {Node}
+   * Anonymous function, like `x -> x^2` or `(x, y) -> x + y`
+   *
+   * The function is created when evaluating the node. Symbols in the
+   * expression which are no parameters of the function are resolved from the
+   * surrounding scope when the function is invoked, so the function can be
+   * used as a closure.
+   *
+   * @param {string[]} params   Array with function parameter names
+   * @param {Node} expr         The function expression
+   */
+  function LambdaNode(params, expr) {
+    if (!(this instanceof LambdaNode)) {
+      throw new SyntaxError('Constructor must be called with the new operator');
+    }
+
+    // validate input
+    if (!Array.isArray(params) || !params.every(isString)) throw new TypeError('Array containing strings expected for parameter "params"');
+    if (!(expr && expr.isNode)) throw new TypeError('Node expected for parameter "expr"');
+
+    this.params = params;
+    this.expr = expr;
+  }
+
+  LambdaNode.prototype = new Node();
+
+  LambdaNode.prototype.type = 'LambdaNode';
+
+  LambdaNode.prototype.isLambdaNode = true;
+
+  /**
+   * Compile the node to javascript code
+   * @param {Object} defs     Object which can be used to define functions
+   *                          or constants globally available for the compiled
+   *                          expression
+   * @param {Object} args     Object with local function arguments, the key is
+   *                          the name of the argument, and the value is `true`.
+   *                          The object may not be mutated, but must be
+   *                          extended instead.
+   * @return {string} js
+   * @private
+   */
+  LambdaNode.prototype._compile = function (defs, args) {
+    defs.typed = typed;
+
+    // we extend the original args and add the args to the child object
+    var childArgs = Object.create(args);
+    this.params.forEach(function (variable) {
+      childArgs[variable] = true;
+    });
+
+    // compile the function expression with the child args
+    var jsExpr = this.expr._compile(defs, childArgs);
+
+    if (defs.restriction) {
+      // keep track of the depth of nested function calls
+      jsExpr = 'restriction.call(function () { return ' + jsExpr + '; })';
+    }
+
+    // a typed-function exposes the number of parameters via its signature,
+    // which is used by functions like map to determine the callback arguments
+    var signature = this.params.map(function () {
+      return 'any';
+    }).join(',');
+
+    return 'typed({' +
+        '  "' + signature + '": function (' + this.params.join(',') + ') {' +
+        '    return ' + jsExpr + '' +
+        '  }' +
+        '})';
+  };
+
+  /**
+   * Execute a callback for each of the child nodes of this node
+   * @param {function(child: Node, path: string, parent: Node)} callback
+   */
+  LambdaNode.prototype.forEach = function (callback) {
+    callback(this.expr, 'expr', this);
+  };
+
+  /**
+   * Create a new LambdaNode having it's childs be the results of calling
+   * the provided callback function for each of the childs of the original node.
+   * @param {function(child: Node, path: string, parent: Node): Node} callback
+   * @returns {LambdaNode} Returns a transformed copy of the node
+   */
+  LambdaNode.prototype.map = function (callback) {
+    var expr = this._ifNode(callback(this.expr, 'expr', this));
+
+    return new LambdaNode(this.params.slice(0), expr);
+  };
+
+  /**
+   * Create a clone of this node, a shallow copy
+   * @return {LambdaNode}
+   */
+  LambdaNode.prototype.clone = function () {
+    return this._withLocation(new LambdaNode(this.params.slice(0), this.expr));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  LambdaNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'LambdaNode',
+      params: this.params,
+      expr: this.expr
+    };
+  };
+
+  /**
+   * Instantiate a LambdaNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "LambdaNode", params: ["x"], expr: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {LambdaNode}
+   */
+  LambdaNode.fromJSON = function (json) {
+    return new LambdaNode(json.params, json.expr);
+  };
+
+  /**
+   * Is parenthesis needed?
+   * @param {Node} node
+   * @param {Object} parenthesis
+   * @private
+   */
+  function needParenthesis(node, parenthesis) {
+    var precedence = operators.getPrecedence(node, parenthesis);
+    var exprPrecedence = operators.getPrecedence(node.expr, parenthesis);
+
+    return (parenthesis === 'all')
+      || ((exprPrecedence !== null) && (exprPrecedence <= precedence));
+  }
+
+  /**
+   * get string representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  LambdaNode.prototype._toString = function (options) {
+    var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
+    var expr = this.expr.toString(options);
+    if (needParenthesis(this, parenthesis)) {
+      expr = '(' + expr + ')';
+    }
+
+    // a single parameter does not need parentheses
+    var params = (this.params.length === 1)
+        ? this.params[0]
+        : '(' + this.params.join(', ') + ')';
+
+    return params + ' -> ' + expr;
+  };
+
+  /**
+   * get LaTeX representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  LambdaNode.prototype._toTex = function (options) {
+    var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
+    var expr = this.expr.toTex(options);
+    if (needParenthesis(this, parenthesis)) {
+      expr = '\\left(' + expr + '\\right)';
+    }
+
+    var params = this.params.map(function (param) {
+      return latex.toSymbol(param);
+    }).join(',');
+    if (this.params.length !== 1) {
+      params = '\\left(' + params + '\\right)';
+    }
+
+    return params + '\\mapsto ' + expr;
+  };
+
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  LambdaNode.prototype._toMathML = function (options) {
+    var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
+    var expr = this.expr.toMathML(options);
+    if (needParenthesis(this, parenthesis)) {
+      expr = mathml.parens(expr);
+    }
+
+    var params = this.params.map(function (param) {
+      return mathml.toSymbol(param);
+    });
+    params = (params.length === 1)
+        ? params[0]
+        : mathml.parens(params.join(mathml.toOperator(',')));
+
+    return mathml.row([
+      params,
+      mathml.toOperator('&#x21A6;'),
+      expr
+    ]);
+  };
+
+  return LambdaNode;
+}
+
+exports.name = 'LambdaNode';
+exports.path = 'expression.node';
+exports.factory = factory;
@@ -1,8 +1,9 @@
 'use strict';
 
 var keywords = require('../keywords');
-var extend = require('../../utils/object').extend;
 var deepEqual= require('../../utils/object').deepEqual;
+var createScope = require('../../utils/scope').createScope;
+var scopeKeys = require('../../utils/scope').keys;
 
 function factory (type, config, load, typed, math) {
   /**
@@ -31,14 +32,22 @@ function factory (type, config, load, typed, math) {
 
   /**
    * Compile the node to javascript code
+   * @param {{restrict: Object | Restriction}} [options]  Available options:
+   *            - `restrict` restrictions for evaluating the expression,
+   *              either a Restriction or an object with its options, see
+   *              math.expression.Restriction. The node tree is validated
+   *              against the restrictions when compiling, and evaluation
+   *              is limited by them.
    * @return {{eval: function}} expr  Returns an object with a function 'eval',
    *                                  which can be invoked as expr.eval([scope]),
    *                                  where scope is an optional object with
-   *                                  variables.
+   *                                  variables, or an object implementing the
+   *                                  scope interface like a Map.
+   * @throws {RestrictionError}
    */
-  Node.prototype.compile = function () {
+  Node.prototype.compile = function (options) {
     // TODO: calling compile(math) is deprecated since version 2.0.0. Remove this warning some day
-    if (arguments.length > 0) {
+    if (options && typeof options.compile === 'function') {
       throw new Error('Calling compile(math) is deprecated. Call the function as compile() instead.');
     }
 
@@ -46,14 +55,27 @@ function factory (type, config, load, typed, math) {
     var defs = {
       math: math.expression.transform,
       args: {}, // can be filled with names of FunctionAssignment arguments
+      createScope: createScope,
       _validateScope: _validateScope
     };
 
+    if (options && options.restrict) {
+      var restriction = options.restrict.isRestriction
+          ? options.restrict
+          : new math.expression.Restriction(options.restrict);
+      restriction.validate(this);
+      defs.restriction = restriction;
+    }
+
     // will be used to put local function arguments
     var args = {};
 
     var code = this._compile(defs, args);
 
+    if (defs.restriction) {
+      code = 'restriction.evaluate(function () { return ' + code + '; })';
+    }
+
     var defsCode = Object.keys(defs).map(function (name) {
       return '    var ' + name + ' = defs["' + name + '"];';
     });
@@ -62,8 +84,8 @@ function factory (type, config, load, typed, math) {
         defsCode.join(' ') +
         'return {' +
         '  "eval": function (scope) {' +
-        '    if (scope) _validateScope(scope);' +
-        '    scope = scope || {};' +
+        '    scope = createScope(scope);' +
+        '    _validateScope(scope);' +
         '    return ' + code + ';' +
         '  }' +
         '};';
@@ -89,6 +111,69 @@ function factory (type, config, load, typed, math) {
     throw new Error('Cannot compile a Node interface');
   };
 
+  /**
+   * Compile the node as the body of a loop or function. The body evaluates
+   * to the value of its last statement, see BlockNode.
+   * @param {Object} defs     Object which can be used to define functions
+   *                          or constants globally available for the compiled
+   *                          expression
+   * @param {Object} args     Object with local function arguments, the key is
+   *                          the name of the argument, and the value is `true`.
+   *                          The object may not be mutated, but must be
+   *                          extended instead.
+   * @return {string} js
+   * @protected
+   */
+  Node.prototype._compileBody = function (defs, args) {
+    return this._compile(defs, args);
+  };
+
+  /**
+   * Wrap the compiled javascript code of this node such that an error thrown
+   * while evaluating it gets the source location of this node attached as
+   * property `location`. Nodes only have a location when parsed with the
+   * option `locations`, otherwise the code is returned unchanged.
+   * @param {Object} defs     Object which can be used to define functions
+   *                          and constants globally available inside the closure
+   *                          of the compiled expression
+   * @param {string} code     The compiled javascript code of this node
+   * @return {string} js
+   * @protected
+   */
+  Node.prototype._compileLocation = function (defs, code) {
+    if (!this.location) {
+      return code;
+    }
+
+    var locationName;
+    var i = 0;
+    do {
+      locationName = 'location' + i;
+      i++;
+    }
+    while (locationName in defs);
+
+    defs._locate = _locate;
+    defs[locationName] = this.location;
+
+    return '_locate(function () { return ' + code + '; }, ' + locationName + ')';
+  };
+
+  /**
+   * Wrap the compiled javascript code of an operator or function call such
+   * that it counts as an evaluation step of the restriction of the compiled
+   * expression, if any. See option `restrict` of Node.compile.
+   * @param {Object} defs     Object which can be used to define functions
+   *                          and constants globally available inside the closure
+   *                          of the compiled expression
+   * @param {string} code     The compiled javascript code of this node
+   * @return {string} js
+   * @protected
+   */
+  Node.prototype._compileStep = function (defs, code) {
+    return defs.restriction ? ('restriction.step(' + code + ')') : code;
+  };
+
   /**
    * Execute a callback for each of the child nodes of this node
    * @param {function(child: Node, path: string, parent: Node)} callback
@@ -228,9 +313,22 @@ function factory (type, config, load, typed, math) {
    * @return {Node}
    */
   Node.prototype.cloneDeep = function () {
-    return this.map(function (node) {
+    return this._withLocation(this.map(function (node) {
       return node.cloneDeep();
-    });
+    }));
+  };
+
+  /**
+   * Attach the source location of this node to a clone of it
+   * @param {Node} node
+   * @return {Node} Returns the node
+   * @protected
+   */
+  Node.prototype._withLocation = function (node) {
+    if (this.location) {
+      node.location = this.location;
+    }
+    return node;
   };
 
   /**
@@ -342,6 +440,59 @@ function factory (type, config, load, typed, math) {
     throw new Error('_toTex not implemented for ' + this.type);
   };
 
+  /**
+   * Get Presentation MathML representation. (wrapper function)
+   *
+   * Returns a single MathML element without the enclosing <math> element,
+   * so the output of child nodes can be nested in the output of their parent.
+   *
+   * This function can get an object of the following form:
+   * {
+   *    handler: //This can be a callback function of the form
+   *             // "function callback(node, options)"or
+   *             // a map that maps function names (used in FunctionNodes)
+   *             // to callbacks
+   *    parenthesis: "keep" //the parenthesis option (This is optional)
+   *    implicit: "hide" //the implicit multiplication option (This is optional)
+   * }
+   *
+   * @param {Object} [options]
+   * @return {string}
+   */
+  Node.prototype.toMathML = function (options) {
+    var customMathML;
+    if (options && typeof options == 'object') {
+      switch (typeof options.handler) {
+        case 'object':
+        case 'undefined':
+          break;
+        case 'function':
+          customMathML = options.handler(this, options);
+          break;
+        default:
+          throw new TypeError('Object or function expected as callback');
+      }
+    }
+
+    if (typeof customMathML !== 'undefined') {
+      return customMathML;
+    }
+
+    return this._toMathML(options);
+  };
+
+  /**
+   * Internal function to generate the MathML output.
+   * This has to be implemented by every Node
+   *
+   * @param {Object} [options]
+   * @throws {Error}
+   */
+  Node.prototype._toMathML = function (options) {
+    //must be implemented by each of the Node implementations
+    throw new Error('_toMathML not implemented for ' + this.type);
+  };
+
   /**
    * Get identifier.
    * @return {string}
@@ -361,15 +512,33 @@ function factory (type, config, load, typed, math) {
   /**
    * Validate the symbol names of a scope.
    * Throws an error when the scope contains an illegal symbol.
-   * @param {Object} scope
+   * @param {Object} scope    An object implementing the scope interface
    */
   function _validateScope(scope) {
-    for (var symbol in scope) {
-      if (scope.hasOwnProperty(symbol)) {
-        if (symbol in keywords) {
-          throw new Error('Scope contains an illegal symbol, "' + symbol + '" is a reserved keyword');
-        }
+    scopeKeys(scope).forEach(function (symbol) {
+      if (symbol in keywords) {
+        throw new Error('Scope contains an illegal symbol, "' + symbol + '" is a reserved keyword');
+      }
+    });
+  }
+
+  /**
+   * Evaluate a function, and attach the given source location to an error
+   * thrown by it. An error which already has a location, thrown by a nested
+   * node, is left untouched so the innermost location is reported.
+   * @param {function} fn
+   * @param {{start: number, end: number, line: number, column: number}} location
+   * @return {*} Returns the result of fn
+   */
+  function _locate(fn, location) {
+    try {
+      return fn();
+    }
+    catch (err) {
+      if (err instanceof Error && !err.location) {
+        err.location = location;
       }
+      throw err;
     }
   }
 
@@ -1,6 +1,7 @@
 'use strict';
 
 var string = require('../../utils/string');
+var mathml = require('../../utils/mathml');
 
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
@@ -95,7 +96,29 @@ function factory (type, config, load, typed) {
         properties[key] = this.properties[key];
       }
     }
-    return new ObjectNode(properties);
+    return this._withLocation(new ObjectNode(properties));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  ObjectNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'ObjectNode',
+      properties: this.properties
+    };
+  };
+
+  /**
+   * Instantiate an ObjectNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "ObjectNode", properties: {...}}`,
+   *                       where the child nodes are revived already
+   * @returns {ObjectNode}
+   */
+  ObjectNode.fromJSON = function (json) {
+    return new ObjectNode(json.properties);
   };
 
   /**
@@ -129,6 +152,23 @@ function factory (type, config, load, typed) {
     return '\\left\\{\\begin{array}{ll}' + entries.join('\n') + '\\end{array}\\right\\}';
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  ObjectNode.prototype._toMathML = function(options) {
+    var entries = [];
+    for (var key in this.properties) {
+      if (this.properties.hasOwnProperty(key)) {
+        entries.push('<mtr><mtd>' +
+            mathml.row(['<mi mathvariant="bold">' + mathml.escape(key) + '</mi>', mathml.toOperator(':')]) +
+            '</mtd><mtd>' + this.properties[key].toMathML(options) + '</mtd></mtr>');
+      }
+    }
+    return mathml.parens('<mtable columnalign="left">' + entries.join('') + '</mtable>', '{', '}');
+  };
+
   return ObjectNode;
 }
 
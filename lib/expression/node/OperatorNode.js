@@ -1,13 +1,14 @@
 'use strict';
 
 var latex = require('../../utils/latex');
-var operators = require('../operators');
+var mathml = require('../../utils/mathml');
 
 function factory (type, config, load, typed, math) {
   var Node         = load(require('./Node'));
   var ConstantNode = load(require('./ConstantNode'));
   var SymbolNode   = load(require('./SymbolNode'));
   var FunctionNode = load(require('./FunctionNode'));
+  var operators    = load(require('../operators'));
 
   /**
    * @constructor OperatorNode
@@ -69,7 +70,7 @@ function factory (type, config, load, typed, math) {
       return arg._compile(defs, args);
     });
 
-    return 'math.' + this.fn + '(' + jsArgs.join(', ') + ')';
+    return this._compileLocation(defs, this._compileStep(defs, 'math.' + this.fn + '(' + jsArgs.join(', ') + ')'));
   };
 
   /**
@@ -101,7 +102,32 @@ function factory (type, config, load, typed, math) {
    * @return {OperatorNode}
    */
   OperatorNode.prototype.clone = function () {
-    return new OperatorNode(this.op, this.fn, this.args.slice(0), this.implicit);
+    return this._withLocation(new OperatorNode(this.op, this.fn, this.args.slice(0), this.implicit));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  OperatorNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'OperatorNode',
+      op: this.op,
+      fn: this.fn,
+      args: this.args,
+      implicit: this.implicit
+    };
+  };
+
+  /**
+   * Instantiate an OperatorNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "OperatorNode", op: "+", fn: "add", args: [...], implicit: false}`,
+   *                       where the child nodes are revived already
+   * @returns {OperatorNode}
+   */
+  OperatorNode.fromJSON = function (json) {
+    return new OperatorNode(json.op, json.fn, json.args, json.implicit);
   };
 
   /**
@@ -113,7 +139,9 @@ function factory (type, config, load, typed, math) {
    * @param {OperatorNode} root
    * @param {string} parenthesis
    * @param {Node[]} args
-   * @param {boolean} latex
+   * @param {boolean} latex   True for two dimensional output like LaTeX
+   *                          and MathML, where fractions and exponents
+   *                          need less parentheses
    * @return {boolean[]}
    * @private
    */
@@ -362,7 +390,10 @@ function factory (type, config, load, typed, math) {
     var implicit = (options && options.implicit) ? options.implicit : 'hide';
     var args = this.args;
     var parens = calculateNecessaryParentheses(this, parenthesis, args, true);
-    var op = latex.operators[this.fn];
+    var custom = operators.get(this.op);
+    var op = (custom && custom.fn === this.fn && custom.latex !== undefined)
+        ? custom.latex
+        : latex.operators[this.fn];
     op = typeof op === 'undefined' ? this.op : op; //fall back to using this.op
 
     if (args.length === 1) { //unary operators
@@ -447,6 +478,83 @@ function factory (type, config, load, typed, math) {
     }
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  OperatorNode.prototype._toMathML = function (options) {
+    var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
+    var implicit = (options && options.implicit) ? options.implicit : 'hide';
+    var args = this.args;
+    var parens = calculateNecessaryParentheses(this, parenthesis, args, true);
+    var op = mathml.operators[this.fn];
+    op = mathml.toOperator(typeof op === 'undefined' ? mathml.escape(this.op) : op); //fall back to using this.op
+
+    var mathmlArgs = args.map(function (arg, index) {
+      var argMathML = arg.toMathML(options);
+      return parens[index] ? mathml.parens(argMathML) : argMathML;
+    });
+
+    if (args.length === 1) { //unary operators
+      var assoc = operators.getAssociativity(this, parenthesis);
+
+      if (this.getIdentifier() === 'OperatorNode:transpose') {
+        return '<msup>' + mathmlArgs[0] + op + '</msup>';
+      }
+
+      if (assoc === 'right') { //prefix operator
+        return mathml.row([op, mathmlArgs[0]]);
+      }
+
+      //postfix operator
+      return mathml.row([mathmlArgs[0], op]);
+    } else if (args.length === 2) { //binary operators
+      var lhs = args[0]; //left hand side
+      var lhsMathML = mathmlArgs[0];
+      var rhsMathML = mathmlArgs[1];
+
+      var lhsIdentifier;
+      if (parenthesis === 'keep') {
+        lhsIdentifier = lhs.getIdentifier();
+      }
+      else {
+        //Ignore ParenthesisNodes if not in 'keep' mode
+        lhsIdentifier = lhs.getContent().getIdentifier();
+      }
+      switch (this.getIdentifier()) {
+        case 'OperatorNode:divide':
+          // the fraction bar groups numerator and denominator, parentheses
+          // around them are superfluous
+          return '<mfrac>' + lhs.getContent().toMathML(options) +
+              args[1].getContent().toMathML(options) + '</mfrac>';
+        case 'OperatorNode:pow':
+          switch (lhsIdentifier) {
+            case 'ConditionalNode':
+            case 'OperatorNode:divide':
+              lhsMathML = mathml.parens(lhsMathML);
+          }
+          return '<msup>' + lhsMathML + rhsMathML + '</msup>';
+        case 'OperatorNode:multiply':
+          if (this.implicit && (implicit === 'hide')) {
+            return mathml.row([lhsMathML, mathml.toOperator(mathml.INVISIBLE_TIMES), rhsMathML]);
+          }
+      }
+      return mathml.row([lhsMathML, op, rhsMathML]);
+    } else if ((args.length > 2) && ((this.getIdentifier() === 'OperatorNode:add') || (this.getIdentifier() === 'OperatorNode:multiply'))) {
+      if ((this.getIdentifier() === 'OperatorNode:multiply') && this.implicit && (implicit === 'hide')) {
+        return mathml.row([mathmlArgs.join(mathml.toOperator(mathml.INVISIBLE_TIMES))]);
+      }
+
+      return mathml.row([mathmlArgs.join(op)]);
+    } else {
+      //fall back to formatting as a function call
+      return mathml.toFunction(mathml.toSymbol(this.fn), args.map(function (arg) {
+        return arg.toMathML(options);
+      }));
+    }
+  };
+
   /**
    * Get identifier.
    * @return {string}
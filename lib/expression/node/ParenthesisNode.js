@@ -1,5 +1,7 @@
 'use strict';
 
+var mathml = require('../../utils/mathml');
+
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
 
@@ -78,7 +80,29 @@ function factory (type, config, load, typed) {
    * @return {ParenthesisNode}
    */
   ParenthesisNode.prototype.clone = function() {
-    return new ParenthesisNode(this.content);
+    return this._withLocation(new ParenthesisNode(this.content));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  ParenthesisNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'ParenthesisNode',
+      content: this.content
+    };
+  };
+
+  /**
+   * Instantiate a ParenthesisNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "ParenthesisNode", content: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {ParenthesisNode}
+   */
+  ParenthesisNode.fromJSON = function (json) {
+    return new ParenthesisNode(json.content);
   };
 
   /**
@@ -107,6 +131,19 @@ function factory (type, config, load, typed) {
     return this.content.toTex(options);
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   * @override
+   */
+  ParenthesisNode.prototype._toMathML = function(options) {
+    if ((!options) || (options && !options.parenthesis) || (options && options.parenthesis === 'keep')) {
+      return mathml.parens(this.content.toMathML(options));
+    }
+    return this.content.toMathML(options);
+  };
+
   return ParenthesisNode;
 }
 
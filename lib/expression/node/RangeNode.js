@@ -1,9 +1,10 @@
 'use strict';
 
-var operators = require('../operators');
+var mathml = require('../../utils/mathml');
 
 function factory (type, config, load, typed) {
   var Node = load(require('./Node'));
+  var operators = load(require('../operators'));
 
   /**
    * @constructor RangeNode
@@ -69,11 +70,17 @@ function factory (type, config, load, typed) {
    * @private
    */
   RangeNode.prototype._compile = function (defs, args) {
-    return 'math.range(' +
-        this.start._compile(defs, args) + ', ' +
+    var jsArgs = this.start._compile(defs, args) + ', ' +
         this.end._compile(defs, args) +
-        (this.step ? (', ' + this.step._compile(defs, args)) : '') +
-        ')';
+        (this.step ? (', ' + this.step._compile(defs, args)) : '');
+
+    if (defs.restriction) {
+      // validate the size of the range before creating it
+      return this._compileStep(defs, 'math.range.apply(null, ' +
+          'restriction.validateArguments("range", math.range, [' + jsArgs + ']))');
+    }
+
+    return this._compileStep(defs, 'math.range(' + jsArgs + ')');
   };
 
   /**
@@ -107,7 +114,31 @@ function factory (type, config, load, typed) {
    * @return {RangeNode}
    */
   RangeNode.prototype.clone = function () {
-    return new RangeNode(this.start, this.end, this.step && this.step);
+    return this._withLocation(new RangeNode(this.start, this.end, this.step && this.step));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  RangeNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'RangeNode',
+      start: this.start,
+      end: this.end,
+      step: this.step
+    };
+  };
+
+  /**
+   * Instantiate a RangeNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "RangeNode", start: ..., end: ..., step: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {RangeNode}
+   */
+  RangeNode.fromJSON = function (json) {
+    return new RangeNode(json.start, json.end, json.step);
   };
 
   /**
@@ -204,6 +235,38 @@ function factory (type, config, load, typed) {
     return str;
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  RangeNode.prototype._toMathML = function (options) {
+    var parenthesis = (options && options.parenthesis) ? options.parenthesis : 'keep';
+    var parens = calculateNecessaryParentheses(this, parenthesis);
+    var colon = mathml.toOperator(':');
+
+    var items = [this.start.toMathML(options)];
+    if (parens.start) {
+      items[0] = mathml.parens(items[0]);
+    }
+
+    if (this.step) {
+      var step = this.step.toMathML(options);
+      if (parens.step) {
+        step = mathml.parens(step);
+      }
+      items.push(colon, step);
+    }
+
+    var end = this.end.toMathML(options);
+    if (parens.end) {
+      end = mathml.parens(end);
+    }
+    items.push(colon, end);
+
+    return mathml.row(items);
+  };
+
   return RangeNode;
 }
 
@@ -1,6 +1,7 @@
 'use strict';
 
 var latex = require('../../utils/latex');
+var mathml = require('../../utils/mathml');
 
 function factory (type, config, load, typed, math) {
   var Node = load(require('./Node'));
@@ -54,15 +55,15 @@ function factory (type, config, load, typed, math) {
       return this.name;
     }
     else if (this.name in defs.math) {
-      return '("' + this.name + '" in scope ? scope["' + this.name + '"] : math["' + this.name + '"])';
+      return '(scope.has("' + this.name + '") ? scope.get("' + this.name + '") : math["' + this.name + '"])';
     }
     else {
-      return '(' +
-          '"' + this.name + '" in scope ? scope["' + this.name + '"] : ' +
+      return this._compileLocation(defs, '(' +
+          'scope.has("' + this.name + '") ? scope.get("' + this.name + '") : ' +
           (Unit.isValuelessUnit(this.name) ?
           'new Unit(null, "' + this.name + '")' :
           'undef("' + this.name + '")') +
-          ')';
+          ')');
     }
   };
 
@@ -97,7 +98,29 @@ function factory (type, config, load, typed, math) {
    * @return {SymbolNode}
    */
   SymbolNode.prototype.clone = function() {
-    return new SymbolNode(this.name);
+    return this._withLocation(new SymbolNode(this.name));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  SymbolNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'SymbolNode',
+      name: this.name
+    };
+  };
+
+  /**
+   * Instantiate a SymbolNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "SymbolNode", name: "x"}`,
+   *                       where the child nodes are revived already
+   * @returns {SymbolNode}
+   */
+  SymbolNode.fromJSON = function (json) {
+    return new SymbolNode(json.name);
   };
 
   /**
@@ -130,6 +153,20 @@ function factory (type, config, load, typed, math) {
     return ' ' + symbol;
   };
 
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   * @override
+   */
+  SymbolNode.prototype._toMathML = function(options) {
+    var isUnit = false;
+    if ((typeof math[this.name] === 'undefined') && Unit.isValuelessUnit(this.name)) {
+      isUnit = true;
+    }
+    return mathml.toSymbol(this.name, isUnit);
+  };
+
   return SymbolNode;
 }
 
@@ -0,0 +1,156 @@
+'use strict';
+
+var mathml = require('../../utils/mathml');
+var bodyOutput = require('./utils/body');
+
+function factory (type, config, load, typed) {
+  var Node = load(require('./Node'));
+  var testCondition = load(require('./utils/testCondition'));
+
+  /**
+   * A while loop, evaluating the body as long as the condition is met:
+   *
+   *     while condition
+   *       body
+   *     end
+   *
+   * The loop evaluates to the value of the body in the last iteration, or to
+   * undefined when the body is not evaluated at all.
+   *
+   * @param {Node} condition   Condition, must result in a boolean
+   * @param {Node} body        The body of the loop, typically a BlockNode
+   *                           with the statements of the loop
+   *
+   * @constructor WhileNode
+   * @extends {Node}
+   */
+  function WhileNode(condition, body) {
+    if (!(this instanceof WhileNode)) {
+      throw new SyntaxError('Constructor must be called with the new operator');
+    }
+    if (!(condition && condition.isNode)) throw new TypeError('Parameter condition must be a Node');
+    if (!(body && body.isNode)) throw new TypeError('Parameter body must be a Node');
+
+    this.condition = condition;
+    this.body = body;
+  }
+
+  WhileNode.prototype = new Node();
+
+  WhileNode.prototype.type = 'WhileNode';
+
+  WhileNode.prototype.isWhileNode = true;
+
+  /**
+   * Compile the node to javascript code
+   * @param {Object} defs     Object which can be used to define functions
+   *                          or constants globally available for the compiled
+   *                          expression
+   * @param {Object} args     Object with local function arguments, the key is
+   *                          the name of the argument, and the value is `true`.
+   *                          The object may not be mutated, but must be
+   *                          extended instead.
+   * @return {string} js
+   * @private
+   */
+  WhileNode.prototype._compile = function (defs, args) {
+    defs.testCondition = testCondition;
+
+    // variable names contain a $ so they cannot clash with function arguments
+    return '(function () {' +
+        '  var $result;' +
+        '  while (testCondition(' + this.condition._compile(defs, args) + ')) {' +
+        (defs.restriction ? 'restriction.step();' : '') +
+        '    $result = ' + this.body._compileBody(defs, args) + ';' +
+        '  }' +
+        '  return $result;' +
+        '})()';
+  };
+
+  /**
+   * Execute a callback for each of the child nodes of this node
+   * @param {function(child: Node, path: string, parent: Node)} callback
+   */
+  WhileNode.prototype.forEach = function (callback) {
+    callback(this.condition, 'condition', this);
+    callback(this.body, 'body', this);
+  };
+
+  /**
+   * Create a new WhileNode having it's childs be the results of calling
+   * the provided callback function for each of the childs of the original node.
+   * @param {function(child: Node, path: string, parent: Node): Node} callback
+   * @returns {WhileNode} Returns a transformed copy of the node
+   */
+  WhileNode.prototype.map = function (callback) {
+    return new WhileNode(
+        this._ifNode(callback(this.condition, 'condition', this)),
+        this._ifNode(callback(this.body, 'body', this))
+    );
+  };
+
+  /**
+   * Create a clone of this node, a shallow copy
+   * @return {WhileNode}
+   */
+  WhileNode.prototype.clone = function () {
+    return this._withLocation(new WhileNode(this.condition, this.body));
+  };
+
+  /**
+   * Get a JSON representation of the node
+   * @returns {Object}
+   */
+  WhileNode.prototype.toJSON = function () {
+    return {
+      mathjs: 'WhileNode',
+      condition: this.condition,
+      body: this.body
+    };
+  };
+
+  /**
+   * Instantiate a WhileNode from its JSON representation
+   * @param {Object} json  An object structured like
+   *                       `{"mathjs": "WhileNode", condition: ..., body: ...}`,
+   *                       where the child nodes are revived already
+   * @returns {WhileNode}
+   */
+  WhileNode.fromJSON = function (json) {
+    return new WhileNode(json.condition, json.body);
+  };
+
+  /**
+   * Get string representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  WhileNode.prototype._toString = function (options) {
+    return bodyOutput.toString('while ' + this.condition.toString(options), this.body, options);
+  };
+
+  /**
+   * Get LaTeX representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  WhileNode.prototype._toTex = function (options) {
+    return bodyOutput.toTex('\\mathbf{while}\\;' + this.condition.toTex(options), this.body, options);
+  };
+
+  /**
+   * Get MathML representation
+   * @param {Object} options
+   * @return {string} str
+   */
+  WhileNode.prototype._toMathML = function (options) {
+    var header = mathml.row([bodyOutput.keyword('while&#xA0;'), this.condition.toMathML(options)]);
+    return bodyOutput.toMathML(header, this.body, options);
+  };
+
+  return WhileNode;
+}
+
+exports.name = 'WhileNode';
+exports.path = 'expression.node';
+exports.factory = factory;
@@ -5,14 +5,18 @@ module.exports = [
   require('./BlockNode'),
   require('./ConditionalNode'),
   require('./ConstantNode'),
+  require('./ErrorNode'),
+  require('./ForNode'),
   require('./IndexNode'),
   require('./FunctionAssignmentNode'),
   require('./FunctionNode'),
+  require('./LambdaNode'),
   require('./Node'),
   require('./ObjectNode'),
   require('./OperatorNode'),
   require('./ParenthesisNode'),
   require('./RangeNode'),
   require('./SymbolNode'),
-  require('./UpdateNode')
+  require('./UpdateNode'),
+  require('./WhileNode')
 ];
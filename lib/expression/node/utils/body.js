@@ -0,0 +1,79 @@
+'use strict';
+
+var mathml = require('../../../utils/mathml');
+
+// Output of statements with a body, like a while or for loop or a function
+// with a block body, written as a header, the indented statements of the
+// body, and the keyword `end`.
+
+/**
+ * Get the statements of a body
+ * @param {Node} body   A BlockNode, or any other node as single statement
+ * @return {Array.<{node: Node, visible: boolean}>}
+ */
+function statements (body) {
+  return body.isBlockNode ? body.blocks : [{node: body, visible: true}];
+}
+
+/**
+ * Get string representation of a statement with a body
+ * @param {string} header   For example 'while x < 10'
+ * @param {Node} body
+ * @param {Object} options
+ * @return {string} str
+ */
+exports.toString = function (header, body, options) {
+  var lines = statements(body).map(function (block) {
+    var str = block.node.toString(options) + (block.visible ? '' : ';');
+    return '  ' + str.replace(/\n/g, '\n  ') + '\n';
+  });
+
+  return header + '\n' + lines.join('') + 'end';
+};
+
+/**
+ * Get LaTeX representation of a statement with a body
+ * @param {string} header   LaTeX of the header
+ * @param {Node} body
+ * @param {Object} options
+ * @return {string} str
+ */
+exports.toTex = function (header, body, options) {
+  var lines = statements(body).map(function (block) {
+    return '\\quad ' + block.node.toTex(options) + (block.visible ? '' : ';') + '\\\\';
+  });
+
+  return '\\begin{array}{l}' + header + '\\\\' + lines.join('') + '\\mathbf{end}\\end{array}';
+};
+
+/**
+ * Get MathML representation of a statement with a body
+ * @param {string} header   MathML of the header
+ * @param {Node} body
+ * @param {Object} options
+ * @return {string} str
+ */
+exports.toMathML = function (header, body, options) {
+  var rows = statements(body).map(function (block) {
+    var node = block.node.toMathML(options);
+    if (!block.visible) {
+      node = mathml.row([node, mathml.toOperator(';')]);
+    }
+    return '<mtr><mtd>' + mathml.row(['<mspace width="1em"/>', node]) + '</mtd></mtr>';
+  });
+
+  return '<mtable columnalign="left">' +
+      '<mtr><mtd>' + header + '</mtd></mtr>' +
+      rows.join('') +
+      '<mtr><mtd>' + exports.keyword('end') + '</mtd></mtr>' +
+      '</mtable>';
+};
+
+/**
+ * Get MathML representation of a keyword like 'while'
+ * @param {string} keyword
+ * @return {string} str
+ */
+exports.keyword = function (keyword) {
+  return '<mtext mathvariant="bold">' + keyword + '</mtext>';
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+function factory (type, config, load, typed) {
+  var typeOf = load(require('../../../function/utils/typeof'));
+
+  /**
+   * Test whether a condition is met
+   * @param {*} condition
+   * @returns {boolean} true if condition is true or non-zero, else false
+   */
+  return function testCondition (condition) {
+    if (typeof condition === 'number'
+        || typeof condition === 'boolean'
+        || typeof condition === 'string') {
+      return condition ? true : false;
+    }
+
+    if (condition) {
+      if (condition.isBigNumber === true) {
+        return condition.isZero() ? false : true;
+      }
+
+      if (condition.isComplex === true) {
+        return (condition.re || condition.im) ? true : false;
+      }
+
+      if (condition.isUnit === true) {
+        return condition.value ? true : false;
+      }
+    }
+
+    if (condition === null || condition === undefined) {
+      return false;
+    }
+
+    throw new TypeError('Unsupported type of condition "' + typeOf(condition) + '"');
+  };
+}
+
+exports.factory = factory;
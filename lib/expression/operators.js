@@ -1,4 +1,9 @@
-'use strict'
+'use strict';
+
+var clone = require('../utils/object').clone;
+var latexOperators = require('../utils/latex').operators;
+var escapeLatex = require('../utils/latex').escape;
+var keywords = require('./keywords');
 
 //list of identifiers of nodes in order of their precedence
 //also contains information about left/right associativity
@@ -18,10 +23,11 @@
 //                  left argument doesn't need to be enclosed
 //                  in parentheses
 // latexRightParens: the same for the right argument
-var properties = [
+var PROPERTIES = [
   { //assignment
     'AssignmentNode': {},
-    'FunctionAssignmentNode': {}
+    'FunctionAssignmentNode': {},
+    'LambdaNode': {}
   },
   { //conditional expression
     'ConditionalNode': {
@@ -206,111 +212,407 @@ var properties = [
   }
 ];
 
-/**
- * Get the precedence of a Node.
- * Higher number for higher precedence, starting with 0.
- * Returns null if the precedence is undefined.
- *
- * @param {Node}
- * @param {string} parenthesis
- * @return {number|null}
- */
-function getPrecedence (_node, parenthesis) {
-  var node = _node;
-  if (parenthesis !== 'keep') {
-    //ParenthesisNodes are only ignored when not in 'keep' mode
-    node = _node.getContent();
-  }
-  var identifier = node.getIdentifier();
-  for (var i = 0; i < properties.length; i++) {
-    if (identifier in properties[i]) {
-      return i;
+// map with all delimiters of the expression parser
+var DELIMITERS = {
+  ',': true,
+  '(': true,
+  ')': true,
+  '[': true,
+  ']': true,
+  '{': true,
+  '}': true,
+  '\"': true,
+  ';': true,
+
+  '+': true,
+  '-': true,
+  '*': true,
+  '.*': true,
+  '/': true,
+  './': true,
+  '%': true,
+  '^': true,
+  '.^': true,
+  '~': true,
+  '!': true,
+  '&': true,
+  '|': true,
+  '^|': true,
+  '\'': true,
+  '=': true,
+  ':': true,
+  '?': true,
+
+  '==': true,
+  '!=': true,
+  '<': true,
+  '>': true,
+  '<=': true,
+  '>=': true,
+
+  '<<': true,
+  '>>': true,
+  '>>>': true,
+
+  '->': true,
+  '=>': true,
+
+  '√': true
+};
+
+// map with unicode characters which are parsed as an ascii operator or symbol,
+// such that for example 'a × b' results in the same nodes as 'a * b'
+var ALIASES = {
+  '×': '*',
+  '⋅': '*',
+  '÷': '/',
+  '−': '-',
+  '≤': '<=',
+  '≥': '>=',
+  '≠': '!=',
+  'π': 'pi'
+};
+
+// map with all named delimiters of the expression parser
+var NAMED_DELIMITERS = {
+  'mod': true,
+  'to': true,
+  'in': true,
+  'and': true,
+  'xor': true,
+  'or': true,
+  'not': true
+};
+
+function factory (type, config, load, typed) {
+  // every math.js instance has its own copy of the operator table, such that
+  // custom operators added to one instance do not affect other instances
+  var properties = clone(PROPERTIES);
+  var delimiters = clone(DELIMITERS);
+  var namedDelimiters = clone(NAMED_DELIMITERS);
+  var delimiterLength = 3; // length of the longest delimiter
+  var custom = {};
+
+  /**
+   * Get the precedence of a Node.
+   * Higher number for higher precedence, starting with 0.
+   * Returns null if the precedence is undefined.
+   *
+   * @param {Node}
+   * @param {string} parenthesis
+   * @return {number|null}
+   */
+  function getPrecedence (_node, parenthesis) {
+    var node = _node;
+    if (parenthesis !== 'keep') {
+      //ParenthesisNodes are only ignored when not in 'keep' mode
+      node = _node.getContent();
     }
+    var identifier = node.getIdentifier();
+    return getPrecedenceOfIdentifier(identifier);
   }
-  return null;
-}
 
-/**
- * Get the associativity of an operator (left or right).
- * Returns a string containing 'left' or 'right' or null if
- * the associativity is not defined.
- *
- * @param {Node}
- * @param {string} parenthesis
- * @return {string|null}
- * @throws {Error}
- */
-function getAssociativity (_node, parenthesis) {
-  var node = _node;
-  if (parenthesis !== 'keep') {
-    //ParenthesisNodes are only ignored when not in 'keep' mode
-    node = _node.getContent();
+  /**
+   * Get the precedence of a node identifier, like 'OperatorNode:add'.
+   * Returns null if the precedence is undefined.
+   * @param {string} identifier
+   * @return {number|null}
+   * @private
+   */
+  function getPrecedenceOfIdentifier (identifier) {
+    for (var i = 0; i < properties.length; i++) {
+      if (identifier in properties[i]) {
+        return i;
+      }
+    }
+    return null;
   }
-  var identifier = node.getIdentifier();
-  var index = getPrecedence(node, parenthesis);
-  if (index === null) {
-    //node isn't in the list
+
+  /**
+   * Get the associativity of an operator (left or right).
+   * Returns a string containing 'left' or 'right' or null if
+   * the associativity is not defined.
+   *
+   * @param {Node}
+   * @param {string} parenthesis
+   * @return {string|null}
+   * @throws {Error}
+   */
+  function getAssociativity (_node, parenthesis) {
+    var node = _node;
+    if (parenthesis !== 'keep') {
+      //ParenthesisNodes are only ignored when not in 'keep' mode
+      node = _node.getContent();
+    }
+    var identifier = node.getIdentifier();
+    var index = getPrecedence(node, parenthesis);
+    if (index === null) {
+      //node isn't in the list
+      return null;
+    }
+    var property = properties[index][identifier];
+
+    if (property.hasOwnProperty('associativity')) {
+      if (property.associativity === 'left') {
+        return 'left';
+      }
+      if (property.associativity === 'right') {
+        return 'right';
+      }
+      //associativity is invalid
+      throw Error('\'' + identifier + '\' has the invalid associativity \''
+                  + property.associativity + '\'.');
+    }
+
+    //associativity is undefined
     return null;
   }
-  var property = properties[index][identifier];
 
-  if (property.hasOwnProperty('associativity')) {
-    if (property.associativity === 'left') {
-      return 'left';
+  /**
+   * Check if an operator is associative with another operator.
+   * Returns either true or false or null if not defined.
+   *
+   * @param {Node} nodeA
+   * @param {Node} nodeB
+   * @param {string} parenthesis
+   * @return {bool|null}
+   */
+  function isAssociativeWith (nodeA, nodeB, parenthesis) {
+    var a = nodeA;
+    var b = nodeB;
+    if (parenthesis !== 'keep') {
+      //ParenthesisNodes are only ignored when not in 'keep' mode
+      var a = nodeA.getContent();
+      var b = nodeB.getContent();
     }
-    if (property.associativity === 'right') {
-      return 'right';
+    var identifierA = a.getIdentifier();
+    var identifierB = b.getIdentifier();
+    var index = getPrecedence(a, parenthesis);
+    if (index === null) {
+      //node isn't in the list
+      return null;
     }
-    //associativity is invalid
-    throw Error('\'' + identifier + '\' has the invalid associativity \''
-                + property.associativity + '\'.');
+    var property = properties[index][identifierA];
+
+    if (property.hasOwnProperty('associativeWith')
+        && (property.associativeWith instanceof Array)) {
+      for (var i = 0; i < property.associativeWith.length; i++) {
+        if (property.associativeWith[i] === identifierB) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    //associativeWith is not defined
+    return null;
   }
 
-  //associativity is undefined
-  return null;
-}
+  /**
+   * Add a custom binary operator to the expression parser. The operator
+   * evaluates the function `fn`, and has the same precedence as the
+   * built-in operator of function `precedence`.
+   *
+   * An operator consists either of a name, like `cross`, or of symbols
+   * which are no letters, digits, or whitespace, like `⊗` or `**`. Letters
+   * are all characters allowed in symbols by `math.expression.parse.isAlpha`.
+   *
+   * Example:
+   *
+   *     math.expression.operators.add('⊗', {
+   *       fn: 'kron',
+   *       precedence: 'multiply',
+   *       latex: '\\otimes'
+   *     });
+   *     math.eval('[1, 2] ⊗ [3, 4]');  // [[3, 4, 6, 8]]
+   *
+   * @param {string} op   The operator, for example '⊗'
+   * @param {{fn: string, precedence: string, latex: string}} options
+   *            Available options:
+   *            - `fn` name of the function evaluated by the operator,
+   *              for example 'kron'. Required.
+   *            - `precedence` the function of a built-in binary operator
+   *              having the same precedence, for example 'multiply' or 'add'.
+   *              Required unless `fn` is the function of a built-in operator,
+   *              in which case the operator is an alias of that operator.
+   *            - `latex` LaTeX representation of the operator, for example
+   *              '\\otimes'. By default, a named operator is rendered
+   *              as text, and other operators use the LaTeX of the
+   *              operator of function `fn`, or else are rendered as text.
+   * @throws {Error}
+   */
+  function add (op, options) {
+    var named = isName(op);
+    if (!named && !isSymbols(op)) {
+      throw new TypeError('Invalid operator "' + op + '": a name or symbols expected');
+    }
+    if (delimiters.hasOwnProperty(op) || namedDelimiters.hasOwnProperty(op) ||
+        ALIASES.hasOwnProperty(op) || keywords.hasOwnProperty(op)) {
+      throw new Error('Operator "' + op + '" already exists');
+    }
+    if (!options || typeof options.fn !== 'string') {
+      throw new TypeError('String expected for option "fn"');
+    }
+
+    var identifier = 'OperatorNode:' + options.fn;
+    var existing = getPrecedenceOfIdentifier(identifier);
+    if (typeof options.precedence !== 'string' && existing === null) {
+      throw new TypeError('String expected for option "precedence"');
+    }
+    var precedence = (typeof options.precedence === 'string')
+        ? getPrecedenceOfIdentifier('OperatorNode:' + options.precedence)
+        : existing;
+    if (precedence === null || !isBinaryOperator(precedence)) {
+      throw new Error('Invalid precedence "' + options.precedence + '": the function of a binary operator expected');
+    }
+    if (existing !== null && existing !== precedence) {
+      throw new Error('Invalid precedence "' + options.precedence + '": function ' + options.fn + ' already has a different precedence');
+    }
+
+    if (existing === null) {
+      properties[precedence][identifier] = {
+        associativity: 'left',
+        associativeWith: []
+      };
+    }
 
-/**
- * Check if an operator is associative with another operator.
- * Returns either true or false or null if not defined.
- *
- * @param {Node} nodeA
- * @param {Node} nodeB
- * @param {string} parenthesis
- * @return {bool|null}
- */
-function isAssociativeWith (nodeA, nodeB, parenthesis) {
-  var a = nodeA;
-  var b = nodeB;
-  if (parenthesis !== 'keep') {
-    //ParenthesisNodes are only ignored when not in 'keep' mode
-    var a = nodeA.getContent();
-    var b = nodeB.getContent();
+    var latex = (typeof options.latex === 'string') ? options.latex : undefined;
+    if (named) {
+      namedDelimiters[op] = true;
+      if (latex === undefined) {
+        latex = '\\mathbin{\\mathrm{' + op + '}}';
+      }
+    }
+    else {
+      delimiters[op] = true;
+      delimiterLength = Math.max(delimiterLength, op.length);
+      if (latex === undefined && !latexOperators.hasOwnProperty(options.fn)) {
+        latex = '\\mathbin{\\text{' + escapeLatex(op) + '}}';
+      }
+    }
+
+    custom[op] = {
+      op: op,
+      fn: options.fn,
+      latex: latex
+    };
   }
-  var identifierA = a.getIdentifier();
-  var identifierB = b.getIdentifier();
-  var index = getPrecedence(a, parenthesis);
-  if (index === null) {
-    //node isn't in the list
-    return null;
+
+  /**
+   * Test whether a string is a valid name of an operator, like 'cross'
+   * @param {string} op
+   * @return {boolean}
+   * @private
+   */
+  function isName (op) {
+    // loaded here as the parser itself depends on the operators
+    var parse = load(require('./parse'));
+
+    if (typeof op !== 'string' || !parse.isAlpha(op.charAt(0), '', op.charAt(1))) {
+      return false;
+    }
+    for (var i = 1; i < op.length; i++) {
+      var c = op.charAt(i);
+      if (!parse.isAlpha(c, op.charAt(i - 1), op.charAt(i + 1)) &&
+          !parse.isDigit(c) && !parse.isSubscript(c)) {
+        return false;
+      }
+    }
+    return true;
   }
-  var property = properties[index][identifierA];
 
-  if (property.hasOwnProperty('associativeWith')
-      && (property.associativeWith instanceof Array)) {
-    for (var i = 0; i < property.associativeWith.length; i++) {
-      if (property.associativeWith[i] === identifierB) {
-        return true;
+  /**
+   * Test whether a string consists of symbols only, like '⊗'. Symbols are
+   * all characters which are no letters, digits, or whitespace.
+   * @param {string} op
+   * @return {boolean}
+   * @private
+   */
+  function isSymbols (op) {
+    var parse = load(require('./parse'));
+
+    if (typeof op !== 'string' || op.length === 0) {
+      return false;
+    }
+    for (var i = 0; i < op.length; i++) {
+      var c = op.charAt(i);
+      if (parse.isAlpha(c, op.charAt(i - 1), op.charAt(i + 1)) ||
+          parse.isDigit(c) || parse.isSubscript(c) || parse.isSuperscript(c) ||
+          /\s/.test(c)) {
+        return false;
       }
     }
-    return false;
+    return true;
+  }
+
+  /**
+   * Test whether the operators with given precedence are binary operators
+   * which can be extended with custom operators: left associative
+   * operators parsed as `x op y`.
+   * @param {number} precedence
+   * @return {boolean}
+   * @private
+   */
+  function isBinaryOperator (precedence) {
+    var group = properties[precedence];
+    return Object.keys(group).every(function (identifier) {
+      return identifier.indexOf('OperatorNode:') === 0 &&
+          group[identifier].associativity === 'left' &&
+          Array.isArray(group[identifier].associativeWith);
+    });
+  }
+
+  /**
+   * Get the length of the longest delimiter
+   * @return {number}
+   */
+  function maxDelimiterLength () {
+    return delimiterLength;
+  }
+
+  /**
+   * Get a custom operator
+   * @param {string} op
+   * @return {{op: string, fn: string, latex: string} | undefined}
+   *            Returns the operator, or undefined when not found
+   */
+  function get (op) {
+    return custom.hasOwnProperty(op) ? custom[op] : undefined;
+  }
+
+  /**
+   * Get the custom operators having the same precedence as the operator
+   * of a function.
+   * @param {string} fn   Function name of a built-in operator, like 'add'
+   * @return {Object.<string, string>}
+   *            A map with the operators as key and their function as value
+   */
+  function getCustomOperators (fn) {
+    var precedence = getPrecedenceOfIdentifier('OperatorNode:' + fn);
+    var operators = {};
+    Object.keys(custom).forEach(function (op) {
+      if (getPrecedenceOfIdentifier('OperatorNode:' + custom[op].fn) === precedence) {
+        operators[op] = custom[op].fn;
+      }
+    });
+    return operators;
   }
 
-  //associativeWith is not defined
-  return null;
+  return {
+    properties: properties,
+    delimiters: delimiters,
+    namedDelimiters: namedDelimiters,
+    aliases: ALIASES,
+    maxDelimiterLength: maxDelimiterLength,
+    getPrecedence: getPrecedence,
+    getAssociativity: getAssociativity,
+    isAssociativeWith: isAssociativeWith,
+    add: add,
+    get: get,
+    getCustomOperators: getCustomOperators
+  };
 }
 
-module.exports.properties = properties;
-module.exports.getPrecedence = getPrecedence;
-module.exports.getAssociativity = getAssociativity;
-module.exports.isAssociativeWith = isAssociativeWith;
+exports.name = 'operators';
+exports.path = 'expression';
+exports.factory = factory;
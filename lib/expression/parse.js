@@ -9,15 +9,21 @@ function factory (type, config, load, typed) {
   var AssignmentNode          = load(require('./node/AssignmentNode'));
   var BlockNode               = load(require('./node/BlockNode'));
   var ConditionalNode         = load(require('./node/ConditionalNode'));
+  var ErrorNode               = load(require('./node/ErrorNode'));
   var ConstantNode            = load(require('./node/ConstantNode'));
+  var ForNode                 = load(require('./node/ForNode'));
   var FunctionAssignmentNode  = load(require('./node/FunctionAssignmentNode'));
   var IndexNode               = load(require('./node/IndexNode'));
+  var LambdaNode              = load(require('./node/LambdaNode'));
   var ObjectNode              = load(require('./node/ObjectNode'));
   var OperatorNode            = load(require('./node/OperatorNode'));
   var ParenthesisNode         = load(require('./node/ParenthesisNode'));
   var FunctionNode            = load(require('./node/FunctionNode'));
   var RangeNode               = load(require('./node/RangeNode'));
   var SymbolNode              = load(require('./node/SymbolNode'));
+  var WhileNode               = load(require('./node/WhileNode'));
+  var operatorTable           = load(require('./operators'));
+  var Unit                    = load(require('../type/unit/Unit'));
 
 
   /**
@@ -46,10 +52,30 @@ function factory (type, config, load, typed) {
    *     var nodes = math.parse(['a = 3', 'b = 4', 'a * b']);
    *     nodes[2].compile(math).eval(); // 12
    *
+   *     var node = math.parse('2 * (x + 1)', {locations: true});
+   *     node.args[1].location; // {start: 4, end: 11, line: 1, column: 5}
+   *
+   *     var result = math.parse('a = 2 + * 3\nb = (3', {recover: true});
+   *     result.node;   // BlockNode with two ErrorNodes
+   *     result.errors; // [SyntaxError, SyntaxError]
+   *
    * @param {string | string[] | Matrix} expr
-   * @param {{nodes: Object<string, Node>}} [options]  Available options:
-   *                                                   - `nodes` a set of custom nodes
-   * @return {Node | Node[]} node
+   * @param {{nodes: Object<string, Node>, locations: boolean, recover: boolean}} [options]
+   *            Available options:
+   *            - `nodes` a set of custom nodes
+   *            - `locations` when true, each node gets a property `location`
+   *              with the source span `{start, end, line, column}` of the
+   *              node in the expression. `start` and `end` are zero based
+   *              offsets, `line` and `column` are one based. Errors thrown
+   *              while evaluating the node get this location attached.
+   *            - `recover` when true, parsing continues after a syntax
+   *              error with the next statement of the expression, and the
+   *              statement containing the error is replaced with an
+   *              ErrorNode. Instead of a node, an object `{node, errors}`
+   *              is returned, where `errors` is an array with all syntax
+   *              errors, each having properties `char`, `location` and
+   *              `expected`.
+   * @return {Node | Node[] | {node: Node, errors: SyntaxError[]}} node
    * @throws {Error}
    */
   function parse (expr, options) {
@@ -59,6 +85,8 @@ function factory (type, config, load, typed) {
 
     // pass extra nodes
     extra_nodes = (options && options.nodes) ? options.nodes : {};
+    locations = (options && options.locations) ? true : false;
+    recover = (options && options.recover) ? true : false;
 
     if (typeof expr === 'string') {
       // parse a single expression
@@ -89,64 +117,40 @@ function factory (type, config, load, typed) {
     UNKNOWN : 4
   };
 
-  // map with all delimiters
-  var DELIMITERS = {
-    ',': true,
-    '(': true,
-    ')': true,
-    '[': true,
-    ']': true,
-    '{': true,
-    '}': true,
-    '\"': true,
-    ';': true,
-
-    '+': true,
-    '-': true,
-    '*': true,
-    '.*': true,
-    '/': true,
-    './': true,
-    '%': true,
-    '^': true,
-    '.^': true,
-    '~': true,
-    '!': true,
-    '&': true,
-    '|': true,
-    '^|': true,
-    '\'': true,
-    '=': true,
-    ':': true,
-    '?': true,
-
-    '==': true,
-    '!=': true,
-    '<': true,
-    '>': true,
-    '<=': true,
-    '>=': true,
-
-    '<<': true,
-    '>>': true,
-    '>>>': true
-  };
-
-  // map with all named delimiters
-  var NAMED_DELIMITERS = {
-    'mod': true,
-    'to': true,
-    'in': true,
-    'and': true,
-    'xor': true,
-    'or': true,
-    'not': true
+  // maps with all delimiters and named delimiters, extended with the custom
+  // operators of this math.js instance, see math.expression.operators
+  var DELIMITERS = operatorTable.delimiters;
+  var NAMED_DELIMITERS = operatorTable.namedDelimiters;
+
+  // map with unicode characters which are parsed as an ascii operator or symbol
+  var ALIASES = operatorTable.aliases;
+
+  // map with superscript characters and the ascii character they represent
+  var SUPERSCRIPTS = {
+    '⁰': '0',
+    '¹': '1',
+    '²': '2',
+    '³': '3',
+    '⁴': '4',
+    '⁵': '5',
+    '⁶': '6',
+    '⁷': '7',
+    '⁸': '8',
+    '⁹': '9',
+    '⁺': '+',
+    '⁻': '-'
   };
 
   var extra_nodes = {};             // current extra nodes
+  var locations = false;            // whether to attach source locations to the nodes
+  var recover = false;              // whether to continue parsing after a syntax error
+  var errors = [];                  // syntax errors found when parsing with recover
+  var token_error = null;           // syntax error in the first token of a statement when parsing with recover
   var expression = '';              // current expression
   var comment = '';                 // last parsed comment
   var index = 0;                    // current index in expr
+  var token_index = 0;              // index in expr where the current token starts
+  var prev_token_end = 0;           // index in expr where the previous token ends
   var c = '';                       // current token character in expr
   var token = '';                   // current token
   var token_type = TOKENTYPE.NULL;  // type of the token
@@ -161,6 +165,8 @@ function factory (type, config, load, typed) {
    */
   function first() {
     index = 0;
+    token_index = 0;
+    prev_token_end = 0;
     c = expression.charAt(0);
     nesting_level = 0;
     conditional_level = null;
@@ -213,6 +219,7 @@ function factory (type, config, load, typed) {
     token_type = TOKENTYPE.NULL;
     token = '';
     comment = '';
+    prev_token_end = index;
 
     // skip over whitespaces
     // space, tab, and newline when inside parameters
@@ -228,6 +235,8 @@ function factory (type, config, load, typed) {
       }
     }
 
+    token_index = index;
+
     // check for end of expression
     if (c == '') {
       // token is still empty
@@ -243,32 +252,36 @@ function factory (type, config, load, typed) {
       return;
     }
 
-    // check for delimiters consisting of 3 characters
-    var c2 = c + nextPreview();
-    var c3 = c2 + nextNextPreview();
-    if (c3.length == 3 && DELIMITERS[c3]) {
-      token_type = TOKENTYPE.DELIMITER;
-      token = c3;
-      next();
-      next();
-      next();
-      return;
+    // check for delimiters, the longest delimiter first
+    for (var length = operatorTable.maxDelimiterLength(); length > 0; length--) {
+      var delimiter = expression.substr(index, length);
+      if (delimiter.length == length && DELIMITERS.hasOwnProperty(delimiter)) {
+        token_type = TOKENTYPE.DELIMITER;
+        token = delimiter;
+        while (length--) {
+          next();
+        }
+        return;
+      }
     }
 
-    // check for delimiters consisting of 2 characters
-    if (c2.length == 2 && DELIMITERS[c2]) {
-      token_type = TOKENTYPE.DELIMITER;
-      token = c2;
-      next();
+    // check for unicode aliases of operators and symbols, like '×' and 'π'
+    if (ALIASES.hasOwnProperty(c)) {
+      token = ALIASES[c];
+      token_type = DELIMITERS.hasOwnProperty(token)
+          ? TOKENTYPE.DELIMITER
+          : TOKENTYPE.SYMBOL;
       next();
       return;
     }
 
-    // check for delimiters consisting of 1 character
-    if (DELIMITERS[c]) {
+    // check for an exponent in superscript, like '²' or '⁻¹'
+    if (parse.isSuperscript(c)) {
       token_type = TOKENTYPE.DELIMITER;
-      token = c;
-      next();
+      while (parse.isSuperscript(c)) {
+        token += c;
+        next();
+      }
       return;
     }
 
@@ -302,7 +315,7 @@ function factory (type, config, load, typed) {
       }
 
       // check for exponential notation like "2.3e-4", "1.23e50" or "2e+4"
-      c2 = nextPreview();
+      var c2 = nextPreview();
       if (c == 'E' || c == 'e') {
         if (parse.isDigit(c2) || c2 == '-' || c2 == '+') {
           token += c;
@@ -315,7 +328,7 @@ function factory (type, config, load, typed) {
 
           // Scientific notation MUST be followed by an exponent
           if (!parse.isDigit(c)) {
-            throw createSyntaxError('Digit expected, got "' + c + '"');
+            throw createSyntaxError('Digit expected, got "' + c + '"', ['digit']);
           }
 
           while (parse.isDigit(c)) {
@@ -324,12 +337,12 @@ function factory (type, config, load, typed) {
           }
 
           if (parse.isDecimalMark(c, nextPreview())) {
-            throw createSyntaxError('Digit expected, got "' + c + '"');
+            throw createSyntaxError('Digit expected, got "' + c + '"', ['digit']);
           }
         }
         else if (c2 == '.') {
           next();
-          throw createSyntaxError('Digit expected, got "' + c + '"');
+          throw createSyntaxError('Digit expected, got "' + c + '"', ['digit']);
         }
       }
 
@@ -338,7 +351,7 @@ function factory (type, config, load, typed) {
 
     // check for variables, functions, named operators
     if (parse.isAlpha(c, prevPreview(), nextPreview())) {
-      while (parse.isAlpha(c, prevPreview(), nextPreview()) || parse.isDigit(c)) {
+      while (parse.isAlpha(c, prevPreview(), nextPreview()) || parse.isDigit(c) || parse.isSubscript(c)) {
         token += c;
         next();
       }
@@ -355,7 +368,7 @@ function factory (type, config, load, typed) {
 
     // something unknown is found, wrong characters -> a syntax error
     token_type = TOKENTYPE.UNKNOWN;
-    while (c != '') {
+    while (c != '' && !(recover && c == '\n')) {
       token += c;
       next();
     }
@@ -393,10 +406,16 @@ function factory (type, config, load, typed) {
    *
    * - A latin letter (upper or lower case) Ascii: a-z, A-Z
    * - An underscore                         Ascii: _
-   * - A latin letter with accents          Unicode: \u00C0 - \u02AF
-   * - A greek letter                       Unicode: \u0370 - \u03FF
+   * - A latin letter with accents          Unicode: \u00C0 - \u02AF excluding × and ÷
+   * - A greek letter                       Unicode: \u0370 - \u03FF, \u1F00 - \u1FFF
+   * - A letter-like symbol                 Unicode: \u2100 - \u214F
+   * - A letter of another script           Unicode: cyrillic, armenian, hebrew,
+   *                                                 arabic, georgian, kana, CJK, hangul
    * - A mathematical alphanumeric symbol   Unicode: \u{1D400} - \u{1D7FF} excluding invalid code points
    *
+   * Besides alpha characters, symbols can contain digits and subscripts
+   * after the first character, like `x2` or `α₁`.
+   *
    * The previous and next characters are needed to determine whether
    * this character is part of a unicode surrogate pair.
    *
@@ -407,6 +426,7 @@ function factory (type, config, load, typed) {
    */
   parse.isAlpha = function isAlpha (c, cPrev, cNext) {
     return parse.isValidLatinOrGreek(c)
+        || parse.isValidUnicodeLetter(c)
         || parse.isValidMathSymbol(c, cNext)
         || parse.isValidMathSymbol(cPrev, c);
   };
@@ -417,7 +437,38 @@ function factory (type, config, load, typed) {
    * @return {boolean}
    */
   parse.isValidLatinOrGreek = function isValidLatinOrGreek (c) {
-    return /^[a-zA-Z_\u00C0-\u02AF\u0370-\u03FF\u2100-\u214F]$/.test(c);
+    return /^[a-zA-Z_\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02AF\u0370-\u03FF\u1F00-\u1FFF\u2100-\u214F]$/.test(c);
+  };
+
+  /**
+   * Test whether a character is a letter of one of the following scripts:
+   * cyrillic, armenian, hebrew, arabic, georgian, latin extended additional,
+   * hiragana, katakana, CJK ideographs, or hangul.
+   * @param {string} c
+   * @return {boolean}
+   */
+  parse.isValidUnicodeLetter = function isValidUnicodeLetter (c) {
+    return /^[\u0400-\u0481\u048A-\u052F\u0531-\u0556\u0561-\u0587\u05D0-\u05EA\u0620-\u064A\u10A0-\u10FF\u1E00-\u1EFF\u3041-\u3096\u30A1-\u30FA\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7A3]$/.test(c);
+  };
+
+  /**
+   * Test whether a character is a subscript digit, sign, or letter, like the
+   * subscript in `x₁` or `vᵦ`
+   * @param {string} c
+   * @return {boolean}
+   */
+  parse.isSubscript = function isSubscript (c) {
+    return /^[\u2080-\u208E\u2090-\u209C\u1D62-\u1D6A]$/.test(c);
+  };
+
+  /**
+   * Test whether a character is a superscript digit or sign, like the
+   * exponent in `x²` or `x⁻¹`
+   * @param {string} c
+   * @return {boolean}
+   */
+  parse.isSuperscript = function isSuperscript (c) {
+    return SUPERSCRIPTS.hasOwnProperty(c);
   };
 
   /**
@@ -487,28 +538,111 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseStart () {
+    errors = [];
+    token_error = null;
+
     // get the first character in expression
     first();
 
-    getToken();
+    getStatementToken();
 
     var node = parseBlock();
 
     // check for garbage at the end of the expression
     // an expression ends with a empty character '' and token_type DELIMITER
     if (token != '') {
-      if (token_type == TOKENTYPE.DELIMITER) {
-        // user entered a not existing operator like "//"
+      throw createUnexpectedError();
+    }
 
-        // TODO: give hints for aliases, for example with "<>" give as hint " did you mean != ?"
-        throw createError('Unexpected operator ' + token);
+    if (recover) {
+      return {
+        node: node,
+        errors: errors
+      };
+    }
+
+    return node;
+  }
+
+  /**
+   * Parse a single statement of a block. When parsing with the option
+   * `recover`, a syntax error in the statement is registered, the rest of
+   * the statement is skipped, and an ErrorNode is returned in its place.
+   * @return {Node} node
+   * @private
+   */
+  function parseStatement () {
+    if (!recover) {
+      return parseControlFlow();
+    }
+
+    var start = token_index;
+    try {
+      if (token_error) {
+        throw token_error;
       }
-      else {
-        throw createSyntaxError('Unexpected part "' + token + '"');
+
+      var node = parseControlFlow();
+
+      // the statement must be followed by a separator or the end of the expression
+      if (token != '' && token != '\n' && token != ';') {
+        throw createUnexpectedError();
       }
+
+      return node;
     }
+    catch (err) {
+      if (!(err instanceof SyntaxError)) {
+        throw err;
+      }
 
-    return node;
+      token_error = null;
+      errors.push(err);
+      skipStatement();
+
+      var end = Math.max(start, prev_token_end);
+      return located(new ErrorNode(err.message, expression.substring(start, end)), start, end);
+    }
+  }
+
+  /**
+   * Get the first token of a statement. When parsing with the option
+   * `recover`, a syntax error in this token is kept until the statement is
+   * parsed by parseStatement, which replaces the statement with an ErrorNode.
+   * @private
+   */
+  function getStatementToken () {
+    if (!recover) {
+      getToken();
+      return;
+    }
+
+    try {
+      getToken();
+    }
+    catch (err) {
+      token_error = err;
+    }
+  }
+
+  /**
+   * Skip all tokens until the end of the current statement, which ends with
+   * a newline, a semicolon, or the end of the expression. Syntax errors in
+   * the skipped tokens are ignored.
+   * @private
+   */
+  function skipStatement () {
+    nesting_level = 0;
+    conditional_level = null;
+
+    while (token != '' && token != '\n' && token != ';') {
+      try {
+        getToken();
+      }
+      catch (err) {
+        // ignore invalid tokens, the tokenizer has moved past them
+      }
+    }
   }
 
   /**
@@ -522,9 +656,10 @@ function factory (type, config, load, typed) {
     var node;
     var blocks = [];
     var visible;
+    var start = token_index;
 
     if (token != '' && token != '\n' && token != ';') {
-      node = parseAssignment();
+      node = parseStatement();
       node.comment = comment;
     }
 
@@ -538,9 +673,9 @@ function factory (type, config, load, typed) {
         });
       }
 
-      getToken();
+      getStatementToken();
       if (token != '\n' && token != ';' && token != '') {
-        node = parseAssignment();
+        node = parseStatement();
         node.comment = comment;
 
         visible = (token != ';');
@@ -552,11 +687,11 @@ function factory (type, config, load, typed) {
     }
 
     if (blocks.length > 0) {
-      return new BlockNode(blocks);
+      return located(new BlockNode(blocks), start);
     }
     else {
       if (!node) {
-        node = new ConstantNode('undefined', 'undefined');
+        node = located(new ConstantNode('undefined', 'undefined'), token_index, token_index);
         node.comment = comment;
       }
 
@@ -564,32 +699,195 @@ function factory (type, config, load, typed) {
     }
   }
 
+  /**
+   * Parse a control flow statement, which starts with a keyword and ends
+   * with the keyword `end`:
+   * - a while loop like 'while x < 10; x = x + 1; end'
+   * - a for loop like 'for i = 1:10; s = s + i; end'
+   * - a function with a block body like 'function f(x); y = x^2; y + 1; end'
+   * Other statements are parsed as assignment.
+   * @return {Node} node
+   * @private
+   */
+  function parseControlFlow () {
+    if (token_type == TOKENTYPE.SYMBOL) {
+      switch (token) {
+        case 'while':
+          return parseWhile();
+
+        case 'for':
+          return parseFor();
+
+        case 'function':
+          return parseFunction();
+      }
+    }
+
+    return parseAssignment();
+  }
+
+  /**
+   * Parse a while loop, 'while condition ... end'
+   * @return {Node} node
+   * @private
+   */
+  function parseWhile () {
+    var start = token_index;
+    getToken();
+
+    var condition = parseConditional();
+    var body = parseBody();
+
+    return located(new WhileNode(condition, body), start);
+  }
+
+  /**
+   * Parse a for loop, 'for variable = values ... end'
+   * @return {Node} node
+   * @private
+   */
+  function parseFor () {
+    var start = token_index;
+    getToken();
+
+    if (token_type != TOKENTYPE.SYMBOL) {
+      throw createSyntaxError('Symbol expected as loop variable', ['symbol']);
+    }
+    var variableStart = token_index;
+    var name = token;
+    getToken();
+    var variable = located(new SymbolNode(name), variableStart);
+
+    if (token != '=') {
+      throw createSyntaxError('Operator = expected', ['=']);
+    }
+    getTokenSkipNewline();
+
+    var values = parseConditional();
+    var body = parseBody();
+
+    return located(new ForNode(variable, values, body), start);
+  }
+
+  /**
+   * Parse a function with a block body, 'function name(params) ... end'
+   * @return {Node} node
+   * @private
+   */
+  function parseFunction () {
+    var start = token_index;
+    getToken();
+
+    if (token_type != TOKENTYPE.SYMBOL) {
+      throw createSyntaxError('Symbol expected as function name', ['symbol']);
+    }
+    var name = token;
+    getToken();
+
+    if (token != '(') {
+      throw createSyntaxError('Parenthesis ( expected', ['(']);
+    }
+    openParams();
+    getToken();
+
+    var params = [];
+    while (token != ')') {
+      if (params.length > 0) {
+        if (token != ',') {
+          throw createSyntaxError('Parenthesis ) expected', [',', ')']);
+        }
+        getToken();
+      }
+
+      if (token_type != TOKENTYPE.SYMBOL) {
+        throw createSyntaxError('Symbol expected as function parameter', ['symbol']);
+      }
+      params.push(token);
+      getToken();
+    }
+    closeParams();
+    getToken();
+
+    var body = parseBody();
+
+    return located(new FunctionAssignmentNode(name, params, body), start);
+  }
+
+  /**
+   * Parse the body of a control flow statement: statements separated by
+   * newlines or semicolons, ending with the keyword `end`.
+   * @return {BlockNode} node
+   * @private
+   */
+  function parseBody () {
+    var node;
+    var blocks = [];
+    var start = token_index;
+
+    if (token != '\n' && token != ';') {
+      throw createSyntaxError('Newline or semicolon expected', ['newline', ';']);
+    }
+
+    while (token == '\n' || token == ';') {
+      getStatementToken();
+      if (token == 'end' && token_type == TOKENTYPE.SYMBOL) {
+        break;
+      }
+
+      if (token != '\n' && token != ';' && token != '') {
+        node = parseStatement();
+        node.comment = comment;
+
+        blocks.push({
+          node: node,
+          visible: (token != ';')
+        });
+      }
+    }
+
+    if (token != 'end' || token_type != TOKENTYPE.SYMBOL) {
+      throw createSyntaxError('Keyword end expected', ['end']);
+    }
+    getToken();
+
+    return located(new BlockNode(blocks), start);
+  }
+
   /**
    * Assignment of a function or variable,
    * - can be a variable like 'a=2.3'
    * - or a updating an existing variable like 'matrix(2,3:5)=[6,7,8]'
    * - defining a function like 'f(x) = x^2'
+   * - or an anonymous function like 'x -> x^2' or '(x, y) => x + y'
    * @return {Node} node
    * @private
    */
   function parseAssignment () {
     var name, args, value, valid;
+    var start = token_index;
+
+    var params = parseLambdaParams();
+    if (params) {
+      // parse an anonymous function like 'x -> x^2'
+      getTokenSkipNewline();
+      value = parseAssignment();
+      return located(new LambdaNode(params, value), start);
+    }
 
     var node = parseConditional();
 
     if (token == '=') {
       if (node && node.isSymbolNode) {
         // parse a variable assignment like 'a = 2/3'
-        name = node.name;
         getTokenSkipNewline();
         value = parseAssignment();
-        return new AssignmentNode(new SymbolNode(name), value);
+        return located(new AssignmentNode(node, value), start);
       }
       else if (node && node.isAccessorNode) {
         // parse a matrix subset assignment like 'A[1,2] = 4'
         getTokenSkipNewline();
         value = parseAssignment();
-        return new AssignmentNode(node.object, node.index, value);
+        return located(new AssignmentNode(node.object, node.index, value), start);
       }
       else if (node && node.isFunctionNode) {
         // parse function assignment like 'f(x) = x^2'
@@ -609,7 +907,7 @@ function factory (type, config, load, typed) {
         if (valid) {
           getTokenSkipNewline();
           value = parseAssignment();
-          return new FunctionAssignmentNode(name, args, value);
+          return located(new FunctionAssignmentNode(name, args, value), start);
         }
       }
 
@@ -619,6 +917,104 @@ function factory (type, config, load, typed) {
     return node;
   }
 
+  /**
+   * Get the state of the tokenizer, to parse the current tokens again after
+   * looking ahead
+   * @return {Object} state
+   * @private
+   */
+  function getState () {
+    return {
+      index: index,
+      c: c,
+      token: token,
+      token_type: token_type,
+      token_index: token_index,
+      prev_token_end: prev_token_end,
+      comment: comment,
+      nesting_level: nesting_level
+    };
+  }
+
+  /**
+   * Restore a state of the tokenizer returned by getState
+   * @param {Object} state
+   * @private
+   */
+  function setState (state) {
+    index = state.index;
+    c = state.c;
+    token = state.token;
+    token_type = state.token_type;
+    token_index = state.token_index;
+    prev_token_end = state.prev_token_end;
+    comment = state.comment;
+    nesting_level = state.nesting_level;
+  }
+
+  /**
+   * Parse the parameters of an anonymous function, like 'x' in 'x -> x^2'
+   * or '(x, y)' in '(x, y) -> x + y'. Parameters are only recognized by the
+   * arrow following them, so when the current tokens are no parameters
+   * followed by an arrow, the parser is reset to the current token.
+   * @return {string[] | null} params   The parameter names, or null when the
+   *                                    current tokens are no parameters of an
+   *                                    anonymous function
+   * @private
+   */
+  function parseLambdaParams () {
+    if (token_type != TOKENTYPE.SYMBOL && token != '(') {
+      return null;
+    }
+
+    var state = getState();
+    var params = [];
+    var valid = false;
+
+    try {
+      if (token_type == TOKENTYPE.SYMBOL) {
+        // a single parameter like 'x -> ...'
+        params.push(token);
+        getToken();
+        valid = (token == '->' || token == '=>');
+      }
+      else {
+        // parameters enclosed in parentheses like '(x, y) -> ...'
+        openParams();
+        getToken();
+
+        var separated = false;
+        while (token_type == TOKENTYPE.SYMBOL) {
+          params.push(token);
+          getToken();
+
+          separated = (token == ',');
+          if (!separated) {
+            break;
+          }
+          getToken();
+        }
+
+        if (token == ')' && !separated) {
+          closeParams();
+          getToken();
+          valid = (token == '->' || token == '=>');
+        }
+      }
+    }
+    catch (err) {
+      // invalid tokens, which will be parsed again as an expression
+    }
+
+    if (valid) {
+      return params;
+    }
+
+    setState(state);
+
+    return null;
+  }
+
   /**
    * conditional operation
    *
@@ -630,6 +1026,7 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseConditional () {
+    var start = token_index;
     var node = parseLogicalOr();
 
     while (token == '?') {
@@ -642,14 +1039,14 @@ function factory (type, config, load, typed) {
       var condition = node;
       var trueExpr = parseAssignment();
 
-      if (token != ':') throw createSyntaxError('False part of conditional expression expected');
+      if (token != ':') throw createSyntaxError('False part of conditional expression expected', [':']);
 
       conditional_level = null;
       getTokenSkipNewline();
 
       var falseExpr = parseAssignment(); // Note: check for conditional operator again, right associativity
 
-      node = new ConditionalNode(condition, trueExpr, falseExpr);
+      node = located(new ConditionalNode(condition, trueExpr, falseExpr), start);
 
       // restore the previous conditional level
       conditional_level = prev;
@@ -658,17 +1055,42 @@ function factory (type, config, load, typed) {
     return node;
   }
 
+  /**
+   * Extend a map with the built-in binary operators of a precedence level
+   * with the custom operators having the same precedence,
+   * see math.expression.operators
+   * @param {Object.<string, string>} operators  Map with the operators as key
+   *                                             and their function as value
+   * @return {Object.<string, string>} Returns the extended map
+   * @private
+   */
+  function withCustomOperators (operators) {
+    var fn = operators[Object.keys(operators)[0]];
+    var custom = operatorTable.getCustomOperators(fn);
+    for (var op in custom) {
+      if (custom.hasOwnProperty(op)) {
+        operators[op] = custom[op];
+      }
+    }
+    return operators;
+  }
+
   /**
    * logical or, 'x or y'
    * @return {Node} node
    * @private
    */
   function parseLogicalOr() {
+    var name;
+    var start = token_index;
     var node = parseLogicalXor();
+    var operators = withCustomOperators({'or': 'or'});
+
+    while (token in operators) {
+      name = token;
 
-    while (token == 'or') {
       getTokenSkipNewline();
-      node = new OperatorNode('or', 'or', [node, parseLogicalXor()]);
+      node = located(new OperatorNode(name, operators[name], [node, parseLogicalXor()]), start);
     }
 
     return node;
@@ -680,11 +1102,16 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseLogicalXor() {
+    var name;
+    var start = token_index;
     var node = parseLogicalAnd();
+    var operators = withCustomOperators({'xor': 'xor'});
+
+    while (token in operators) {
+      name = token;
 
-    while (token == 'xor') {
       getTokenSkipNewline();
-      node = new OperatorNode('xor', 'xor', [node, parseLogicalAnd()]);
+      node = located(new OperatorNode(name, operators[name], [node, parseLogicalAnd()]), start);
     }
 
     return node;
@@ -696,11 +1123,16 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseLogicalAnd() {
+    var name;
+    var start = token_index;
     var node = parseBitwiseOr();
+    var operators = withCustomOperators({'and': 'and'});
+
+    while (token in operators) {
+      name = token;
 
-    while (token == 'and') {
       getTokenSkipNewline();
-      node = new OperatorNode('and', 'and', [node, parseBitwiseOr()]);
+      node = located(new OperatorNode(name, operators[name], [node, parseBitwiseOr()]), start);
     }
 
     return node;
@@ -712,11 +1144,16 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseBitwiseOr() {
+    var name;
+    var start = token_index;
     var node = parseBitwiseXor();
+    var operators = withCustomOperators({'|': 'bitOr'});
+
+    while (token in operators) {
+      name = token;
 
-    while (token == '|') {
       getTokenSkipNewline();
-      node = new OperatorNode('|', 'bitOr', [node, parseBitwiseXor()]);
+      node = located(new OperatorNode(name, operators[name], [node, parseBitwiseXor()]), start);
     }
 
     return node;
@@ -728,11 +1165,16 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseBitwiseXor() {
+    var name;
+    var start = token_index;
     var node = parseBitwiseAnd();
+    var operators = withCustomOperators({'^|': 'bitXor'});
+
+    while (token in operators) {
+      name = token;
 
-    while (token == '^|') {
       getTokenSkipNewline();
-      node = new OperatorNode('^|', 'bitXor', [node, parseBitwiseAnd()]);
+      node = located(new OperatorNode(name, operators[name], [node, parseBitwiseAnd()]), start);
     }
 
     return node;
@@ -744,11 +1186,16 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseBitwiseAnd () {
+    var name;
+    var start = token_index;
     var node = parseRelational();
+    var operators = withCustomOperators({'&': 'bitAnd'});
+
+    while (token in operators) {
+      name = token;
 
-    while (token == '&') {
       getTokenSkipNewline();
-      node = new OperatorNode('&', 'bitAnd', [node, parseRelational()]);
+      node = located(new OperatorNode(name, operators[name], [node, parseRelational()]), start);
     }
 
     return node;
@@ -761,24 +1208,25 @@ function factory (type, config, load, typed) {
    */
   function parseRelational () {
     var node, operators, name, fn, params;
+    var start = token_index;
 
     node = parseShift();
 
-    operators = {
+    operators = withCustomOperators({
       '==': 'equal',
       '!=': 'unequal',
       '<': 'smaller',
       '>': 'larger',
       '<=': 'smallerEq',
       '>=': 'largerEq'
-    };
+    });
     while (token in operators) {
       name = token;
       fn = operators[name];
 
       getTokenSkipNewline();
       params = [node, parseShift()];
-      node = new OperatorNode(name, fn, params);
+      node = located(new OperatorNode(name, fn, params), start);
     }
 
     return node;
@@ -791,14 +1239,15 @@ function factory (type, config, load, typed) {
    */
   function parseShift () {
     var node, operators, name, fn, params;
+    var start = token_index;
 
     node = parseConversion();
 
-    operators = {
+    operators = withCustomOperators({
       '<<' : 'leftShift',
       '>>' : 'rightArithShift',
       '>>>' : 'rightLogShift'
-    };
+    });
 
     while (token in operators) {
       name = token;
@@ -806,7 +1255,7 @@ function factory (type, config, load, typed) {
 
       getTokenSkipNewline();
       params = [node, parseConversion()];
-      node = new OperatorNode(name, fn, params);
+      node = located(new OperatorNode(name, fn, params), start);
     }
 
     return node;
@@ -818,29 +1267,32 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseConversion () {
-    var node, operators, name, fn, params;
+    var node, operators, name, fn, params, nameStart;
+    var start = token_index;
 
     node = parseRange();
 
-    operators = {
+    operators = withCustomOperators({
       'to' : 'to',
       'in' : 'to'   // alias of 'to'
-    };
+    });
 
     while (token in operators) {
       name = token;
       fn = operators[name];
+      nameStart = token_index;
 
       getTokenSkipNewline();
       
       if (name === 'in' && token === '') {
         // end of expression -> this is the unit 'in' ('inch')
-        node = new OperatorNode('*', 'multiply', [node, new SymbolNode('in')], true);
+        var unit = located(new SymbolNode('in'), nameStart, nameStart + name.length);
+        node = located(new OperatorNode('*', 'multiply', [node, unit], true), start);
       }
       else {
         // operator 'a to b' or 'a in b'
         params = [node, parseRange()];
-        node = new OperatorNode(name, fn, params);
+        node = located(new OperatorNode(name, fn, params), start);
       }
     }
 
@@ -854,10 +1306,11 @@ function factory (type, config, load, typed) {
    */
   function parseRange () {
     var node, params = [];
+    var start = token_index;
 
     if (token == ':') {
       // implicit start=1 (one-based)
-      node = new ConstantNode('1', 'number');
+      node = located(new ConstantNode('1', 'number'), token_index, token_index);
     }
     else {
       // explicit start
@@ -874,7 +1327,7 @@ function factory (type, config, load, typed) {
 
         if (token == ')' || token == ']' || token == ',' || token == '') {
           // implicit end
-          params.push(new SymbolNode('end'));
+          params.push(located(new SymbolNode('end'), token_index, token_index));
         }
         else {
           // explicit end
@@ -884,11 +1337,11 @@ function factory (type, config, load, typed) {
 
       if (params.length == 3) {
         // params = [start, step, end]
-        node = new RangeNode(params[0], params[2], params[1]); // start, end, step
+        node = located(new RangeNode(params[0], params[2], params[1]), start); // start, end, step
       }
       else { // length == 2
         // params = [start, end]
-        node = new RangeNode(params[0], params[1]); // start, end
+        node = located(new RangeNode(params[0], params[1]), start); // start, end
       }
     }
 
@@ -902,20 +1355,21 @@ function factory (type, config, load, typed) {
    */
   function parseAddSubtract ()  {
     var node, operators, name, fn, params;
+    var start = token_index;
 
     node = parseMultiplyDivide();
 
-    operators = {
+    operators = withCustomOperators({
       '+': 'add',
       '-': 'subtract'
-    };
+    });
     while (token in operators) {
       name = token;
       fn = operators[name];
 
       getTokenSkipNewline();
       params = [node, parseMultiplyDivide()];
-      node = new OperatorNode(name, fn, params);
+      node = located(new OperatorNode(name, fn, params), start);
     }
 
     return node;
@@ -927,19 +1381,20 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseMultiplyDivide () {
-    var node, last, operators, name, fn;
+    var node, last, operators, name, fn, operandStart;
+    var start = token_index;
 
-    node = parseUnary();
+    node = parseQuantity(parseUnary(), start);
     last = node;
 
-    operators = {
+    operators = withCustomOperators({
       '*': 'multiply',
       '.*': 'dotMultiply',
       '/': 'divide',
       './': 'dotDivide',
       '%': 'mod',
       'mod': 'mod'
-    };
+    });
 
     while (true) {
       if (token in operators) {
@@ -949,22 +1404,26 @@ function factory (type, config, load, typed) {
 
         getTokenSkipNewline();
 
-        last = parseUnary();
-        node = new OperatorNode(name, fn, [node, last]);
+        operandStart = token_index;
+        last = parseQuantity(parseUnary(), operandStart);
+        node = located(new OperatorNode(name, fn, [node, last]), start);
       }
       else if ((token_type == TOKENTYPE.SYMBOL) ||
-          (token == 'in' && (node && node.isConstantNode)) ||
+          (token == 'in' && (node && node.isConstantNode && node.valueType !== 'unit')) ||
           (token_type == TOKENTYPE.NUMBER &&
               !last.isConstantNode &&
               (!last.isOperatorNode || last.op === '!')) ||
-          (token == '(')) {
+          (token == '(') ||
+          (token == '√')) {
         // parse implicit multiplication
         //
         // symbol:      implicit multiplication like '2a', '(2+3)a', 'a b'
         // number:      implicit multiplication like '(2+3)2'
         // parenthesis: implicit multiplication like '2(3+4)', '(3+4)(1+2)'
-        last = parseUnary();
-        node = new OperatorNode('*', 'multiply', [node, last], true /*implicit*/);
+        // square root: implicit multiplication like '2√3', 'a √(b + 1)'
+        operandStart = token_index;
+        last = parseQuantity(parseUnary(), operandStart);
+        node = located(new OperatorNode('*', 'multiply', [node, last], true /*implicit*/), start);
       }
       else {
         break;
@@ -974,6 +1433,82 @@ function factory (type, config, load, typed) {
     return node;
   }
 
+  /**
+   * Parse a compound quantity like '5 ft 3 in' or '1 h 20 min', the sum of
+   * its parts, following a numeric value like '5'. The units of the parts
+   * must have the same base. A compound quantity is a single constant, so it
+   * binds stronger than any operator: '2 * 5 ft 3 in' is '2 * (5 ft 3 in)'.
+   * When the value is not followed by at least two parts, the tokens are
+   * left untouched, to be parsed as implicit multiplication like '5 ft' or
+   * '2 m 3'.
+   * @param {Node} value      The value of the first part, like '5'
+   * @param {number} start    Start of the value in the expression
+   * @return {Node} node      The compound quantity, or the value itself
+   * @private
+   */
+  function parseQuantity (value, start) {
+    if (!isNumericConstant(value) || !isUnitToken()) {
+      return value;
+    }
+
+    var state = getState();
+    var name = token;
+    var text = value.toString() + ' ' + name;
+    var parts = 1;
+    getToken();
+
+    while (token_type == TOKENTYPE.NUMBER) {
+      var partState = getState();
+      var number = token;
+      getToken();
+
+      if (!isUnitToken()) {
+        // no part of the quantity but an implicit multiplication like '2 m 3'
+        setState(partState);
+        break;
+      }
+      if (!new Unit(null, name).equalBase(new Unit(null, token))) {
+        throw createError('Units of compound quantity do not match, ' +
+            'cannot combine "' + name + '" and "' + token + '"');
+      }
+
+      text += ' ' + number + ' ' + token;
+      parts++;
+      getToken();
+    }
+
+    if (parts < 2) {
+      setState(state);
+      return value;
+    }
+
+    return located(new ConstantNode(text, 'unit'), start);
+  }
+
+  /**
+   * Test whether the current token is the name of a unit, like 'ft' or 'in'
+   * @return {boolean}
+   * @private
+   */
+  function isUnitToken () {
+    return (token_type == TOKENTYPE.SYMBOL || token == 'in') &&
+        Unit.isValuelessUnit(token);
+  }
+
+  /**
+   * Test whether a node is a numeric constant like '5' or '-5'
+   * @param {Node} node
+   * @return {boolean}
+   * @private
+   */
+  function isNumericConstant (node) {
+    if (node.isOperatorNode && node.fn === 'unaryMinus') {
+      node = node.args[0];
+    }
+
+    return node.isConstantNode && node.valueType === 'number';
+  }
+
   /**
    * Unary plus and minus, and logical and bitwise not
    * @return {Node} node
@@ -981,6 +1516,7 @@ function factory (type, config, load, typed) {
    */
   function parseUnary () {
     var name, params;
+    var start = token_index;
     var fn = {
       '-': 'unaryMinus',
       '+': 'unaryPlus',
@@ -994,7 +1530,7 @@ function factory (type, config, load, typed) {
       getTokenSkipNewline();
       params = [parseUnary()];
 
-      return new OperatorNode(name, fn, params);
+      return located(new OperatorNode(name, fn, params), start);
     }
 
     return parsePow();
@@ -1008,6 +1544,7 @@ function factory (type, config, load, typed) {
    */
   function parsePow () {
     var node, name, fn, params;
+    var start = token_index;
 
     node = parseLeftHandOperators();
 
@@ -1017,19 +1554,21 @@ function factory (type, config, load, typed) {
 
       getTokenSkipNewline();
       params = [node, parseUnary()]; // Go back to unary, we can have '2^-3'
-      node = new OperatorNode(name, fn, params);
+      node = located(new OperatorNode(name, fn, params), start);
     }
 
     return node;
   }
 
   /**
-   * Left hand operators: factorial x!, transpose x'
+   * Left hand operators: factorial x!, transpose x', and exponents in
+   * superscript like x²
    * @return {Node} node
    * @private
    */
   function parseLeftHandOperators ()  {
     var node, operators, name, fn, params;
+    var start = token_index;
 
     node = parseCustomNodes();
 
@@ -1038,20 +1577,65 @@ function factory (type, config, load, typed) {
       '\'': 'transpose'
     };
 
-    while (token in operators) {
+    while (token in operators || isSuperscriptToken()) {
+      if (isSuperscriptToken()) {
+        // x² is parsed like x^2
+        node = located(new OperatorNode('^', 'pow', [node, parseSuperscript()]), start);
+        continue;
+      }
+
       name = token;
       fn = operators[name];
 
       getToken();
       params = [node];
 
-      node = new OperatorNode(name, fn, params);
+      node = located(new OperatorNode(name, fn, params), start);
       node = parseAccessors(node);
     }
 
     return node;
   }
 
+  /**
+   * Test whether the current token is an exponent in superscript
+   * @return {boolean}
+   * @private
+   */
+  function isSuperscriptToken () {
+    return token_type == TOKENTYPE.DELIMITER && parse.isSuperscript(token.charAt(0));
+  }
+
+  /**
+   * Parse an exponent in superscript, like ² or ⁻¹, into the same nodes as
+   * its ascii form 2 or -1
+   * @return {Node} node
+   * @private
+   */
+  function parseSuperscript () {
+    var start = token_index;
+    var str = token.split('').map(function (c) {
+      return SUPERSCRIPTS[c];
+    }).join('');
+    var sign = /^[+-]/.test(str) ? str.charAt(0) : null;
+    var digits = sign ? str.substring(1) : str;
+
+    if (!/^[0-9]+$/.test(digits)) {
+      throw createSyntaxError('Superscript digit expected in exponent "' + token + '"', ['digit']);
+    }
+
+    getToken();
+
+    var numberStart = sign ? start + 1 : start;
+    var node = located(new ConstantNode(digits, 'number'), numberStart, numberStart + digits.length);
+    if (sign) {
+      var fn = (sign == '-') ? 'unaryMinus' : 'unaryPlus';
+      node = located(new OperatorNode(sign, fn, [node]), start, start + str.length);
+    }
+
+    return node;
+  }
+
   /**
    * Parse a custom node handler. A node handler can be used to process
    * nodes in a custom way, for example for handling a plot.
@@ -1082,6 +1666,7 @@ function factory (type, config, load, typed) {
    */
   function parseCustomNodes () {
     var params = [], handler;
+    var start = token_index;
 
     if (token_type == TOKENTYPE.SYMBOL && extra_nodes[token]) {
       handler = extra_nodes[token];
@@ -1106,7 +1691,7 @@ function factory (type, config, load, typed) {
         }
 
         if (token != ')') {
-          throw createSyntaxError('Parenthesis ) expected');
+          throw createSyntaxError('Parenthesis ) expected', [',', ')']);
         }
         closeParams();
         getToken();
@@ -1114,7 +1699,7 @@ function factory (type, config, load, typed) {
 
       // create a new node handler
       //noinspection JSValidateTypes
-      return new handler(params);
+      return located(new handler(params), start);
     }
 
     return parseSymbol();
@@ -1127,6 +1712,19 @@ function factory (type, config, load, typed) {
    */
   function parseSymbol () {
     var node, name;
+    var start = token_index;
+
+    if (token == '√') {
+      // √(x) and √x are parsed like sqrt(x)
+      getTokenSkipNewline();
+
+      node = located(new SymbolNode('sqrt'), start, start + 1);
+      if (token == '(') {
+        return parseAccessors(node);
+      }
+
+      return located(new FunctionNode(node, [parseUnary()]), start);
+    }
 
     if (token_type == TOKENTYPE.SYMBOL ||
         (token_type == TOKENTYPE.DELIMITER && token in NAMED_DELIMITERS)) {
@@ -1135,7 +1733,7 @@ function factory (type, config, load, typed) {
       getToken();
 
       // parse function parameters and matrix index
-      node = new SymbolNode(name);
+      node = located(new SymbolNode(name), start);
       node = parseAccessors(node);
       return node;
     }
@@ -1157,7 +1755,8 @@ function factory (type, config, load, typed) {
    * @private
    */
   function parseAccessors (node, types) {
-    var params;
+    var params, indexStart, indexNode;
+    var start = node.location ? node.location.start : token_index;
 
     while ((token == '(' || token == '[' || token == '.') &&
         (!types || types.indexOf(token) !== -1)) {
@@ -1180,12 +1779,12 @@ function factory (type, config, load, typed) {
           }
 
           if (token != ')') {
-            throw createSyntaxError('Parenthesis ) expected');
+            throw createSyntaxError('Parenthesis ) expected', [',', ')']);
           }
           closeParams();
           getToken();
 
-          node = new FunctionNode(node, params);
+          node = located(new FunctionNode(node, params), start);
         }
         else {
           // implicit multiplication like (2+3)(4+5)
@@ -1196,6 +1795,7 @@ function factory (type, config, load, typed) {
       }
       else if (token == '[') {
         // index notation like variable[2, 3]
+        indexStart = token_index;
         openParams();
         getToken();
 
@@ -1210,25 +1810,28 @@ function factory (type, config, load, typed) {
         }
 
         if (token != ']') {
-          throw createSyntaxError('Parenthesis ] expected');
+          throw createSyntaxError('Parenthesis ] expected', [',', ']']);
         }
         closeParams();
         getToken();
 
-        node = new AccessorNode(node, new IndexNode(params));
+        indexNode = located(new IndexNode(params), indexStart);
+        node = located(new AccessorNode(node, indexNode), start);
       }
       else {
         // dot notation like variable.prop
+        indexStart = token_index;
         getToken();
 
         if (token_type != TOKENTYPE.SYMBOL) {
-          throw createSyntaxError('Property name expected after dot');
+          throw createSyntaxError('Property name expected after dot', ['symbol']);
         }
-        params.push(new ConstantNode(token));
+        params.push(located(new ConstantNode(token), token_index, token_index + token.length));
         getToken();
 
         var dotNotation = true;
-        node = new AccessorNode(node, new IndexNode(params, dotNotation));
+        indexNode = located(new IndexNode(params, dotNotation), indexStart);
+        node = located(new AccessorNode(node, indexNode), start);
       }
     }
 
@@ -1243,12 +1846,13 @@ function factory (type, config, load, typed) {
    */
   function parseString () {
     var node, str;
+    var start = token_index;
 
     if (token == '"') {
       str = parseStringToken();
 
       // create constant
-      node = new ConstantNode(str, 'string');
+      node = located(new ConstantNode(str, 'string'), start);
 
       // parse index parameters
       node = parseAccessors(node);
@@ -1279,7 +1883,7 @@ function factory (type, config, load, typed) {
 
     getToken();
     if (token != '"') {
-      throw createSyntaxError('End of string " expected');
+      throw createSyntaxError('End of string " expected', ['"']);
     }
     getToken();
 
@@ -1293,6 +1897,7 @@ function factory (type, config, load, typed) {
    */
   function parseMatrix () {
     var array, params, rows, cols;
+    var start = token_index;
 
     if (token == '[') {
       // matrix [...]
@@ -1317,7 +1922,7 @@ function factory (type, config, load, typed) {
           }
 
           if (token != ']') {
-            throw createSyntaxError('End of matrix ] expected');
+            throw createSyntaxError('End of matrix ] expected', [',', ';', ']']);
           }
           closeParams();
           getToken();
@@ -1331,24 +1936,24 @@ function factory (type, config, load, typed) {
             }
           }
 
-          array = new ArrayNode(params);
+          array = located(new ArrayNode(params), start);
         }
         else {
           // 1 dimensional vector
           if (token != ']') {
-            throw createSyntaxError('End of matrix ] expected');
+            throw createSyntaxError('End of matrix ] expected', [',', ';', ']']);
           }
           closeParams();
           getToken();
 
-          array = row;
+          array = located(row, start);
         }
       }
       else {
         // this is an empty matrix "[ ]"
         closeParams();
         getToken();
-        array = new ArrayNode([]);
+        array = located(new ArrayNode([]), start);
       }
 
       return parseAccessors(array);
@@ -1362,6 +1967,7 @@ function factory (type, config, load, typed) {
    * @return {ArrayNode} node
    */
   function parseRow () {
+    var start = token_index;
     var params = [parseAssignment()];
     var len = 1;
 
@@ -1373,7 +1979,7 @@ function factory (type, config, load, typed) {
       len++;
     }
 
-    return new ArrayNode(params);
+    return located(new ArrayNode(params), start);
   }
 
   /**
@@ -1384,6 +1990,7 @@ function factory (type, config, load, typed) {
   function parseObject () {
     if (token == '{') {
       var key;
+      var start = token_index;
 
       var properties = {};
       do {
@@ -1399,12 +2006,12 @@ function factory (type, config, load, typed) {
             getToken();
           }
           else {
-            throw createSyntaxError('Symbol or string expected as object key');
+            throw createSyntaxError('Symbol or string expected as object key', ['symbol', 'string']);
           }
 
           // parse key/value separator
           if (token != ':') {
-            throw createSyntaxError('Colon : expected after object key');
+            throw createSyntaxError('Colon : expected after object key', [':']);
           }
           getToken();
 
@@ -1415,11 +2022,11 @@ function factory (type, config, load, typed) {
       while (token == ',');
 
       if (token != '}') {
-        throw createSyntaxError('Comma , or bracket } expected after object value');
+        throw createSyntaxError('Comma , or bracket } expected after object value', [',', '}']);
       }
       getToken();
 
-      var node = new ObjectNode(properties);
+      var node = located(new ObjectNode(properties), start);
 
       // parse index parameters
       node = parseAccessors(node);
@@ -1440,10 +2047,11 @@ function factory (type, config, load, typed) {
 
     if (token_type == TOKENTYPE.NUMBER) {
       // this is a number
+      var start = token_index;
       number = token;
       getToken();
 
-      return new ConstantNode(number, 'number');
+      return located(new ConstantNode(number, 'number'), start);
     }
 
     return parseParentheses();
@@ -1460,18 +2068,19 @@ function factory (type, config, load, typed) {
     // check if it is a parenthesized expression
     if (token == '(') {
       // parentheses (...)
+      var start = token_index;
       openParams();
       getToken();
 
       node = parseAssignment(); // start again
 
       if (token != ')') {
-        throw createSyntaxError('Parenthesis ) expected');
+        throw createSyntaxError('Parenthesis ) expected', [')']);
       }
       closeParams();
       getToken();
 
-      node = new ParenthesisNode(node);
+      node = located(new ParenthesisNode(node), start);
       node = parseAccessors(node);
       return node;
     }
@@ -1487,9 +2096,9 @@ function factory (type, config, load, typed) {
   function parseEnd () {
     if (token == '') {
       // syntax error or unexpected end of expression
-      throw createSyntaxError('Unexpected end of expression');
+      throw createSyntaxError('Unexpected end of expression', ['value']);
     } else {
-      throw createSyntaxError('Value expected');
+      throw createSyntaxError('Value expected', ['value']);
     }
   }
 
@@ -1513,16 +2122,60 @@ function factory (type, config, load, typed) {
     return index - token.length + 1;
   }
 
+  /**
+   * Create a source location for the part of the expression between
+   * start and end.
+   * @param {number} start   Zero based index where the part starts
+   * @param {number} end     Zero based index where the part ends (exclusive)
+   * @return {{start: number, end: number, line: number, column: number}}
+   * @private
+   */
+  function createLocation (start, end) {
+    var before = expression.substring(0, start);
+
+    return {
+      start: start,
+      end: end,
+      line: before.split('\n').length,
+      column: start - before.lastIndexOf('\n')
+    };
+  }
+
+  /**
+   * Attach the source location of a node when the option `locations` is
+   * enabled. The location ends by default where the previous token ends,
+   * which is the last token of the node when it is just parsed.
+   * @param {Node} node
+   * @param {number} start   Zero based index where the node starts
+   * @param {number} [end]   Zero based index where the node ends (exclusive)
+   * @return {Node} Returns the node itself
+   * @private
+   */
+  function located (node, start, end) {
+    if (locations) {
+      node.location = createLocation(start, (end !== undefined) ? end : prev_token_end);
+    }
+
+    return node;
+  }
+
   /**
    * Create an error
    * @param {string} message
+   * @param {string[]} [expected]   The tokens which were expected instead
+   *                                of the current token, like [',', ')'].
+   *                                Classes of tokens are described as
+   *                                'digit', 'symbol', 'string', 'value'
+   *                                or 'newline'
    * @return {SyntaxError} instantiated error
    * @private
    */
-  function createSyntaxError (message) {
+  function createSyntaxError (message, expected) {
     var c = col();
     var error = new SyntaxError(message + ' (char ' + c + ')');
     error['char'] = c;
+    error.location = createLocation(c - 1, c - 1 + token.length);
+    error.expected = expected || [];
 
     return error;
   }
@@ -1537,10 +2190,29 @@ function factory (type, config, load, typed) {
     var c = col();
     var error = new SyntaxError(message + ' (char ' + c + ')');
     error['char'] = c;
+    error.location = createLocation(c - 1, c - 1 + token.length);
+    error.expected = [];
 
     return error;
   }
 
+  /**
+   * Create an error for an unexpected token after a complete expression
+   * @return {SyntaxError} instantiated error
+   * @private
+   */
+  function createUnexpectedError () {
+    if (token_type == TOKENTYPE.DELIMITER) {
+      // user entered a not existing operator like "//"
+
+      // TODO: give hints for aliases, for example with "<>" give as hint " did you mean != ?"
+      return createError('Unexpected operator ' + token);
+    }
+    else {
+      return createSyntaxError('Unexpected part "' + token + '"');
+    }
+  }
+
   return parse;
 }
 
@@ -1,5 +1,8 @@
 'use strict';
 
+var createScope = require('../../utils/scope').createScope;
+var createChildScope = require('../../utils/scope').createChildScope;
+
 /**
  * Attach a transform function to math.filter
  * Adds a property transform containing the transform function.
@@ -11,37 +14,40 @@ function factory (type, config, load, typed) {
   var filter = load(require('../../function/matrix/filter'));
   var SymbolNode = load(require('../node/SymbolNode'));
 
-  function filterTransform(args, math, scope) {
+  function filterTransform(args, math, scope, options) {
     var x, test;
 
     if (args[0]) {
-      x = args[0].compile().eval(scope);
+      x = args[0].compile(options).eval(scope);
     }
 
     if (args[1]) {
-      if (args[1] && args[1].isSymbolNode) {
-        // a function pointer, like filter([3, -2, 5], myTestFunction);
-        test = args[1].compile().eval(scope);
+      if (args[1] && (args[1].isSymbolNode || args[1].isLambdaNode)) {
+        // a function pointer, like filter([3, -2, 5], myTestFunction),
+        // or an anonymous function, like filter([3, -2, 5], x -> x > 0)
+        test = args[1].compile(options).eval(scope);
       }
       else {
         // an equation like filter([3, -2, 5], x > 0)
 
         // find an undefined symbol
-        var _scope = scope || {};
+        var _scope = createScope(scope);
         var symbol = args[1]
             .filter(function (node) {
               return (node && node.isSymbolNode) &&
                   !(node.name in math) &&
-                  !(node.name in _scope);
+                  !_scope.has(node.name);
             })[0];
 
-        // create a test function for this equation
-        var sub = Object.create(_scope);
-        var eq = args[1].compile();
+        // create a test function for this equation, evaluated in a child
+        // scope so the variable does not end up in the scope itself
+        var eq = args[1].compile(options);
         if (symbol) {
           var name = symbol.name;
+          var variables = {};
+          var sub = createChildScope(_scope, variables);
           test = function (x) {
-            sub[name] = x;
+            variables[name] = x;
             return eq.eval(sub);
           }
         }
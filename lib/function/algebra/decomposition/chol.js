@@ -0,0 +1,158 @@
+'use strict';
+
+var util = require('../../../utils/index');
+
+var number = util.number,
+    string = util.string,
+
+    isInteger = number.isInteger;
+
+function factory (type, config, load, typed) {
+
+  var matrix = load(require('../../../type/matrix/function/matrix'));
+  var conj = load(require('../../complex/conj'));
+  var equal = load(require('../../relational/equal'));
+
+  var cs_schol = load(require('../../algebra/sparse/cs_schol'));
+  var cs_chol = load(require('../../algebra/sparse/cs_chol'));
+
+  var SparseMatrix = type.SparseMatrix;
+
+  /**
+   * Calculate the Cholesky decomposition of a symmetric (Hermitian) positive definite matrix.
+   * Matrix `A` is decomposed in a lower triangular matrix `L` and a permutation vector `p` where
+   *
+   * `P * A * P' = L * L'`
+   *
+   * Only the upper triangular part of `A` is used to compute the decomposition.
+   *
+   * Syntax:
+   *
+   *    math.chol(A);
+   *    math.chol(A, order);
+   *
+   * Examples:
+   *
+   *    var m = [[4, 2, -2], [2, 10, 2], [-2, 2, 5]];
+   *    var r = math.chol(m);
+   *    // r = {
+   *    //   L: [[2, 0, 0], [1, 3, 0], [-1, 1, 1.7320508075688772]],
+   *    //   p: null
+   *    // }
+   *
+   *    var s = math.chol(math.sparse(m), 1);  // fill-reducing ordering, s.p is the permutation vector
+   *
+   * See also:
+   *
+   *    cholsolve, lup, slu, lusolve
+   *
+   * @param {Matrix | Array} A      A two dimensional, symmetric positive definite matrix
+   * @param {number} [order]        The Symbolic Ordering and Analysis order:
+   *                                 0 - Natural ordering, no permutation vector p is returned (default)
+   *                                 1 - Approximate minimum degree ordering on A + A', reduces the fill-in of L
+   *
+   * @return {Object}               The lower triangular matrix and the permutation vector.
+   */
+  var chol = typed('chol', {
+
+    'Array': function (a) {
+      // create dense matrix from array
+      var r = _chol(matrix(a), 0);
+      // result
+      return {
+        L: r.L.valueOf(),
+        p: r.p
+      };
+    },
+
+    'Array, number': function (a, order) {
+      // create dense matrix from array
+      var r = _chol(matrix(a), order);
+      // result
+      return {
+        L: r.L.valueOf(),
+        p: r.p
+      };
+    },
+
+    'Matrix': function (m) {
+      return _chol(m, 0);
+    },
+
+    'Matrix, number': _chol
+  });
+
+  /**
+   * Compute the Cholesky decomposition of matrix m, the matrix type of L
+   * equals the storage format of m.
+   * @param {Matrix} m
+   * @param {number} order
+   * @return {Object}
+   * @private
+   */
+  function _chol (m, order) {
+    // verify order
+    if (!isInteger(order) || order < 0 || order > 1)
+      throw new Error('Symbolic Ordering and Analysis order must be an integer number in the interval [0, 1]');
+    // matrix size
+    var size = m.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    if (size[0] !== size[1])
+      throw new RangeError('Matrix must be square (size: ' + string.format(size) + ')');
+    // sparse matrix (storage used by the CSparse algorithms)
+    var a = m.isSparseMatrix === true ? m : new SparseMatrix(m);
+    // validate matrix is symmetric
+    if (!_isHermitian(a))
+      throw new Error('Matrix must be symmetric positive definite');
+    // perform symbolic ordering and analysis
+    var s = cs_schol(order, a);
+    // perform cholesky decomposition
+    var f = s ? cs_chol(a, s) : null;
+    // validate matrix is positive definite
+    if (!f)
+      throw new Error('Matrix must be symmetric positive definite');
+    // return decomposition
+    return {
+      L: m.isSparseMatrix === true ? f.L : matrix(f.L, m.storage()),
+      p: s.pinv || null,
+      toString: function () {
+        return 'L: ' + this.L.toString() + (this.p ? '\np: ' + this.p.toString() : '') + '\n';
+      }
+    };
+  }
+
+  /**
+   * Test whether sparse matrix a equals its conjugate transpose
+   * @param {SparseMatrix} a
+   * @return {boolean}
+   * @private
+   */
+  function _isHermitian (a) {
+    // a arrays
+    var values = a._values;
+    var index = a._index;
+    var ptr = a._ptr;
+    // columns
+    var n = a._size[1];
+    // pattern matrices have no values
+    if (!values)
+      throw new Error('Cannot calculate the Cholesky decomposition of a pattern only matrix');
+    // loop columns
+    for (var j = 0; j < n; j++) {
+      // values in column j
+      for (var k = ptr[j]; k < ptr[j + 1]; k++) {
+        // A(i, j) must match conj(A(j, i))
+        if (!equal(values[k], conj(a.get([j, index[k]]))))
+          return false;
+      }
+    }
+    return true;
+  }
+
+  return chol;
+}
+
+exports.name = 'chol';
+exports.factory = factory;
@@ -0,0 +1,327 @@
+'use strict';
+
+var util = require('../../../utils/index');
+
+var number = util.number,
+    object = util.object,
+    string = util.string,
+
+    isInteger = number.isInteger;
+
+function factory (type, config, load, typed) {
+
+  var matrix = load(require('../../../type/matrix/function/matrix'));
+  var abs = load(require('../../arithmetic/abs'));
+  var addScalar = load(require('../../arithmetic/addScalar'));
+  var divideScalar = load(require('../../arithmetic/divideScalar'));
+  var multiplyScalar = load(require('../../arithmetic/multiplyScalar'));
+  var sqrt = load(require('../../arithmetic/sqrt'));
+  var subtract = load(require('../../arithmetic/subtract'));
+  var unaryMinus = load(require('../../arithmetic/unaryMinus'));
+  var conj = load(require('../../complex/conj'));
+  var equalScalar = load(require('../../relational/equalScalar'));
+
+  var cs_sqr = load(require('../../algebra/sparse/cs_sqr'));
+  var cs_qr = load(require('../../algebra/sparse/cs_qr'));
+  var cs_happly = load(require('../../algebra/sparse/cs_happly'));
+  var cs_permute = load(require('../../algebra/sparse/cs_permute'));
+
+  var SparseMatrix = type.SparseMatrix;
+  var DenseMatrix = type.DenseMatrix;
+
+  /**
+   * Calculate the Matrix QR decomposition using Householder reflections. Matrix `A` is
+   * decomposed in an orthogonal (unitary) matrix `Q` and an upper triangular matrix `R` where
+   *
+   * `A = Q * R`
+   *
+   * The diagonal of `R` is real and non negative. Sparse matrices can be decomposed using
+   * a fill-reducing column ordering `q`, in which case
+   *
+   * `A(:,q) = Q * R`
+   *
+   * Syntax:
+   *
+   *    math.qr(A);
+   *    math.qr(A, order);
+   *
+   * Example:
+   *
+   *    var m = [[3, 0], [4, 5]];
+   *    var r = math.qr(m);
+   *    // r = {
+   *    //   Q: [[0.6, -0.8], [0.8, 0.6]],
+   *    //   R: [[5, 4], [0, 3]]
+   *    // }
+   *
+   * See also:
+   *
+   *    lup, slu, chol
+   *
+   * @param {Matrix | Array} A      A two dimensional matrix or array for which to get the QR decomposition.
+   * @param {number} [order]        The Symbolic Ordering and Analysis order, see slu for details. Matrix must be a SparseMatrix.
+   *
+   * @return {Object}               The orthogonal matrix Q, the upper triangular matrix R and, for sparse matrices, the column permutation vector q.
+   */
+  var qr = typed('qr', {
+
+    'DenseMatrix': function (m) {
+      return _denseQR(m);
+    },
+
+    'SparseMatrix': function (m) {
+      return _sparseQR(m, 0);
+    },
+
+    'SparseMatrix, number': function (m, order) {
+      // verify order
+      if (!isInteger(order) || order < 0 || order > 3)
+        throw new Error('Symbolic Ordering and Analysis order must be an integer number in the interval [0, 3]');
+      return _sparseQR(m, order);
+    },
+
+    'Array': function (a) {
+      // create dense matrix from array
+      var m = matrix(a);
+      // qr, use matrix implementation
+      var r = _denseQR(m);
+      // result
+      return {
+        Q: r.Q.valueOf(),
+        R: r.R.valueOf()
+      };
+    }
+  });
+
+  var _validate = function (m) {
+    // matrix size
+    var size = m.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+  };
+
+  var _denseQR = function (m) {
+    // validate matrix
+    _validate(m);
+    // rows & columns
+    var rows = m._size[0];
+    var columns = m._size[1];
+    // r matrix array, clone original data
+    var rdata = object.clone(m._data);
+    // q matrix array, identity
+    var qdata = [];
+    // vars
+    var i, j, k, s, f;
+    for (i = 0; i < rows; i++) {
+      qdata[i] = [];
+      for (j = 0; j < rows; j++)
+        qdata[i][j] = i === j ? 1 : 0;
+    }
+    // number of Householder reflections
+    var n = Math.min(rows - 1, columns);
+    // loop columns
+    for (k = 0; k < n; k++) {
+      // Householder vector v = x + sign(x[0]) * norm(x) * e1, x = R(k:rows-1, k)
+      var v = [];
+      var norm = 0;
+      for (i = k; i < rows; i++) {
+        v[i] = rdata[i][k];
+        var a = abs(v[i]);
+        norm = addScalar(norm, multiplyScalar(a, a));
+      }
+      norm = sqrt(norm);
+      // skip column when it is already reduced
+      if (equalScalar(norm, 0))
+        continue;
+      // sign(x[0]) * norm(x)
+      var alpha = equalScalar(v[k], 0) ? norm : multiplyScalar(divideScalar(v[k], abs(v[k])), norm);
+      v[k] = addScalar(v[k], alpha);
+      // beta = 2 / (v' * v) = 1 / (conj(alpha) * v[0])
+      var beta = divideScalar(1, multiplyScalar(conj(alpha), v[k]));
+      // R = H * R, H = I - beta * v * v'
+      for (j = k; j < columns; j++) {
+        // s = v' * R(:, j)
+        s = 0;
+        for (i = k; i < rows; i++)
+          s = addScalar(s, multiplyScalar(conj(v[i]), rdata[i][j]));
+        f = multiplyScalar(beta, s);
+        for (i = k; i < rows; i++)
+          rdata[i][j] = subtract(rdata[i][j], multiplyScalar(v[i], f));
+      }
+      // Q = Q * H
+      for (i = 0; i < rows; i++) {
+        // s = Q(i, :) * v
+        s = 0;
+        for (j = k; j < rows; j++)
+          s = addScalar(s, multiplyScalar(qdata[i][j], v[j]));
+        f = multiplyScalar(beta, s);
+        for (j = k; j < rows; j++)
+          qdata[i][j] = subtract(qdata[i][j], multiplyScalar(f, conj(v[j])));
+      }
+      // R(k, k) = -sign(x[0]) * norm(x), R(k+1:rows-1, k) = 0
+      rdata[k][k] = unaryMinus(alpha);
+      for (i = k + 1; i < rows; i++)
+        rdata[i][k] = 0;
+    }
+    // make the diagonal of R real and non negative
+    for (k = 0; k < Math.min(rows, columns); k++) {
+      var rkk = rdata[k][k];
+      if (equalScalar(rkk, 0))
+        continue;
+      // phase of R(k, k)
+      var phase = divideScalar(rkk, abs(rkk));
+      // R(k, :) = conj(phase) * R(k, :)
+      for (j = k; j < columns; j++)
+        rdata[k][j] = multiplyScalar(conj(phase), rdata[k][j]);
+      rdata[k][k] = abs(rkk);
+      // Q(:, k) = Q(:, k) * phase
+      for (i = 0; i < rows; i++)
+        qdata[i][k] = multiplyScalar(qdata[i][k], phase);
+    }
+    // return matrices
+    return {
+      Q: new DenseMatrix({
+        data: qdata,
+        size: [rows, rows]
+      }),
+      R: new DenseMatrix({
+        data: rdata,
+        size: [rows, columns]
+      }),
+      toString: function () {
+        return 'Q: ' + this.Q.toString() + '\nR: ' + this.R.toString();
+      }
+    };
+  };
+
+  var _sparseQR = function (m, order) {
+    // validate matrix
+    _validate(m);
+    // rows & columns
+    var rows = m._size[0];
+    var columns = m._size[1];
+    // perform symbolic ordering and analysis
+    var s = cs_sqr(order, m, true);
+    // number of rows in V and R, including fictitious rows
+    var m2 = s.m2;
+    // structurally rank deficient matrices (fictitious rows added), use dense decomposition on A(:,q)
+    if (m2 > rows)
+      return _sparseFromDenseQR(m, s.q);
+    // perform qr decomposition
+    var f = cs_qr(m, s);
+    // sorted columns of R
+    var rcolumns = _columns(f.R);
+    // phase of the diagonal values of R
+    var phase = [];
+    var k, i, j;
+    for (k = 0; k < Math.min(m2, columns); k++) {
+      // R(k, k) is the last entry in the sorted column k
+      var rkk = rcolumns[k][rcolumns[k].length - 1].v;
+      phase[k] = equalScalar(rkk, 0) ? 1 : divideScalar(rkk, abs(rkk));
+    }
+    // R arrays, R(k, :) = conj(phase[k]) * R(k, :)
+    var rvalues = [];
+    var rindex = [];
+    var rptr = [];
+    for (j = 0; j < columns; j++) {
+      rptr[j] = rvalues.length;
+      for (k = 0; k < rcolumns[j].length; k++) {
+        i = rcolumns[j][k].i;
+        var v = rcolumns[j][k].v;
+        if (i === j)
+          v = abs(v);
+        else if (i < phase.length)
+          v = multiplyScalar(conj(phase[i]), v);
+        if (!equalScalar(v, 0)) {
+          rindex.push(i);
+          rvalues.push(v);
+        }
+      }
+    }
+    rptr[columns] = rvalues.length;
+    // Q arrays, Q = P' * H(0) * H(1) * ... * H(n-1)
+    var qvalues = [];
+    var qindex = [];
+    var qptr = [];
+    var x = [];
+    for (j = 0; j < m2; j++) {
+      qptr[j] = qvalues.length;
+      // x = e(j)
+      for (i = 0; i < m2; i++)
+        x[i] = i === j ? 1 : 0;
+      // apply Householder reflections in reverse order
+      for (k = columns - 1; k >= 0; k--)
+        cs_happly(f.V, k, f.beta[k], x);
+      // Q(:, j) = P' * x * phase[j]
+      for (i = 0; i < rows; i++) {
+        var value = x[s.pinv[i]];
+        if (j < phase.length)
+          value = multiplyScalar(value, phase[j]);
+        if (!equalScalar(value, 0)) {
+          qindex.push(i);
+          qvalues.push(value);
+        }
+      }
+    }
+    qptr[m2] = qvalues.length;
+    // return matrices
+    return {
+      Q: new SparseMatrix({
+        values: qvalues,
+        index: qindex,
+        ptr: qptr,
+        size: [rows, m2]
+      }),
+      R: new SparseMatrix({
+        values: rvalues,
+        index: rindex,
+        ptr: rptr,
+        size: [m2, columns]
+      }),
+      q: s.q,
+      toString: function () {
+        return 'Q: ' + this.Q.toString() + '\nR: ' + this.R.toString() + (this.q ? '\nq: ' + this.q.toString() : '') + '\n';
+      }
+    };
+  };
+
+  var _sparseFromDenseQR = function (m, q) {
+    // dense decomposition of A(:,q)
+    var r = _denseQR(new DenseMatrix(q ? cs_permute(m, null, q, true) : m));
+    // return matrices
+    return {
+      Q: new SparseMatrix(r.Q),
+      R: new SparseMatrix(r.R),
+      q: q,
+      toString: function () {
+        return 'Q: ' + this.Q.toString() + '\nR: ' + this.R.toString() + (this.q ? '\nq: ' + this.q.toString() : '') + '\n';
+      }
+    };
+  };
+
+  /**
+   * Get the entries of each column of a sparse matrix, sorted by row
+   * @param {SparseMatrix} m
+   * @return {Array}
+   * @private
+   */
+  var _columns = function (m) {
+    var columns = [];
+    for (var j = 0; j < m._size[1]; j++) {
+      var column = [];
+      for (var k = m._ptr[j]; k < m._ptr[j + 1]; k++)
+        column.push({i: m._index[k], v: m._values[k]});
+      column.sort(function (a, b) {
+        return a.i - b.i;
+      });
+      columns[j] = column;
+    }
+    return columns;
+  };
+
+  return qr;
+}
+
+exports.name = 'qr';
+exports.factory = factory;
@@ -0,0 +1,393 @@
+'use strict';
+
+var util = require('../../../utils/index');
+
+var string = util.string,
+
+    DBL_EPSILON = util.number.DBL_EPSILON;
+
+function factory (type, config, load, typed) {
+
+  var matrix = load(require('../../../type/matrix/function/matrix'));
+
+  var DenseMatrix = type.DenseMatrix;
+
+  // maximum number of Jacobi sweeps
+  var MAX_SWEEPS = 100;
+
+  /**
+   * Calculate the singular value decomposition of a matrix. Matrix `A` with
+   * size [m x n] is decomposed in a matrix `U` with orthonormal columns, a
+   * vector `S` with the singular values and a matrix `V` with orthonormal
+   * columns, where
+   *
+   * `A = U * diag(S) * V'`
+   *
+   * The decomposition is returned in economy size: with `k = min(m, n)`,
+   * `U` has size [m x k], `S` has `k` values and `V` has size [n x k].
+   * The singular values are non negative and sorted in descending order.
+   *
+   * The decomposition is computed with the one-sided Jacobi algorithm. A
+   * matrix containing BigNumbers is decomposed with BigNumber precision,
+   * and returns BigNumbers.
+   *
+   * Syntax:
+   *
+   *    math.svd(A);
+   *
+   * Example:
+   *
+   *    var r = math.svd([[3, 0], [4, 5]]);
+   *    // r = {
+   *    //   U: [[0.3162..., 0.9486...], [0.9486..., -0.3162...]],
+   *    //   S: [6.7082..., 2.2360...],
+   *    //   V: [[0.7071..., 0.7071...], [0.7071..., -0.7071...]]
+   *    // }
+   *
+   * See also:
+   *
+   *    qr, lup, pinv, rank, cond
+   *
+   * @param {Matrix | Array} A      A two dimensional matrix or array with number or BigNumber values
+   *
+   * @return {Object}               The matrices U and V and the vector with singular values S.
+   */
+  var svd = typed('svd', {
+
+    'Array': function (a) {
+      // svd, use matrix implementation
+      var r = _svd(matrix(a));
+      // result
+      return {
+        U: r.U.valueOf(),
+        S: r.S.valueOf(),
+        V: r.V.valueOf()
+      };
+    },
+
+    'Matrix': function (m) {
+      return _svd(m);
+    }
+  });
+
+  var _svd = function (m) {
+    // matrix size
+    var size = m.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    // rows & columns
+    var rows = size[0];
+    var columns = size[1];
+    // arithmetic for the type of the values, BigNumbers keep their precision
+    var ops = _hasBigNumber(m.valueOf(), rows, columns) ? _bigNumberOps() : NUMBER_OPS;
+    // matrix data converted to numbers or BigNumbers
+    var adata = _convert(m.valueOf(), rows, columns, ops);
+    // decompose the transpose of wide matrices, A' = V * S * U'
+    var r = rows >= columns ? _jacobi(adata, rows, columns, ops) : _jacobi(_transpose(adata, rows, columns), columns, rows, ops);
+    var k = Math.min(rows, columns);
+    // return matrices
+    return {
+      U: new DenseMatrix({
+        data: rows >= columns ? r.U : r.V,
+        size: [rows, k]
+      }),
+      S: new DenseMatrix({
+        data: r.S,
+        size: [k]
+      }),
+      V: new DenseMatrix({
+        data: rows >= columns ? r.V : r.U,
+        size: [columns, k]
+      }),
+      toString: function () {
+        return 'U: ' + this.U.toString() + '\nS: ' + this.S.toString() + '\nV: ' + this.V.toString();
+      }
+    };
+  };
+
+  /**
+   * Arithmetic used to decompose a matrix with numbers
+   * @private
+   */
+  var NUMBER_OPS = {
+    zero: 0,
+    one: 1,
+    epsilon: DBL_EPSILON,
+    add: function (a, b) { return a + b; },
+    subtract: function (a, b) { return a - b; },
+    multiply: function (a, b) { return a * b; },
+    divide: function (a, b) { return a / b; },
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    compare: function (a, b) { return a < b ? -1 : (a > b ? 1 : 0); },
+    convert: function (a) { return a; }
+  };
+
+  /**
+   * Create the arithmetic used to decompose a matrix with BigNumbers, with
+   * the configured precision
+   * @return {Object}
+   * @private
+   */
+  var _bigNumberOps = function () {
+    var BigNumber = type.BigNumber;
+    return {
+      zero: new BigNumber(0),
+      one: new BigNumber(1),
+      epsilon: new BigNumber(10).pow(1 - BigNumber.precision),
+      add: function (a, b) { return a.plus(b); },
+      subtract: function (a, b) { return a.minus(b); },
+      multiply: function (a, b) { return a.times(b); },
+      divide: function (a, b) { return a.div(b); },
+      sqrt: function (a) { return a.sqrt(); },
+      abs: function (a) { return a.abs(); },
+      compare: function (a, b) { return a.cmp(b); },
+      convert: function (a) { return new BigNumber(a); }
+    };
+  };
+
+  /**
+   * Test whether a two dimensional array contains a BigNumber
+   * @param {Array} data
+   * @param {number} rows
+   * @param {number} columns
+   * @return {boolean}
+   * @private
+   */
+  var _hasBigNumber = function (data, rows, columns) {
+    for (var i = 0; i < rows; i++) {
+      for (var j = 0; j < columns; j++) {
+        if (data[i][j] && data[i][j].isBigNumber === true)
+          return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Convert the values of a two dimensional array to numbers or BigNumbers
+   * @param {Array} data
+   * @param {number} rows
+   * @param {number} columns
+   * @param {Object} ops
+   * @return {Array}
+   * @private
+   */
+  var _convert = function (data, rows, columns, ops) {
+    var result = [];
+    for (var i = 0; i < rows; i++) {
+      result[i] = [];
+      for (var j = 0; j < columns; j++) {
+        var value = data[i][j];
+        if (typeof value !== 'number' && !(value && value.isBigNumber === true))
+          throw new TypeError('Matrix must contain numbers or BigNumbers (value: ' + string.format(value) + ')');
+        result[i][j] = ops.convert(value);
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Transpose of a two dimensional array
+   * @param {Array} data
+   * @param {number} rows
+   * @param {number} columns
+   * @return {Array}
+   * @private
+   */
+  var _transpose = function (data, rows, columns) {
+    var result = [];
+    for (var j = 0; j < columns; j++) {
+      result[j] = [];
+      for (var i = 0; i < rows; i++)
+        result[j][i] = data[i][j];
+    }
+    return result;
+  };
+
+  /**
+   * Squared norm of column j of a two dimensional array
+   * @param {Array} u
+   * @param {number} m      Number of rows
+   * @param {number} j
+   * @param {Object} ops
+   * @return {number | BigNumber}
+   * @private
+   */
+  var _columnNorm2 = function (u, m, j, ops) {
+    var norm = ops.zero;
+    for (var i = 0; i < m; i++)
+      norm = ops.add(norm, ops.multiply(u[i][j], u[i][j]));
+    return norm;
+  };
+
+  /**
+   * Singular value decomposition of a [m x n] matrix with m >= n using the
+   * one-sided Jacobi algorithm. The columns of A are rotated until they are
+   * mutually orthogonal, A * V = U * diag(S).
+   * @param {Array} u       Matrix data, is overwritten with U
+   * @param {number} m
+   * @param {number} n
+   * @param {Object} ops    Arithmetic for the type of the values
+   * @return {{U: Array, S: Array, V: Array}}
+   * @private
+   */
+  var _jacobi = function (u, m, n, ops) {
+    var i, j, k, p, q;
+    var zero = ops.zero;
+    var one = ops.one;
+    var add = ops.add;
+    var subtract = ops.subtract;
+    var multiply = ops.multiply;
+    var divide = ops.divide;
+    var compare = ops.compare;
+    // V, identity matrix
+    var v = [];
+    for (i = 0; i < n; i++) {
+      v[i] = [];
+      for (j = 0; j < n; j++)
+        v[i][j] = i === j ? one : zero;
+    }
+    // columns with a squared norm below this value are negligible
+    var negligible = zero;
+    for (j = 0; j < n; j++)
+      negligible = add(negligible, _columnNorm2(u, m, j, ops));
+    negligible = multiply(negligible, multiply(ops.epsilon, ops.epsilon));
+    for (var sweep = 0; ; sweep++) {
+      var rotated = false;
+      // orthogonalize each pair of columns once
+      for (p = 0; p < n - 1; p++) {
+        for (q = p + 1; q < n; q++) {
+          // alpha = |u(:, p)|^2, beta = |u(:, q)|^2, gamma = u(:, p)' * u(:, q)
+          var alpha = zero;
+          var beta = zero;
+          var gamma = zero;
+          for (k = 0; k < m; k++) {
+            alpha = add(alpha, multiply(u[k][p], u[k][p]));
+            beta = add(beta, multiply(u[k][q], u[k][q]));
+            gamma = add(gamma, multiply(u[k][p], u[k][q]));
+          }
+          // skip columns which are orthogonal within machine precision or negligible
+          if (compare(gamma, zero) === 0 ||
+              compare(ops.abs(gamma), multiply(ops.epsilon, ops.sqrt(multiply(alpha, beta)))) <= 0 ||
+              compare(alpha, negligible) <= 0 || compare(beta, negligible) <= 0)
+            continue;
+          rotated = true;
+          // rotation angle, t = tan(phi), c = cos(phi), s = sin(phi)
+          var zeta = divide(subtract(beta, alpha), multiply(ops.convert(2), gamma));
+          var t = divide(compare(zeta, zero) < 0 ? subtract(zero, one) : one,
+              add(ops.abs(zeta), ops.sqrt(add(one, multiply(zeta, zeta)))));
+          var c = divide(one, ops.sqrt(add(one, multiply(t, t))));
+          var s = multiply(c, t);
+          // U = U * J
+          for (k = 0; k < m; k++) {
+            var ukp = u[k][p];
+            var ukq = u[k][q];
+            u[k][p] = subtract(multiply(c, ukp), multiply(s, ukq));
+            u[k][q] = add(multiply(s, ukp), multiply(c, ukq));
+          }
+          // V = V * J
+          for (k = 0; k < n; k++) {
+            var vkp = v[k][p];
+            var vkq = v[k][q];
+            v[k][p] = subtract(multiply(c, vkp), multiply(s, vkq));
+            v[k][q] = add(multiply(s, vkp), multiply(c, vkq));
+          }
+        }
+      }
+      if (!rotated)
+        break;
+      if (sweep >= MAX_SWEEPS)
+        throw new Error('Singular value decomposition did not converge');
+    }
+    // singular values are the norms of the columns of U
+    var sigma = [];
+    for (j = 0; j < n; j++)
+      sigma[j] = ops.sqrt(_columnNorm2(u, m, j, ops));
+    // sort singular values in descending order
+    var order = [];
+    for (j = 0; j < n; j++)
+      order[j] = j;
+    order.sort(function (i, j) {
+      return compare(sigma[j], sigma[i]) || (i - j);
+    });
+    // columns with negligible singular values do not define a direction
+    var tol = n > 0 ? multiply(multiply(sigma[order[0]], ops.epsilon), ops.convert(m)) : zero;
+    // create normalized and sorted U, S and V
+    var U = [];
+    var V = [];
+    var S = [];
+    for (i = 0; i < m; i++)
+      U[i] = [];
+    for (i = 0; i < n; i++)
+      V[i] = [];
+    for (j = 0; j < n; j++) {
+      var o = order[j];
+      S[j] = sigma[o];
+      for (i = 0; i < m; i++)
+        U[i][j] = compare(sigma[o], tol) > 0 ? divide(u[i][o], sigma[o]) : zero;
+      for (i = 0; i < n; i++)
+        V[i][j] = v[i][o];
+    }
+    // complete U with orthonormal columns
+    for (j = 0; j < n; j++) {
+      if (compare(S[j], tol) <= 0)
+        _complete(U, m, j, ops);
+    }
+    return {
+      U: U,
+      S: S,
+      V: V
+    };
+  };
+
+  /**
+   * Replace column j of U with a unit vector orthogonal to the other columns
+   * of U, using Gram-Schmidt on the unit vector e(k) with the largest
+   * component orthogonal to these columns
+   * @param {Array} U
+   * @param {number} m
+   * @param {number} j
+   * @param {Object} ops    Arithmetic for the type of the values
+   * @private
+   */
+  var _complete = function (U, m, j, ops) {
+    var n = U[0].length;
+    var best = null;
+    var bestNorm = ops.zero;
+    for (var k = 0; k < m; k++) {
+      var x = [];
+      var i, l;
+      for (i = 0; i < m; i++)
+        x[i] = i === k ? ops.one : ops.zero;
+      // orthogonalize twice for numerical stability
+      for (var pass = 0; pass < 2; pass++) {
+        for (l = 0; l < n; l++) {
+          if (l === j)
+            continue;
+          var d = ops.zero;
+          for (i = 0; i < m; i++)
+            d = ops.add(d, ops.multiply(U[i][l], x[i]));
+          for (i = 0; i < m; i++)
+            x[i] = ops.subtract(x[i], ops.multiply(d, U[i][l]));
+        }
+      }
+      var norm = ops.zero;
+      for (i = 0; i < m; i++)
+        norm = ops.add(norm, ops.multiply(x[i], x[i]));
+      norm = ops.sqrt(norm);
+      if (ops.compare(norm, bestNorm) > 0) {
+        best = x;
+        bestNorm = norm;
+      }
+    }
+    for (i = 0; i < m; i++)
+      U[i][j] = ops.divide(best[i], bestNorm);
+  };
+
+  return svd;
+}
+
+exports.name = 'svd';
+exports.factory = factory;
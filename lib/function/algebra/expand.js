@@ -0,0 +1,500 @@
+'use strict';
+
+var number = require('../../utils/number');
+
+function factory (type, config, load, typed) {
+  var parse = load(require('../../expression/parse'));
+  var ConstantNode = load(require('../../expression/node/ConstantNode'));
+  var FunctionNode = load(require('../../expression/node/FunctionNode'));
+  var OperatorNode = load(require('../../expression/node/OperatorNode'));
+  var simplifyConstant = load(require('./simplify/simplifyConstant'));
+
+  var util = load(require('./simplify/util'));
+  var flatten = util.flatten;
+  var allChildren = util.allChildren;
+  var unflattenl = util.unflattenl;
+
+  var Fraction = type.Fraction;
+
+  /**
+   * Expand an expression tree: products and integer powers of sums are
+   * multiplied out, after which like terms are collected.
+   *
+   * Subexpressions which cannot be expanded, like function calls or powers
+   * with a non integer exponent, are kept as they are and handled like a
+   * variable, their arguments are expanded. Constant subexpressions are
+   * evaluated.
+   *
+   * Syntax:
+   *
+   *     expand(expr)
+   *
+   * Examples:
+   *
+   *     math.expand('(x+1)^2');            // Node {x ^ 2 + 2 * x + 1}
+   *     math.expand('(x+1)^2 - x^2');      // Node {2 * x + 1}
+   *     math.expand('(a+b)*(a-b)');        // Node {a ^ 2 - b ^ 2}
+   *     math.expand('(x+1)/y');            // Node {x / y + 1 / y}
+   *     math.expand('2*sin(x)*(sin(x)+3)'); // Node {2 * sin(x) ^ 2 + 6 * sin(x)}
+   *
+   * See also:
+   *
+   *     simplify, rationalize, parse
+   *
+   * @param {Node | string} expr    The expression to be expanded
+   * @return {Node}                 Returns the expanded form of `expr`
+   */
+  var expand = typed('expand', {
+    'string': function (expr) {
+      return expand(parse(expr));
+    },
+
+    'Node': function (expr) {
+      var res = simplifyConstant(expr);
+      flatten(res);
+      return _toNode(_toSum(res));
+    }
+  });
+
+  /**
+   * Convert an expression into an expanded sum of terms. Each term contains
+   * a coefficient and a map with factors having a base node and an exponent.
+   * @param {Node} node   A flattened node
+   * @return {Array}
+   * @private
+   */
+  function _toSum (node) {
+    switch (node.type) {
+      case 'ConstantNode':
+        if (node.valueType === 'number') {
+          return _constant(_toCoefficient(Number(node.value)));
+        }
+        return [_atom(node, 1)];
+
+      case 'ParenthesisNode':
+        return _toSum(node.content);
+
+      case 'OperatorNode':
+        switch (node.fn) {
+          case 'unaryPlus':
+            return _toSum(node.args[0]);
+
+          case 'unaryMinus':
+            return _multiply(_constant(new Fraction(-1)), _toSum(node.args[0]));
+
+          case 'add':
+            return _collect(allChildren(node).reduce(function (terms, arg) {
+              return terms.concat(_toSum(arg));
+            }, []));
+
+          case 'subtract':
+            return _collect(_toSum(node.args[0]).concat(
+                _multiply(_constant(new Fraction(-1)), _toSum(node.args[1]))));
+
+          case 'multiply':
+            return allChildren(node).map(_toSum).reduce(_multiply);
+
+          case 'divide':
+            var numerator = _toSum(node.args[0]);
+            var denominator = _toSum(node.args[1]);
+            if (denominator.length > 0 && _equals(numerator, denominator)) {
+              return _constant(new Fraction(1));
+            }
+            return _multiply(numerator, _inverse(denominator));
+
+          case 'pow':
+            return _pow(_toSum(node.args[0]), _toSum(node.args[1]));
+        }
+        return [_atom(_expandArgs(node), 1)];
+
+      case 'FunctionNode':
+        return [_atom(_expandArgs(node), 1)];
+
+      default:
+        // symbols and nodes which cannot be expanded
+        return [_atom(node, 1)];
+    }
+  }
+
+  /**
+   * Create a copy of an operator or function node with expanded arguments
+   * @param {OperatorNode | FunctionNode} node
+   * @return {OperatorNode | FunctionNode}
+   * @private
+   */
+  function _expandArgs (node) {
+    var args = node.args.map(function (arg) {
+      return _toNode(_toSum(arg));
+    });
+    return node.isFunctionNode
+        ? new FunctionNode(node.fn, args)
+        : new OperatorNode(node.op, node.fn, args);
+  }
+
+  /**
+   * Convert a number into a Fraction when it can be represented exactly
+   * @param {number} value
+   * @return {Fraction | number}
+   * @private
+   */
+  function _toCoefficient (value) {
+    return (isFinite(value) && number.digits(value) <= 15) ? new Fraction(value) : value;
+  }
+
+  function _coefMultiply (a, b) {
+    return (a.isFraction === true && b.isFraction === true) ? a.mul(b) : a.valueOf() * b.valueOf();
+  }
+
+  function _coefAdd (a, b) {
+    return (a.isFraction === true && b.isFraction === true) ? a.add(b) : a.valueOf() + b.valueOf();
+  }
+
+  function _coefPow (a, n) {
+    return a.isFraction === true ? a.pow(n) : Math.pow(a, n);
+  }
+
+  /**
+   * Create a sum with a single constant term
+   * @param {Fraction | number} coef
+   * @return {Array}
+   * @private
+   */
+  function _constant (coef) {
+    return coef.valueOf() === 0 ? [] : [{coef: coef, factors: {}}];
+  }
+
+  /**
+   * Create a term with a single factor
+   * @param {Node} base
+   * @param {Fraction | number} exponent
+   * @return {{coef: Fraction, factors: Object}}
+   * @private
+   */
+  function _atom (base, exponent) {
+    var factors = {};
+    factors[base.toString()] = {base: base, exp: exponent};
+    return {coef: new Fraction(1), factors: factors};
+  }
+
+  /**
+   * Get the value of a sum when it is constant, returns null otherwise
+   * @param {Array} sum
+   * @return {Fraction | number | null}
+   * @private
+   */
+  function _constantValue (sum) {
+    if (sum.length === 0) {
+      return new Fraction(0);
+    }
+    if (sum.length === 1 && Object.keys(sum[0].factors).length === 0) {
+      return sum[0].coef;
+    }
+    return null;
+  }
+
+  /**
+   * Combine like terms and remove terms with coefficient zero
+   * @param {Array} terms
+   * @return {Array}
+   * @private
+   */
+  function _collect (terms) {
+    var map = {};
+    var keys = [];
+    terms.forEach(function (term) {
+      var key = Object.keys(term.factors).sort().map(function (name) {
+        return name + '^' + term.factors[name].exp;
+      }).join('*');
+      if (map.hasOwnProperty(key)) {
+        map[key] = {coef: _coefAdd(map[key].coef, term.coef), factors: term.factors};
+      }
+      else {
+        map[key] = term;
+        keys.push(key);
+      }
+    });
+    return keys
+        .map(function (key) {
+          return map[key];
+        })
+        .filter(function (term) {
+          return term.coef.valueOf() !== 0;
+        });
+  }
+
+  /**
+   * Test whether two sums are equal
+   * @param {Array} a
+   * @param {Array} b
+   * @return {boolean}
+   * @private
+   */
+  function _equals (a, b) {
+    return _collect(a.concat(_multiply(_constant(new Fraction(-1)), b))).length === 0;
+  }
+
+  /**
+   * Multiply two terms
+   * @param {{coef: Fraction | number, factors: Object}} a
+   * @param {{coef: Fraction | number, factors: Object}} b
+   * @return {{coef: Fraction | number, factors: Object}}
+   * @private
+   */
+  function _multiplyTerms (a, b) {
+    var factors = {};
+    var key;
+    for (key in a.factors) {
+      if (a.factors.hasOwnProperty(key)) {
+        factors[key] = a.factors[key];
+      }
+    }
+    for (key in b.factors) {
+      if (b.factors.hasOwnProperty(key)) {
+        if (factors.hasOwnProperty(key)) {
+          var exp = _coefAdd(factors[key].exp, b.factors[key].exp);
+          if (exp.valueOf() === 0) {
+            delete factors[key];
+          }
+          else {
+            factors[key] = {base: factors[key].base, exp: exp};
+          }
+        }
+        else {
+          factors[key] = b.factors[key];
+        }
+      }
+    }
+    return {coef: _coefMultiply(a.coef, b.coef), factors: factors};
+  }
+
+  /**
+   * Multiply two sums by multiplying every term of a with every term of b
+   * @param {Array} a
+   * @param {Array} b
+   * @return {Array}
+   * @private
+   */
+  function _multiply (a, b) {
+    var terms = [];
+    a.forEach(function (ta) {
+      b.forEach(function (tb) {
+        terms.push(_multiplyTerms(ta, tb));
+      });
+    });
+    return _collect(terms);
+  }
+
+  /**
+   * Raise a single term to a power
+   * @param {{coef: Fraction | number, factors: Object}} term
+   * @param {number} n
+   * @return {{coef: Fraction | number, factors: Object}}
+   * @private
+   */
+  function _powTerm (term, n) {
+    var factors = {};
+    for (var key in term.factors) {
+      if (term.factors.hasOwnProperty(key)) {
+        factors[key] = {base: term.factors[key].base, exp: _coefMultiply(term.factors[key].exp, _toCoefficient(n))};
+      }
+    }
+    return {coef: _coefPow(term.coef, n), factors: factors};
+  }
+
+  /**
+   * Calculate the inverse of a sum. Single terms are inverted, other sums
+   * are kept as a factor with exponent -1
+   * @param {Array} sum
+   * @return {Array}
+   * @private
+   */
+  function _inverse (sum) {
+    if (sum.length === 0) {
+      throw new Error('Cannot expand expression, division by zero');
+    }
+    if (sum.length === 1) {
+      return [_powTerm(sum[0], -1)];
+    }
+    return [_atom(_toNode(sum), -1)];
+  }
+
+  /**
+   * Raise a sum to a power. Sums are multiplied out for positive integer
+   * exponents, other powers are kept as a factor
+   * @param {Array} base
+   * @param {Array} exponent
+   * @return {Array}
+   * @private
+   */
+  function _pow (base, exponent) {
+    var value = _constantValue(exponent);
+    var n = value !== null ? value.valueOf() : NaN;
+    if (value !== null && base.length === 1 && _isAtom(base[0])) {
+      // a single factor, (x ^ 1) ^ n = x ^ n
+      return [_powTerm(base[0], n)];
+    }
+    if (number.isInteger(n)) {
+      if (base.length === 1) {
+        return [_powTerm(base[0], n)];
+      }
+      if (n >= 0) {
+        var result = _constant(new Fraction(1));
+        for (var i = 0; i < n; i++) {
+          result = _multiply(result, base);
+        }
+        return result;
+      }
+      if (base.length > 0) {
+        return [_atom(_toNode(base), n)];
+      }
+    }
+    return [_atom(new OperatorNode('^', 'pow', [_toNode(base), _toNode(exponent)]), 1)];
+  }
+
+  /**
+   * Test whether a term consists of a single factor with exponent 1
+   * @param {{coef: Fraction | number, factors: Object}} term
+   * @return {boolean}
+   * @private
+   */
+  function _isAtom (term) {
+    var keys = Object.keys(term.factors);
+    return term.coef.valueOf() === 1 && keys.length === 1 && term.factors[keys[0]].exp.valueOf() === 1;
+  }
+
+  /**
+   * Total degree of a term, the sum of the numeric exponents of its factors
+   * @param {{coef: Fraction | number, factors: Object}} term
+   * @return {number}
+   * @private
+   */
+  function _degree (term) {
+    var degree = 0;
+    for (var key in term.factors) {
+      if (term.factors.hasOwnProperty(key)) {
+        degree += term.factors[key].exp.valueOf();
+      }
+    }
+    return degree;
+  }
+
+  /**
+   * Create a node for a factor base ^ exponent
+   * @param {Node} base
+   * @param {Fraction | number} exp   A positive exponent
+   * @return {Node}
+   * @private
+   */
+  function _factorToNode (base, exp) {
+    return exp.valueOf() === 1
+        ? base
+        : new OperatorNode('^', 'pow', [base, _coefToNode(exp)]);
+  }
+
+  /**
+   * Create a node for a positive coefficient
+   * @param {Fraction | number} coef
+   * @return {Node}
+   * @private
+   */
+  function _coefToNode (coef) {
+    if (coef.isFraction === true && coef.d !== 1) {
+      return new OperatorNode('/', 'divide', [new ConstantNode(coef.n), new ConstantNode(coef.d)]);
+    }
+    return new ConstantNode(coef.valueOf());
+  }
+
+  /**
+   * Create a product of a list of nodes
+   * @param {Node[]} factors
+   * @return {Node}
+   * @private
+   */
+  function _product (factors) {
+    if (factors.length === 1) {
+      return factors[0];
+    }
+    var node = new OperatorNode('*', 'multiply', factors);
+    unflattenl(node);
+    return node;
+  }
+
+  /**
+   * Convert an expanded sum into a node. Terms are ordered by descending
+   * degree.
+   * @param {Array} sum
+   * @return {Node}
+   * @private
+   */
+  function _toNode (sum) {
+    if (sum.length === 0) {
+      return new ConstantNode(0);
+    }
+
+    var terms = sum
+        .map(function (term, index) {
+          return {term: term, index: index, degree: _degree(term)};
+        })
+        .sort(function (a, b) {
+          return (b.degree - a.degree) || (a.index - b.index);
+        });
+
+    var nodes = terms.map(function (entry, index) {
+      var term = entry.term;
+      var coef = term.coef;
+      var negative = coef.valueOf() < 0;
+      var numerator = [];
+      var denominator = [];
+
+      if (coef.isFraction === true) {
+        if (coef.n !== 1) {
+          numerator.push(new ConstantNode(coef.n));
+        }
+        if (coef.d !== 1) {
+          denominator.push(new ConstantNode(coef.d));
+        }
+      }
+      else if (Math.abs(coef) !== 1) {
+        numerator.push(new ConstantNode(Math.abs(coef)));
+      }
+
+      Object.keys(term.factors).sort().forEach(function (key) {
+        var factor = term.factors[key];
+        if (factor.exp.valueOf() > 0) {
+          numerator.push(_factorToNode(factor.base, factor.exp));
+        }
+        else {
+          denominator.push(_factorToNode(factor.base, _coefMultiply(factor.exp, new Fraction(-1))));
+        }
+      });
+
+      if (numerator.length === 0) {
+        numerator.push(new ConstantNode(1));
+      }
+      if (index === 0 && negative) {
+        // the sign of the first term is applied to its first factor
+        numerator[0] = new OperatorNode('-', 'unaryMinus', [numerator[0]]);
+      }
+
+      var node = _product(numerator);
+      if (denominator.length > 0) {
+        node = new OperatorNode('/', 'divide', [node, _product(denominator)]);
+      }
+      return {node: node, negative: negative};
+    });
+
+    return nodes.reduce(function (a, b) {
+      return {
+        node: b.negative
+            ? new OperatorNode('-', 'subtract', [a.node, b.node])
+            : new OperatorNode('+', 'add', [a.node, b.node]),
+        negative: false
+      };
+    }).node;
+  }
+
+  return expand;
+}
+
+exports.name = 'expand';
+exports.factory = factory;
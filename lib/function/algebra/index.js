@@ -2,14 +2,21 @@ module.exports = [
   require('./derivative'),
 
   // simplify
+  require('./expand'),
   require('./simplify'),
+  require('./rationalize'),
 
   // decomposition
+  require('./decomposition/chol'),
   require('./decomposition/lup'),
+  require('./decomposition/qr'),
   require('./decomposition/slu'),
+  require('./decomposition/svd'),
 
   // solver
+  require('./solver/cholsolve'),
   require('./solver/lsolve'),
+  require('./solver/lstsq'),
   require('./solver/lusolve'),
   require('./solver/usolve')
 ];
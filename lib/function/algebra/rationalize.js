@@ -0,0 +1,750 @@
+'use strict';
+
+var number = require('../../utils/number');
+
+function factory (type, config, load, typed) {
+  var parse = load(require('../../expression/parse'));
+  var ConstantNode = load(require('../../expression/node/ConstantNode'));
+  var OperatorNode = load(require('../../expression/node/OperatorNode'));
+  var SymbolNode = load(require('../../expression/node/SymbolNode'));
+  var simplifyConstant = load(require('./simplify/simplifyConstant'));
+
+  var Fraction = type.Fraction;
+
+  /**
+   * Transform a rational expression into a single fraction of two
+   * polynomials in expanded form, `numerator / denominator`.
+   *
+   * The expression may contain numbers, variables, the operators `+`, `-`,
+   * `*` and `/`, and powers with an integer exponent. Constant
+   * subexpressions are evaluated first, so functions can be used as long
+   * as their arguments are constant. Variables can be given a value with
+   * the optional `scope`.
+   *
+   * Coefficients are normalized to integers without a common divisor, and
+   * common factors of the numerator and denominator are cancelled for
+   * expressions with a single variable.
+   *
+   * When `detailed` is true, an object is returned with the properties:
+   *
+   * - `expression`: the rationalized expression
+   * - `numerator`: the numerator polynomial
+   * - `denominator`: the denominator polynomial, or `null` when the
+   *   expression is a polynomial
+   * - `variables`: an array with the names of the variables
+   * - `coefficients`: the coefficients of the numerator, ordered from the
+   *   lowest to the highest degree, when there is a single variable.
+   *   Otherwise an empty array.
+   *
+   * Syntax:
+   *
+   *     math.rationalize(expr)
+   *     math.rationalize(expr, detailed)
+   *     math.rationalize(expr, scope)
+   *     math.rationalize(expr, scope, detailed)
+   *
+   * Examples:
+   *
+   *     math.rationalize('(x+1)/(x-1) + 2/x');   // Node {(x ^ 2 + 3 * x - 2) / (x ^ 2 - x)}
+   *     math.rationalize('(x^2-1)/(2x-2)');      // Node {(x + 1) / 2}
+   *     math.rationalize('x/y + a', {a: 3});     // Node {(x + 3 * y) / y}
+   *
+   *     var r = math.rationalize('(2x+1)^2', true);
+   *     r.expression.toString();                 // '4 * x ^ 2 + 4 * x + 1'
+   *     r.coefficients;                          // [1, 4, 4]
+   *
+   * See also:
+   *
+   *     simplify, expand, parse, eval
+   *
+   * @param {Node | string} expr    The expression to rationalize
+   * @param {Object} [scope]        Values for variables in the expression
+   * @param {boolean} [detailed]    Return an object with details when true
+   * @return {Node | Object}        The rationalized expression, or an object
+   *                                with details when `detailed` is true
+   */
+  var rationalize = typed('rationalize', {
+    'string': function (expr) {
+      return _rationalize(parse(expr), {}, false);
+    },
+
+    'string, boolean': function (expr, detailed) {
+      return _rationalize(parse(expr), {}, detailed);
+    },
+
+    'string, Object': function (expr, scope) {
+      return _rationalize(parse(expr), scope, false);
+    },
+
+    'string, Object, boolean': function (expr, scope, detailed) {
+      return _rationalize(parse(expr), scope, detailed);
+    },
+
+    'Node': function (expr) {
+      return _rationalize(expr, {}, false);
+    },
+
+    'Node, boolean': function (expr, detailed) {
+      return _rationalize(expr, {}, detailed);
+    },
+
+    'Node, Object': function (expr, scope) {
+      return _rationalize(expr, scope, false);
+    },
+
+    'Node, Object, boolean': function (expr, scope, detailed) {
+      return _rationalize(expr, scope, detailed);
+    }
+  });
+
+  /**
+   * Rationalize an expression
+   * @param {Node} expr
+   * @param {Object} scope
+   * @param {boolean} detailed
+   * @return {Node | Object}
+   * @private
+   */
+  function _rationalize (expr, scope, detailed) {
+    // substitute the variables defined in scope and evaluate constant parts
+    expr = expr.transform(function (node) {
+      if (node.isSymbolNode && scope.hasOwnProperty(node.name)) {
+        return _valueToNode(scope[node.name], node.name);
+      }
+      return node;
+    });
+    expr = simplifyConstant(expr);
+
+    var fraction = _cancel(_toFraction(expr));
+
+    var variables = [];
+    fraction.numerator.concat(fraction.denominator).forEach(function (term) {
+      for (var name in term.powers) {
+        if (term.powers.hasOwnProperty(name) && variables.indexOf(name) === -1) {
+          variables.push(name);
+        }
+      }
+    });
+    variables.sort();
+
+    var numerator = _polynomialToNode(fraction.numerator, variables);
+    var denominator = _isOne(fraction.denominator)
+        ? null
+        : _polynomialToNode(fraction.denominator, variables);
+    var expression = denominator
+        ? new OperatorNode('/', 'divide', [numerator, denominator])
+        : numerator;
+
+    if (!detailed) {
+      return expression;
+    }
+
+    var coefficients = [];
+    if (variables.length === 1) {
+      fraction.numerator.forEach(function (term) {
+        var degree = term.powers[variables[0]] || 0;
+        while (coefficients.length <= degree) {
+          coefficients.push(0);
+        }
+        coefficients[degree] = term.coef.valueOf();
+      });
+    }
+
+    return {
+      expression: expression,
+      numerator: numerator,
+      denominator: denominator,
+      variables: variables,
+      coefficients: coefficients
+    };
+  }
+
+  /**
+   * Convert a value from the scope into a node
+   * @param {number | BigNumber | Fraction} value
+   * @param {string} name
+   * @return {Node}
+   * @private
+   */
+  function _valueToNode (value, name) {
+    if (value && value.isBigNumber === true) {
+      value = value.toNumber();
+    }
+    if (typeof value === 'number') {
+      return value < 0
+          ? new OperatorNode('-', 'unaryMinus', [new ConstantNode(-value)])
+          : new ConstantNode(value);
+    }
+    if (value && value.isFraction === true) {
+      var node = new ConstantNode(value.n);
+      if (value.d !== 1) {
+        node = new OperatorNode('/', 'divide', [node, new ConstantNode(value.d)]);
+      }
+      return value.s < 0 ? new OperatorNode('-', 'unaryMinus', [node]) : node;
+    }
+    throw new TypeError('Number expected for variable "' + name + '" in scope');
+  }
+
+  /**
+   * Convert an expression into a fraction of two polynomials
+   * @param {Node} node
+   * @return {{numerator: Array, denominator: Array}}
+   * @private
+   */
+  function _toFraction (node) {
+    switch (node.type) {
+      case 'ConstantNode':
+        if (node.valueType !== 'number') {
+          throw new TypeError('Cannot rationalize a constant of type ' + node.valueType);
+        }
+        return {
+          numerator: _constant(_toCoefficient(Number(node.value))),
+          denominator: _constant(new Fraction(1))
+        };
+
+      case 'SymbolNode':
+        var powers = {};
+        powers[node.name] = 1;
+        return {
+          numerator: [{coef: new Fraction(1), powers: powers}],
+          denominator: _constant(new Fraction(1))
+        };
+
+      case 'ParenthesisNode':
+        return _toFraction(node.content);
+
+      case 'OperatorNode':
+        var args = node.args.map(_toFraction);
+        switch (node.fn) {
+          case 'unaryPlus':
+            return args[0];
+
+          case 'unaryMinus':
+            return {
+              numerator: _multiply(_constant(new Fraction(-1)), args[0].numerator),
+              denominator: args[0].denominator
+            };
+
+          case 'add':
+          case 'subtract':
+            var b = args[1];
+            if (node.fn === 'subtract') {
+              b = {
+                numerator: _multiply(_constant(new Fraction(-1)), b.numerator),
+                denominator: b.denominator
+              };
+            }
+            return _addFractions(args[0], b);
+
+          case 'multiply':
+            return {
+              numerator: _multiply(args[0].numerator, args[1].numerator),
+              denominator: _multiply(args[0].denominator, args[1].denominator)
+            };
+
+          case 'divide':
+            if (args[1].numerator.length === 0) {
+              throw new Error('Cannot rationalize expression, division by zero');
+            }
+            return {
+              numerator: _multiply(args[0].numerator, args[1].denominator),
+              denominator: _multiply(args[0].denominator, args[1].numerator)
+            };
+
+          case 'pow':
+            var exponent = _toInteger(args[1]);
+            var base = args[0];
+            if (exponent < 0) {
+              if (base.numerator.length === 0) {
+                throw new Error('Cannot rationalize expression, division by zero');
+              }
+              base = {numerator: base.denominator, denominator: base.numerator};
+              exponent = -exponent;
+            }
+            return {
+              numerator: _pow(base.numerator, exponent),
+              denominator: _pow(base.denominator, exponent)
+            };
+        }
+        throw new Error('Cannot rationalize expression, unsupported operator ' + node.op);
+
+      case 'FunctionNode':
+        throw new Error('Cannot rationalize expression, function ' + node.name + ' has non constant arguments');
+
+      default:
+        throw new Error('Cannot rationalize expression, unsupported node type ' + node.type);
+    }
+  }
+
+  /**
+   * Convert a number into a Fraction when it can be represented exactly
+   * @param {number} value
+   * @return {Fraction | number}
+   * @private
+   */
+  function _toCoefficient (value) {
+    return (isFinite(value) && number.digits(value) <= 15) ? new Fraction(value) : value;
+  }
+
+  /**
+   * Get the value of a constant fraction as integer
+   * @param {{numerator: Array, denominator: Array}} fraction
+   * @return {number}
+   * @private
+   */
+  function _toInteger (fraction) {
+    var numerator = fraction.numerator;
+    var denominator = fraction.denominator;
+    if (numerator.length === 0) {
+      return 0;
+    }
+    if (numerator.length === 1 && _degree(numerator[0]) === 0 &&
+        denominator.length === 1 && _degree(denominator[0]) === 0) {
+      var value = numerator[0].coef.valueOf() / denominator[0].coef.valueOf();
+      if (number.isInteger(value)) {
+        return value;
+      }
+    }
+    throw new Error('Cannot rationalize expression, exponent must be a constant integer');
+  }
+
+  /**
+   * Add two fractions, the denominator is kept when it is equal for both
+   * @param {{numerator: Array, denominator: Array}} a
+   * @param {{numerator: Array, denominator: Array}} b
+   * @return {{numerator: Array, denominator: Array}}
+   * @private
+   */
+  function _addFractions (a, b) {
+    if (_equals(a.denominator, b.denominator)) {
+      return {
+        numerator: _add(a.numerator, b.numerator),
+        denominator: a.denominator
+      };
+    }
+    return {
+      numerator: _add(_multiply(a.numerator, b.denominator), _multiply(b.numerator, a.denominator)),
+      denominator: _multiply(a.denominator, b.denominator)
+    };
+  }
+
+  /**
+   * Cancel common factors of the numerator and denominator and normalize
+   * the coefficients
+   * @param {{numerator: Array, denominator: Array}} fraction
+   * @return {{numerator: Array, denominator: Array}}
+   * @private
+   */
+  function _cancel (fraction) {
+    var numerator = fraction.numerator;
+    var denominator = fraction.denominator;
+    if (numerator.length === 0) {
+      return {numerator: [], denominator: _constant(new Fraction(1))};
+    }
+
+    var all = numerator.concat(denominator);
+    var exact = all.every(function (term) {
+      return term.coef.isFraction === true;
+    });
+
+    if (!exact) {
+      // convert all coefficients to numbers
+      var toNumber = function (term) {
+        return {coef: term.coef.valueOf(), powers: term.powers};
+      };
+      numerator = numerator.map(toNumber);
+      denominator = denominator.map(toNumber);
+      if (denominator.length === 1 && _degree(denominator[0]) === 0) {
+        var c = denominator[0].coef;
+        numerator = _multiply(numerator, _constant(1 / c));
+        denominator = _constant(new Fraction(1));
+      }
+      return {numerator: numerator, denominator: denominator};
+    }
+
+    // cancel the greatest common divisor of univariate polynomials
+    var variable = _univariate(all);
+    if (variable !== null) {
+      var gcd = _gcd(_toDense(numerator, variable), _toDense(denominator, variable));
+      if (gcd.length > 1) {
+        numerator = _fromDense(_divide(_toDense(numerator, variable), gcd), variable);
+        denominator = _fromDense(_divide(_toDense(denominator, variable), gcd), variable);
+      }
+    }
+
+    // scale to integer coefficients without a common divisor, with a
+    // positive leading coefficient in the denominator
+    var multiple = 1;
+    var divisor = 0;
+    numerator.concat(denominator).forEach(function (term) {
+      multiple = _lcm(multiple, term.coef.d);
+    });
+    numerator.concat(denominator).forEach(function (term) {
+      divisor = _gcdInt(divisor, term.coef.n * multiple / term.coef.d);
+    });
+    var factor = new Fraction(multiple, divisor);
+    if (_sort(denominator)[0].coef.s < 0) {
+      factor = factor.neg();
+    }
+    return {
+      numerator: _multiply(numerator, _constant(factor)),
+      denominator: _multiply(denominator, _constant(factor))
+    };
+  }
+
+  /**
+   * Create a constant polynomial
+   * @param {Fraction | number} coef
+   * @return {Array}
+   * @private
+   */
+  function _constant (coef) {
+    return coef.valueOf() === 0 ? [] : [{coef: coef, powers: {}}];
+  }
+
+  /**
+   * Test whether a polynomial equals 1
+   * @param {Array} poly
+   * @return {boolean}
+   * @private
+   */
+  function _isOne (poly) {
+    return poly.length === 1 && _degree(poly[0]) === 0 && poly[0].coef.valueOf() === 1;
+  }
+
+  /**
+   * Total degree of a term
+   * @param {{coef: Fraction | number, powers: Object}} term
+   * @return {number}
+   * @private
+   */
+  function _degree (term) {
+    var degree = 0;
+    for (var name in term.powers) {
+      if (term.powers.hasOwnProperty(name)) {
+        degree += term.powers[name];
+      }
+    }
+    return degree;
+  }
+
+  /**
+   * Create a key identifying the monomial of a term
+   * @param {Object} powers
+   * @return {string}
+   * @private
+   */
+  function _key (powers) {
+    return Object.keys(powers).sort().map(function (name) {
+      return name + '^' + powers[name];
+    }).join('*');
+  }
+
+  function _coefAdd (a, b) {
+    return (a.isFraction === true && b.isFraction === true) ? a.add(b) : a.valueOf() + b.valueOf();
+  }
+
+  function _coefMultiply (a, b) {
+    return (a.isFraction === true && b.isFraction === true) ? a.mul(b) : a.valueOf() * b.valueOf();
+  }
+
+  /**
+   * Combine like terms of a list of terms and remove terms with coefficient 0
+   * @param {Array} terms
+   * @return {Array}
+   * @private
+   */
+  function _collect (terms) {
+    var map = {};
+    var keys = [];
+    terms.forEach(function (term) {
+      var key = _key(term.powers);
+      if (map.hasOwnProperty(key)) {
+        map[key] = {coef: _coefAdd(map[key].coef, term.coef), powers: term.powers};
+      }
+      else {
+        map[key] = term;
+        keys.push(key);
+      }
+    });
+    return keys
+        .map(function (key) {
+          return map[key];
+        })
+        .filter(function (term) {
+          return term.coef.valueOf() !== 0;
+        });
+  }
+
+  function _add (a, b) {
+    return _collect(a.concat(b));
+  }
+
+  function _multiply (a, b) {
+    var terms = [];
+    a.forEach(function (ta) {
+      b.forEach(function (tb) {
+        var powers = {};
+        var name;
+        for (name in ta.powers) {
+          if (ta.powers.hasOwnProperty(name)) {
+            powers[name] = ta.powers[name];
+          }
+        }
+        for (name in tb.powers) {
+          if (tb.powers.hasOwnProperty(name)) {
+            powers[name] = (powers[name] || 0) + tb.powers[name];
+          }
+        }
+        terms.push({coef: _coefMultiply(ta.coef, tb.coef), powers: powers});
+      });
+    });
+    return _collect(terms);
+  }
+
+  function _pow (poly, exponent) {
+    var result = _constant(new Fraction(1));
+    for (var i = 0; i < exponent; i++) {
+      result = _multiply(result, poly);
+    }
+    return result;
+  }
+
+  /**
+   * Test whether two polynomials are equal
+   * @param {Array} a
+   * @param {Array} b
+   * @return {boolean}
+   * @private
+   */
+  function _equals (a, b) {
+    var diff = _add(a, _multiply(_constant(new Fraction(-1)), b));
+    return diff.length === 0;
+  }
+
+  /**
+   * Sort the terms of a polynomial by descending degree
+   * @param {Array} poly
+   * @param {Array} [variables]
+   * @return {Array}
+   * @private
+   */
+  function _sort (poly, variables) {
+    variables = variables || [];
+    return poly.slice(0).sort(function (a, b) {
+      var diff = _degree(b) - _degree(a);
+      for (var i = 0; i < variables.length && diff === 0; i++) {
+        diff = (b.powers[variables[i]] || 0) - (a.powers[variables[i]] || 0);
+      }
+      return diff;
+    });
+  }
+
+  /**
+   * Get the name of the single variable of a list of terms, or null when
+   * there are no or more variables
+   * @param {Array} terms
+   * @return {string | null}
+   * @private
+   */
+  function _univariate (terms) {
+    var variable = null;
+    for (var i = 0; i < terms.length; i++) {
+      var names = Object.keys(terms[i].powers);
+      for (var j = 0; j < names.length; j++) {
+        if (variable === null) {
+          variable = names[j];
+        }
+        else if (variable !== names[j]) {
+          return null;
+        }
+      }
+    }
+    return variable;
+  }
+
+  /**
+   * Convert a univariate polynomial into an array with coefficients ordered
+   * from the highest to the lowest degree
+   * @param {Array} poly
+   * @param {string} variable
+   * @return {Fraction[]}
+   * @private
+   */
+  function _toDense (poly, variable) {
+    var degree = 0;
+    poly.forEach(function (term) {
+      degree = Math.max(degree, term.powers[variable] || 0);
+    });
+    var dense = [];
+    for (var i = 0; i <= degree; i++) {
+      dense.push(new Fraction(0));
+    }
+    poly.forEach(function (term) {
+      dense[degree - (term.powers[variable] || 0)] = term.coef;
+    });
+    return dense;
+  }
+
+  /**
+   * Convert an array with coefficients ordered from the highest to the
+   * lowest degree into a polynomial
+   * @param {Fraction[]} dense
+   * @param {string} variable
+   * @return {Array}
+   * @private
+   */
+  function _fromDense (dense, variable) {
+    var terms = [];
+    dense.forEach(function (coef, i) {
+      var powers = {};
+      var degree = dense.length - 1 - i;
+      if (degree > 0) {
+        powers[variable] = degree;
+      }
+      terms.push({coef: coef, powers: powers});
+    });
+    return _collect(terms);
+  }
+
+  /**
+   * Remove leading zero coefficients of a dense polynomial
+   * @param {Fraction[]} dense
+   * @return {Fraction[]}
+   * @private
+   */
+  function _trim (dense) {
+    var i = 0;
+    while (i < dense.length - 1 && dense[i].valueOf() === 0) {
+      i++;
+    }
+    return dense.slice(i);
+  }
+
+  /**
+   * Remainder of the division of two dense polynomials
+   * @param {Fraction[]} a
+   * @param {Fraction[]} b
+   * @return {Fraction[]}
+   * @private
+   */
+  function _remainder (a, b) {
+    var r = a.slice(0);
+    while (r.length >= b.length) {
+      var q = r[0].div(b[0]);
+      for (var i = 0; i < b.length; i++) {
+        r[i] = r[i].sub(q.mul(b[i]));
+      }
+      // the leading coefficient is zero now
+      r.shift();
+    }
+    return _trim(r.length > 0 ? r : [new Fraction(0)]);
+  }
+
+  /**
+   * Quotient of the exact division of two dense polynomials
+   * @param {Fraction[]} a
+   * @param {Fraction[]} b
+   * @return {Fraction[]}
+   * @private
+   */
+  function _divide (a, b) {
+    var r = a.slice(0);
+    var q = [];
+    while (r.length >= b.length) {
+      var c = r[0].div(b[0]);
+      q.push(c);
+      for (var i = 0; i < b.length; i++) {
+        r[i] = r[i].sub(c.mul(b[i]));
+      }
+      r.shift();
+    }
+    return q;
+  }
+
+  /**
+   * Greatest common divisor of two dense polynomials using the Euclidean
+   * algorithm
+   * @param {Fraction[]} a
+   * @param {Fraction[]} b
+   * @return {Fraction[]}
+   * @private
+   */
+  function _gcd (a, b) {
+    a = _trim(a);
+    b = _trim(b);
+    while (!(b.length === 1 && b[0].valueOf() === 0)) {
+      var r = _remainder(a, b);
+      a = b;
+      b = r;
+    }
+    return a;
+  }
+
+  function _gcdInt (a, b) {
+    while (b) {
+      var t = a % b;
+      a = b;
+      b = t;
+    }
+    return Math.abs(a);
+  }
+
+  function _lcm (a, b) {
+    return a / _gcdInt(a, b) * b;
+  }
+
+  /**
+   * Convert a polynomial into a node, terms are ordered by descending degree
+   * @param {Array} poly
+   * @param {string[]} variables
+   * @return {Node}
+   * @private
+   */
+  function _polynomialToNode (poly, variables) {
+    if (poly.length === 0) {
+      return new ConstantNode(0);
+    }
+
+    var node = null;
+    _sort(poly, variables).forEach(function (term) {
+      var negative = term.coef.valueOf() < 0;
+      var value = Math.abs(term.coef.valueOf());
+      var factors = [];
+      variables.forEach(function (name) {
+        var power = term.powers[name];
+        if (power === 1) {
+          factors.push(new SymbolNode(name));
+        }
+        else if (power > 1) {
+          factors.push(new OperatorNode('^', 'pow', [new SymbolNode(name), new ConstantNode(power)]));
+        }
+      });
+      if (value !== 1 || factors.length === 0) {
+        factors.unshift(new ConstantNode(value));
+      }
+      if (node === null && negative) {
+        // the sign of the first term is applied to its first factor
+        factors[0] = new OperatorNode('-', 'unaryMinus', [factors[0]]);
+      }
+      var termNode = factors.reduce(function (a, b) {
+        return new OperatorNode('*', 'multiply', [a, b]);
+      });
+
+      if (node === null) {
+        node = termNode;
+      }
+      else {
+        node = negative
+            ? new OperatorNode('-', 'subtract', [node, termNode])
+            : new OperatorNode('+', 'add', [node, termNode]);
+      }
+    });
+    return node;
+  }
+
+  return rationalize;
+}
+
+exports.name = 'rationalize';
+exports.factory = factory;
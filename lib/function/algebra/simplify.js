@@ -10,6 +10,7 @@ function factory (type, config, load, typed) {
   var SymbolNode = load(require('../../expression/node/SymbolNode'));
   var Node = load(require('../../expression/node/Node'));
   var simplifyConstant = load(require('./simplify/simplifyConstant'));
+  var expand = load(require('./expand'));
 
   var util = load(require('./simplify/util'));
   var isCommutative = util.isCommutative;
@@ -38,6 +39,12 @@ function factory (type, config, load, typed) {
    * The default list with rules is exposed on the function as `simplify.rules`
    * and can be used as a basis to built a set of custom rules.
    *
+   * Options can be passed as last argument. Available options:
+   *
+   * - `expand`: when true, the simplified expression is expanded in a final
+   *   phase: products and integer powers of sums are multiplied out, and like
+   *   terms are collected, see function `expand`. False by default.
+   *
    * For more details on the theory, see:
    *
    * - [Strategies for simplifying math expressions (Stackoverflow)](http://stackoverflow.com/questions/7540227/strategies-for-simplifying-math-expressions)
@@ -47,37 +54,58 @@ function factory (type, config, load, typed) {
    *
    *     simplify(expr)
    *     simplify(expr, rules)
+   *     simplify(expr, options)
+   *     simplify(expr, rules, options)
    *
    * Examples:
    *
    *     math.simplify('2 * 1 * x ^ (2 - 1)');      // Node {2 * x}
    *     var f = math.parse('2 * 1 * x ^ (2 - 1)');
    *     math.simplify(f);                          // Node {2 * x}
+   *     math.simplify('(x+1)^2 - x^2', {expand: true}); // Node {2 * x + 1}
    *
    * See also:
    *
-   *     derivative, parse, eval
+   *     derivative, expand, rationalize, parse, eval
    *
    * @param {Node | string} expr
    *            The expression to be simplified
    * @param {Array<{l:string, r: string} | string | function>} [rules]
    *            Optional list with custom rules
+   * @param {{expand: boolean}} [options]
+   *            Optional options
    * @return {Node} Returns the simplified form of `expr`
    */
   var simplify = typed('simplify', {
     'string': function (expr) {
-      return simplify(parse(expr), simplify.rules);
+      return simplify(parse(expr), simplify.rules, {});
     },
 
     'string, Array': function (expr, rules) {
-      return simplify(parse(expr), rules);
+      return simplify(parse(expr), rules, {});
+    },
+
+    'string, Object': function (expr, options) {
+      return simplify(parse(expr), simplify.rules, options);
+    },
+
+    'string, Array, Object': function (expr, rules, options) {
+      return simplify(parse(expr), rules, options);
     },
 
     'Node': function (expr) {
-      return simplify(expr, simplify.rules);
+      return simplify(expr, simplify.rules, {});
     },
 
     'Node, Array': function (expr, rules) {
+      return simplify(expr, rules, {});
+    },
+
+    'Node, Object': function (expr, options) {
+      return simplify(expr, simplify.rules, options);
+    },
+
+    'Node, Array, Object': function (expr, rules, options) {
       rules = _buildRules(rules);
 
       var res = removeParens(expr);
@@ -99,6 +127,11 @@ function factory (type, config, load, typed) {
         after = res.toString({parenthesis: 'all'});
       }
 
+      if (options.expand) {
+        // expanding is done last, the rules could factor the expanded terms again
+        res = expand(res);
+      }
+
       return res;
     }
   });
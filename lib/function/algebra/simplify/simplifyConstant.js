@@ -122,7 +122,8 @@ function factory(type, config, load, typed, math) {
       case 'SymbolNode':
         return node;
       case 'ConstantNode':
-        return _toNumber(node.value);
+        // a compound quantity like '5 ft 3 in' is kept as it is
+        return (node.valueType === 'unit') ? node : _toNumber(node.value);
       case 'FunctionNode':
         if (math[node.name] && math[node.name].rawArgs) {
           return node;
@@ -0,0 +1,123 @@
+'use strict';
+
+var isArray = Array.isArray;
+
+function factory (type, config, load, typed) {
+
+  var matrix = load(require('../../../type/matrix/function/matrix'));
+  var conj = load(require('../../complex/conj'));
+  var transpose = load(require('../../matrix/transpose'));
+  var chol = load(require('../decomposition/chol'));
+  var cs_ipvec = load(require('../sparse/cs_ipvec'));
+  var cs_pvec = load(require('../sparse/cs_pvec'));
+
+  var solveValidation = load(require('./utils/solveValidation'));
+
+  var usolve = load(require('./usolve'));
+  var lsolve = load(require('./lsolve'));
+
+  /**
+   * Solves the linear system `A * x = b` where `A` is an [n x n] symmetric positive definite
+   * matrix and `b` is a [n] column vector, using the Cholesky decomposition of `A`.
+   *
+   * Syntax:
+   *
+   *    math.cholsolve(A, b)          // returns column vector with the solution to the linear system A * x = b
+   *    math.cholsolve(A, b, order)   // same as above, using the given ordering, A must be a SparseMatrix
+   *    math.cholsolve(chol, b)       // returns column vector with the solution to the linear system A * x = b, chol = math.chol(A)
+   *
+   * Examples:
+   *
+   *    var a = [[4, 2, -2], [2, 10, 2], [-2, 2, 5]];
+   *
+   *    var x = math.cholsolve(a, [2, 28, 17]);         // x = [[1], [2], [3]]
+   *
+   *    var f = math.chol(a);
+   *    var x1 = math.cholsolve(f, [2, 28, 17]);        // x1 = [[1], [2], [3]]
+   *    var x2 = math.cholsolve(f, [4, 2, -2]);         // x2 = [[1], [0], [0]]
+   *
+   * See also:
+   *
+   *    chol, lusolve, lsolve, usolve
+   *
+   * @param {Matrix | Array | Object} A      Symmetric positive definite Matrix or its Cholesky decomposition
+   * @param {Matrix | Array} b               Column Vector
+   * @param {number} [order]                 The Symbolic Ordering and Analysis order, see chol for details. Matrix must be a SparseMatrix
+   *
+   * @return {DenseMatrix | Array}           Column vector with the solution to the linear system A * x = b
+   */
+  var cholsolve = typed('cholsolve', {
+
+    'Array, Array | Matrix': function (a, b) {
+      // convert a to matrix
+      a = matrix(a);
+      // matrix cholesky decomposition
+      var d = chol(a);
+      // solve
+      var x = _cholsolve(d.L, d.p, b);
+      // convert result to array
+      return x.valueOf();
+    },
+
+    'DenseMatrix, Array | Matrix': function (a, b) {
+      // matrix cholesky decomposition
+      var d = chol(a);
+      // solve
+      return _cholsolve(d.L, d.p, b);
+    },
+
+    'SparseMatrix, Array | Matrix': function (a, b) {
+      // matrix cholesky decomposition
+      var d = chol(a);
+      // solve
+      return _cholsolve(d.L, d.p, b);
+    },
+
+    'SparseMatrix, Array | Matrix, number': function (a, b, order) {
+      // matrix cholesky decomposition
+      var d = chol(a, order);
+      // solve
+      return _cholsolve(d.L, d.p, b);
+    },
+
+    'Object, Array | Matrix': function (d, b) {
+      // solve
+      return _cholsolve(d.L, d.p, b);
+    }
+  });
+
+  var _toMatrix = function (a) {
+    // check it is a matrix
+    if (a && a.isMatrix === true)
+      return a;
+    // check array
+    if (isArray(a))
+      return matrix(a);
+    // throw
+    throw new TypeError('Invalid Matrix Cholesky decomposition');
+  };
+
+  var _cholsolve = function (l, p, b) {
+    // verify L
+    l = _toMatrix(l);
+    // validate matrix and vector
+    b = solveValidation(l, b, false);
+    // apply permutation if needed (b is a DenseMatrix), P * b
+    if (p)
+      b._data = cs_ipvec(p, b._data);
+    // use forward substitution to resolve L * y = P * b
+    var y = lsolve(l, b);
+    // use backward substitution to resolve L' * z = y
+    var x = usolve(conj(transpose(l)), y);
+    // apply permutation if needed (x is a DenseMatrix), x = P' * z
+    if (p)
+      x._data = cs_pvec(p, x._data);
+    // return solution
+    return x;
+  };
+
+  return cholsolve;
+}
+
+exports.name = 'cholsolve';
+exports.factory = factory;
@@ -0,0 +1,284 @@
+'use strict';
+
+var util = require('../../../utils/index');
+
+var array = util.array,
+    object = util.object,
+    string = util.string;
+
+function factory (type, config, load, typed) {
+
+  var matrix = load(require('../../../type/matrix/function/matrix'));
+  var abs = load(require('../../arithmetic/abs'));
+  var addScalar = load(require('../../arithmetic/addScalar'));
+  var divideScalar = load(require('../../arithmetic/divideScalar'));
+  var multiplyScalar = load(require('../../arithmetic/multiplyScalar'));
+  var sqrt = load(require('../../arithmetic/sqrt'));
+  var subtract = load(require('../../arithmetic/subtract'));
+  var unaryMinus = load(require('../../arithmetic/unaryMinus'));
+  var conj = load(require('../../complex/conj'));
+  var equalScalar = load(require('../../relational/equalScalar'));
+  var larger = load(require('../../relational/larger'));
+  var qr = load(require('../decomposition/qr'));
+
+  var usolve = load(require('./usolve'));
+  var lsolve = load(require('./lsolve'));
+
+  var DenseMatrix = type.DenseMatrix;
+
+  /**
+   * Solves the linear least squares problem `min ||A * x - b||` where `A` is an [m x n] matrix
+   * and `b` is a [m] column vector. When the system is underdetermined or `A` is rank
+   * deficient, the solution `x` with the smallest norm is returned.
+   *
+   * The function returns an object with the solution `x`, the residuals `b - A * x` and the
+   * numerical rank of `A`. The rank is determined using a column pivoted QR decomposition.
+   *
+   * Syntax:
+   *
+   *    math.lstsq(A, b)
+   *
+   * Examples:
+   *
+   *    // fit a line y = c0 + c1 * t through the points (0, 1), (1, 3), (2, 4)
+   *    var a = [[1, 0], [1, 1], [1, 2]];
+   *    var b = [1, 3, 4];
+   *    var r = math.lstsq(a, b);
+   *    // r = {
+   *    //   x: [[1.1666...], [1.5]],
+   *    //   residuals: [[-0.1666...], [0.3333...], [-0.1666...]],
+   *    //   rank: 2
+   *    // }
+   *
+   *    // underdetermined system, minimum norm solution
+   *    math.lstsq([[1, 1]], [2]).x;  // [[1], [1]]
+   *
+   * See also:
+   *
+   *    lusolve, qr, lsolve, usolve
+   *
+   * @param {Matrix | Array} A      A two dimensional [m x n] matrix
+   * @param {Matrix | Array} b      Column vector with m values
+   *
+   * @return {Object}               The solution x, the residuals and the rank of A.
+   */
+  var lstsq = typed('lstsq', {
+
+    'Array, Array | Matrix': function (a, b) {
+      // solve
+      var r = _lstsq(matrix(a), b);
+      // convert result to array
+      return {
+        x: r.x.valueOf(),
+        residuals: r.residuals.valueOf(),
+        rank: r.rank
+      };
+    },
+
+    'Matrix, Array | Matrix': _lstsq
+  });
+
+  function _lstsq (m, b) {
+    // matrix size
+    var size = m.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    // rows & columns
+    var rows = size[0];
+    var columns = size[1];
+    // matrix data
+    var adata = m.valueOf();
+    // vector data
+    var bdata = _vector(b, rows);
+    // column pivoted qr decomposition, Q' * b is stored in c
+    var c = bdata.slice();
+    var f = _pivotedQR(adata, rows, columns, c);
+    var rdata = f.R;
+    // numerical rank, the diagonal of R is non increasing
+    var n = Math.min(rows, columns);
+    var rank = 0;
+    if (n > 0) {
+      var tol = multiplyScalar(abs(rdata[0][0]), config.epsilon * Math.max(rows, columns));
+      while (rank < n && larger(abs(rdata[rank][rank]), tol))
+        rank++;
+    }
+    // solution of the permuted system
+    var i, j, y = [];
+    for (i = 0; i < columns; i++)
+      y[i] = 0;
+    if (rank > 0) {
+      // upper part of Q' * b
+      var c1 = c.slice(0, rank);
+      // T = R(0:rank-1, :)
+      var t = [];
+      for (i = 0; i < rank; i++)
+        t[i] = rdata[i].slice(0, columns);
+      if (rank === columns) {
+        // full column rank, resolve R * y = Q' * b by backward substitution
+        y = array.flatten(usolve(t, c1));
+      }
+      else {
+        // complete orthogonal decomposition T' = Z * S, so T = S' * Z'
+        var g = qr(_ctranspose(t, rank, columns));
+        // S1 = S(0:rank-1, 0:rank-1)
+        var s1 = [];
+        for (i = 0; i < rank; i++)
+          s1[i] = g.R[i].slice(0, rank);
+        // resolve S1' * w = Q' * b by forward substitution
+        var w = array.flatten(lsolve(_ctranspose(s1, rank, rank), c1));
+        // minimum norm solution y = Z(:, 0:rank-1) * w
+        for (i = 0; i < columns; i++) {
+          for (j = 0; j < rank; j++)
+            y[i] = addScalar(y[i], multiplyScalar(g.Q[i][j], w[j]));
+        }
+      }
+    }
+    // undo column permutations
+    var x = [];
+    for (i = 0; i < columns; i++)
+      x[f.p[i]] = [y[i]];
+    // residuals b - A * x
+    var residuals = [];
+    for (i = 0; i < rows; i++) {
+      var ax = 0;
+      for (j = 0; j < columns; j++)
+        ax = addScalar(ax, multiplyScalar(adata[i][j], x[j][0]));
+      residuals[i] = [subtract(bdata[i], ax)];
+    }
+    // return solution
+    return {
+      x: new DenseMatrix({
+        data: x,
+        size: [columns, 1]
+      }),
+      residuals: new DenseMatrix({
+        data: residuals,
+        size: [rows, 1]
+      }),
+      rank: rank
+    };
+  }
+
+  /**
+   * Get the values of a column vector with given length
+   * @param {Array | Matrix} b
+   * @param {number} rows
+   * @return {Array}
+   * @private
+   */
+  function _vector (b, rows) {
+    // array data
+    var data = b && b.isMatrix === true ? b.valueOf() : b;
+    // size
+    var size = array.size(data);
+    // validate vector dimensions
+    if (size[0] !== rows || !(size.length === 1 || (size.length === 2 && size[1] === 1)))
+      throw new RangeError('Dimension mismatch. Matrix rows must match vector length.');
+    // flatten column vector
+    return array.flatten(data);
+  }
+
+  /**
+   * Conjugate transpose of a two dimensional array
+   * @param {Array} data
+   * @param {number} rows
+   * @param {number} columns
+   * @return {Array}
+   * @private
+   */
+  function _ctranspose (data, rows, columns) {
+    var result = [];
+    for (var j = 0; j < columns; j++) {
+      result[j] = [];
+      for (var i = 0; i < rows; i++)
+        result[j][i] = conj(data[i][j]);
+    }
+    return result;
+  }
+
+  /**
+   * QR decomposition with column pivoting using Householder reflections,
+   * A(:, p) = Q * R. The reflections are applied to vector c, so c = Q' * c.
+   * @param {Array} adata
+   * @param {number} rows
+   * @param {number} columns
+   * @param {Array} c
+   * @return {Object} The upper triangular matrix R and the column permutation p
+   * @private
+   */
+  function _pivotedQR (adata, rows, columns, c) {
+    // r matrix array, clone original data
+    var rdata = object.clone(adata);
+    // vars
+    var i, j, k, s, f, a;
+    // permutation vector
+    var p = [];
+    for (j = 0; j < columns; j++)
+      p[j] = j;
+    // loop columns
+    for (k = 0; k < Math.min(rows, columns); k++) {
+      // column with largest norm in R(k:rows-1, k:columns-1)
+      var pivot = k;
+      var pnorm = 0;
+      for (j = k; j < columns; j++) {
+        var cnorm = 0;
+        for (i = k; i < rows; i++) {
+          a = abs(rdata[i][j]);
+          cnorm = addScalar(cnorm, multiplyScalar(a, a));
+        }
+        if (larger(cnorm, pnorm)) {
+          pivot = j;
+          pnorm = cnorm;
+        }
+      }
+      // remaining columns are zero
+      if (equalScalar(pnorm, 0))
+        break;
+      // swap columns (k <-> pivot)
+      if (pivot !== k) {
+        p[k] = [p[pivot], p[pivot] = p[k]][0];
+        for (i = 0; i < rows; i++)
+          rdata[i][k] = [rdata[i][pivot], rdata[i][pivot] = rdata[i][k]][0];
+      }
+      // Householder vector v = x + sign(x[0]) * norm(x) * e1, x = R(k:rows-1, k)
+      var norm = sqrt(pnorm);
+      var v = [];
+      for (i = k; i < rows; i++)
+        v[i] = rdata[i][k];
+      var alpha = equalScalar(v[k], 0) ? norm : multiplyScalar(divideScalar(v[k], abs(v[k])), norm);
+      v[k] = addScalar(v[k], alpha);
+      // beta = 2 / (v' * v)
+      var beta = divideScalar(1, multiplyScalar(conj(alpha), v[k]));
+      // R = H * R, H = I - beta * v * v'
+      for (j = k + 1; j < columns; j++) {
+        s = 0;
+        for (i = k; i < rows; i++)
+          s = addScalar(s, multiplyScalar(conj(v[i]), rdata[i][j]));
+        f = multiplyScalar(beta, s);
+        for (i = k; i < rows; i++)
+          rdata[i][j] = subtract(rdata[i][j], multiplyScalar(v[i], f));
+      }
+      // c = H * c
+      s = 0;
+      for (i = k; i < rows; i++)
+        s = addScalar(s, multiplyScalar(conj(v[i]), c[i]));
+      f = multiplyScalar(beta, s);
+      for (i = k; i < rows; i++)
+        c[i] = subtract(c[i], multiplyScalar(v[i], f));
+      // R(k, k) = -sign(x[0]) * norm(x), R(k+1:rows-1, k) = 0
+      rdata[k][k] = unaryMinus(alpha);
+      for (i = k + 1; i < rows; i++)
+        rdata[i][k] = 0;
+    }
+    return {
+      R: rdata,
+      p: p
+    };
+  }
+
+  return lstsq;
+}
+
+exports.name = 'lstsq';
+exports.factory = factory;
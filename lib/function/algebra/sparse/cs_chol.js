@@ -24,7 +24,7 @@ function factory (type, config, load) {
    * @param {Matrix}  m               The A Matrix to factorize, only upper triangular part used
    * @param {Object}  s               The symbolic analysis from cs_schol()
    *
-   * @return {Number}                 The numeric Cholesky factorization of A or null
+   * @return {Object}                 The numeric Cholesky factorization of A or null
    *
    * Reference: http://faculty.cse.tamu.edu/davis/publications.html
    */
@@ -82,8 +82,8 @@ function factory (type, config, load) {
       x[k] = 0;
       // solve L(0:k-1,0:k-1) * x = C(:,k)
       for (; top < n; top++) {
-        // s[top..n-1] is pattern of L(k,:)
-        var i = s[top];
+        // c[n+top..2n-1] is pattern of L(k,:)
+        var i = c[n + top];
         // L(k,i) = x (i) / L(i,i)
         var lki = divideScalar(x[i], lvalues[lptr[i]]);
         // clear x for k+1st iteration
@@ -0,0 +1,44 @@
+'use strict';
+
+function factory (type, config, load) {
+
+  var addScalar = load(require('../../arithmetic/addScalar'));
+  var multiplyScalar = load(require('../../arithmetic/multiplyScalar'));
+  var subtract = load(require('../../arithmetic/subtract'));
+  var conj = load(require('../../complex/conj'));
+
+  /**
+   * Applies a Householder reflection to a dense vector, x = (I - beta * v * v') * x
+   * where v is the column i of matrix V.
+   *
+   * @param {Matrix}  v               The V Matrix, the Householder vectors
+   * @param {Number}  i               The column in V holding the Householder vector
+   * @param {Number}  beta            The Householder scalar
+   * @param {Array}   x               The dense vector x, modified in place
+   *
+   * Reference: http://faculty.cse.tamu.edu/davis/publications.html
+   */
+  var cs_happly = function (v, i, beta, x) {
+    // v arrays
+    var vvalues = v._values;
+    var vindex = v._index;
+    var vptr = v._ptr;
+    // vars
+    var p, p0, p1;
+    // tau = v' * x
+    var tau = 0;
+    for (p0 = vptr[i], p1 = vptr[i + 1], p = p0; p < p1; p++)
+      tau = addScalar(tau, multiplyScalar(conj(vvalues[p]), x[vindex[p]]));
+    // tau = beta * (v' * x)
+    tau = multiplyScalar(tau, beta);
+    // x = x - v * tau
+    for (p = p0; p < p1; p++)
+      x[vindex[p]] = subtract(x[vindex[p]], multiplyScalar(vvalues[p], tau));
+  };
+
+  return cs_happly;
+}
+
+exports.name = 'cs_happly';
+exports.path = 'sparse';
+exports.factory = factory;
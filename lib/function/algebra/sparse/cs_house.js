@@ -0,0 +1,63 @@
+'use strict';
+
+function factory (type, config, load) {
+
+  var abs = load(require('../../arithmetic/abs'));
+  var addScalar = load(require('../../arithmetic/addScalar'));
+  var divideScalar = load(require('../../arithmetic/divideScalar'));
+  var multiplyScalar = load(require('../../arithmetic/multiplyScalar'));
+  var sqrt = load(require('../../arithmetic/sqrt'));
+  var unaryMinus = load(require('../../arithmetic/unaryMinus'));
+  var conj = load(require('../../complex/conj'));
+  var re = load(require('../../complex/re'));
+  var equalScalar = load(require('../../relational/equalScalar'));
+
+  /**
+   * Computes a Householder reflection [v, beta, s] = house(x), where
+   * (I - beta * v * v') * x = s * e1. The vector x is overwritten with v.
+   *
+   * @param {Array}   x               The array holding vector x
+   * @param {Number}  p0              The index of the first element of x
+   * @param {Number}  p1              The index after the last element of x
+   *
+   * @return {Object}                 The scalar beta and the value s
+   *
+   * Reference: http://faculty.cse.tamu.edu/davis/publications.html
+   */
+  var cs_house = function (x, p0, p1) {
+    // vars
+    var p, beta;
+    // s = norm(x)
+    var s = 0;
+    for (p = p0; p < p1; p++) {
+      var a = abs(x[p]);
+      s = addScalar(s, multiplyScalar(a, a));
+    }
+    s = sqrt(s);
+    // check x is zero
+    if (equalScalar(s, 0)) {
+      // H = I
+      beta = 0;
+      x[p0] = 1;
+    }
+    else {
+      // s = sign(x[0]) * norm(x)
+      if (!equalScalar(x[p0], 0))
+        s = multiplyScalar(s, divideScalar(x[p0], abs(x[p0])));
+      // v = x + s * e1
+      x[p0] = addScalar(x[p0], s);
+      // beta = 1 / real(conj(s) * v[0])
+      beta = divideScalar(1, re(multiplyScalar(conj(s), x[p0])));
+    }
+    return {
+      beta: beta,
+      s: unaryMinus(s)
+    };
+  };
+
+  return cs_house;
+}
+
+exports.name = 'cs_house';
+exports.path = 'sparse';
+exports.factory = factory;
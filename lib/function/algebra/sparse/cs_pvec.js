@@ -0,0 +1,41 @@
+'use strict';
+
+function factory () {
+
+  /**
+   * Permutes a vector; x = Pb. In MATLAB notation, x=b(p).
+   *
+   * @param {Array} p           The permutation vector of length n. null value denotes identity
+   * @param {Array} b           The input vector
+   *
+   * @return {Array}            The output vector x = Pb
+   */
+  var cs_pvec = function (p, b) {
+    // vars
+    var k;
+    var n = b.length;
+    var x = [];
+    // check permutation vector was provided, p = null denotes identity
+    if (p) {
+      // loop vector
+      for (k = 0; k < n; k++) {
+        // apply permutation
+        x[k] = b[p[k]];
+      }
+    }
+    else {
+      // loop vector
+      for (k = 0; k < n; k++) {
+        // x[i] = b[i]
+        x[k] = b[k];
+      }
+    }
+    return x;
+  };
+
+  return cs_pvec;
+}
+
+exports.name = 'cs_pvec';
+exports.path = 'sparse';
+exports.factory = factory;
@@ -0,0 +1,169 @@
+'use strict';
+
+function factory (type, config, load) {
+
+  var cs_happly = load(require('./cs_happly'));
+  var cs_house = load(require('./cs_house'));
+
+  var SparseMatrix = type.SparseMatrix;
+
+  /**
+   * Computes the numeric QR factorization of matrix A using Householder
+   * reflections. It computes V, beta and R so
+   * (H(n-1) * ... * H(1) * H(0)) * P * A * Q = R, where H(k) = I - beta(k) * V(:,k) * V(:,k)'
+   *
+   * @param {Matrix}  m               The A Matrix to factorize
+   * @param {Object}  s               The symbolic analysis from cs_sqr(), qr = true
+   *
+   * @return {Object}                 The numeric QR factorization of A or null
+   *
+   * Reference: http://faculty.cse.tamu.edu/davis/publications.html
+   */
+  var cs_qr = function (m, s) {
+    // validate input
+    if (!m || !s)
+      return null;
+    // m arrays
+    var avalues = m._values;
+    var aindex = m._index;
+    var aptr = m._ptr;
+    var size = m._size;
+    // columns
+    var n = size[1];
+    // symbolic analysis result
+    var q = s.q;
+    var parent = s.parent;
+    var pinv = s.pinv;
+    var leftmost = s.leftmost;
+    // number of rows, including fictitious rows
+    var m2 = s.m2;
+    // V arrays
+    var vvalues = [];
+    var vindex = [];
+    var vptr = [];
+    // V
+    var V = new SparseMatrix({
+      values: vvalues,
+      index: vindex,
+      ptr: vptr,
+      size: [m2, n]
+    });
+    // R arrays
+    var rvalues = [];
+    var rindex = [];
+    var rptr = [];
+    // R
+    var R = new SparseMatrix({
+      values: rvalues,
+      index: rindex,
+      ptr: rptr,
+      size: [m2, n]
+    });
+    // beta
+    var beta = []; // (n)
+    // workspace, w: first m2 entries, stack: last n entries
+    var w = []; // (m2 + n)
+    var stack = m2;
+    // dense vector
+    var x = []; // (m2)
+    // vars
+    var i, k, p, p1, len, top;
+    // clear workspace
+    for (i = 0; i < m2; i++) {
+      // mark nodes
+      w[i] = -1;
+      // clear x
+      x[i] = 0;
+    }
+    // number of nonzero elements in R and V
+    var rnz = 0;
+    var vnz = 0;
+    // compute V and R
+    for (k = 0; k < n; k++) {
+      // R(:,k) starts here
+      rptr[k] = rnz;
+      // V(:,k) starts here
+      vptr[k] = p1 = vnz;
+      // add V(k,k) to pattern of V
+      w[k] = k;
+      vindex[vnz++] = k;
+      // initialize top
+      top = n;
+      // column in A
+      var col = q ? q[k] : k;
+      // find R(:,k) pattern
+      for (p = aptr[col]; p < aptr[col + 1]; p++) {
+        // i = min(find(A(i,q)))
+        i = leftmost[aindex[p]];
+        // traverse up to k
+        for (len = 0; w[i] !== k; i = parent[i]) {
+          w[stack + len++] = i;
+          w[i] = k;
+        }
+        // push path on stack
+        while (len > 0)
+          w[stack + --top] = w[stack + --len];
+        // i = permuted row of A(:,col)
+        i = pinv[aindex[p]];
+        // x(i) = A(:,col)
+        x[i] = avalues[p];
+        // pattern of V(:,k) = x(k+1:m)
+        if (i > k && w[i] < k) {
+          // add i to pattern of V(:,k)
+          vindex[vnz++] = i;
+          w[i] = k;
+        }
+      }
+      // for each i in pattern of R(:,k)
+      for (p = top; p < n; p++) {
+        // R(i,k) is nonzero
+        i = w[stack + p];
+        // apply (V(i), beta(i)) to x
+        cs_happly(V, i, beta[i], x);
+        // R(i,k) = x(i)
+        rindex[rnz] = i;
+        rvalues[rnz++] = x[i];
+        x[i] = 0;
+        // check i is a child of k in the elimination tree
+        if (parent[i] === k) {
+          // add pattern of V(:,i) to pattern of V(:,k)
+          for (var t = vptr[i]; t < vptr[i + 1]; t++) {
+            var r = vindex[t];
+            if (w[r] < k) {
+              w[r] = k;
+              vindex[vnz++] = r;
+            }
+          }
+        }
+      }
+      // gather V(:,k) = x
+      for (p = p1; p < vnz; p++) {
+        vvalues[p] = x[vindex[p]];
+        x[vindex[p]] = 0;
+      }
+      // finalize V(:,k) so cs_happly can use it
+      vptr[k + 1] = vnz;
+      // [v, beta] = house(x), R(k,k) = -sign(x(k)) * norm(x)
+      var h = cs_house(vvalues, p1, vnz);
+      beta[k] = h.beta;
+      rindex[rnz] = k;
+      rvalues[rnz++] = h.s;
+    }
+    // finalize R
+    rptr[n] = rnz;
+    // finalize V
+    vptr[n] = vnz;
+    // return V, beta & R
+    return {
+      V: V,
+      beta: beta,
+      R: R
+    };
+  };
+
+  return cs_qr;
+}
+
+exports.name = 'cs_qr';
+exports.path = 'sparse';
+exports.factory = factory;
@@ -0,0 +1,68 @@
+'use strict';
+
+function factory (type, config, load) {
+
+  var cs_amd = load(require('./cs_amd'));
+  var cs_symperm = load(require('./cs_symperm'));
+  var cs_etree = load(require('./cs_etree'));
+  var cs_post = load(require('./cs_post'));
+  var cs_counts = load(require('./cs_counts'));
+  var cs_cumsum = load(require('./cs_cumsum'));
+
+  /**
+   * Symbolic ordering and analysis for the Cholesky factorization.
+   *
+   * @param {Number}  order           The ordering strategy, 0 for natural ordering and 1 for amd(A+A') (see cs_amd)
+   * @param {Matrix}  a               The A matrix, only the upper triangular part is used
+   *
+   * @return {Object}                 The Symbolic ordering and analysis for matrix A or null
+   *
+   * Reference: http://faculty.cse.tamu.edu/davis/publications.html
+   */
+  var cs_schol = function (order, a) {
+    // validate input
+    if (!a)
+      return null;
+    // columns
+    var n = a._size[1];
+    // vars
+    var k;
+    // symbolic analysis result
+    var s = {};
+    // fill-reducing ordering
+    var q = cs_amd(order, a);
+    // validate results
+    if (order && !q)
+      return null;
+    // check a permutation is needed
+    if (q) {
+      // inverse permutation vector
+      s.pinv = []; // (n)
+      for (k = 0; k < n; k++)
+        s.pinv[q[k]] = k;
+    }
+    // C = spones(triu(A(p,p))), pattern only
+    var c = cs_symperm(a, s.pinv, false);
+    // etree of C
+    s.parent = cs_etree(c, false);
+    // post order elimination tree
+    var post = cs_post(s.parent, n);
+    // column counts of chol(C)
+    var colcount = cs_counts(c, s.parent, post, false);
+    // validate results
+    if (!colcount)
+      return null;
+    // column pointers for L
+    s.cp = []; // (n + 1)
+    // find column pointers and number of nonzero elements in L
+    s.unz = s.lnz = cs_cumsum(s.cp, colcount, n);
+    // return result S
+    return s;
+  };
+
+  return cs_schol;
+}
+
+exports.name = 'cs_schol';
+exports.path = 'sparse';
+exports.factory = factory;
@@ -134,7 +134,7 @@ function factory (type, config, load) {
       // associate row i with V(:,k)
       pinv[i] = k;
       // skip if V(k+1:m,k) is empty
-      if (--nque[k] <= 0) 
+      if (--w[nque + k] <= 0) 
         continue;
       // nque[k] is nnz (V(k+1:m,k))
       s.lnz += w[nque + k];
@@ -37,6 +37,9 @@ function factory (type, config, load) {
     var i, i2, j, j2, p, p0, p1;
     // create workspace vector
     var w = []; // (n);
+    // initialize workspace
+    for (j = 0; j < n; j++)
+      w[j] = 0;
     // count entries in each column of C
     for (j = 0; j < n; j++) {
       // column j of A is column j2 of C
@@ -36,7 +36,9 @@ function factory(type, config, load, typed) {
     'Unit, Unit': function (x, y) {
       if (x.value == null) throw new Error('Parameter x contains a unit with undefined value');
       if (y.value == null) throw new Error('Parameter y contains a unit with undefined value');
+      if (x._isLogarithmic() || y._isLogarithmic()) return x._addLogarithmic(y, false);
       if (!x.equalBase(y)) throw new Error('Units do not match');
+      if (x._isOffset() || y._isOffset()) return x._addOffset(y, false);
 
       var res = x.clone();
       res.value = add(res.value, y.value);
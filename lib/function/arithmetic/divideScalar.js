@@ -34,6 +34,11 @@ function factory(type, config, load, typed) {
     },
 
     'Unit, number | Fraction | BigNumber': function (x, y) {
+      if (x.value !== null && x._isLogarithmic()) {
+        return x._scaleLogarithmic(divideScalar(1, y));
+      }
+      x._assertWithoutOffset('divide');
+
       var res = x.clone();
       // TODO: move the divide function to Unit.js, it uses internals of Unit
       res.value = divideScalar(((res.value === null) ? res._normalize(1) : res.value), y);
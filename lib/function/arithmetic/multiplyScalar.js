@@ -34,12 +34,22 @@ function factory(type, config, load, typed) {
     },
 
     'number | Fraction | BigNumber | Complex, Unit': function (x, y) {
+      if (y.value !== null && y._isLogarithmic()) {
+        return y._scaleLogarithmic(x);
+      }
+      y._assertWithoutOffset('multiply');
+
       var res = y.clone();
       res.value = (res.value === null) ? res._normalize(x) : multiplyScalar(res.value, x);
       return res;
     },
 
     'Unit, number | Fraction | BigNumber | Complex': function (x, y) {
+      if (x.value !== null && x._isLogarithmic()) {
+        return x._scaleLogarithmic(y);
+      }
+      x._assertWithoutOffset('multiply');
+
       var res = x.clone();
       res.value = (res.value === null) ? res._normalize(y) : multiplyScalar(res.value, y);
       return res;
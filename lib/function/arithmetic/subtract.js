@@ -78,10 +78,18 @@ function factory (type, config, load, typed) {
         throw new Error('Parameter y contains a unit with undefined value');
       }
 
+      if (x._isLogarithmic() || y._isLogarithmic()) {
+        return x._addLogarithmic(y, true);
+      }
+
       if (!x.equalBase(y)) {
         throw new Error('Units do not match');
       }
 
+      if (x._isOffset() || y._isOffset()) {
+        return x._addOffset(y, true);
+      }
+
       var res = x.clone();
       res.value = subtract(res.value, y.value);
       res.fixPrefix = false;
@@ -46,6 +46,12 @@ function factory (type, config, load, typed) {
     },
 
     'Unit': function (x) {
+      if (x.value !== null && x._isLogarithmic()) {
+        // the negation of a gain like 3 dB is an attenuation -3 dB
+        return x._scaleLogarithmic(-1);
+      }
+      x._assertWithoutOffset('negate');
+
       var res = x.clone();
       res.value = unaryMinus(x.value);
       return res;
@@ -0,0 +1,59 @@
+'use strict';
+
+var util = require('../../utils/index');
+
+var string = util.string;
+
+function factory (type, config, load, typed) {
+  var matrix = load(require('../../type/matrix/function/matrix'));
+  var svd = load(require('../algebra/decomposition/svd'));
+  var divideScalar = load(require('../arithmetic/divideScalar'));
+  var isZero = load(require('../utils/isZero'));
+
+  /**
+   * Calculate the condition number of a matrix with respect to the 2-norm,
+   * the ratio of the largest and the smallest singular value.
+   *
+   * The condition number measures how sensitive the solution of a linear
+   * system is to errors in the data. It is `Infinity` for singular matrices.
+   * For a matrix containing BigNumbers, a BigNumber is returned.
+   *
+   * Syntax:
+   *
+   *     math.cond(x)
+   *
+   * Examples:
+   *
+   *     math.cond([[1, 0], [0, 2]]);     // returns 2
+   *     math.cond([[1, 2], [2, 4]]);     // returns Infinity
+   *     math.cond([[1, 1], [1, 1.001]]); // returns 4002.0007...
+   *
+   * See also:
+   *
+   *     svd, rank, norm, det
+   *
+   * @param {Array | Matrix} x     A two dimensional matrix
+   * @return {number | BigNumber} The condition number of `x`.
+   */
+  var cond = typed('cond', {
+    'Array | Matrix': function (x) {
+      var size = x.isMatrix === true ? x.size() : util.array.size(x);
+      // validate matrix dimensions
+      if (size.length !== 2)
+        throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+      var s = svd(matrix(x)).S.valueOf();
+      if (s.length === 0)
+        throw new RangeError('Cannot calculate the condition number of an empty matrix');
+      // singular values are sorted in descending order
+      var min = s[s.length - 1];
+      if (isZero(min))
+        return min.isBigNumber === true ? new type.BigNumber(Infinity) : Infinity;
+      return divideScalar(s[0], min);
+    }
+  });
+
+  return cond;
+}
+
+exports.name = 'cond';
+exports.factory = factory;
@@ -0,0 +1,760 @@
+'use strict';
+
+var util = require('../../utils/index');
+
+var object = util.object,
+    string = util.string,
+
+    DBL_EPSILON = util.number.DBL_EPSILON;
+
+function factory (type, config, load, typed) {
+  var matrix = load(require('../../type/matrix/function/matrix'));
+  var abs = load(require('../arithmetic/abs'));
+  var add = load(require('../arithmetic/add'));
+  var divide = load(require('../arithmetic/divide'));
+  var multiply = load(require('../arithmetic/multiply'));
+  var sqrt = load(require('../arithmetic/sqrt'));
+  var subtract = load(require('../arithmetic/subtract'));
+  var unaryMinus = load(require('../arithmetic/unaryMinus'));
+  var equal = load(require('../relational/equal'));
+
+  // maximum number of Jacobi sweeps and QR iterations per eigenvalue
+  var MAX_SWEEPS = 100;
+  var MAX_ITERATIONS = 1000;
+
+  /**
+   * Compute the eigenvalues and eigenvectors of a square matrix.
+   *
+   * For real symmetric matrices the eigenvalues are real and returned in
+   * ascending order, and the eigenvectors are orthonormal. They are computed
+   * with the Jacobi eigenvalue algorithm, which supports both numbers and
+   * BigNumbers.
+   *
+   * For general real matrices the matrix is reduced to Hessenberg form and
+   * the eigenvalues are computed with the shifted QR algorithm. Eigenvalues
+   * can be Complex, in which case they appear in complex conjugate pairs.
+   * The eigenvalues are returned sorted by real part and imaginary part, and
+   * the eigenvectors are normalized to unit length. The calculation is done
+   * with number precision, BigNumbers are converted to numbers.
+   *
+   * The function returns an object `{values, vectors}`, where the columns of
+   * `vectors` are the eigenvectors belonging to the eigenvalues in `values`,
+   * `A * vectors[:, i] = values[i] * vectors[:, i]`.
+   *
+   * Syntax:
+   *
+   *     math.eigs(x)
+   *
+   * Examples:
+   *
+   *     var r = math.eigs([[2, 1], [1, 2]]);
+   *     // r = {
+   *     //   values: [1, 3],
+   *     //   vectors: [[0.7071..., 0.7071...], [-0.7071..., 0.7071...]]
+   *     // }
+   *
+   *     math.eigs([[0, -1], [1, 0]]).values;  // returns [-i, i]
+   *
+   * See also:
+   *
+   *     det, inv, transpose
+   *
+   * @param {Array | Matrix} x  A square matrix with number or BigNumber values
+   * @return {{values: Array | Matrix, vectors: Array | Matrix}} The eigenvalues and eigenvectors of `x`
+   */
+  var eigs = typed('eigs', {
+    'Array': function (x) {
+      var r = _eigs(matrix(x));
+      return {
+        values: r.values.valueOf(),
+        vectors: r.vectors.valueOf()
+      };
+    },
+
+    'Matrix': function (x) {
+      return _eigs(x);
+    }
+  });
+
+  /**
+   * Compute the eigenvalues and eigenvectors of a matrix
+   * @param {Matrix} x
+   * @return {{values: Matrix, vectors: Matrix}}
+   * @private
+   */
+  function _eigs (x) {
+    var size = x.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    if (size[0] !== size[1])
+      throw new RangeError('Matrix must be square (size: ' + string.format(size) + ')');
+    var n = size[0];
+    var data = x.valueOf();
+    // validate values and test whether the matrix is symmetric
+    var bignumber = false;
+    var symmetric = true;
+    for (var i = 0; i < n; i++) {
+      for (var j = 0; j < n; j++) {
+        var value = data[i][j];
+        if (value && value.isBigNumber === true) {
+          bignumber = true;
+        }
+        else if (typeof value !== 'number') {
+          throw new TypeError('Matrix must contain numbers or BigNumbers (value: ' + string.format(value) + ')');
+        }
+        if (j > i && !equal(value, data[j][i])) {
+          symmetric = false;
+        }
+      }
+    }
+    var r = symmetric ? _jacobi(data, n, bignumber) : _hqr(data, n, bignumber);
+    return {
+      values: matrix(r.values),
+      vectors: matrix(r.vectors)
+    };
+  }
+
+  /**
+   * Eigenvalues and eigenvectors of a real symmetric matrix using the cyclic
+   * Jacobi eigenvalue algorithm.
+   * @param {Array} data
+   * @param {number} n
+   * @param {boolean} bignumber
+   * @return {{values: Array, vectors: Array}}
+   * @private
+   */
+  function _jacobi (data, n, bignumber) {
+    var a = bignumber ? _toBigNumber(data) : object.clone(data);
+    var zero = bignumber ? new type.BigNumber(0) : 0;
+    var one = bignumber ? new type.BigNumber(1) : 1;
+    var i, j, k, p, q;
+    // eigenvectors, identity matrix
+    var v = [];
+    for (i = 0; i < n; i++) {
+      v[i] = [];
+      for (j = 0; j < n; j++)
+        v[i][j] = i === j ? one : zero;
+    }
+    // convergence tolerance relative to the Frobenius norm of the matrix
+    var norm = zero;
+    for (i = 0; i < n; i++) {
+      for (j = 0; j < n; j++)
+        norm = add(norm, multiply(a[i][j], a[i][j]));
+    }
+    var epsilon = bignumber ? new type.BigNumber(10).pow(-config.precision) : DBL_EPSILON;
+    var tol = multiply(multiply(norm, epsilon), multiply(epsilon, n * n));
+    for (var sweep = 0; ; sweep++) {
+      // sum of squares of the off-diagonal values
+      var off = zero;
+      for (p = 0; p < n; p++) {
+        for (q = p + 1; q < n; q++)
+          off = add(off, multiply(a[p][q], a[p][q]));
+      }
+      if (!_lt(tol, off))
+        break;
+      if (sweep >= MAX_SWEEPS)
+        throw new Error('Eigenvalue computation did not converge');
+      // annihilate each off-diagonal value once
+      for (p = 0; p < n; p++) {
+        for (q = p + 1; q < n; q++) {
+          var apq = a[p][q];
+          if (bignumber ? apq.isZero() : apq === 0)
+            continue;
+          // rotation angle, t = tan(phi), c = cos(phi), s = sin(phi)
+          var theta = divide(subtract(a[q][q], a[p][p]), multiply(2, apq));
+          var t = divide(one, add(abs(theta), sqrt(add(multiply(theta, theta), one))));
+          if (_lt(theta, 0))
+            t = unaryMinus(t);
+          var c = divide(one, sqrt(add(multiply(t, t), one)));
+          var s = multiply(t, c);
+          // A = A * J
+          for (k = 0; k < n; k++) {
+            var akp = a[k][p];
+            var akq = a[k][q];
+            a[k][p] = subtract(multiply(c, akp), multiply(s, akq));
+            a[k][q] = add(multiply(s, akp), multiply(c, akq));
+          }
+          // A = J' * A
+          for (k = 0; k < n; k++) {
+            var apk = a[p][k];
+            var aqk = a[q][k];
+            a[p][k] = subtract(multiply(c, apk), multiply(s, aqk));
+            a[q][k] = add(multiply(s, apk), multiply(c, aqk));
+          }
+          a[p][q] = a[q][p] = zero;
+          // V = V * J
+          for (k = 0; k < n; k++) {
+            var vkp = v[k][p];
+            var vkq = v[k][q];
+            v[k][p] = subtract(multiply(c, vkp), multiply(s, vkq));
+            v[k][q] = add(multiply(s, vkp), multiply(c, vkq));
+          }
+        }
+      }
+    }
+    // sort eigenvalues in ascending order
+    var order = [];
+    for (i = 0; i < n; i++)
+      order[i] = i;
+    order.sort(function (i, j) {
+      return _lt(a[i][i], a[j][j]) ? -1 : (_lt(a[j][j], a[i][i]) ? 1 : 0);
+    });
+    return {
+      values: order.map(function (i) {
+        return a[i][i];
+      }),
+      vectors: v.map(function (row) {
+        return order.map(function (j) {
+          return row[j];
+        });
+      })
+    };
+  }
+
+  /**
+   * Convert all values of a two dimensional array to BigNumbers
+   * @param {Array} data
+   * @return {Array}
+   * @private
+   */
+  function _toBigNumber (data) {
+    return data.map(function (row) {
+      return row.map(function (value) {
+        return new type.BigNumber(value);
+      });
+    });
+  }
+
+  /**
+   * Test whether x < y. Unlike the relational functions, this does not
+   * treat nearly equal values as equal, as the values can be very small.
+   * @param {number | BigNumber} x
+   * @param {number | BigNumber} y
+   * @return {boolean}
+   * @private
+   */
+  function _lt (x, y) {
+    return (x && x.isBigNumber === true) ? x.lt(y) : x < y;
+  }
+
+  /**
+   * Eigenvalues and eigenvectors of a general real matrix. The matrix is
+   * reduced to Hessenberg form, after which the eigenvalues are computed with
+   * the shifted QR algorithm. The eigenvectors are found by back substitution.
+   *
+   * Reference: JAMA, derived from the EISPACK routines orthes and hqr2,
+   * http://math.nist.gov/javanumerics/jama/
+   *
+   * @param {Array} data
+   * @param {number} n
+   * @param {boolean} bignumber
+   * @return {{values: Array, vectors: Array}}
+   * @private
+   */
+  function _hqr (data, n, bignumber) {
+    var h = [];
+    var i, j;
+    for (i = 0; i < n; i++) {
+      h[i] = [];
+      for (j = 0; j < n; j++)
+        h[i][j] = bignumber ? data[i][j].toNumber() : data[i][j];
+    }
+    var v = _orthes(h, n);
+    var r = _hqr2(h, v, n);
+    var d = r.d;
+    var e = r.e;
+    // create eigenvalues and complex eigenvectors
+    var values = [];
+    var vectors = [];
+    for (j = 0; j < n; j++) {
+      var vector = [];
+      for (i = 0; i < n; i++) {
+        if (e[j] === 0)
+          vector[i] = v[i][j];
+        else if (e[j] > 0)
+          vector[i] = new type.Complex(v[i][j], v[i][j + 1]);
+        else
+          vector[i] = new type.Complex(v[i][j - 1], -v[i][j]);
+      }
+      // normalize to unit length
+      var length = 0;
+      for (i = 0; i < n; i++)
+        length += Math.pow(abs(vector[i]), 2);
+      length = Math.sqrt(length);
+      if (length !== 0) {
+        for (i = 0; i < n; i++)
+          vector[i] = divide(vector[i], length);
+      }
+      values[j] = e[j] === 0 ? d[j] : new type.Complex(d[j], e[j]);
+      vectors[j] = vector;
+    }
+    // sort by real part and imaginary part
+    var order = [];
+    for (j = 0; j < n; j++)
+      order[j] = j;
+    order.sort(function (i, j) {
+      return (d[i] - d[j]) || (e[i] - e[j]);
+    });
+    return {
+      values: order.map(function (j) {
+        return values[j];
+      }),
+      vectors: vectors[0] ? vectors[0].map(function (value, i) {
+        return order.map(function (j) {
+          return vectors[j][i];
+        });
+      }) : []
+    };
+  }
+
+  /**
+   * Reduce matrix h to Hessenberg form by orthogonal similarity
+   * transformations. Matrix h is modified in place.
+   * @param {Array} h
+   * @param {number} n
+   * @return {Array} The accumulated transformations
+   * @private
+   */
+  function _orthes (h, n) {
+    var low = 0;
+    var high = n - 1;
+    var ort = [];
+    var v = [];
+    var i, j, m, f, g;
+    for (m = low + 1; m <= high - 1; m++) {
+      // scale column
+      var scale = 0;
+      for (i = m; i <= high; i++)
+        scale += Math.abs(h[i][m - 1]);
+      if (scale !== 0) {
+        // compute Householder transformation
+        var hh = 0;
+        for (i = high; i >= m; i--) {
+          ort[i] = h[i][m - 1] / scale;
+          hh += ort[i] * ort[i];
+        }
+        g = Math.sqrt(hh);
+        if (ort[m] > 0)
+          g = -g;
+        hh = hh - ort[m] * g;
+        ort[m] = ort[m] - g;
+        // apply Householder similarity transformation
+        for (j = m; j < n; j++) {
+          f = 0;
+          for (i = high; i >= m; i--)
+            f += ort[i] * h[i][j];
+          f = f / hh;
+          for (i = m; i <= high; i++)
+            h[i][j] -= f * ort[i];
+        }
+        for (i = 0; i <= high; i++) {
+          f = 0;
+          for (j = high; j >= m; j--)
+            f += ort[j] * h[i][j];
+          f = f / hh;
+          for (j = m; j <= high; j++)
+            h[i][j] -= f * ort[j];
+        }
+        ort[m] = scale * ort[m];
+        h[m][m - 1] = scale * g;
+      }
+    }
+    // accumulate transformations
+    for (i = 0; i < n; i++) {
+      v[i] = [];
+      for (j = 0; j < n; j++)
+        v[i][j] = i === j ? 1 : 0;
+    }
+    for (m = high - 1; m >= low + 1; m--) {
+      if (h[m][m - 1] !== 0) {
+        for (i = m + 1; i <= high; i++)
+          ort[i] = h[i][m - 1];
+        for (j = m; j <= high; j++) {
+          g = 0;
+          for (i = m; i <= high; i++)
+            g += ort[i] * v[i][j];
+          // double division avoids possible underflow
+          g = (g / ort[m]) / h[m][m - 1];
+          for (i = m; i <= high; i++)
+            v[i][j] += g * ort[i];
+        }
+      }
+    }
+    return v;
+  }
+
+  /**
+   * Complex scalar division (xr + xi i) / (yr + yi i)
+   * @param {number} xr
+   * @param {number} xi
+   * @param {number} yr
+   * @param {number} yi
+   * @return {Array} The real and imaginary part of the result
+   * @private
+   */
+  function _cdiv (xr, xi, yr, yi) {
+    var r, d;
+    if (Math.abs(yr) > Math.abs(yi)) {
+      r = yi / yr;
+      d = yr + r * yi;
+      return [(xr + r * xi) / d, (xi - r * xr) / d];
+    }
+    r = yr / yi;
+    d = yi + r * yr;
+    return [(r * xr + xi) / d, (r * xi - xr) / d];
+  }
+
+  /**
+   * Reduce Hessenberg matrix h to real Schur form by the shifted QR
+   * algorithm, and compute the eigenvectors by back substitution.
+   * Matrices h and v are modified in place, v contains the eigenvectors
+   * afterwards.
+   * @param {Array} h
+   * @param {Array} v
+   * @param {number} nn
+   * @return {{d: Array, e: Array}} The real and imaginary parts of the eigenvalues
+   * @private
+   */
+  function _hqr2 (h, v, nn) {
+    var n = nn - 1;
+    var low = 0;
+    var high = nn - 1;
+    var eps = DBL_EPSILON;
+    var exshift = 0;
+    var p = 0, q = 0, r = 0, s = 0, z = 0, t, w, x, y;
+    var d = [];
+    var e = [];
+    var i, j, k, l, m, c;
+    // compute matrix norm
+    var norm = 0;
+    for (i = 0; i < nn; i++) {
+      for (j = Math.max(i - 1, 0); j < nn; j++)
+        norm += Math.abs(h[i][j]);
+    }
+    // outer loop over eigenvalue index
+    var iter = 0;
+    while (n >= low) {
+      // look for single small sub-diagonal element
+      l = n;
+      while (l > low) {
+        s = Math.abs(h[l - 1][l - 1]) + Math.abs(h[l][l]);
+        if (s === 0)
+          s = norm;
+        if (Math.abs(h[l][l - 1]) < eps * s)
+          break;
+        l--;
+      }
+      // check for convergence
+      if (l === n) {
+        // one root found
+        h[n][n] = h[n][n] + exshift;
+        d[n] = h[n][n];
+        e[n] = 0;
+        n--;
+        iter = 0;
+      }
+      else if (l === n - 1) {
+        // two roots found
+        w = h[n][n - 1] * h[n - 1][n];
+        p = (h[n - 1][n - 1] - h[n][n]) / 2;
+        q = p * p + w;
+        z = Math.sqrt(Math.abs(q));
+        h[n][n] = h[n][n] + exshift;
+        h[n - 1][n - 1] = h[n - 1][n - 1] + exshift;
+        x = h[n][n];
+        if (q >= 0) {
+          // real pair
+          z = p >= 0 ? p + z : p - z;
+          d[n - 1] = x + z;
+          d[n] = d[n - 1];
+          if (z !== 0)
+            d[n] = x - w / z;
+          e[n - 1] = 0;
+          e[n] = 0;
+          x = h[n][n - 1];
+          s = Math.abs(x) + Math.abs(z);
+          p = x / s;
+          q = z / s;
+          r = Math.sqrt(p * p + q * q);
+          p = p / r;
+          q = q / r;
+          // row modification
+          for (j = n - 1; j < nn; j++) {
+            z = h[n - 1][j];
+            h[n - 1][j] = q * z + p * h[n][j];
+            h[n][j] = q * h[n][j] - p * z;
+          }
+          // column modification
+          for (i = 0; i <= n; i++) {
+            z = h[i][n - 1];
+            h[i][n - 1] = q * z + p * h[i][n];
+            h[i][n] = q * h[i][n] - p * z;
+          }
+          // accumulate transformations
+          for (i = low; i <= high; i++) {
+            z = v[i][n - 1];
+            v[i][n - 1] = q * z + p * v[i][n];
+            v[i][n] = q * v[i][n] - p * z;
+          }
+        }
+        else {
+          // complex pair
+          d[n - 1] = x + p;
+          d[n] = x + p;
+          e[n - 1] = z;
+          e[n] = -z;
+        }
+        n = n - 2;
+        iter = 0;
+      }
+      else {
+        // no convergence yet, form shift
+        x = h[n][n];
+        y = 0;
+        w = 0;
+        if (l < n) {
+          y = h[n - 1][n - 1];
+          w = h[n][n - 1] * h[n - 1][n];
+        }
+        // Wilkinson's original ad hoc shift
+        if (iter === 10) {
+          exshift += x;
+          for (i = low; i <= n; i++)
+            h[i][i] -= x;
+          s = Math.abs(h[n][n - 1]) + Math.abs(h[n - 1][n - 2]);
+          x = y = 0.75 * s;
+          w = -0.4375 * s * s;
+        }
+        // MATLAB's new ad hoc shift
+        if (iter === 30) {
+          s = (y - x) / 2;
+          s = s * s + w;
+          if (s > 0) {
+            s = Math.sqrt(s);
+            if (y < x)
+              s = -s;
+            s = x - w / ((y - x) / 2 + s);
+            for (i = low; i <= n; i++)
+              h[i][i] -= s;
+            exshift += s;
+            x = y = w = 0.964;
+          }
+        }
+        iter++;
+        if (iter > MAX_ITERATIONS)
+          throw new Error('Eigenvalue computation did not converge');
+        // look for two consecutive small sub-diagonal elements
+        m = n - 2;
+        while (m >= l) {
+          z = h[m][m];
+          r = x - z;
+          s = y - z;
+          p = (r * s - w) / h[m + 1][m] + h[m][m + 1];
+          q = h[m + 1][m + 1] - z - r - s;
+          r = h[m + 2][m + 1];
+          s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+          p = p / s;
+          q = q / s;
+          r = r / s;
+          if (m === l)
+            break;
+          if (Math.abs(h[m][m - 1]) * (Math.abs(q) + Math.abs(r)) <
+              eps * (Math.abs(p) * (Math.abs(h[m - 1][m - 1]) + Math.abs(z) + Math.abs(h[m + 1][m + 1]))))
+            break;
+          m--;
+        }
+        for (i = m + 2; i <= n; i++) {
+          h[i][i - 2] = 0;
+          if (i > m + 2)
+            h[i][i - 3] = 0;
+        }
+        // double QR step involving rows l:n and columns m:n
+        for (k = m; k <= n - 1; k++) {
+          var notlast = (k !== n - 1);
+          if (k !== m) {
+            p = h[k][k - 1];
+            q = h[k + 1][k - 1];
+            r = notlast ? h[k + 2][k - 1] : 0;
+            x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+            if (x === 0)
+              continue;
+            p = p / x;
+            q = q / x;
+            r = r / x;
+          }
+          s = Math.sqrt(p * p + q * q + r * r);
+          if (p < 0)
+            s = -s;
+          if (s !== 0) {
+            if (k !== m)
+              h[k][k - 1] = -s * x;
+            else if (l !== m)
+              h[k][k - 1] = -h[k][k - 1];
+            p = p + s;
+            x = p / s;
+            y = q / s;
+            z = r / s;
+            q = q / p;
+            r = r / p;
+            // row modification
+            for (j = k; j < nn; j++) {
+              p = h[k][j] + q * h[k + 1][j];
+              if (notlast) {
+                p = p + r * h[k + 2][j];
+                h[k + 2][j] = h[k + 2][j] - p * z;
+              }
+              h[k][j] = h[k][j] - p * x;
+              h[k + 1][j] = h[k + 1][j] - p * y;
+            }
+            // column modification
+            for (i = 0; i <= Math.min(n, k + 3); i++) {
+              p = x * h[i][k] + y * h[i][k + 1];
+              if (notlast) {
+                p = p + z * h[i][k + 2];
+                h[i][k + 2] = h[i][k + 2] - p * r;
+              }
+              h[i][k] = h[i][k] - p;
+              h[i][k + 1] = h[i][k + 1] - p * q;
+            }
+            // accumulate transformations
+            for (i = low; i <= high; i++) {
+              p = x * v[i][k] + y * v[i][k + 1];
+              if (notlast) {
+                p = p + z * v[i][k + 2];
+                v[i][k + 2] = v[i][k + 2] - p * r;
+              }
+              v[i][k] = v[i][k] - p;
+              v[i][k + 1] = v[i][k + 1] - p * q;
+            }
+          }
+        }
+      }
+    }
+    // back substitute to find vectors of upper triangular form
+    if (norm === 0)
+      return {d: d, e: e};
+    for (n = nn - 1; n >= 0; n--) {
+      p = d[n];
+      q = e[n];
+      if (q === 0) {
+        // real vector
+        l = n;
+        h[n][n] = 1;
+        for (i = n - 1; i >= 0; i--) {
+          w = h[i][i] - p;
+          r = 0;
+          for (j = l; j <= n; j++)
+            r = r + h[i][j] * h[j][n];
+          if (e[i] < 0) {
+            z = w;
+            s = r;
+          }
+          else {
+            l = i;
+            if (e[i] === 0) {
+              h[i][n] = w !== 0 ? -r / w : -r / (eps * norm);
+            }
+            else {
+              // solve real equations
+              x = h[i][i + 1];
+              y = h[i + 1][i];
+              q = (d[i] - p) * (d[i] - p) + e[i] * e[i];
+              t = (x * s - z * r) / q;
+              h[i][n] = t;
+              h[i + 1][n] = Math.abs(x) > Math.abs(z) ? (-r - w * t) / x : (-s - y * t) / z;
+            }
+            // overflow control
+            t = Math.abs(h[i][n]);
+            if ((eps * t) * t > 1) {
+              for (j = i; j <= n; j++)
+                h[j][n] = h[j][n] / t;
+            }
+          }
+        }
+      }
+      else if (q < 0) {
+        // complex vector
+        l = n - 1;
+        // last vector component imaginary so matrix is triangular
+        if (Math.abs(h[n][n - 1]) > Math.abs(h[n - 1][n])) {
+          h[n - 1][n - 1] = q / h[n][n - 1];
+          h[n - 1][n] = -(h[n][n] - p) / h[n][n - 1];
+        }
+        else {
+          c = _cdiv(0, -h[n - 1][n], h[n - 1][n - 1] - p, q);
+          h[n - 1][n - 1] = c[0];
+          h[n - 1][n] = c[1];
+        }
+        h[n][n - 1] = 0;
+        h[n][n] = 1;
+        for (i = n - 2; i >= 0; i--) {
+          var ra = 0;
+          var sa = 0;
+          for (j = l; j <= n; j++) {
+            ra = ra + h[i][j] * h[j][n - 1];
+            sa = sa + h[i][j] * h[j][n];
+          }
+          w = h[i][i] - p;
+          if (e[i] < 0) {
+            z = w;
+            r = ra;
+            s = sa;
+          }
+          else {
+            l = i;
+            if (e[i] === 0) {
+              c = _cdiv(-ra, -sa, w, q);
+              h[i][n - 1] = c[0];
+              h[i][n] = c[1];
+            }
+            else {
+              // solve complex equations
+              x = h[i][i + 1];
+              y = h[i + 1][i];
+              var vr = (d[i] - p) * (d[i] - p) + e[i] * e[i] - q * q;
+              var vi = (d[i] - p) * 2 * q;
+              if (vr === 0 && vi === 0)
+                vr = eps * norm * (Math.abs(w) + Math.abs(q) + Math.abs(x) + Math.abs(y) + Math.abs(z));
+              c = _cdiv(x * r - z * ra + q * sa, x * s - z * sa - q * ra, vr, vi);
+              h[i][n - 1] = c[0];
+              h[i][n] = c[1];
+              if (Math.abs(x) > (Math.abs(z) + Math.abs(q))) {
+                h[i + 1][n - 1] = (-ra - w * h[i][n - 1] + q * h[i][n]) / x;
+                h[i + 1][n] = (-sa - w * h[i][n] - q * h[i][n - 1]) / x;
+              }
+              else {
+                c = _cdiv(-r - y * h[i][n - 1], -s - y * h[i][n], z, q);
+                h[i + 1][n - 1] = c[0];
+                h[i + 1][n] = c[1];
+              }
+            }
+            // overflow control
+            t = Math.max(Math.abs(h[i][n - 1]), Math.abs(h[i][n]));
+            if ((eps * t) * t > 1) {
+              for (j = i; j <= n; j++) {
+                h[j][n - 1] = h[j][n - 1] / t;
+                h[j][n] = h[j][n] / t;
+              }
+            }
+          }
+        }
+      }
+    }
+    // back transformation to get eigenvectors of original matrix
+    for (j = nn - 1; j >= low; j--) {
+      for (i = low; i <= high; i++) {
+        z = 0;
+        for (k = low; k <= Math.min(j, high); k++)
+          z = z + v[i][k] * h[k][j];
+        v[i][j] = z;
+      }
+    }
+    return {d: d, e: e};
+  }
+
+  return eigs;
+}
+
+exports.name = 'eigs';
+exports.factory = factory;
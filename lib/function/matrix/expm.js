@@ -0,0 +1,177 @@
+'use strict';
+
+var util = require('../../utils/index');
+
+var string = util.string;
+
+function factory (type, config, load, typed) {
+  var matrix = load(require('../../type/matrix/function/matrix'));
+  var abs = load(require('../arithmetic/abs'));
+  var add = load(require('../arithmetic/add'));
+  var divide = load(require('../arithmetic/divide'));
+  var multiply = load(require('../arithmetic/multiply'));
+  var subtract = load(require('../arithmetic/subtract'));
+  var inv = load(require('./inv'));
+
+  // degree of the Padé approximant
+  var Q = 6;
+
+  /**
+   * Calculate the matrix exponential of a square matrix,
+   * `expm(A) = I + A + A^2 / 2! + A^3 / 3! + ...`
+   *
+   * The exponential is computed with the scaling and squaring method using
+   * a Padé approximant. Matrices can contain numbers, BigNumbers or Complex
+   * numbers. A matrix with BigNumbers is calculated with BigNumber precision,
+   * unless it also contains Complex numbers.
+   *
+   * Note that this is not the same as the element-wise exponential
+   * `math.exp(A)`.
+   *
+   * Syntax:
+   *
+   *     math.expm(A)
+   *
+   * Examples:
+   *
+   *     math.expm([[0, 0], [0, 0]]);   // returns [[1, 0], [0, 1]]
+   *     math.expm([[0, 1], [0, 0]]);   // returns [[1, 1], [0, 1]]
+   *     math.expm([[0, 2], [-2, 0]]);  // returns [[cos(2), sin(2)], [-sin(2), cos(2)]]
+   *
+   * See also:
+   *
+   *     exp, logm, sqrtm
+   *
+   * @param {Array | Matrix} A  A square matrix
+   * @return {Array | Matrix}   The matrix exponential of `A`
+   */
+  var expm = typed('expm', {
+    'Array': function (A) {
+      return _expm(matrix(A));
+    },
+
+    'Matrix': function (A) {
+      return matrix(_expm(A));
+    }
+  });
+
+  /**
+   * Calculate the matrix exponential of a matrix
+   * @param {Matrix} A
+   * @return {Array}
+   * @private
+   */
+  function _expm (A) {
+    var size = A.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    if (size[0] !== size[1])
+      throw new RangeError('Matrix must be square (size: ' + string.format(size) + ')');
+    var n = size[0];
+    var data = A.valueOf();
+    var i, j, k;
+    // BigNumbers keep their precision, unless mixed with Complex numbers
+    var bignumber = false;
+    var complex = false;
+    for (i = 0; i < n; i++) {
+      for (j = 0; j < n; j++) {
+        var value = data[i][j];
+        if (value && value.isBigNumber === true)
+          bignumber = true;
+        else if (value && value.isComplex === true)
+          complex = true;
+        else if (typeof value !== 'number')
+          throw new TypeError('Matrix must contain numbers, BigNumbers or Complex numbers (value: ' + string.format(value) + ')');
+      }
+    }
+    bignumber = bignumber && !complex;
+    var zero = bignumber ? new type.BigNumber(0) : 0;
+    var one = bignumber ? new type.BigNumber(1) : 1;
+    // convert values and calculate the infinity norm
+    var a = [];
+    var norm = 0;
+    for (i = 0; i < n; i++) {
+      a[i] = [];
+      var sum = 0;
+      for (j = 0; j < n; j++) {
+        value = data[i][j];
+        if (bignumber)
+          value = new type.BigNumber(value);
+        else if (value.isBigNumber === true)
+          value = value.toNumber();
+        a[i][j] = value;
+        sum += bignumber ? abs(value).toNumber() : abs(value);
+      }
+      norm = Math.max(norm, sum);
+    }
+    if (n === 0)
+      return [];
+    // scale A so its norm is smaller than 1/2
+    var s = norm > 0 ? Math.max(0, Math.floor(Math.log(norm) / Math.LN2) + 1) : 0;
+    a = divide(a, Math.pow(2, s));
+    // Padé approximant, N = sum(c(k) * A^k), D = sum(c(k) * (-A)^k)
+    var q = bignumber ? _degree(type.BigNumber.precision) : Q;
+    var x = _identity(n, zero, one);
+    var numerator = _identity(n, zero, one);
+    var denominator = _identity(n, zero, one);
+    var c = one;
+    for (k = 1; k <= q; k++) {
+      c = divide(multiply(c, q - k + 1), (2 * q - k + 1) * k);
+      x = multiply(a, x);
+      var cx = multiply(c, x);
+      numerator = add(numerator, cx);
+      denominator = k % 2 === 0 ? add(denominator, cx) : subtract(denominator, cx);
+    }
+    var f = multiply(inv(denominator), numerator);
+    // undo scaling by repeated squaring
+    for (k = 0; k < s; k++)
+      f = multiply(f, f);
+    return f;
+  }
+
+  /**
+   * Find the degree of the Padé approximant for which the error for a
+   * matrix with a norm of 1/2 is smaller than the given number of digits,
+   * the error is q!^2 / ((2q)! * (2q+1)!) * (1/2)^(2q+1)
+   * @param {number} digits
+   * @return {number}
+   * @private
+   */
+  function _degree (digits) {
+    for (var q = Q; ; q++) {
+      // natural logarithm of the error
+      var e = -(2 * q + 1) * Math.LN2;
+      for (var k = 1; k <= q; k++)
+        e += 2 * Math.log(k);
+      for (k = 1; k <= 2 * q; k++)
+        e -= 2 * Math.log(k);
+      e -= Math.log(2 * q + 1);
+      if (e / Math.LN10 <= -digits)
+        return q;
+    }
+  }
+
+  /**
+   * Create an identity matrix
+   * @param {number} n
+   * @param {number | BigNumber} zero
+   * @param {number | BigNumber} one
+   * @return {Array}
+   * @private
+   */
+  function _identity (n, zero, one) {
+    var x = [];
+    for (var i = 0; i < n; i++) {
+      x[i] = [];
+      for (var j = 0; j < n; j++)
+        x[i][j] = i === j ? one : zero;
+    }
+    return x;
+  }
+
+  return expm;
+}
+
+exports.name = 'expm';
+exports.factory = factory;
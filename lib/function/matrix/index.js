@@ -1,22 +1,29 @@
 module.exports = [
   require('./concat'),
+  require('./cond'),
   require('./cross'),
   require('./det'),
   require('./diag'),
   require('./dot'),
+  require('./eigs'),
   require('./eye'),
+  require('./expm'),
   require('./filter'),
   require('./flatten'),
   require('./forEach'),
   require('./inv'),
   require('./kron'),
+  require('./logm'),
   require('./map'),
   require('./ones'),
   require('./partitionSelect'),
+  require('./pinv'),
   require('./range'),
+  require('./rank'),
   require('./resize'),
   require('./size'),
   require('./sort'),
+  require('./sqrtm'),
   require('./squeeze'),
   require('./subset'),
   require('./trace'),
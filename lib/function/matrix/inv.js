@@ -26,7 +26,7 @@ function factory (type, config, load, typed) {
    *
    * See also:
    *
-   *     det, transpose
+   *     det, transpose, pinv
    *
    * @param {number | Complex | Array | Matrix} x     Matrix to be inversed
    * @return {number | Complex | Array | Matrix} The inverse of `x`.
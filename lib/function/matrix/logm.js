@@ -0,0 +1,148 @@
+'use strict';
+
+var util = require('../../utils/index');
+
+var string = util.string;
+
+function factory (type, config, load, typed) {
+  var matrix = load(require('../../type/matrix/function/matrix'));
+  var abs = load(require('../arithmetic/abs'));
+  var add = load(require('../arithmetic/add'));
+  var multiply = load(require('../arithmetic/multiply'));
+  var subtract = load(require('../arithmetic/subtract'));
+  var inv = load(require('./inv'));
+  var sqrtm = load(require('./sqrtm'));
+
+  // maximum number of square roots taken before the logarithm is approximated
+  var MAX_SQUARE_ROOTS = 64;
+
+  // nodes and weights of the 8 point Gauss-Legendre quadrature rule on [0, 1]
+  var NODES = [
+    0.0198550717512319, 0.1016667612931866, 0.2372337950418355, 0.4082826787521751,
+    0.5917173212478249, 0.7627662049581645, 0.8983332387068134, 0.9801449282487681
+  ];
+  var WEIGHTS = [
+    0.0506142681451881, 0.1111905172266872, 0.1568533229389436, 0.1813418916891810,
+    0.1813418916891810, 0.1568533229389436, 0.1111905172266872, 0.0506142681451881
+  ];
+
+  /**
+   * Calculate the principal logarithm of a square matrix, the unique matrix
+   * `X` with `expm(X) = A` whose eigenvalues have an imaginary part in the
+   * interval (-pi, pi).
+   *
+   * The logarithm is computed with the inverse scaling and squaring method:
+   * square roots of the matrix are taken until it is close to the identity
+   * matrix, after which the logarithm is approximated with a Padé
+   * approximant. The result is Complex when the logarithm of a real matrix
+   * is not real, for example when the matrix has negative eigenvalues. The
+   * calculation is done with number precision, BigNumbers are converted to
+   * numbers.
+   *
+   * Note that this is not the same as the element-wise logarithm
+   * `math.log(A)`.
+   *
+   * Syntax:
+   *
+   *     math.logm(A)
+   *
+   * Examples:
+   *
+   *     math.logm([[1, 0], [0, 1]]);                 // returns [[0, 0], [0, 0]]
+   *     math.logm([[1, 1], [0, 1]]);                 // returns [[0, 1], [0, 0]]
+   *     math.logm([[-1, 0], [0, -1]]);               // returns [[3.1416i, 0], [0, 3.1416i]]
+   *     math.logm(math.expm([[1, 2], [0, 3]]));      // returns [[1, 2], [0, 3]]
+   *
+   * See also:
+   *
+   *     log, expm, sqrtm
+   *
+   * @param {Array | Matrix} A  A square, non singular matrix
+   * @return {Array | Matrix}   The principal logarithm of `A`
+   */
+  var logm = typed('logm', {
+    'Array': function (A) {
+      return _logm(matrix(A));
+    },
+
+    'Matrix': function (A) {
+      return matrix(_logm(A));
+    }
+  });
+
+  /**
+   * Calculate the principal logarithm of a matrix
+   * @param {Matrix} A
+   * @return {Array}
+   * @private
+   */
+  function _logm (A) {
+    var size = A.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    if (size[0] !== size[1])
+      throw new RangeError('Matrix must be square (size: ' + string.format(size) + ')');
+    var n = size[0];
+    if (n === 0)
+      return [];
+    var data = A.valueOf();
+    // convert values to numbers
+    var x = [];
+    var identity = [];
+    var i, j, k;
+    for (i = 0; i < n; i++) {
+      x[i] = [];
+      identity[i] = [];
+      for (j = 0; j < n; j++) {
+        var value = data[i][j];
+        if (value && value.isBigNumber === true)
+          value = value.toNumber();
+        else if (typeof value !== 'number' && !(value && value.isComplex === true))
+          throw new TypeError('Matrix must contain numbers, BigNumbers or Complex numbers (value: ' + string.format(value) + ')');
+        x[i][j] = value;
+        identity[i][j] = i === j ? 1 : 0;
+      }
+    }
+    // take square roots until X = A^(1/2^k) is close to I, log(A) = 2^k * log(X)
+    var y;
+    for (k = 0; ; k++) {
+      y = subtract(x, identity);
+      if (_norm(y, n) <= 0.25)
+        break;
+      if (k >= MAX_SQUARE_ROOTS)
+        throw new Error('Cannot calculate logarithm, matrix is singular');
+      x = sqrtm(x);
+    }
+    // log(I + Y) = integral(Y * inv(I + t * Y), t = 0..1), with Gauss-Legendre quadrature
+    var result = null;
+    for (i = 0; i < NODES.length; i++) {
+      var term = multiply(WEIGHTS[i], multiply(y, inv(add(identity, multiply(NODES[i], y)))));
+      result = result === null ? term : add(result, term);
+    }
+    return multiply(Math.pow(2, k), result);
+  }
+
+  /**
+   * Calculate the infinity norm of a square matrix
+   * @param {Array} x
+   * @param {number} n
+   * @return {number}
+   * @private
+   */
+  function _norm (x, n) {
+    var norm = 0;
+    for (var i = 0; i < n; i++) {
+      var sum = 0;
+      for (var j = 0; j < n; j++)
+        sum += abs(x[i][j]);
+      norm = Math.max(norm, sum);
+    }
+    return norm;
+  }
+
+  return logm;
+}
+
+exports.name = 'logm';
+exports.factory = factory;
@@ -0,0 +1,89 @@
+'use strict';
+
+var util = require('../../utils/index');
+
+var string = util.string;
+
+function factory (type, config, load, typed) {
+  var matrix = load(require('../../type/matrix/function/matrix'));
+  var svd = load(require('../algebra/decomposition/svd'));
+  var addScalar = load(require('../arithmetic/addScalar'));
+  var multiplyScalar = load(require('../arithmetic/multiplyScalar'));
+  var divideScalar = load(require('../arithmetic/divideScalar'));
+  var larger = load(require('../relational/larger'));
+
+  /**
+   * Calculate the Moore-Penrose pseudo-inverse of a matrix.
+   *
+   * The pseudo-inverse is computed from the singular value decomposition
+   * `A = U * diag(S) * V'` as `V * diag(1 / S) * U'`, where singular values
+   * smaller than `max(S) * max(m, n) * epsilon` are treated as zero. For
+   * square non-singular matrices the pseudo-inverse equals the inverse.
+   *
+   * Syntax:
+   *
+   *     math.pinv(x)
+   *
+   * Examples:
+   *
+   *     math.pinv([[1, 2], [3, 4]]);  // returns [[-2, 1], [1.5, -0.5]]
+   *     math.pinv([[1, 2], [2, 4]]);  // returns [[0.04, 0.08], [0.08, 0.16]]
+   *     math.pinv([[1], [2]]);        // returns [[0.2, 0.4]]
+   *
+   * See also:
+   *
+   *     inv, svd, lstsq, rank
+   *
+   * @param {Array | Matrix} x     Matrix to be pseudo-inversed
+   * @return {Array | Matrix} The pseudo-inverse of `x`.
+   */
+  var pinv = typed('pinv', {
+    'Array': function (x) {
+      return _pinv(matrix(x)).valueOf();
+    },
+
+    'Matrix': function (x) {
+      return matrix(_pinv(x), x.storage());
+    }
+  });
+
+  /**
+   * Calculate the pseudo-inverse of a two dimensional matrix
+   * @param {Matrix} x
+   * @return {Array}
+   * @private
+   */
+  function _pinv (x) {
+    var size = x.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    var rows = size[0];
+    var cols = size[1];
+    var r = svd(x);
+    var u = r.U.valueOf();
+    var s = r.S.valueOf();
+    var v = r.V.valueOf();
+    // tolerance for singular values
+    var tol = s.length > 0 ? multiplyScalar(s[0], Math.max(rows, cols) * config.epsilon) : 0;
+    // zero of the type of the singular values
+    var zero = s.length > 0 && s[0].isBigNumber === true ? new type.BigNumber(0) : 0;
+    // pseudo-inverse V * diag(1 / S) * U'
+    var result = [];
+    for (var i = 0; i < cols; i++) {
+      result[i] = [];
+      for (var j = 0; j < rows; j++) {
+        var value = zero;
+        for (var k = 0; k < s.length && larger(s[k], tol); k++)
+          value = addScalar(value, divideScalar(multiplyScalar(v[i][k], u[j][k]), s[k]));
+        result[i][j] = value;
+      }
+    }
+    return result;
+  }
+
+  return pinv;
+}
+
+exports.name = 'pinv';
+exports.factory = factory;
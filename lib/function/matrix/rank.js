@@ -0,0 +1,83 @@
+'use strict';
+
+var util = require('../../utils/index');
+
+var string = util.string;
+
+function factory (type, config, load, typed) {
+  var matrix = load(require('../../type/matrix/function/matrix'));
+  var svd = load(require('../algebra/decomposition/svd'));
+  var multiplyScalar = load(require('../arithmetic/multiplyScalar'));
+  var larger = load(require('../relational/larger'));
+
+  /**
+   * Calculate the rank of a matrix, the number of linearly independent rows
+   * or columns.
+   *
+   * The rank is the number of singular values of the matrix which are larger
+   * than a tolerance. By default the tolerance is `max(S) * max(m, n) * epsilon`,
+   * where `epsilon` is the configured relative difference used to test
+   * equality.
+   *
+   * Syntax:
+   *
+   *     math.rank(x)
+   *     math.rank(x, tol)
+   *
+   * Examples:
+   *
+   *     math.rank([[1, 2], [3, 4]]);                 // returns 2
+   *     math.rank([[1, 2, 3], [2, 4, 6]]);           // returns 1
+   *     math.rank([[1, 0], [0, 1e-6]], 1e-3);        // returns 1
+   *
+   * See also:
+   *
+   *     svd, cond, det, pinv
+   *
+   * @param {Array | Matrix} x     A two dimensional matrix
+   * @param {number} [tol]         Singular values smaller than or equal to `tol` are treated as zero
+   * @return {number} The rank of `x`.
+   */
+  var rank = typed('rank', {
+    'Array': function (x) {
+      return _rank(matrix(x));
+    },
+
+    'Matrix': function (x) {
+      return _rank(x);
+    },
+
+    'Array, number': function (x, tol) {
+      return _rank(matrix(x), tol);
+    },
+
+    'Matrix, number': _rank
+  });
+
+  /**
+   * Calculate the rank of a two dimensional matrix
+   * @param {Matrix} x
+   * @param {number} [tol]
+   * @return {number}
+   * @private
+   */
+  function _rank (x, tol) {
+    var size = x.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    var s = svd(x).S.valueOf();
+    if (tol === undefined)
+      tol = s.length > 0 ? multiplyScalar(s[0], Math.max(size[0], size[1]) * config.epsilon) : 0;
+    // singular values are sorted in descending order
+    var r = 0;
+    while (r < s.length && larger(s[r], tol))
+      r++;
+    return r;
+  }
+
+  return rank;
+}
+
+exports.name = 'rank';
+exports.factory = factory;
@@ -0,0 +1,350 @@
+'use strict';
+
+var util = require('../../utils/index');
+
+var string = util.string,
+
+    DBL_EPSILON = util.number.DBL_EPSILON;
+
+function factory (type, config, load, typed) {
+  var matrix = load(require('../../type/matrix/function/matrix'));
+
+  var Complex = type.Complex;
+
+  // maximum number of QR iterations per eigenvalue
+  var MAX_ITERATIONS = 100;
+
+  /**
+   * Calculate the principal square root of a square matrix, the unique
+   * matrix `X` with `X * X = A` whose eigenvalues have a non negative real
+   * part.
+   *
+   * The square root is computed with the Schur method: the matrix is
+   * reduced to upper triangular form `A = Q * T * Q'`, after which the
+   * square root of `T` is computed column by column. The result is Complex
+   * when the square root of a real matrix is not real, for example when the
+   * matrix has negative eigenvalues. The calculation is done with number
+   * precision, BigNumbers are converted to numbers.
+   *
+   * Syntax:
+   *
+   *     math.sqrtm(A)
+   *
+   * Examples:
+   *
+   *     math.sqrtm([[33, 24], [48, 57]]);  // returns [[5, 2], [4, 7]]
+   *     math.sqrtm([[-4, 0], [0, -9]]);    // returns [[2i, 0], [0, 3i]]
+   *
+   * See also:
+   *
+   *     sqrt, expm, logm, pow
+   *
+   * @param {Array | Matrix} A  A square matrix
+   * @return {Array | Matrix}   The principal square root of `A`
+   */
+  var sqrtm = typed('sqrtm', {
+    'Array': function (A) {
+      return _sqrtm(matrix(A));
+    },
+
+    'Matrix': function (A) {
+      return matrix(_sqrtm(A));
+    }
+  });
+
+  /**
+   * Calculate the principal square root of a matrix
+   * @param {Matrix} A
+   * @return {Array}
+   * @private
+   */
+  function _sqrtm (A) {
+    var size = A.size();
+    // validate matrix dimensions
+    if (size.length !== 2)
+      throw new RangeError('Matrix must be two dimensional (size: ' + string.format(size) + ')');
+    if (size[0] !== size[1])
+      throw new RangeError('Matrix must be square (size: ' + string.format(size) + ')');
+    var n = size[0];
+    var data = A.valueOf();
+    // convert values to Complex
+    var real = true;
+    var t = [];
+    var i, j, k;
+    for (i = 0; i < n; i++) {
+      t[i] = [];
+      for (j = 0; j < n; j++) {
+        var value = data[i][j];
+        if (typeof value === 'number')
+          t[i][j] = new Complex(value, 0);
+        else if (value && value.isBigNumber === true)
+          t[i][j] = new Complex(value.toNumber(), 0);
+        else if (value && value.isComplex === true) {
+          t[i][j] = value;
+          real = false;
+        }
+        else
+          throw new TypeError('Matrix must contain numbers, BigNumbers or Complex numbers (value: ' + string.format(value) + ')');
+      }
+    }
+    // Schur decomposition A = Q * T * Q'
+    var q = _schur(t, n);
+    // square root R of the upper triangular matrix T
+    var r = [];
+    for (i = 0; i < n; i++) {
+      r[i] = [];
+      for (j = 0; j < n; j++)
+        r[i][j] = new Complex(0, 0);
+      r[i][i] = t[i][i].sqrt();
+    }
+    for (j = 1; j < n; j++) {
+      for (i = j - 1; i >= 0; i--) {
+        // R(i, j) = (T(i, j) - sum(R(i, i+1:j-1) * R(i+1:j-1, j))) / (R(i, i) + R(j, j))
+        var s = t[i][j];
+        for (k = i + 1; k < j; k++)
+          s = s.sub(r[i][k].mul(r[k][j]));
+        var d = r[i][i].add(r[j][j]);
+        if (d.abs() === 0) {
+          if (s.abs() !== 0)
+            throw new Error('Matrix square root does not exist');
+          continue;
+        }
+        r[i][j] = s.div(d);
+      }
+    }
+    // X = Q * R * Q'
+    var x = _multiply(_multiply(q, r, n, false), q, n, true);
+    return real ? _real(x, n) : x;
+  }
+
+  /**
+   * Multiply two square matrices with Complex values, X = A * B or X = A * B'
+   * @param {Array} a
+   * @param {Array} b
+   * @param {number} n
+   * @param {boolean} adjoint   Multiply with the conjugate transpose of B
+   * @return {Array}
+   * @private
+   */
+  function _multiply (a, b, n, adjoint) {
+    var x = [];
+    for (var i = 0; i < n; i++) {
+      x[i] = [];
+      for (var j = 0; j < n; j++) {
+        var s = new Complex(0, 0);
+        for (var k = 0; k < n; k++)
+          s = s.add(a[i][k].mul(adjoint ? b[j][k].conjugate() : b[k][j]));
+        x[i][j] = s;
+      }
+    }
+    return x;
+  }
+
+  /**
+   * Convert a matrix with Complex values to numbers when all imaginary
+   * parts are negligible
+   * @param {Array} x
+   * @param {number} n
+   * @return {Array}
+   * @private
+   */
+  function _real (x, n) {
+    var i, j;
+    var norm = 0;
+    var imag = 0;
+    for (i = 0; i < n; i++) {
+      for (j = 0; j < n; j++) {
+        norm = Math.max(norm, x[i][j].abs());
+        imag = Math.max(imag, Math.abs(x[i][j].im));
+      }
+    }
+    if (imag > norm * config.epsilon)
+      return x;
+    var result = [];
+    for (i = 0; i < n; i++) {
+      result[i] = [];
+      for (j = 0; j < n; j++)
+        result[i][j] = x[i][j].re;
+    }
+    return result;
+  }
+
+  /**
+   * Complex Schur decomposition A = Q * T * Q' of a square matrix using
+   * Householder reduction to Hessenberg form followed by the shifted QR
+   * algorithm. Matrix A is overwritten with the upper triangular matrix T.
+   * @param {Array} a     Matrix with Complex values
+   * @param {number} n
+   * @return {Array}      The unitary matrix Q
+   * @private
+   */
+  function _schur (a, n) {
+    var i, j, k;
+    var zero = new Complex(0, 0);
+    var q = [];
+    for (i = 0; i < n; i++) {
+      q[i] = [];
+      for (j = 0; j < n; j++)
+        q[i][j] = new Complex(i === j ? 1 : 0, 0);
+    }
+    // reduction to Hessenberg form, A = H * A * H, Q = Q * H, H = I - 2 * v * v'
+    for (k = 0; k < n - 2; k++) {
+      var norm = 0;
+      for (i = k + 1; i < n; i++)
+        norm += a[i][k].re * a[i][k].re + a[i][k].im * a[i][k].im;
+      norm = Math.sqrt(norm);
+      if (norm === 0)
+        continue;
+      // v = x - alpha * e1, alpha = -phase(x[0]) * norm(x)
+      var x0 = a[k + 1][k];
+      var phase = x0.abs() === 0 ? new Complex(1, 0) : x0.div(x0.abs());
+      var alpha = phase.mul(-norm);
+      var v = [];
+      for (i = k + 1; i < n; i++)
+        v[i] = a[i][k];
+      v[k + 1] = x0.sub(alpha);
+      var vnorm = 0;
+      for (i = k + 1; i < n; i++)
+        vnorm += v[i].re * v[i].re + v[i].im * v[i].im;
+      vnorm = Math.sqrt(vnorm);
+      for (i = k + 1; i < n; i++)
+        v[i] = v[i].div(vnorm);
+      // A = H * A
+      for (j = 0; j < n; j++) {
+        var s = zero;
+        for (i = k + 1; i < n; i++)
+          s = s.add(v[i].conjugate().mul(a[i][j]));
+        s = s.mul(2);
+        for (i = k + 1; i < n; i++)
+          a[i][j] = a[i][j].sub(v[i].mul(s));
+      }
+      // A = A * H and Q = Q * H
+      _reflect(a, v, k + 1, n);
+      _reflect(q, v, k + 1, n);
+      a[k + 1][k] = alpha;
+      for (i = k + 2; i < n; i++)
+        a[i][k] = zero;
+    }
+    // shifted QR algorithm on the Hessenberg matrix
+    var hi = n - 1;
+    var iterations = 0;
+    while (hi > 0) {
+      // find the start of the active block, deflate negligible subdiagonal values
+      var lo = hi;
+      while (lo > 0) {
+        var h = a[lo][lo - 1].abs();
+        if (h <= DBL_EPSILON * (a[lo - 1][lo - 1].abs() + a[lo][lo].abs()) || h === 0) {
+          a[lo][lo - 1] = zero;
+          break;
+        }
+        lo--;
+      }
+      if (lo === hi) {
+        // eigenvalue a[hi][hi] converged
+        hi--;
+        iterations = 0;
+        continue;
+      }
+      if (++iterations > MAX_ITERATIONS)
+        throw new Error('Matrix square root computation did not converge');
+      // Wilkinson shift, eigenvalue of the trailing 2x2 block closest to a[hi][hi]
+      var mu;
+      if (iterations % 10 === 0) {
+        // exceptional shift
+        mu = a[hi][hi].add(a[hi][hi - 1].abs());
+      }
+      else {
+        var p = a[hi - 1][hi - 1];
+        var d = a[hi][hi];
+        var half = p.sub(d).div(2);
+        var root = half.mul(half).add(a[hi - 1][hi].mul(a[hi][hi - 1])).sqrt();
+        var l1 = d.add(half).add(root);
+        var l2 = d.add(half).sub(root);
+        mu = l1.sub(d).abs() < l2.sub(d).abs() ? l1 : l2;
+      }
+      // QR step on the active block, A - mu * I = G' * R, A = R * G' + mu * I
+      for (i = lo; i <= hi; i++)
+        a[i][i] = a[i][i].sub(mu);
+      var rotations = [];
+      for (k = lo; k < hi; k++) {
+        var g = _givens(a[k][k], a[k + 1][k]);
+        rotations.push(g);
+        for (j = k; j < n; j++) {
+          var x = a[k][j];
+          var y = a[k + 1][j];
+          a[k][j] = g.c.conjugate().mul(x).add(g.s.conjugate().mul(y));
+          a[k + 1][j] = g.c.mul(y).sub(g.s.mul(x));
+        }
+      }
+      for (k = lo; k < hi; k++) {
+        _rotate(a, rotations[k - lo], k, Math.min(k + 2, hi) + 1);
+        _rotate(q, rotations[k - lo], k, n);
+      }
+      for (i = lo; i <= hi; i++)
+        a[i][i] = a[i][i].add(mu);
+    }
+    // clear the lower triangular part
+    for (i = 1; i < n; i++) {
+      for (j = 0; j < i; j++)
+        a[i][j] = zero;
+    }
+    return q;
+  }
+
+  /**
+   * Multiply the columns k:n-1 of a matrix with a Householder reflection,
+   * A = A * (I - 2 * v * v')
+   * @param {Array} a
+   * @param {Array} v
+   * @param {number} k
+   * @param {number} n
+   * @private
+   */
+  function _reflect (a, v, k, n) {
+    for (var i = 0; i < n; i++) {
+      var s = new Complex(0, 0);
+      for (var j = k; j < n; j++)
+        s = s.add(a[i][j].mul(v[j]));
+      s = s.mul(2);
+      for (j = k; j < n; j++)
+        a[i][j] = a[i][j].sub(s.mul(v[j].conjugate()));
+    }
+  }
+
+  /**
+   * Create a Givens rotation G = [c', s'; -s, c] with G * [x; y] = [r; 0]
+   * @param {Complex} x
+   * @param {Complex} y
+   * @return {{c: Complex, s: Complex}}
+   * @private
+   */
+  function _givens (x, y) {
+    var r = Math.sqrt(x.re * x.re + x.im * x.im + y.re * y.re + y.im * y.im);
+    if (r === 0)
+      return {c: new Complex(1, 0), s: new Complex(0, 0)};
+    return {c: x.div(r), s: y.div(r)};
+  }
+
+  /**
+   * Multiply the columns k and k+1 of the rows 0:rows-1 of a matrix with
+   * the adjoint of a Givens rotation, A = A * G'
+   * @param {Array} a
+   * @param {{c: Complex, s: Complex}} g
+   * @param {number} k
+   * @param {number} rows
+   * @private
+   */
+  function _rotate (a, g, k, rows) {
+    for (var i = 0; i < rows; i++) {
+      var x = a[i][k];
+      var y = a[i][k + 1];
+      a[i][k] = x.mul(g.c).add(y.mul(g.s));
+      a[i][k + 1] = y.mul(g.c.conjugate()).sub(x.mul(g.s.conjugate()));
+    }
+  }
+
+  return sqrtm;
+}
+
+exports.name = 'sqrtm';
+exports.factory = factory;
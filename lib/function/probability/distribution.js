@@ -2,289 +2,400 @@
 
 var ArgumentsError = require('../../error/ArgumentsError');
 var isCollection = require('../../utils/collection/isCollection');
+var deepMap = require('../../utils/collection/deepMap');
 var isNumber = require('../../utils/number').isNumber;
 
-// TODO: rethink math.distribution
 // TODO: rework to a typed function
 function factory (type, config, load, typed) {
   var matrix = load(require('../../type/matrix/function/matrix'));
   var array = require('../../utils/array');
 
+  // seeded pseudo random number generator
+  var rng = load(require('./seededRNG'));
+
+  // definitions of the available distributions
+  var distributions = load(require('./distributions'));
+
   /**
-   * Create a distribution object with a set of random functions for given
-   * random distribution.
+   * Create a distribution object for given probability distribution and
+   * parameters.
+   *
+   * Every distribution object contains the functions `pdf(x)` (the probability
+   * density function, or the probability mass function for discrete
+   * distributions), `cdf(x)` (the cumulative distribution function),
+   * `inv(p)` (the quantile function, the inverse of `cdf`), `mean()`,
+   * `variance()`, and `random([size])` to draw random samples. The functions
+   * `pdf`, `cdf` and `inv` are evaluated element wise for matrices.
+   *
+   * Available distributions and their parameters:
+   *
+   *     'uniform'       min = 0, max = 1
+   *     'normal'        mu = 0, sigma = 1
+   *     'lognormal'     mu = 0, sigma = 1
+   *     'exponential'   lambda = 1
+   *     'gamma'         k (shape), theta = 1 (scale)
+   *     'beta'          alpha, beta
+   *     'chiSquared'    k (degrees of freedom)
+   *     'studentT'      nu (degrees of freedom)
+   *     'f'             d1, d2 (degrees of freedom)
+   *     'poisson'       lambda
+   *     'binomial'      n, p
+   *     'geometric'     p (number of trials up to and including the first success)
+   *
+   * The uniform distribution also contains the functions
+   * `randomInt([size] [, min] [, max])` and `pickRandom(array)`, and its
+   * function `random` accepts an interval too: `random([size] [, min] [, max])`.
+   * The other distributions throw an error for `randomInt` and `pickRandom`.
    *
    * Syntax:
    *
    *     math.distribution(name)
+   *     math.distribution(name, param1, param2, ...)
    *
    * Examples:
    *
-   *     var normalDist = math.distribution('normal'); // create a normal distribution
-   *     normalDist.random(0, 10);                     // get a random value between 0 and 10
+   *     var normal = math.distribution('normal', 100, 15);
+   *     normal.cdf(130);       // returns 0.9772498680518208
+   *     normal.inv(0.5);       // returns 100
+   *     normal.variance();     // returns 225
+   *     normal.random([2]);    // returns an array with two random values
+   *
+   *     var poisson = math.distribution('poisson', 4);
+   *     poisson.pdf(2);        // returns 0.14652511110987343
+   *
+   *     var uniform = math.distribution('uniform');
+   *     uniform.random(0, 10); // get a random value between 0 and 10
    *
    * See also:
    *
    *     random, randomInt, pickRandom
    *
-   * @param {string} name   Name of a distribution. Choose from 'uniform', 'normal'.
-   * @return {Object}       Returns a distribution object containing functions:
-   *                        `random([size] [, min] [, max])`,
-   *                        `randomInt([min] [, max])`,
-   *                        `pickRandom(array)`
+   * @param {string} name      Name of the distribution
+   * @param {...number} params Parameters of the distribution
+   * @return {Object}          Returns a distribution object
    */
   function distribution(name) {
     if (!distributions.hasOwnProperty(name))
       throw new Error('Unknown distribution ' + name);
 
-    var args = Array.prototype.slice.call(arguments, 1),
-        distribution = distributions[name].apply(this, args);
-
-    return (function(distribution) {
+    var definition = distributions[name];
+    var params = Array.prototype.slice.call(arguments, 1);
+    if (params.length > definition.params.length)
+      throw new ArgumentsError('distribution', arguments.length, 1, definition.params.length + 1);
+    // apply default parameters and validate
+    for (var i = params.length; i < definition.params.length; i++) {
+      if (definition.defaults[i] === undefined)
+        throw new Error('Parameter ' + definition.params[i] + ' of the ' + name + ' distribution is required');
+      params[i] = definition.defaults[i];
+    }
+    definition.validate.apply(null, params);
+
+    var dist = {
+      name: name,
+
+      pdf: function (x) {
+        return _evaluate('pdf', definition.pdf, x, params);
+      },
+
+      cdf: function (x) {
+        return _evaluate('cdf', definition.cdf, x, params);
+      },
+
+      inv: function (p) {
+        return _evaluate('inv', function (p) {
+          if (!(p >= 0 && p <= 1))
+            throw new Error('Probability must be in the interval [0, 1] (value: ' + p + ')');
+          return definition.inv.apply(null, arguments);
+        }, p, params);
+      },
+
+      mean: function () {
+        return definition.mean.apply(null, params);
+      },
+
+      variance: function () {
+        return definition.variance.apply(null, params);
+      },
+
+      random: function (size) {
+        if (arguments.length > 1)
+          throw new ArgumentsError('random', arguments.length, 0, 1);
+        var sample = function () {
+          return definition.random.apply(null, params);
+        };
+        if (size === undefined)
+          return sample();
+        if (!isCollection(size))
+          throw new TypeError('Invalid argument in function random');
+        var res = _randomDataForMatrix(size.valueOf(), 0, 1, sample);
+        return (size && size.isMatrix === true) ? matrix(res) : res;
+      }
+    };
+
+    if (name === 'uniform') {
+      // random functions with a configurable interval
+      var randFunctions = _randFunctions(rng, params[0], params[1]);
+      dist.random = randFunctions.random;
+      dist.randomInt = randFunctions.randomInt;
+      dist.pickRandom = randFunctions.pickRandom;
+    }
+    else {
+      // drawing integers or picking values uniformly does not follow the distribution
+      dist.randomInt = function () {
+        throw new Error('Function randomInt is only available for the uniform distribution');
+      };
+      dist.pickRandom = function () {
+        throw new Error('Function pickRandom is only available for the uniform distribution');
+      };
+    }
 
-      // This is the public API for all distributions
-      var randFunctions = {
+    return dist;
+  }
 
-        random: function(arg1, arg2, arg3) {
-          var size, min, max;
+  /**
+   * Evaluate a function of a distribution for a number, or element wise for
+   * a matrix
+   * @param {string} name
+   * @param {function} fn
+   * @param {number | Array | Matrix} x
+   * @param {Array} params
+   * @return {number | Array | Matrix}
+   * @private
+   */
+  function _evaluate (name, fn, x, params) {
+    if (isCollection(x)) {
+      return deepMap(x, function (value) {
+        return _evaluate(name, fn, value, params);
+      });
+    }
+    if (!isNumber(x))
+      throw new TypeError('Invalid argument in function ' + name + ', number or matrix expected');
+    return fn.apply(null, [x].concat(params));
+  }
 
-          if (arguments.length > 3) {
-            throw new ArgumentsError('random', arguments.length, 0, 3);
-          } else if (arguments.length === 1) {
-            // `random(max)` or `random(size)`
-            if (isCollection(arg1)) {
-              size = arg1;
-            } else {
-              max = arg1;
-            }
-          } else if (arguments.length === 2) {
-            // `random(min, max)` or `random(size, max)`
-            if (isCollection(arg1)) {
-              size = arg1;
-              max = arg2;
-            } else {
-              min = arg1;
-              max = arg2;
-            }
+  /**
+   * Create the functions random, randomInt and pickRandom for a random
+   * generator returning values in the interval [0, 1)
+   * @param {function} distribution
+   * @param {number} minDefault     Default lower bound of random values
+   * @param {number} maxDefault     Default upper bound of random values
+   * @return {Object}
+   * @private
+   */
+  function _randFunctions (distribution, minDefault, maxDefault) {
+    // This is the public API for the random functions
+    var randFunctions = {
+
+      random: function(arg1, arg2, arg3) {
+        var size, min, max;
+
+        if (arguments.length > 3) {
+          throw new ArgumentsError('random', arguments.length, 0, 3);
+        } else if (arguments.length === 1) {
+          // `random(max)` or `random(size)`
+          if (isCollection(arg1)) {
+            size = arg1;
           } else {
-            // `random(size, min, max)`
+            max = arg1;
+          }
+        } else if (arguments.length === 2) {
+          // `random(min, max)` or `random(size, max)`
+          if (isCollection(arg1)) {
             size = arg1;
-            min = arg2;
-            max = arg3;
+            max = arg2;
+          } else {
+            min = arg1;
+            max = arg2;
           }
+        } else {
+          // `random(size, min, max)`
+          size = arg1;
+          min = arg2;
+          max = arg3;
+        }
 
-          // TODO: validate type of size
-          if ((min !== undefined && !isNumber(min)) || (max !== undefined && !isNumber(max))) {
-            throw new TypeError('Invalid argument in function random');
-          }
+        // TODO: validate type of size
+        if ((min !== undefined && !isNumber(min)) || (max !== undefined && !isNumber(max))) {
+          throw new TypeError('Invalid argument in function random');
+        }
+
+        if (max === undefined) max = maxDefault;
+        if (min === undefined) min = minDefault;
+        if (size !== undefined) {
+          var res = _randomDataForMatrix(size.valueOf(), min, max, _random);
+          return (size && size.isMatrix === true) ? matrix(res) : res;
+        }
+        return _random(min, max);
+      },
+
+      randomInt: typed({
+        'number | Array': function(arg) {
+          var min = 0;
 
-          if (max === undefined) max = 1;
-          if (min === undefined) min = 0;
-          if (size !== undefined) {
-            var res = _randomDataForMatrix(size.valueOf(), min, max, _random);
+          if (isCollection(arg)) {
+            var size = arg;
+            var max = 1;
+            var res = _randomDataForMatrix(size.valueOf(), min, max, _randomInt);
             return (size && size.isMatrix === true) ? matrix(res) : res;
+          } else {
+            var max = arg;
+            return _randomInt(min, max);
           }
-          return _random(min, max);
         },
-
-        randomInt: typed({
-          'number | Array': function(arg) {
+        'number | Array, number': function(arg1, arg2) {
+          if (isCollection(arg1)) {
+            var size = arg1;
+            var max = arg2;
             var min = 0;
-
-            if (isCollection(arg)) {
-              var size = arg;
-              var max = 1;
-              var res = _randomDataForMatrix(size.valueOf(), min, max, _randomInt);
-              return (size && size.isMatrix === true) ? matrix(res) : res;
-            } else {
-              var max = arg;
-              return _randomInt(min, max);
-            }
-          },
-          'number | Array, number': function(arg1, arg2) {
-            if (isCollection(arg1)) {
-              var size = arg1;
-              var max = arg2;
-              var min = 0;
-              var res = _randomDataForMatrix(size.valueOf(), min, max, _randomInt);
-              return (size && size.isMatrix === true) ? matrix(res) : res;
-            }
-            else {
-              var min = arg1;
-              var max = arg2;
-              return _randomInt(min, max);
-            }
-          },
-          'Array, number, number': function(size, min, max) {
             var res = _randomDataForMatrix(size.valueOf(), min, max, _randomInt);
             return (size && size.isMatrix === true) ? matrix(res) : res;
           }
-        }),
-
-        pickRandom: typed({
-          'Array': function(possibles) {
-            return _pickRandom(possibles);
-          },
-          'Array, number | Array': function(possibles, arg2) {
-            var number, weights;
-
-            if (Array.isArray(arg2)) {
-              weights = arg2;
-            } else if (isNumber(arg2)) {
-              number = arg2;
-            } else {
-              throw new TypeError('Invalid argument in function pickRandom')
-            }
-
-            return _pickRandom(possibles, number, weights);
-          },
-          'Array, number | Array, Array | number': function(possibles, arg2, arg3) {
-            var number, weights;
-
-            if (Array.isArray(arg2)) {
-              weights = arg2;
-              number = arg3;
-            } else {
-              weights = arg3;
-              number = arg2;
-            }
-
-            if (!Array.isArray(weights) || !isNumber(number)) {
-              throw new TypeError('Invalid argument in function pickRandom');
-            }
-
-            return _pickRandom(possibles, number, weights);
+          else {
+            var min = arg1;
+            var max = arg2;
+            return _randomInt(min, max);
           }
-        })
-      }
-
-      var _pickRandom = function(possibles, number, weights) {
-        var single = (typeof number === 'undefined');
-
-        if (single) {
-          number = 1;
-        }
-
-        if (possibles && possibles.isMatrix === true) {
-          possibles = possibles.valueOf(); // get Array
-        } else if (!Array.isArray(possibles)) {
-          throw new TypeError('Unsupported type of value in function pickRandom');
+        },
+        'Array, number, number': function(size, min, max) {
+          var res = _randomDataForMatrix(size.valueOf(), min, max, _randomInt);
+          return (size && size.isMatrix === true) ? matrix(res) : res;
         }
+      }),
 
-        if (array.size(possibles).length > 1) {
-          throw new Error('Only one dimensional vectors supported');
-        }
+      pickRandom: typed({
+        'Array': function(possibles) {
+          return _pickRandom(possibles);
+        },
+        'Array, number | Array': function(possibles, arg2) {
+          var number, weights;
 
-        if (typeof weights !== 'undefined') {
-          if (weights.length != possibles.length) {
-            throw new Error('Weights must have the same length as possibles');
+          if (Array.isArray(arg2)) {
+            weights = arg2;
+          } else if (isNumber(arg2)) {
+            number = arg2;
+          } else {
+            throw new TypeError('Invalid argument in function pickRandom')
           }
 
-          var totalWeights = 0;
+          return _pickRandom(possibles, number, weights);
+        },
+        'Array, number | Array, Array | number': function(possibles, arg2, arg3) {
+          var number, weights;
 
-          for (var i = 0, len = weights.length; i < len; i++) {
-            if (!isNumber(weights[i]) || weights[i] < 0) {
-              throw new Error('Weights must be an array of positive numbers');
-            }
+          if (Array.isArray(arg2)) {
+            weights = arg2;
+            number = arg3;
+          } else {
+            weights = arg3;
+            number = arg2;
+          }
 
-            totalWeights += weights[i];
+          if (!Array.isArray(weights) || !isNumber(number)) {
+            throw new TypeError('Invalid argument in function pickRandom');
           }
+
+          return _pickRandom(possibles, number, weights);
         }
+      })
+    }
 
-        var length = possibles.length;
+    var _pickRandom = function(possibles, number, weights) {
+      var single = (typeof number === 'undefined');
 
-        if (length == 0) {
-          return [];
-        } else if (number >= length) {
-          return possibles;
-        }
+      if (single) {
+        number = 1;
+      }
 
-        var result = [];
-        var pick;
+      if (possibles && possibles.isMatrix === true) {
+        possibles = possibles.valueOf(); // get Array
+      } else if (!Array.isArray(possibles)) {
+        throw new TypeError('Unsupported type of value in function pickRandom');
+      }
 
-        while (result.length < number) {
-          if (typeof weights === 'undefined') {
-            pick = possibles[Math.floor(Math.random() * length)];
-          } else {
-            var randKey = Math.random() * totalWeights;
+      if (array.size(possibles).length > 1) {
+        throw new Error('Only one dimensional vectors supported');
+      }
 
-            for (var i = 0, len = possibles.length; i < len; i++) {
-              randKey -= weights[i];
+      if (typeof weights !== 'undefined') {
+        if (weights.length != possibles.length) {
+          throw new Error('Weights must have the same length as possibles');
+        }
 
-              if (randKey < 0) {
-                pick = possibles[i];
-                break;
-              }
-            }
-          }
+        var totalWeights = 0;
 
-          if (result.indexOf(pick) == -1) {
-            result.push(pick);
+        for (var i = 0, len = weights.length; i < len; i++) {
+          if (!isNumber(weights[i]) || weights[i] < 0) {
+            throw new Error('Weights must be an array of positive numbers');
           }
+
+          totalWeights += weights[i];
         }
+      }
 
-        return single ? result[0] : result;
+      var length = possibles.length;
 
-        // TODO: add support for multi dimensional matrices
+      if (length == 0) {
+        return [];
+      } else if (number >= length) {
+        return possibles;
       }
 
-      var _random = function(min, max) {
-        return min + distribution() * (max - min);
-      };
+      var result = [];
+      var pick;
 
-      var _randomInt = function(min, max) {
-        return Math.floor(min + distribution() * (max - min));
-      };
+      while (result.length < number) {
+        if (typeof weights === 'undefined') {
+          pick = possibles[Math.floor(rng() * length)];
+        } else {
+          var randKey = rng() * totalWeights;
 
-      // This is a function for generating a random matrix recursively.
-      var _randomDataForMatrix = function(size, min, max, randFunc) {
-        var data = [], length, i;
-        size = size.slice(0);
+          for (var i = 0, len = possibles.length; i < len; i++) {
+            randKey -= weights[i];
 
-        if (size.length > 1) {
-          for (var i = 0, length = size.shift(); i < length; i++) {
-            data.push(_randomDataForMatrix(size, min, max, randFunc));
-          }
-        } else {
-          for (var i = 0, length = size.shift(); i < length; i++) {
-            data.push(randFunc(min, max));
+            if (randKey < 0) {
+              pick = possibles[i];
+              break;
+            }
           }
         }
 
-        return data;
-      };
+        if (result.indexOf(pick) == -1) {
+          result.push(pick);
+        }
+      }
+
+      return single ? result[0] : result;
+
+      // TODO: add support for multi dimensional matrices
+    }
 
-      return randFunctions;
+    var _random = function(min, max) {
+      return min + distribution() * (max - min);
+    };
 
-    })(distribution);
+    var _randomInt = function(min, max) {
+      return Math.floor(min + distribution() * (max - min));
+    };
+
+    return randFunctions;
   }
 
-  // Each distribution is a function that takes no argument and when called returns
-  // a number between 0 and 1.
-  var distributions = {
-
-    uniform: function() {
-      return Math.random;
-    },
-
-    // Implementation of normal distribution using Box-Muller transform
-    // ref : http://en.wikipedia.org/wiki/Box%E2%80%93Muller_transform
-    // We take : mean = 0.5, standard deviation = 1/6
-    // so that 99.7% values are in [0, 1].
-    normal: function() {
-      return function() {
-        var u1, u2,
-            picked = -1;
-        // We reject values outside of the interval [0, 1]
-        // TODO: check if it is ok to do that?
-        while (picked < 0 || picked > 1) {
-          u1 = Math.random();
-          u2 = Math.random();
-          picked = 1/6 * Math.pow(-2 * Math.log(u1), 0.5) * Math.cos(2 * Math.PI * u2) + 0.5;
-        }
-        return picked;
+  // This is a function for generating a random matrix recursively.
+  var _randomDataForMatrix = function(size, min, max, randFunc) {
+    var data = [], length, i;
+    size = size.slice(0);
+
+    if (size.length > 1) {
+      for (var i = 0, length = size.shift(); i < length; i++) {
+        data.push(_randomDataForMatrix(size, min, max, randFunc));
+      }
+    } else {
+      for (var i = 0, length = size.shift(); i < length; i++) {
+        data.push(randFunc(min, max));
       }
     }
+
+    return data;
   };
 
   distribution.toTex = undefined; // use default template
@@ -0,0 +1,715 @@
+'use strict';
+
+var isInteger = require('../../utils/number').isInteger;
+
+function factory (type, config, load, typed) {
+  var erf = load(require('../special/erf'));
+  var rng = load(require('./seededRNG'));
+
+  // maximum number of iterations of series, continued fractions and bisection
+  var MAX_ITERATIONS = 1100;
+  var EPSILON = 1e-16;
+  var FPMIN = 1e-300;
+
+  var LN_SQRT_2PI = 0.5 * Math.log(2 * Math.PI);
+
+  // Lanczos coefficients, g = 7, n = 9
+  var LANCZOS_G = 7;
+  var LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+
+  /**
+   * Natural logarithm of the gamma function for positive x
+   * @param {number} x
+   * @return {number}
+   */
+  function lnGamma (x) {
+    if (x < 0.5) {
+      // reflection formula
+      return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+    }
+    x -= 1;
+    var a = LANCZOS[0];
+    var t = x + LANCZOS_G + 0.5;
+    for (var i = 1; i < LANCZOS.length; i++)
+      a += LANCZOS[i] / (x + i);
+    return LN_SQRT_2PI + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  /**
+   * Natural logarithm of the beta function
+   * @param {number} a
+   * @param {number} b
+   * @return {number}
+   */
+  function lnBeta (a, b) {
+    return lnGamma(a) + lnGamma(b) - lnGamma(a + b);
+  }
+
+  /**
+   * Regularized lower incomplete gamma function P(a, x)
+   * @param {number} a
+   * @param {number} x
+   * @return {number}
+   */
+  function gammaP (a, x) {
+    if (x <= 0)
+      return 0;
+    if (x === Infinity)
+      return 1;
+    return x < a + 1 ? _gammaSeries(a, x) : 1 - _gammaFraction(a, x);
+  }
+
+  /**
+   * Regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x)
+   * @param {number} a
+   * @param {number} x
+   * @return {number}
+   */
+  function gammaQ (a, x) {
+    if (x <= 0)
+      return 1;
+    if (x === Infinity)
+      return 0;
+    return x < a + 1 ? 1 - _gammaSeries(a, x) : _gammaFraction(a, x);
+  }
+
+  // series representation of P(a, x)
+  function _gammaSeries (a, x) {
+    var ap = a;
+    var sum = 1 / a;
+    var del = sum;
+    for (var n = 0; n < MAX_ITERATIONS; n++) {
+      ap++;
+      del *= x / ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * EPSILON)
+        break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  }
+
+  // continued fraction representation of Q(a, x), modified Lentz's method
+  function _gammaFraction (a, x) {
+    var b = x + 1 - a;
+    var c = 1 / FPMIN;
+    var d = 1 / b;
+    var h = d;
+    for (var i = 1; i <= MAX_ITERATIONS; i++) {
+      var an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < FPMIN)
+        d = FPMIN;
+      c = b + an / c;
+      if (Math.abs(c) < FPMIN)
+        c = FPMIN;
+      d = 1 / d;
+      var del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < EPSILON)
+        break;
+    }
+    return Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h;
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b)
+   * @param {number} x
+   * @param {number} a
+   * @param {number} b
+   * @return {number}
+   */
+  function betaI (x, a, b) {
+    if (x <= 0)
+      return 0;
+    if (x >= 1)
+      return 1;
+    var bt = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - lnBeta(a, b));
+    // use the continued fraction directly or after the symmetry transformation
+    return x < (a + 1) / (a + b + 2)
+        ? bt * _betaFraction(x, a, b) / a
+        : 1 - bt * _betaFraction(1 - x, b, a) / b;
+  }
+
+  // continued fraction for the incomplete beta function, modified Lentz's method
+  function _betaFraction (x, a, b) {
+    var qab = a + b;
+    var qap = a + 1;
+    var qam = a - 1;
+    var c = 1;
+    var d = 1 - qab * x / qap;
+    if (Math.abs(d) < FPMIN)
+      d = FPMIN;
+    d = 1 / d;
+    var h = d;
+    for (var m = 1; m <= MAX_ITERATIONS; m++) {
+      var m2 = 2 * m;
+      // even step
+      var aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < FPMIN)
+        d = FPMIN;
+      c = 1 + aa / c;
+      if (Math.abs(c) < FPMIN)
+        c = FPMIN;
+      d = 1 / d;
+      h *= d * c;
+      // odd step
+      aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < FPMIN)
+        d = FPMIN;
+      c = 1 + aa / c;
+      if (Math.abs(c) < FPMIN)
+        c = FPMIN;
+      d = 1 / d;
+      var del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < EPSILON)
+        break;
+    }
+    return h;
+  }
+
+  /**
+   * Cumulative distribution function of the standard normal distribution
+   * @param {number} z
+   * @return {number}
+   */
+  function normalCdf (z) {
+    // erfc(t) = Q(1/2, t^2) keeps the precision in the lower tail
+    return z < -1 ? 0.5 * gammaQ(0.5, z * z / 2) : 0.5 * (1 + erf(z / Math.SQRT2));
+  }
+
+  /**
+   * Inverse of the cumulative distribution function of the standard normal
+   * distribution, using the rational approximation of P. J. Acklam refined
+   * with one step of Halley's method.
+   * @param {number} p
+   * @return {number}
+   */
+  function normalInv (p) {
+    if (p <= 0)
+      return -Infinity;
+    if (p >= 1)
+      return Infinity;
+    var q, r, z;
+    if (p < 0.02425) {
+      q = Math.sqrt(-2 * Math.log(p));
+      z = (((((-7.784894002430293e-03 * q - 3.223964580411365e-01) * q - 2.400758277161838e+00) * q - 2.549732539343734e+00) * q + 4.374664141464968e+00) * q + 2.938163982698783e+00) /
+          ((((7.784695709041462e-03 * q + 3.224671290700398e-01) * q + 2.445134137142996e+00) * q + 3.754408661907416e+00) * q + 1);
+    }
+    else if (p <= 1 - 0.02425) {
+      q = p - 0.5;
+      r = q * q;
+      z = (((((-3.969683028665376e+01 * r + 2.209460984245205e+02) * r - 2.759285104469687e+02) * r + 1.383577518672690e+02) * r - 3.066479806614716e+01) * r + 2.506628277459239e+00) * q /
+          (((((-5.447609879822406e+01 * r + 1.615858368580409e+02) * r - 1.556989798598866e+02) * r + 6.680131188771972e+01) * r - 1.328068155288572e+01) * r + 1);
+    }
+    else {
+      q = Math.sqrt(-2 * Math.log(1 - p));
+      z = -(((((-7.784894002430293e-03 * q - 3.223964580411365e-01) * q - 2.400758277161838e+00) * q - 2.549732539343734e+00) * q + 4.374664141464968e+00) * q + 2.938163982698783e+00) /
+          ((((7.784695709041462e-03 * q + 3.224671290700398e-01) * q + 2.445134137142996e+00) * q + 3.754408661907416e+00) * q + 1);
+    }
+    // refinement using Halley's rational method
+    var e = normalCdf(z) - p;
+    var u = e * Math.sqrt(2 * Math.PI) * Math.exp(z * z / 2);
+    return z - u / (1 + z * u / 2);
+  }
+
+  /**
+   * Draw a sample from the standard normal distribution using the
+   * Box-Muller transform
+   * @return {number}
+   */
+  function normalRandom () {
+    var u1 = 1 - rng(); // in (0, 1]
+    var u2 = rng();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  /**
+   * Draw a sample from the gamma distribution with shape k and scale 1 using
+   * the method of Marsaglia and Tsang
+   * @param {number} k
+   * @return {number}
+   */
+  function gammaRandom (k) {
+    if (k < 1) {
+      // boost the shape, gamma(k) = gamma(k + 1) * U^(1 / k)
+      return gammaRandom(k + 1) * Math.pow(1 - rng(), 1 / k);
+    }
+    var d = k - 1 / 3;
+    var c = 1 / Math.sqrt(9 * d);
+    while (true) {
+      var x, v;
+      do {
+        x = normalRandom();
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      var u = 1 - rng();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v))
+        return d * v;
+    }
+  }
+
+  /**
+   * Invert a continuous cumulative distribution function using bisection
+   * @param {function} cdf
+   * @param {number} p
+   * @param {number} lo   Lower bound of the support
+   * @param {number} hi   Upper bound of the support
+   * @return {number}
+   */
+  function invertContinuous (cdf, p, lo, hi) {
+    if (p <= 0)
+      return lo;
+    if (p >= 1)
+      return hi;
+    // find a finite bracket [a, b] with cdf(a) <= p <= cdf(b)
+    var a = lo === -Infinity ? -1 : lo;
+    var b = hi === Infinity ? 1 : hi;
+    while (cdf(a) > p)
+      a = 2 * a - 1;
+    while (cdf(b) < p)
+      b = 2 * b + 1;
+    for (var i = 0; i < MAX_ITERATIONS; i++) {
+      var m = a + (b - a) / 2;
+      if (m === a || m === b)
+        break;
+      if (cdf(m) < p)
+        a = m;
+      else
+        b = m;
+    }
+    return a + (b - a) / 2;
+  }
+
+  /**
+   * Invert a discrete cumulative distribution function with integer support
+   * starting at `lo`: return the smallest k with cdf(k) >= p
+   * @param {function} cdf
+   * @param {number} p
+   * @param {number} lo       Lower bound of the support
+   * @param {number} hi       Upper bound of the support
+   * @param {number} guess    Starting point of the search
+   * @return {number}
+   */
+  function invertDiscrete (cdf, p, lo, hi, guess) {
+    if (p <= 0)
+      return lo;
+    if (p >= 1)
+      return hi;
+    var k = Math.min(Math.max(Math.floor(guess), lo), hi);
+    if (cdf(k) >= p) {
+      while (k > lo && cdf(k - 1) >= p)
+        k--;
+    }
+    else {
+      while (k < hi && cdf(k) < p)
+        k++;
+    }
+    return k;
+  }
+
+  /**
+   * Validate a distribution parameter
+   * @param {string} distribution
+   * @param {string} name
+   * @param {number} value
+   * @param {function} test
+   * @param {string} description
+   */
+  function validate (distribution, name, value, test, description) {
+    if (typeof value !== 'number' || !test(value))
+      throw new Error('Parameter ' + name + ' of the ' + distribution + ' distribution must be ' + description + ' (value: ' + value + ')');
+  }
+
+  function positive (x) {
+    return x > 0 && x < Infinity;
+  }
+
+  function finite (x) {
+    return isFinite(x);
+  }
+
+  function probability (x) {
+    return x >= 0 && x <= 1;
+  }
+
+  // Definitions of the distributions. Every definition contains the names of
+  // the parameters with their default values (undefined for required
+  // parameters), and functions which are called with the value or probability
+  // followed by the parameters.
+  var distributions = {
+
+    uniform: {
+      params: ['min', 'max'],
+      defaults: [0, 1],
+      validate: function (min, max) {
+        validate('uniform', 'min', min, finite, 'a finite number');
+        validate('uniform', 'max', max, function (max) { return finite(max) && max > min; }, 'a finite number larger than min');
+      },
+      pdf: function (x, min, max) {
+        return (x < min || x > max) ? 0 : 1 / (max - min);
+      },
+      cdf: function (x, min, max) {
+        return x <= min ? 0 : x >= max ? 1 : (x - min) / (max - min);
+      },
+      inv: function (p, min, max) {
+        return min + p * (max - min);
+      },
+      mean: function (min, max) {
+        return (min + max) / 2;
+      },
+      variance: function (min, max) {
+        return (max - min) * (max - min) / 12;
+      },
+      random: function (min, max) {
+        return min + rng() * (max - min);
+      }
+    },
+
+    normal: {
+      params: ['mu', 'sigma'],
+      defaults: [0, 1],
+      validate: function (mu, sigma) {
+        validate('normal', 'mu', mu, finite, 'a finite number');
+        validate('normal', 'sigma', sigma, positive, 'a positive number');
+      },
+      pdf: function (x, mu, sigma) {
+        var z = (x - mu) / sigma;
+        return Math.exp(-z * z / 2 - LN_SQRT_2PI) / sigma;
+      },
+      cdf: function (x, mu, sigma) {
+        return normalCdf((x - mu) / sigma);
+      },
+      inv: function (p, mu, sigma) {
+        return mu + sigma * normalInv(p);
+      },
+      mean: function (mu, sigma) {
+        return mu;
+      },
+      variance: function (mu, sigma) {
+        return sigma * sigma;
+      },
+      random: function (mu, sigma) {
+        return mu + sigma * normalRandom();
+      }
+    },
+
+    lognormal: {
+      params: ['mu', 'sigma'],
+      defaults: [0, 1],
+      validate: function (mu, sigma) {
+        validate('lognormal', 'mu', mu, finite, 'a finite number');
+        validate('lognormal', 'sigma', sigma, positive, 'a positive number');
+      },
+      pdf: function (x, mu, sigma) {
+        if (x <= 0)
+          return 0;
+        var z = (Math.log(x) - mu) / sigma;
+        return Math.exp(-z * z / 2 - LN_SQRT_2PI) / (sigma * x);
+      },
+      cdf: function (x, mu, sigma) {
+        return x <= 0 ? 0 : normalCdf((Math.log(x) - mu) / sigma);
+      },
+      inv: function (p, mu, sigma) {
+        return Math.exp(mu + sigma * normalInv(p));
+      },
+      mean: function (mu, sigma) {
+        return Math.exp(mu + sigma * sigma / 2);
+      },
+      variance: function (mu, sigma) {
+        return (Math.exp(sigma * sigma) - 1) * Math.exp(2 * mu + sigma * sigma);
+      },
+      random: function (mu, sigma) {
+        return Math.exp(mu + sigma * normalRandom());
+      }
+    },
+
+    exponential: {
+      params: ['lambda'],
+      defaults: [1],
+      validate: function (lambda) {
+        validate('exponential', 'lambda', lambda, positive, 'a positive number');
+      },
+      pdf: function (x, lambda) {
+        return x < 0 ? 0 : lambda * Math.exp(-lambda * x);
+      },
+      cdf: function (x, lambda) {
+        return x <= 0 ? 0 : 1 - Math.exp(-lambda * x);
+      },
+      inv: function (p, lambda) {
+        return p >= 1 ? Infinity : -Math.log(1 - p) / lambda;
+      },
+      mean: function (lambda) {
+        return 1 / lambda;
+      },
+      variance: function (lambda) {
+        return 1 / (lambda * lambda);
+      },
+      random: function (lambda) {
+        return -Math.log(1 - rng()) / lambda;
+      }
+    },
+
+    gamma: {
+      params: ['k', 'theta'],
+      defaults: [undefined, 1],
+      validate: function (k, theta) {
+        validate('gamma', 'k', k, positive, 'a positive number');
+        validate('gamma', 'theta', theta, positive, 'a positive number');
+      },
+      pdf: function (x, k, theta) {
+        if (x < 0)
+          return 0;
+        if (x === 0)
+          return k < 1 ? Infinity : k === 1 ? 1 / theta : 0;
+        return Math.exp((k - 1) * Math.log(x) - x / theta - lnGamma(k) - k * Math.log(theta));
+      },
+      cdf: function (x, k, theta) {
+        return gammaP(k, x / theta);
+      },
+      inv: function (p, k, theta) {
+        return invertContinuous(function (x) { return gammaP(k, x / theta); }, p, 0, Infinity);
+      },
+      mean: function (k, theta) {
+        return k * theta;
+      },
+      variance: function (k, theta) {
+        return k * theta * theta;
+      },
+      random: function (k, theta) {
+        return theta * gammaRandom(k);
+      }
+    },
+
+    beta: {
+      params: ['alpha', 'beta'],
+      defaults: [undefined, undefined],
+      validate: function (alpha, beta) {
+        validate('beta', 'alpha', alpha, positive, 'a positive number');
+        validate('beta', 'beta', beta, positive, 'a positive number');
+      },
+      pdf: function (x, alpha, beta) {
+        if (x < 0 || x > 1)
+          return 0;
+        if (x === 0)
+          return alpha < 1 ? Infinity : alpha === 1 ? beta : 0;
+        if (x === 1)
+          return beta < 1 ? Infinity : beta === 1 ? alpha : 0;
+        return Math.exp((alpha - 1) * Math.log(x) + (beta - 1) * Math.log(1 - x) - lnBeta(alpha, beta));
+      },
+      cdf: function (x, alpha, beta) {
+        return betaI(x, alpha, beta);
+      },
+      inv: function (p, alpha, beta) {
+        return invertContinuous(function (x) { return betaI(x, alpha, beta); }, p, 0, 1);
+      },
+      mean: function (alpha, beta) {
+        return alpha / (alpha + beta);
+      },
+      variance: function (alpha, beta) {
+        return alpha * beta / ((alpha + beta) * (alpha + beta) * (alpha + beta + 1));
+      },
+      random: function (alpha, beta) {
+        var x = gammaRandom(alpha);
+        return x / (x + gammaRandom(beta));
+      }
+    },
+
+    chiSquared: {
+      params: ['k'],
+      defaults: [undefined],
+      validate: function (k) {
+        validate('chiSquared', 'k', k, positive, 'a positive number');
+      },
+      pdf: function (x, k) {
+        return distributions.gamma.pdf(x, k / 2, 2);
+      },
+      cdf: function (x, k) {
+        return gammaP(k / 2, x / 2);
+      },
+      inv: function (p, k) {
+        return distributions.gamma.inv(p, k / 2, 2);
+      },
+      mean: function (k) {
+        return k;
+      },
+      variance: function (k) {
+        return 2 * k;
+      },
+      random: function (k) {
+        return 2 * gammaRandom(k / 2);
+      }
+    },
+
+    studentT: {
+      params: ['nu'],
+      defaults: [undefined],
+      validate: function (nu) {
+        validate('studentT', 'nu', nu, positive, 'a positive number');
+      },
+      pdf: function (x, nu) {
+        return Math.exp(lnGamma((nu + 1) / 2) - lnGamma(nu / 2) - 0.5 * Math.log(nu * Math.PI) -
+            (nu + 1) / 2 * Math.log(1 + x * x / nu));
+      },
+      cdf: function (x, nu) {
+        var tail = 0.5 * betaI(nu / (nu + x * x), nu / 2, 0.5);
+        return x < 0 ? tail : 1 - tail;
+      },
+      inv: function (p, nu) {
+        return invertContinuous(function (x) { return distributions.studentT.cdf(x, nu); }, p, -Infinity, Infinity);
+      },
+      mean: function (nu) {
+        return nu > 1 ? 0 : NaN;
+      },
+      variance: function (nu) {
+        return nu > 2 ? nu / (nu - 2) : nu > 1 ? Infinity : NaN;
+      },
+      random: function (nu) {
+        return normalRandom() / Math.sqrt(2 * gammaRandom(nu / 2) / nu);
+      }
+    },
+
+    f: {
+      params: ['d1', 'd2'],
+      defaults: [undefined, undefined],
+      validate: function (d1, d2) {
+        validate('f', 'd1', d1, positive, 'a positive number');
+        validate('f', 'd2', d2, positive, 'a positive number');
+      },
+      pdf: function (x, d1, d2) {
+        if (x < 0)
+          return 0;
+        if (x === 0)
+          return d1 < 2 ? Infinity : d1 === 2 ? 1 : 0;
+        return Math.exp((d1 / 2) * Math.log(d1 * x) + (d2 / 2) * Math.log(d2) -
+            ((d1 + d2) / 2) * Math.log(d1 * x + d2) - Math.log(x) - lnBeta(d1 / 2, d2 / 2));
+      },
+      cdf: function (x, d1, d2) {
+        return x <= 0 ? 0 : betaI(d1 * x / (d1 * x + d2), d1 / 2, d2 / 2);
+      },
+      inv: function (p, d1, d2) {
+        return invertContinuous(function (x) { return distributions.f.cdf(x, d1, d2); }, p, 0, Infinity);
+      },
+      mean: function (d1, d2) {
+        return d2 > 2 ? d2 / (d2 - 2) : NaN;
+      },
+      variance: function (d1, d2) {
+        return d2 > 4 ? 2 * d2 * d2 * (d1 + d2 - 2) / (d1 * (d2 - 2) * (d2 - 2) * (d2 - 4)) : d2 > 2 ? Infinity : NaN;
+      },
+      random: function (d1, d2) {
+        return (gammaRandom(d1 / 2) / d1) / (gammaRandom(d2 / 2) / d2);
+      }
+    },
+
+    poisson: {
+      params: ['lambda'],
+      defaults: [undefined],
+      discrete: true,
+      validate: function (lambda) {
+        validate('poisson', 'lambda', lambda, positive, 'a positive number');
+      },
+      pdf: function (k, lambda) {
+        if (k < 0 || !isInteger(k))
+          return 0;
+        return Math.exp(k * Math.log(lambda) - lambda - lnGamma(k + 1));
+      },
+      cdf: function (x, lambda) {
+        return x < 0 ? 0 : gammaQ(Math.floor(x) + 1, lambda);
+      },
+      inv: function (p, lambda) {
+        return invertDiscrete(function (k) { return gammaQ(k + 1, lambda); }, p, 0, Infinity, lambda);
+      },
+      mean: function (lambda) {
+        return lambda;
+      },
+      variance: function (lambda) {
+        return lambda;
+      },
+      random: function (lambda) {
+        return distributions.poisson.inv(rng(), lambda);
+      }
+    },
+
+    binomial: {
+      params: ['n', 'p'],
+      defaults: [undefined, undefined],
+      discrete: true,
+      validate: function (n, p) {
+        validate('binomial', 'n', n, function (n) { return n >= 0 && isInteger(n); }, 'a non negative integer');
+        validate('binomial', 'p', p, probability, 'a probability in the interval [0, 1]');
+      },
+      pdf: function (k, n, p) {
+        if (k < 0 || k > n || !isInteger(k))
+          return 0;
+        if (p === 0 || p === 1)
+          return (p === 0 ? k === 0 : k === n) ? 1 : 0;
+        return Math.exp(lnGamma(n + 1) - lnGamma(k + 1) - lnGamma(n - k + 1) +
+            k * Math.log(p) + (n - k) * Math.log(1 - p));
+      },
+      cdf: function (x, n, p) {
+        if (x < 0)
+          return 0;
+        var k = Math.floor(x);
+        if (k >= n || p === 0)
+          return 1;
+        return p === 1 ? 0 : betaI(1 - p, n - k, k + 1);
+      },
+      inv: function (q, n, p) {
+        return invertDiscrete(function (k) { return distributions.binomial.cdf(k, n, p); }, q, 0, n, n * p);
+      },
+      mean: function (n, p) {
+        return n * p;
+      },
+      variance: function (n, p) {
+        return n * p * (1 - p);
+      },
+      random: function (n, p) {
+        return distributions.binomial.inv(rng(), n, p);
+      }
+    },
+
+    geometric: {
+      params: ['p'],
+      defaults: [undefined],
+      discrete: true,
+      validate: function (p) {
+        validate('geometric', 'p', p, function (p) { return p > 0 && p <= 1; }, 'a probability in the interval (0, 1]');
+      },
+      pdf: function (k, p) {
+        if (k < 1 || !isInteger(k))
+          return 0;
+        return p === 1 ? (k === 1 ? 1 : 0) : p * Math.exp((k - 1) * Math.log(1 - p));
+      },
+      cdf: function (x, p) {
+        return x < 1 ? 0 : p === 1 ? 1 : 1 - Math.exp(Math.floor(x) * Math.log(1 - p));
+      },
+      inv: function (q, p) {
+        if (p === 1)
+          return 1;
+        return invertDiscrete(function (k) { return distributions.geometric.cdf(k, p); }, q, 1, Infinity,
+            Math.log(1 - q) / Math.log(1 - p));
+      },
+      mean: function (p) {
+        return 1 / p;
+      },
+      variance: function (p) {
+        return (1 - p) / (p * p);
+      },
+      random: function (p) {
+        return distributions.geometric.inv(rng(), p);
+      }
+    }
+  };
+
+  return distributions;
+}
+
+exports.factory = factory;
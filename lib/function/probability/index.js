@@ -1,6 +1,6 @@
 module.exports = [
-  //require('./distribution'), // TODO: rethink math.distribution
   require('./combinations'),
+  require('./distribution'),
   require('./factorial'),
   require('./gamma'),
   require('./kldivergence'),
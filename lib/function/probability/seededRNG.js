@@ -0,0 +1,41 @@
+'use strict';
+
+var seedrandom = require('seed-random');
+
+function factory (type, config, load, typed, math) {
+  var random;
+
+  /**
+   * Create a new random generator with given seed, Math.random is used when
+   * no seed is configured
+   * @param {*} seed
+   * @private
+   */
+  function setSeed (seed) {
+    random = (seed === null || seed === undefined) ? null : seedrandom(String(seed));
+  }
+
+  // initialize the generator with the configured random seed
+  setSeed(config.randomSeed);
+
+  /**
+   * Return a pseudo random number in the interval [0, 1). The generator is
+   * seeded with the configuration option `randomSeed`.
+   * @return {number}
+   */
+  function rng () {
+    return random ? random() : Math.random();
+  }
+
+  // reseed the generator each time a random seed is configured
+  math.on('config', function (curr, prev, changes) {
+    if (changes.randomSeed !== undefined) {
+      setSeed(curr.randomSeed);
+    }
+  });
+
+  return rng;
+}
+
+exports.math = true; // request the math namespace as fifth argument
+exports.factory = factory;
@@ -1,14 +1,17 @@
 'use strict';
 
-function factory (type, config, load, typed) {
+function factory (type, config, load, typed, math) {
   /**
-   * Instantiate mathjs data types from their JSON representation
+   * Instantiate mathjs data types and expression nodes from their JSON
+   * representation
    * @param {string} key
    * @param {*} value
    * @returns {*} Returns the revived object
    */
   return function reviver(key, value) {
-    var constructor = type[value && value.mathjs];
+    var name = value && value.mathjs;
+    var constructor = type[name] ||
+        (math.expression && math.expression.node && math.expression.node[name]);
     if (constructor && typeof constructor.fromJSON === 'function') {
       return constructor.fromJSON(value);
     }
@@ -19,4 +22,5 @@ function factory (type, config, load, typed) {
 
 exports.name = 'reviver';
 exports.path = 'json';
+exports.math = true; // request access to the math namespace as 5th argument of the factory function
 exports.factory = factory;
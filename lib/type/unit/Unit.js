@@ -2,6 +2,7 @@
 
 var endsWith = require('../../utils/string').endsWith;
 var clone = require('../../utils/object').clone;
+var extend = require('../../utils/object').extend;
 var constants = require('../../utils/bignumber/constants');
 
 function factory (type, config, load, typed, math) {
@@ -10,8 +11,12 @@ function factory (type, config, load, typed, math) {
   var multiply  = load(require('../../function/arithmetic/multiplyScalar'));
   var divide    = load(require('../../function/arithmetic/divideScalar'));
   var pow       = load(require('../../function/arithmetic/pow'));
+  var log       = load(require('../../function/arithmetic/log'));
+  var log10     = load(require('../../function/arithmetic/log10'));
   var abs       = load(require('../../function/arithmetic/abs'));
   var fix       = load(require('../../function/arithmetic/fix'));
+  var isNegative = load(require('../../function/utils/isNegative'));
+  var isPositive = load(require('../../function/utils/isPositive'));
   var equal     = load(require('../../function/relational/equal'));
   var isNumeric = load(require('../../function/utils/isNumeric'));
   var format    = load(require('../../function/string/format'));
@@ -243,6 +248,12 @@ function factory (type, config, load, typed, math) {
       throw new TypeError('Invalid argument in Unit.parse, string expected');
     }
 
+    // A compound quantity like "5 ft 3 in" is the sum of its parts
+    var compound = COMPOUND_PATTERN.exec(str);
+    if (compound) {
+      return _parseCompound(str, compound[1], compound[2], options);
+    }
+
     var unit = new Unit();
     unit.units = [];
 
@@ -405,10 +416,63 @@ function factory (type, config, load, typed, math) {
       throw new SyntaxError('"' + str + '" contains no units');
     }
 
+    // A logarithmic unit like dBm cannot be combined with other units
+    if (unit._isLogarithmic() && unit._isDerived()) {
+      throw new SyntaxError('Logarithmic unit in "' + str + '" cannot be combined with other units or powers');
+    }
+
     unit.value = (value != undefined) ? unit._normalize(value) : null;
     return unit;
   };
 
+  // Splits a compound quantity like "5 ft 3 in" into its first part "5 ft"
+  // and the remainder "3 in": a number following the name of a unit
+  var COMPOUND_PATTERN = /^(.*?[a-zA-Z_][a-zA-Z_0-9]*)\s+([0-9.].*)$/;
+
+  /**
+   * Parse a compound quantity like "5 ft 3 in" or "1 h 20 min 30 s". The
+   * parts must have a value and a single unit with matching base, the
+   * result is expressed in the unit of the first part.
+   * @param {string} str        The complete string
+   * @param {string} first      The first part, like "5 ft"
+   * @param {string} rest       The remaining parts, like "3 in"
+   * @param {Object} [options]
+   * @return {Unit} The sum of the parts
+   * @private
+   */
+  function _parseCompound (str, first, rest, options) {
+    var unit = Unit.parse(first, options);
+    var other = Unit.parse(rest, options);
+
+    if (!_isCompoundPart(unit) || !_isCompoundPart(other)) {
+      throw new SyntaxError('Invalid compound quantity "' + str + '": ' +
+          'every part must consist of a value and a single unit');
+    }
+    if (!unit.equalBase(other)) {
+      throw new SyntaxError('Units of compound quantity "' + str + '" do not match');
+    }
+
+    // the parts of a negative quantity like "-5 ft 3 in" have the same sign
+    unit.value = (first.trim().charAt(0) === '-')
+        ? subtract(unit.value, other.value)
+        : add(unit.value, other.value);
+
+    return unit;
+  }
+
+  /**
+   * Test whether a unit can be part of a compound quantity
+   * @param {Unit} unit
+   * @return {boolean}
+   * @private
+   */
+  function _isCompoundPart (unit) {
+    return unit.value !== null &&
+        unit.units.length === 1 &&
+        unit.units[0].power === 1 &&
+        unit.units[0].unit.offset === 0;
+  }
+
   /**
    * create a copy of this unit
    * @memberof Unit
@@ -431,6 +495,7 @@ function factory (type, config, load, typed, math) {
         }
       }
     }
+    _copyLogarithm(this, unit);
 
     return unit;
   };
@@ -448,7 +513,9 @@ function factory (type, config, load, typed, math) {
   };
 
   /**
-   * Normalize a value, based on its currently set unit(s)
+   * Normalize a value, based on its currently set unit(s). The value of a
+   * logarithmic unit is remembered, so that denormalizing the normalized
+   * value returns it exactly.
    * @memberof Unit
    * @param {number | BigNumber | Fraction | boolean} value
    * @return {number | BigNumber | Fraction | boolean} normalized value
@@ -478,12 +545,25 @@ function factory (type, config, load, typed, math) {
     }
     else {
       // This is a single unit of power 1, like kg or degC
+      var logarithmic = this.units[0].unit.logarithmic;
+      if (logarithmic) {
+        // the logarithm of a value is irrational, so a Fraction is not possible
+        value = (getTypeOf(value) === 'Fraction') ? toNumber(value) : value;
+      }
       convert = Unit._getNumberConverter(getTypeOf(value)); // convert to Fraction or BigNumber if needed
 
       unitValue       = convert(this.units[0].unit.value);
       unitOffset      = convert(this.units[0].unit.offset);
       unitPrefixValue = convert(this.units[0].prefix.value);
 
+      if (logarithmic) {
+        // A logarithmic unit like dBm, the linear value of 20 dBm is 1 mW * 10^(20 / 10)
+        var exponent = divide(value, convert(logarithmic.factor));
+        var linear = multiply(pow(convert(logarithmic.base), exponent), multiply(unitValue, unitPrefixValue));
+        this._logarithm = {value: linear, logarithm: value};
+        return linear;
+      }
+
       return multiply(add(value, unitOffset), multiply(unitValue, unitPrefixValue));
     }
   };
@@ -521,12 +601,32 @@ function factory (type, config, load, typed, math) {
     }
     else {
       // This is a single unit of power 1, like kg or degC
+      var logarithmic = this.units[0].unit.logarithmic;
+      if (logarithmic) {
+        // the logarithm of a value is irrational, so a Fraction is not possible
+        value = (getTypeOf(value) === 'Fraction') ? toNumber(value) : value;
+      }
       convert = Unit._getNumberConverter(getTypeOf(value)); // convert to Fraction or BigNumber if needed
 
       unitValue       = convert(this.units[0].unit.value);
       unitPrefixValue = convert(this.units[0].prefix.value);
       unitOffset      = convert(this.units[0].unit.offset);
 
+      if (logarithmic) {
+        var ownPrefix = (prefixValue == undefined) || prefixValue === this.units[0].prefix.value;
+        if (ownPrefix && this._logarithm && this._logarithm.value === value) {
+          return this._logarithm.logarithm;
+        }
+
+        // A logarithmic unit like dBm, 1 W is 10 * log10(1 W / 1 mW) = 30 dBm
+        var linear = divide(value, multiply(unitValue, (prefixValue == undefined) ? unitPrefixValue : convert(prefixValue)));
+        _assertLogarithmicValue(linear, this);
+        var logarithm = (logarithmic.base === 10)
+            ? log10(linear)
+            : divide(log(linear), log(convert(logarithmic.base)));
+        return multiply(convert(logarithmic.factor), logarithm);
+      }
+
       if (prefixValue == undefined) {
         return subtract(divide(divide(value, unitValue), unitPrefixValue), unitOffset);
       }
@@ -649,6 +749,13 @@ function factory (type, config, load, typed, math) {
    * @return {Unit} product of this unit and the other unit
    */
   Unit.prototype.multiply = function (other) {
+    if (this._isLogarithmic() || other._isLogarithmic()) {
+      throw new Error('Cannot multiply units "' + this.formatUnits() + '" and "' + other.formatUnits() + '": ' +
+          'logarithmic units can only be added, subtracted, or scaled by a number');
+    }
+    this._assertWithoutOffset('multiply');
+    other._assertWithoutOffset('multiply');
+
     var res = this.clone();
     
     for(var i = 0; i<BASE_DIMENSIONS.length; i++) {
@@ -668,8 +775,8 @@ function factory (type, config, load, typed, math) {
 
     // If at least one operand has a value, then the result should also have a value
     if(this.value != null || other.value != null) {
-      var valThis = this.value == null ? this._normalize(1) : this.value;
-      var valOther = other.value == null ? other._normalize(1) : other.value;
+      var valThis = this.value == null ? _normalizeValueless(this) : this.value;
+      var valOther = other.value == null ? _normalizeValueless(other) : other.value;
       res.value = multiply(valThis, valOther);
     }
     else {
@@ -689,6 +796,13 @@ function factory (type, config, load, typed, math) {
    * @return {Unit} result of dividing this unit by the other unit
    */
   Unit.prototype.divide = function (other) {
+    if (this._isLogarithmic() || other._isLogarithmic()) {
+      throw new Error('Cannot divide units "' + this.formatUnits() + '" and "' + other.formatUnits() + '": ' +
+          'logarithmic units can only be added, subtracted, or scaled by a number');
+    }
+    this._assertWithoutOffset('divide');
+    other._assertWithoutOffset('divide');
+
     var res = this.clone();
     
     for(var i=0; i<BASE_DIMENSIONS.length; i++) {
@@ -709,8 +823,8 @@ function factory (type, config, load, typed, math) {
 
     // If at least one operand has a value, the result should have a value
     if (this.value != null || other.value != null) {
-      var valThis = this.value == null ? this._normalize(1) : this.value;
-      var valOther = other.value == null ? other._normalize(1) : other.value;
+      var valThis = this.value == null ? _normalizeValueless(this) : this.value;
+      var valOther = other.value == null ? _normalizeValueless(other) : other.value;
       res.value = divide(valThis, valOther);
     }
     else {
@@ -730,6 +844,11 @@ function factory (type, config, load, typed, math) {
    * @returns {Unit}      The result: this^p
    */
   Unit.prototype.pow = function (p) {
+    if (this._isLogarithmic()) {
+      throw new Error('Cannot raise logarithmic unit "' + this.formatUnits() + '" to a power');
+    }
+    this._assertWithoutOffset('calculate the power of');
+
     var res = this.clone();
     
     for(var i=0; i<BASE_DIMENSIONS.length; i++) {
@@ -783,8 +902,17 @@ function factory (type, config, load, typed, math) {
    * @returns {Unit}      The result: |x|, absolute value of x
    */
   Unit.prototype.abs = function () {
-    // This gives correct, but unexpected, results for units with an offset.
-    // For example, abs(-283.15 degC) = -263.15 degC !!!
+    if (this._isLogarithmic()) {
+      // the absolute value of a ratio like -3 dB is the inverse ratio 3 dB
+      return (this.value !== null && isNegative(this.toNumeric()))
+          ? this._scaleLogarithmic(-1)
+          : this.clone();
+    }
+
+    // The absolute value of a unit with an offset is ambiguous, for example
+    // abs(-283.15 degC) would be -263.15 degC in kelvin
+    this._assertWithoutOffset('calculate the absolute value of');
+
     var ret = this.clone();
     ret.value = abs(ret.value);
 
@@ -797,6 +925,205 @@ function factory (type, config, load, typed, math) {
     return ret;
   };
 
+  /**
+   * Normalize the value 1 of a valueless unit. The offset of a unit like degC
+   * is not applied: in a product like J/degC, degC is a temperature difference.
+   * @param {Unit} unit
+   * @return {number | BigNumber | Fraction} normalized value
+   * @private
+   */
+  function _normalizeValueless (unit) {
+    if (unit._isOffset()) {
+      return multiply(unit.units[0].unit.value, unit.units[0].prefix.value);
+    }
+
+    return unit._normalize(1);
+  }
+
+  /**
+   * Test whether this unit is a single unit with an offset, like degC or degF
+   * @memberof Unit
+   * @return {boolean}
+   * @private
+   */
+  Unit.prototype._isOffset = function () {
+    return !this._isDerived() && this.units.length > 0 && this.units[0].unit.offset !== 0;
+  };
+
+  /**
+   * Test whether this unit is a difference unit, like deltaC or deltaF
+   * @memberof Unit
+   * @return {boolean}
+   * @private
+   */
+  Unit.prototype._isDelta = function () {
+    return !this._isDerived() && this.units.length > 0 && this.units[0].unit.isDelta === true;
+  };
+
+  /**
+   * Throw an error when this unit has a value and an offset, like 20 degC.
+   * Multiplying or dividing an absolute temperature is ambiguous.
+   * @memberof Unit
+   * @param {string} operation    The name of the operation, like 'multiply'
+   * @private
+   */
+  Unit.prototype._assertWithoutOffset = function (operation) {
+    if (this.value !== null && this._isOffset()) {
+      throw new Error('Cannot ' + operation + ' unit "' + this.formatUnits() + '" with an offset: ' +
+          'the result is ambiguous, convert it to a unit without offset like K first');
+    }
+  };
+
+  /**
+   * Add or subtract units of which at least one has an offset, like degC.
+   * A difference like 5 deltaC or 5 K can be added to or subtracted from
+   * a temperature with an offset, and the difference of two temperatures
+   * with an offset is a difference: 30 degC - 20 degC = 10 deltaC. Adding
+   * two temperatures with an offset is ambiguous.
+   * @memberof Unit
+   * @param {Unit} other
+   * @param {boolean} isSubtract    Subtract other from this unit instead
+   * @return {Unit} Returns the sum or difference
+   * @private
+   */
+  Unit.prototype._addOffset = function (other, isSubtract) {
+    var names = '"' + this.formatUnits() + '" and "' + other.formatUnits() + '"';
+    var res;
+
+    if (this._isOffset() && other._isOffset()) {
+      if (!isSubtract) {
+        throw new Error('Cannot add units ' + names + ' with an offset: ' +
+            'the sum of two absolute temperatures is ambiguous, ' +
+            'add a difference like deltaC instead');
+      }
+
+      // the difference of two temperatures, like 30 degC - 20 degC = 10 deltaC
+      var deltaUnit = this.units[0].unit.deltaUnit;
+      if (!deltaUnit) {
+        throw new Error('Cannot subtract units ' + names + ': ' +
+            'no difference unit is defined for unit "' + this.formatUnits() + '"');
+      }
+      res = new Unit(null, deltaUnit);
+      res.value = subtract(this.value, other.value);
+    }
+    else if (other._isOffset()) {
+      if (isSubtract) {
+        throw new Error('Cannot subtract unit "' + other.formatUnits() + '" with an offset ' +
+            'from unit "' + this.formatUnits() + '"');
+      }
+
+      // a difference plus a temperature, like 5 deltaC + 20 degC = 25 degC
+      res = other.clone();
+      res.value = add(this.value, other.value);
+    }
+    else {
+      // a temperature and a difference, like 20 degC + 5 deltaC = 25 degC
+      res = this.clone();
+      res.value = isSubtract
+          ? subtract(this.value, other.value)
+          : add(this.value, other.value);
+    }
+
+    res.fixPrefix = false;
+    return res;
+  };
+
+  /**
+   * Test whether this unit is a logarithmic unit, like dB or dBm
+   * @memberof Unit
+   * @return {boolean}
+   * @private
+   */
+  Unit.prototype._isLogarithmic = function () {
+    return this.units.some(function (ref) {
+      return !!ref.unit.logarithmic;
+    });
+  };
+
+  /**
+   * Add or subtract logarithmic units. A ratio like a gain of 3 dB can be
+   * added to a level like 10 dBm or to another ratio, and the difference of
+   * two levels is a ratio: 10 dBm - 7 dBm = 3 dB. Logarithmic values with
+   * the same base are added directly, otherwise their linear values are
+   * multiplied.
+   * @memberof Unit
+   * @param {Unit} other
+   * @param {boolean} isSubtract    Subtract other from this unit instead
+   * @return {Unit} Returns the sum or difference
+   * @private
+   */
+  Unit.prototype._addLogarithmic = function (other, isSubtract) {
+    var operation = isSubtract ? 'subtract' : 'add';
+    var names = '"' + this.formatUnits() + '" and "' + other.formatUnits() + '"';
+    if (!this._isLogarithmic() || !other._isLogarithmic()) {
+      throw new Error('Cannot ' + operation + ' units ' + names + ': ' +
+          'a logarithmic unit can only be combined with another logarithmic unit');
+    }
+
+    // a ratio changes the power of a level, the square of a field quantity
+    var logarithmic = this.units[0].unit.logarithmic;
+    var exponent = logarithmic.field ? 0.5 : 1;
+    var res;
+
+    if (other.equalBase(BASE_UNITS.NONE)) {
+      // a level or ratio with a gain or attenuation, like 10 dBm + 3 dB
+      var gain = other.units[0].unit.logarithmic;
+      res = this.clone();
+      if (gain.base === logarithmic.base) {
+        var delta = multiply(other._denormalize(other.value), logarithmic.factor * exponent / gain.factor);
+        var value = this._denormalize(this.value);
+        res.value = res._normalize(isSubtract ? subtract(value, delta) : add(value, delta));
+      }
+      else {
+        var ratio = pow(other.value, exponent);
+        res.value = isSubtract ? divide(this.value, ratio) : multiply(this.value, ratio);
+      }
+    }
+    else if (this.equalBase(BASE_UNITS.NONE) && !isSubtract) {
+      // a gain with a level, like 3 dB + 10 dBm
+      return other._addLogarithmic(this, false);
+    }
+    else if (isSubtract && this.equalBase(other)) {
+      // the ratio of two levels, like 10 dBm - 7 dBm = 3 dB
+      res = new Unit(null, 'dB');
+      var dB = res.units[0].unit.logarithmic;
+      if (this.units[0].unit === other.units[0].unit && logarithmic.base === dB.base) {
+        var difference = subtract(this._denormalize(this.value), other._denormalize(other.value));
+        res.value = res._normalize(multiply(difference, dB.factor / (logarithmic.factor * exponent)));
+      }
+      else {
+        res.value = pow(divide(this.value, other.value), 1 / exponent);
+      }
+    }
+    else {
+      throw new Error('Cannot ' + operation + ' units ' + names + ': ' +
+          'only a ratio like dB can be added to a level like dBm, ' +
+          'and only levels with the same base can be subtracted');
+    }
+
+    res.fixPrefix = false;
+    return res;
+  };
+
+  /**
+   * Multiply the logarithmic value of a ratio like dB by a number, like
+   * 2 * (3 dB) = 6 dB. Levels like dBm cannot be scaled.
+   * @memberof Unit
+   * @param {number | BigNumber | Fraction} factor
+   * @return {Unit} Returns the scaled ratio
+   * @private
+   */
+  Unit.prototype._scaleLogarithmic = function (factor) {
+    if (!this.equalBase(BASE_UNITS.NONE)) {
+      throw new Error('Cannot scale logarithmic level "' + this.formatUnits() + '": ' +
+          'only ratios like dB can be multiplied, divided, or negated');
+    }
+
+    var res = this.clone();
+    res.value = res._normalize(multiply(this._denormalize(this.value), factor));
+    return res;
+  };
+
   /**
    * Convert the unit to a specific unit name.
    * @memberof Unit
@@ -815,8 +1142,10 @@ function factory (type, config, load, typed, math) {
       if (other.value !== null) {
         throw new Error('Cannot convert to a unit with a value');
       }
+      _assertConvertible(this, other);
 
       other.value = clone(value);
+      _copyLogarithm(this, other);
       other.fixPrefix = true;
       other.isUnitListSimplified = true;
       return other;
@@ -828,8 +1157,10 @@ function factory (type, config, load, typed, math) {
       if (valuelessUnit.value !== null) {
         throw new Error('Cannot convert to a unit with a value');
       }
+      _assertConvertible(this, valuelessUnit);
       other = valuelessUnit.clone();
       other.value = clone(value);
+      _copyLogarithm(this, other);
       other.fixPrefix = true;
       other.isUnitListSimplified = true;
       return other;
@@ -839,6 +1170,167 @@ function factory (type, config, load, typed, math) {
     }
   };
 
+  /**
+   * Throw an error when converting between a unit with an offset like degC
+   * and a difference unit like deltaF, which have a different meaning
+   * @param {Unit} unit
+   * @param {Unit} other
+   * @private
+   */
+  function _assertConvertible (unit, other) {
+    if ((unit._isOffset() && other._isDelta()) || (unit._isDelta() && other._isOffset())) {
+      throw new Error('Cannot convert unit "' + unit.formatUnits() + '" to "' + other.formatUnits() + '": ' +
+          'an absolute temperature cannot be converted to a temperature difference, or vice versa');
+    }
+    if (other._isLogarithmic() && unit.value !== null) {
+      _assertLogarithmicValue(unit.value, other);
+    }
+  }
+
+  /**
+   * Copy the remembered value of a logarithmic unit to a unit with the same
+   * logarithmic unit and value, like a clone or a conversion from dB to dB
+   * @param {Unit} unit
+   * @param {Unit} other
+   * @private
+   */
+  function _copyLogarithm (unit, other) {
+    if (unit._logarithm && unit._logarithm.value === unit.value && unit.value !== null &&
+        other.units.length === 1 && other.units[0].unit === unit.units[0].unit) {
+      other._logarithm = {value: other.value, logarithm: unit._logarithm.logarithm};
+    }
+  }
+
+  /**
+   * Throw an error when a value is not positive, as its logarithm, expressed
+   * in a logarithmic unit like dBm, does not exist
+   * @param {number | BigNumber | Fraction | Complex} value
+   * @param {Unit} unit       The logarithmic unit
+   * @private
+   */
+  function _assertLogarithmicValue (value, unit) {
+    if (!isNumeric(value) || !isPositive(value)) {
+      throw new Error('Cannot express a value which is not positive in logarithmic unit "' +
+          unit.formatUnits() + '"');
+    }
+  }
+
+  /**
+   * Convert the unit to the most readable unit of a list of candidates.
+   * The best unit is the unit with the smallest absolute value which is
+   * in the range [min, max). When none of the candidates results in a value
+   * in this range, the candidate resulting in the value closest to this range
+   * is chosen.
+   *
+   * Example usage:
+   *     var a = new Unit(0.5, 'm');
+   *     a.toBest(['mm', 'cm', 'm', 'km']);             // 50 cm
+   *     a.toBest(['mm', 'cm', 'm', 'km'], {min: 100}); // 500 mm
+   *     a.toBest();                                    // 500 mm
+   *     new Unit(0.5, 'm/s').toBest(['m/s', 'km/h']);  // 1.8 km / h
+   *
+   * @memberof Unit
+   * @param {Array.<string | Unit>} [units]  Valueless candidate units, which
+   *                            can be compound units like 'km/h'. When not
+   *                            provided, the candidates are the units of this
+   *                            unit with each of the prefixes of its first unit.
+   * @param {Object} [options]  An object containing any of the following properties:
+   *     min {number} The smallest preferred absolute value. The default is 1.
+   *     max {number} The preferred absolute value must be smaller than max. The default is 1000.
+   *     scientific {boolean} When candidates are generated, only use prefixes which are
+   *                          a power of 1000, and not prefixes like c, d, da, and h.
+   *                          The default is true.
+   * @returns {Unit} Returns a clone of the unit with a fixed prefix and unit.
+   */
+  Unit.prototype.toBest = function (units, options) {
+    if (units && !Array.isArray(units)) {
+      options = units;
+      units = undefined;
+    }
+
+    var min = (options && options.min !== undefined) ? options.min : 1;
+    var max = (options && options.max !== undefined) ? options.max : 1000;
+    var scientific = (options && options.scientific !== undefined) ? options.scientific : true;
+    if (typeof min !== 'number' || typeof max !== 'number' || !(min > 0) || !(max > min)) {
+      throw new Error('Invalid range [' + min + ', ' + max + '): positive numbers expected with min smaller than max');
+    }
+
+    var candidates = units
+        ? units.map(function (unit) {
+            return this.to(unit);
+          }.bind(this))
+        : this._prefixCandidates(scientific);
+    if (candidates.length === 0) {
+      throw new Error('Array with at least one unit expected');
+    }
+
+    // compare the candidates using the absolute value as a number, as the
+    // prefixes can be out of the range of a Fraction for example
+    var absValue = toNumber(abs(this.value == null ? this._normalize(1) : this.value));
+
+    var best = null;
+    var bestValue = null;
+    var bestDistance = Infinity;
+    for (var i = 0; i < candidates.length; i++) {
+      var numeric = candidates[i].clone();
+      numeric.value = absValue;
+      var value = numeric.toNumeric();
+
+      // distance of the value to the preferred range on a log scale
+      var distance = (value >= min && value < max) ? 0
+          : (value < min) ? Math.log(min / value) / Math.LN10
+          : Math.log(value / max) / Math.LN10;
+
+      if (best === null || distance < bestDistance ||
+          (distance === 0 && bestDistance === 0 && value < bestValue)) {
+        best = candidates[i];
+        bestValue = value;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  };
+
+  /**
+   * Create clones of this unit with each of the prefixes of its first unit,
+   * starting with the current prefix.
+   * @memberof Unit
+   * @param {boolean} scientific  Only use prefixes which are a power of 1000
+   * @returns {Unit[]}
+   * @private
+   */
+  Unit.prototype._prefixCandidates = function (scientific) {
+    var unit = this.clone();
+    if (unit.value == null) {
+      unit.value = this._normalize(1);
+    }
+    unit.simplifyUnitListLazy();
+    unit.fixPrefix = true;
+    unit.isUnitListSimplified = true;
+
+    var candidates = [unit];
+    var first = unit.units[0];
+    if (!first || Math.abs(first.power - Math.round(first.power)) >= 1e-14) {
+      // a prefix would change the value by a non-integer power of ten
+      return candidates;
+    }
+
+    var prefixes = first.unit.prefixes;
+    for (var name in prefixes) {
+      if (prefixes.hasOwnProperty(name)) {
+        var prefix = prefixes[name];
+        if (prefix !== first.prefix && (prefix.scientific || !scientific)) {
+          var candidate = unit.clone();
+          candidate.units[0].prefix = prefix;
+          candidates.push(candidate);
+        }
+      }
+    }
+
+    return candidates;
+  };
+
   /**
    * Return the value of the unit when represented with given valueless unit
    * @memberof Unit
@@ -1060,10 +1552,18 @@ function factory (type, config, load, typed, math) {
    * @param {Object | number | Function} [options]  Formatting options. See
    *                                                lib/utils/number:format for a
    *                                                description of the available
-   *                                                options.
+   *                                                options. Additionally, the
+   *                                                option `split` can contain an
+   *                                                array with units to format the
+   *                                                unit as a compound quantity
+   *                                                like "5 ft 3 in", see
+   *                                                Unit.splitUnit.
    * @return {string}
    */
   Unit.prototype.format = function (options) {
+    if (options && options.split) {
+      return this._formatSplit(options);
+    }
 
     // Simplfy the unit list, if necessary
     this.simplifyUnitListLazy();
@@ -1115,6 +1615,37 @@ function factory (type, config, load, typed, math) {
     return str;
   };
 
+  /**
+   * Get a string representation of the Unit as a compound quantity like
+   * "5 ft 3 in", with the units listed in `options.split`. The remaining
+   * options are used to format the value of the last part.
+   * @memberof Unit
+   * @param {Object} options
+   * @return {string}
+   * @private
+   */
+  Unit.prototype._formatSplit = function (options) {
+    var partOptions = extend({}, options);
+    delete partOptions.split;
+
+    // the parts of a negative quantity like "-5 ft 3 in" share a single sign
+    var negative = (this.value !== null) && isNegative(this);
+    var parts = (negative ? abs(this) : this).splitUnit(options.split);
+
+    // hide round-off errors of splitting, like "3.0000000000000018 in"
+    var notation = partOptions.notation || 'auto';
+    if (partOptions.precision === undefined && notation === 'auto' &&
+        typeof parts[parts.length - 1].value === 'number') {
+      partOptions.precision = 14;
+    }
+
+    var str = parts.map(function (part, i) {
+      return (i === parts.length - 1) ? part.format(partOptions) : part.format();
+    }).join(' ');
+
+    return negative ? '-' + str : str;
+  };
+
   /**
    * Calculate the best prefix using current value.
    * @memberof Unit
@@ -2221,14 +2752,16 @@ function factory (type, config, load, typed, math) {
       base: BASE_UNITS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1,
-      offset: 273.15
+      offset: 273.15,
+      deltaUnit: 'deltaC'
     },
     degF: {
       name: 'degF',
       base: BASE_UNITS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1 / 1.8,
-      offset: 459.67
+      offset: 459.67,
+      deltaUnit: 'deltaF'
     },
     degR: {
       name: 'degR',
@@ -2249,14 +2782,16 @@ function factory (type, config, load, typed, math) {
       base: BASE_UNITS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1,
-      offset: 273.15
+      offset: 273.15,
+      deltaUnit: 'deltaC'
     },
     fahrenheit: {
       name: 'fahrenheit',
       base: BASE_UNITS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1 / 1.8,
-      offset: 459.67
+      offset: 459.67,
+      deltaUnit: 'deltaF'
     },
     rankine: {
       name: 'rankine',
@@ -2265,6 +2800,23 @@ function factory (type, config, load, typed, math) {
       value: 1 / 1.8,
       offset: 0
     },
+    // temperature differences, the difference of two temperatures in degC is in deltaC
+    deltaC: {
+      name: 'deltaC',
+      base: BASE_UNITS.TEMPERATURE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      isDelta: true
+    },
+    deltaF: {
+      name: 'deltaF',
+      base: BASE_UNITS.TEMPERATURE,
+      prefixes: PREFIXES.NONE,
+      value: 1 / 1.8,
+      offset: 0,
+      isDelta: true
+    },
 
     // amount of substance
     mol: {
@@ -2654,6 +3206,91 @@ function factory (type, config, load, typed, math) {
       prefixes: PREFIXES.BINARY_LONG,
       value: 8,
       offset: 0
+    },
+
+    // Logarithmic
+    // The value of a logarithmic unit is factor * log_base(x / value). Ratios
+    // like dB are normalized to a power ratio, levels like dBm or dBV to the
+    // linear quantity. Field quantities like a voltage have a factor 20 dB.
+    dB: {
+      name: 'dB',
+      base: BASE_UNITS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: {base: 10, factor: 10}
+    },
+    decibel: {
+      name: 'decibel',
+      base: BASE_UNITS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: {base: 10, factor: 10}
+    },
+    bel: {
+      name: 'bel',
+      base: BASE_UNITS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: {base: 10, factor: 1}
+    },
+    Np: {
+      name: 'Np',
+      base: BASE_UNITS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: {base: Math.E, factor: 0.5} // a ratio of field quantities
+    },
+    neper: {
+      name: 'neper',
+      base: BASE_UNITS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: {base: Math.E, factor: 0.5}
+    },
+    dBW: {
+      name: 'dBW',
+      base: BASE_UNITS.POWER,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: {base: 10, factor: 10}
+    },
+    dBm: {
+      name: 'dBm',
+      base: BASE_UNITS.POWER,
+      prefixes: PREFIXES.NONE,
+      value: 0.001,
+      offset: 0,
+      logarithmic: {base: 10, factor: 10}
+    },
+    dBV: {
+      name: 'dBV',
+      base: BASE_UNITS.ELECTRIC_POTENTIAL,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: {base: 10, factor: 20, field: true}
+    },
+    dBu: {
+      name: 'dBu',
+      base: BASE_UNITS.ELECTRIC_POTENTIAL,
+      prefixes: PREFIXES.NONE,
+      value: 0.7745966692414834, // sqrt(0.6) V, 1 mW in 600 ohm
+      offset: 0,
+      logarithmic: {base: 10, factor: 20, field: true}
+    },
+    dBuV: {
+      name: 'dBuV',
+      base: BASE_UNITS.ELECTRIC_POTENTIAL,
+      prefixes: PREFIXES.NONE,
+      value: 1e-6,
+      offset: 0,
+      logarithmic: {base: 10, factor: 20, field: true}
     }
   };
 
@@ -2750,7 +3387,11 @@ function factory (type, config, load, typed, math) {
     webers: 'weber',
     teslas: 'tesla',
     electronvolts: 'electronvolt',
-    moles: 'mole'
+    moles: 'mole',
+
+    decibels: 'decibel',
+    bels: 'bel',
+    nepers: 'neper'
 
   };
 
@@ -2878,6 +3519,82 @@ function factory (type, config, load, typed, math) {
     }
   };
 
+  /**
+   * Create a user-defined unit system, which can be selected with
+   * Unit.setUnitSystem.
+   * Example:
+   *  createUnitSystem('engineering', {
+   *    LENGTH: 'mm',
+   *    FORCE: 'kN',
+   *    PRESSURE: 'MPa'
+   *  });
+   *  setUnitSystem('engineering');
+   *
+   * @param {string} name     The name of the unit system. Example: 'engineering'
+   * @param {Object} units    Object map with a base quantity like 'LENGTH' or 'FORCE' as key, and the preferred unit of this quantity including prefix as value. Example: {FORCE: 'kN'}
+   * @param {Object} options  (optional) An object containing any of the following properties:
+   *     extend {string} The name of the unit system providing the units of the base quantities not listed in units. The default is "si".
+   *     override {boolean} Replace an existing unit system with the same name. The default is false.
+   */
+  Unit.createUnitSystem = function(name, units, options) {
+
+    if(typeof(name) !== 'string') {
+      throw new TypeError("createUnitSystem expects first parameter to be of type 'string'");
+    }
+
+    if(!units || typeof(units) !== 'object') {
+      throw new TypeError("createUnitSystem expects second parameter to be of type 'Object'");
+    }
+
+    if(UNIT_SYSTEMS.hasOwnProperty(name) && !(options && options.override)) {
+      throw new Error('Cannot create unit system "' + name + '": a unit system with that name already exists');
+    }
+
+    var extend = (options && options.extend !== undefined) ? options.extend : 'si';
+    if(!UNIT_SYSTEMS.hasOwnProperty(extend)) {
+      throw new Error('Unit system ' + extend + ' does not exist. Choices are: ' + Object.keys(UNIT_SYSTEMS).join(', '));
+    }
+
+    var system = {};
+    for(var key in UNIT_SYSTEMS[extend]) {
+      if(UNIT_SYSTEMS[extend].hasOwnProperty(key)) {
+        system[key] = UNIT_SYSTEMS[extend][key];
+      }
+    }
+
+    for(var quantity in units) {
+      if(units.hasOwnProperty(quantity)) {
+        if(!BASE_UNITS.hasOwnProperty(quantity)) {
+          throw new Error('Unknown base quantity "' + quantity + '". Choices are: ' + Object.keys(BASE_UNITS).join(', '));
+        }
+
+        var res = (typeof(units[quantity]) === 'string') ? _findUnit(units[quantity]) : null;
+        if(!res) {
+          throw new Error('Unit "' + units[quantity] + '" not found.');
+        }
+
+        // The unit must have the dimensions of the quantity
+        var dimensions = BASE_UNITS[quantity].dimensions;
+        for(var i=0; i<BASE_DIMENSIONS.length; i++) {
+          if (Math.abs((res.unit.base.dimensions[i] || 0) - (dimensions[i] || 0)) > 1e-12) {
+            throw new Error('Unit "' + units[quantity] + '" is not a unit of ' + quantity);
+          }
+        }
+
+        system[quantity] = {
+          unit: res.unit,
+          prefix: res.prefix
+        };
+      }
+    }
+
+    // Keep the unit system selected when it is replaced
+    if(UNIT_SYSTEMS[name] === currentUnitSystem) {
+      currentUnitSystem = system;
+    }
+    UNIT_SYSTEMS[name] = system;
+  };
+
   /**
    * Converters to convert from number to an other numeric type like BigNumber
    * or Fraction
@@ -80,6 +80,71 @@ var units = {
   deg: '^\\circ'
 };
 
+// unicode greek letters, mapped to the names of their symbols
+var greekLetters = {
+  '\u0391': 'Alpha',   '\u03B1': 'alpha',
+  '\u0392': 'Beta',    '\u03B2': 'beta',
+  '\u0393': 'Gamma',   '\u03B3': 'gamma',
+  '\u0394': 'Delta',   '\u03B4': 'delta',
+  '\u0395': 'Epsilon', '\u03B5': 'epsilon',
+  '\u0396': 'Zeta',    '\u03B6': 'zeta',
+  '\u0397': 'Eta',     '\u03B7': 'eta',
+  '\u0398': 'Theta',   '\u03B8': 'theta',   '\u03D1': 'vartheta',
+  '\u0399': 'Iota',    '\u03B9': 'iota',
+  '\u039A': 'Kappa',   '\u03BA': 'kappa',
+  '\u039B': 'Lambda',  '\u03BB': 'lambda',
+  '\u039C': 'Mu',      '\u03BC': 'mu',
+  '\u039D': 'Nu',      '\u03BD': 'nu',
+  '\u039E': 'Xi',      '\u03BE': 'xi',
+  '\u039F': 'Omicron', '\u03BF': 'omicron',
+  '\u03A0': 'Pi',      '\u03C0': 'pi',
+  '\u03A1': 'Rho',     '\u03C1': 'rho',
+  '\u03A3': 'Sigma',   '\u03C3': 'sigma',   '\u03C2': 'varsigma',
+  '\u03A4': 'Tau',     '\u03C4': 'tau',
+  '\u03A5': 'Upsilon', '\u03C5': 'upsilon',
+  '\u03A6': 'Phi',     '\u03C6': 'phi',
+  '\u03A7': 'Chi',     '\u03C7': 'chi',
+  '\u03A8': 'Psi',     '\u03C8': 'psi',
+  '\u03A9': 'Omega',   '\u03C9': 'omega'
+};
+
+// unicode subscript characters, like in x\u2081, mapped to the subscript
+var subscripts = {
+  '\u2080': '0', '\u2081': '1', '\u2082': '2', '\u2083': '3', '\u2084': '4',
+  '\u2085': '5', '\u2086': '6', '\u2087': '7', '\u2088': '8', '\u2089': '9',
+  '\u208A': '+', '\u208B': '-', '\u208C': '=', '\u208D': '(', '\u208E': ')',
+  '\u2090': 'a', '\u2091': 'e', '\u2092': 'o', '\u2093': 'x', '\u2094': '\\text{\u0259}',
+  '\u2095': 'h', '\u2096': 'k', '\u2097': 'l', '\u2098': 'm', '\u2099': 'n',
+  '\u209A': 'p', '\u209B': 's', '\u209C': 't',
+  '\u1D62': 'i', '\u1D63': 'r', '\u1D64': 'u', '\u1D65': 'v',
+  '\u1D66': '\u03B2', '\u1D67': '\u03B3', '\u1D68': '\u03C1', '\u1D69': '\u03C6', '\u1D6A': '\u03C7'
+};
+
+var GREEK_LETTER = /[\u0391-\u03A9\u03B1-\u03C9\u03D1]/g;
+var TRAILING_SUBSCRIPTS = /^(.+?)([\u2080-\u208E\u2090-\u209C\u1D62-\u1D6A]+)$/;
+
+var escapes = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '^': '\\textasciicircum{}',
+  '_': '\\_',
+  '%': '\\%',
+  '~': '\\textasciitilde{}'
+};
+
+//@param {string} text
+//@return {string} Returns the text with LaTeX special characters escaped,
+//                 to be used as text like in \text{...}
+exports.escape = function (text) {
+  return String(text).replace(/[\\{}$&#^_%~]/g, function (c) {
+    return escapes[c];
+  });
+};
+
 //@param {string} name
 //@param {boolean} isUnit
 exports.toSymbol = function (name, isUnit) {
@@ -100,5 +165,26 @@ exports.toSymbol = function (name, isUnit) {
     return exports.toSymbol(name.substring(0, index)) + '_{'
       + exports.toSymbol(name.substring(index + 1)) + '}';
   }
-  return name;
+  else if (TRAILING_SUBSCRIPTS.test(name)) {
+    //symbol with unicode subscript (eg. x\u2081)
+    var match = TRAILING_SUBSCRIPTS.exec(name);
+    var subscript = match[2].split('').map(function (c) {
+      return subscripts[c];
+    }).join('');
+    return exports.toSymbol(match[1]) + '_{' + _replaceGreekLetters(subscript) + '}';
+  }
+  return _replaceGreekLetters(name);
 };
+
+//@param {string} text
+//@return {string} Returns the text with unicode greek letters like \u03B8
+//                 replaced with their LaTeX command like \theta
+function _replaceGreekLetters (text) {
+  if (greekLetters.hasOwnProperty(text)) {
+    return exports.symbols[greekLetters[text]];
+  }
+
+  return text.replace(GREEK_LETTER, function (c) {
+    return '{' + exports.symbols[greekLetters[c]] + '}';
+  });
+}
@@ -0,0 +1,175 @@
+'use strict';
+
+// Presentation MathML output of expression trees. Non-ASCII characters are
+// written as character references, so the generated MathML is plain ASCII.
+
+exports.symbols = {
+  // GREEK LETTERS
+  Alpha: '&#x391;',   alpha: '&#x3B1;',
+  Beta: '&#x392;',    beta: '&#x3B2;',
+  Gamma: '&#x393;',   gamma: '&#x3B3;',
+  Delta: '&#x394;',   delta: '&#x3B4;',
+  Epsilon: '&#x395;', epsilon: '&#x3F5;',  varepsilon: '&#x3B5;',
+  Zeta: '&#x396;',    zeta: '&#x3B6;',
+  Eta: '&#x397;',     eta: '&#x3B7;',
+  Theta: '&#x398;',   theta: '&#x3B8;',    vartheta: '&#x3D1;',
+  Iota: '&#x399;',    iota: '&#x3B9;',
+  Kappa: '&#x39A;',   kappa: '&#x3BA;',    varkappa: '&#x3F0;',
+  Lambda: '&#x39B;',  lambda: '&#x3BB;',
+  Mu: '&#x39C;',      mu: '&#x3BC;',
+  Nu: '&#x39D;',      nu: '&#x3BD;',
+  Xi: '&#x39E;',      xi: '&#x3BE;',
+  Omicron: '&#x39F;', omicron: '&#x3BF;',
+  Pi: '&#x3A0;',      pi: '&#x3C0;',       varpi: '&#x3D6;',
+  Rho: '&#x3A1;',     rho: '&#x3C1;',      varrho: '&#x3F1;',
+  Sigma: '&#x3A3;',   sigma: '&#x3C3;',    varsigma: '&#x3C2;',
+  Tau: '&#x3A4;',     tau: '&#x3C4;',
+  Upsilon: '&#x3A5;', upsilon: '&#x3C5;',
+  Phi: '&#x3A6;',     phi: '&#x3D5;',      varphi: '&#x3C6;',
+  Chi: '&#x3A7;',     chi: '&#x3C7;',
+  Psi: '&#x3A8;',     psi: '&#x3C8;',
+  Omega: '&#x3A9;',   omega: '&#x3C9;',
+  //other
+  inf: '&#x221E;',
+  Inf: '&#x221E;',
+  infinity: '&#x221E;',
+  Infinity: '&#x221E;',
+  oo: '&#x221E;'
+};
+
+exports.operators = {
+  'transpose': '&#x22A4;',
+  'factorial': '!',
+  'pow': '^',
+  'dotPow': '.^',
+  'unaryPlus': '+',
+  'unaryMinus': '&#x2212;',
+  'bitNot': '~',
+  'not': '&#xAC;',
+  'multiply': '&#x22C5;',
+  'divide': '/',
+  'dotMultiply': '.&#x22C5;',
+  'dotDivide': './',
+  'mod': 'mod',
+  'add': '+',
+  'subtract': '&#x2212;',
+  'to': '&#x2192;',
+  'leftShift': '&lt;&lt;',
+  'rightArithShift': '&gt;&gt;',
+  'rightLogShift': '&gt;&gt;&gt;',
+  'equal': '=',
+  'unequal': '&#x2260;',
+  'smaller': '&lt;',
+  'larger': '&gt;',
+  'smallerEq': '&#x2264;',
+  'largerEq': '&#x2265;',
+  'bitAnd': '&amp;',
+  'bitXor': '^|',
+  'bitOr': '|',
+  'and': '&#x2227;',
+  'xor': '&#x22BB;',
+  'or': '&#x2228;'
+};
+
+// invisible operators, which tell screen readers how adjacent parts relate
+exports.FUNCTION_APPLICATION = '&#x2061;';
+exports.INVISIBLE_TIMES = '&#x2062;';
+
+var units = {
+  deg: '&#xB0;'
+};
+
+// MathML for functions which have a common mathematical notation,
+// by function name and number of arguments
+exports.functions = {
+  sqrt: {
+    1: function (args) {
+      return '<msqrt>' + args[0] + '</msqrt>';
+    }
+  },
+  nthRoot: {
+    2: function (args) {
+      return '<mroot>' + args[0] + args[1] + '</mroot>';
+    }
+  },
+  abs: {
+    1: function (args) {
+      return '<mrow><mo>|</mo>' + args[0] + '<mo>|</mo></mrow>';
+    }
+  },
+  exp: {
+    1: function (args) {
+      return '<msup><mi>e</mi>' + args[0] + '</msup>';
+    }
+  }
+};
+
+//@param {string} text
+//@return {string} Returns the text with XML special characters escaped
+exports.escape = function (text) {
+  return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+};
+
+//@param {string} name
+//@param {boolean} isUnit
+exports.toSymbol = function (name, isUnit) {
+  isUnit = typeof isUnit === 'undefined' ? false : isUnit;
+  if (isUnit) {
+    if (units.hasOwnProperty(name)) {
+      return '<mi mathvariant="normal">' + units[name] + '</mi>';
+    }
+    return '<mi mathvariant="normal">' + exports.escape(name) + '</mi>';
+  }
+
+  if (exports.symbols.hasOwnProperty(name)) {
+    return '<mi>' + exports.symbols[name] + '</mi>';
+  }
+  else if (name.indexOf('_') > 0 && name.indexOf('_') < name.length - 1) {
+    //symbol with index (eg. alpha_1)
+    var index = name.indexOf('_');
+    var subscript = name.substring(index + 1);
+    return '<msub>' + exports.toSymbol(name.substring(0, index))
+        + (/^[0-9]+$/.test(subscript) ? '<mn>' + subscript + '</mn>' : exports.toSymbol(subscript))
+        + '</msub>';
+  }
+  return '<mi>' + exports.escape(name) + '</mi>';
+};
+
+//@param {string} op   An operator, already escaped
+//@return {string}
+exports.toOperator = function (op) {
+  return '<mo>' + op + '</mo>';
+};
+
+//@param {string[]} items  MathML of the items of a row
+//@return {string} Returns the items grouped in a single element
+exports.row = function (items) {
+  return '<mrow>' + items.join('') + '</mrow>';
+};
+
+//@param {string} mathml
+//@param {string} [open]   The opening bracket, '(' by default
+//@param {string} [close]  The closing bracket, ')' by default
+//@return {string} Returns the MathML enclosed in brackets
+exports.parens = function (mathml, open, close) {
+  return exports.row([
+    exports.toOperator(open || '('),
+    mathml,
+    exports.toOperator(close || ')')
+  ]);
+};
+
+//@param {string} name   MathML of the function name
+//@param {string[]} args MathML of the arguments
+//@return {string} Returns the MathML of a function call like f(a, b)
+exports.toFunction = function (name, args) {
+  return exports.row([
+    name,
+    exports.toOperator(exports.FUNCTION_APPLICATION),
+    exports.parens(args.join(exports.toOperator(',')))
+  ]);
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+// A scope contains the variables used when evaluating an expression. Besides
+// a plain object, any object implementing the following interface can be
+// used as scope, for example an ES6 Map or a proxy to a data store:
+//
+//     get(name: string): *               Get the value of a variable
+//     set(name: string, value: *)        Set the value of a variable
+//     has(name: string): boolean         Test whether a variable exists
+//     keys(): Array.<string> | Iterator  Get the names of all variables
+//
+// Parser.remove and Parser.clear additionally need a method delete(name).
+
+var extend = require('./object').extend;
+
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * Test whether an object implements the scope interface. A plain object is
+ * never considered a scope, as its properties are variables.
+ * @param {*} x
+ * @return {boolean} Returns true when x implements the scope interface
+ */
+exports.isScope = function (x) {
+  if (!x || typeof x !== 'object') {
+    return false;
+  }
+
+  var proto = Object.getPrototypeOf(x);
+  if (proto === Object.prototype || proto === null) {
+    return false;
+  }
+
+  return typeof x.get === 'function' &&
+      typeof x.set === 'function' &&
+      typeof x.has === 'function' &&
+      typeof x.keys === 'function';
+};
+
+/**
+ * Create a scope from a plain object with variables, or return the
+ * provided scope when it already implements the scope interface.
+ * @param {Object} [scope]    A plain object or a scope. A new, empty scope
+ *                            is created when not provided.
+ * @return {Object} Returns an object implementing the scope interface
+ */
+exports.createScope = function (scope) {
+  if (exports.isScope(scope)) {
+    return scope;
+  }
+
+  return new ObjectScope(scope || {});
+};
+
+/**
+ * Create a child scope with local variables. Variables not defined in the
+ * child scope are read from and written to the parent scope.
+ * @param {Object} parent       The parent scope
+ * @param {Object} variables    A plain object with the local variables
+ * @return {ChildScope}
+ */
+exports.createChildScope = function (parent, variables) {
+  return new ChildScope(exports.createScope(parent), variables);
+};
+
+/**
+ * Get the scope passed to a function with rawArgs. When the scope was created
+ * from a plain object, this is the plain object itself, or inside a function
+ * defined in an expression a copy of it extended with the local variables,
+ * so raw functions can read the variables as properties. Other scopes, like
+ * a Map, are returned as is.
+ * @param {Object} scope
+ * @return {Object} Returns a plain object or a scope
+ */
+exports.toRawScope = function (scope) {
+  if (scope instanceof ObjectScope) {
+    return scope.object;
+  }
+
+  if (scope instanceof ChildScope) {
+    var parent = exports.toRawScope(scope.parent);
+    if (!exports.isScope(parent)) {
+      return extend(extend({}, parent), scope.variables);
+    }
+  }
+
+  return scope;
+};
+
+/**
+ * Get the names of all variables in a scope
+ * @param {Object} scope
+ * @return {string[]}
+ */
+exports.keys = function (scope) {
+  var keys = scope.keys();
+  if (Array.isArray(keys)) {
+    return keys;
+  }
+
+  // an iterator, like the keys of a Map
+  var names = [];
+  var next = keys.next();
+  while (!next.done) {
+    names.push(next.value);
+    next = keys.next();
+  }
+  return names;
+};
+
+/**
+ * Set a variable in a scope
+ * @param {Object} scope
+ * @param {string} name
+ * @param {*} value
+ * @return {*} Returns the value
+ */
+exports.setVariable = function (scope, name, value) {
+  scope.set(name, value);
+  return value;
+};
+
+/**
+ * A scope reading and writing the properties of a plain object
+ * @param {Object} object
+ * @constructor ObjectScope
+ */
+function ObjectScope (object) {
+  this.object = object;
+}
+
+ObjectScope.prototype.get = function (name) {
+  return this.object[name];
+};
+
+ObjectScope.prototype.set = function (name, value) {
+  this.object[name] = value;
+  return this;
+};
+
+ObjectScope.prototype.has = function (name) {
+  return name in this.object;
+};
+
+ObjectScope.prototype.keys = function () {
+  return Object.keys(this.object);
+};
+
+ObjectScope.prototype['delete'] = function (name) {
+  return delete this.object[name];
+};
+
+/**
+ * A scope with local variables on top of a parent scope
+ * @param {Object} parent       The parent scope
+ * @param {Object} variables    A plain object with the local variables
+ * @constructor ChildScope
+ */
+function ChildScope (parent, variables) {
+  this.parent = parent;
+  this.variables = variables;
+}
+
+ChildScope.prototype.get = function (name) {
+  return hasOwnProperty.call(this.variables, name)
+      ? this.variables[name]
+      : this.parent.get(name);
+};
+
+ChildScope.prototype.set = function (name, value) {
+  if (hasOwnProperty.call(this.variables, name)) {
+    this.variables[name] = value;
+  }
+  else {
+    this.parent.set(name, value);
+  }
+  return this;
+};
+
+ChildScope.prototype.has = function (name) {
+  return hasOwnProperty.call(this.variables, name) || this.parent.has(name);
+};
+
+ChildScope.prototype.keys = function () {
+  var variables = this.variables;
+  var parentKeys = exports.keys(this.parent).filter(function (name) {
+    return !hasOwnProperty.call(variables, name);
+  });
+
+  return Object.keys(variables).concat(parentKeys);
+};
+
+ChildScope.prototype['delete'] = function (name) {
+  if (hasOwnProperty.call(this.variables, name)) {
+    return delete this.variables[name];
+  }
+  return this.parent['delete'](name);
+};
+
+exports.ObjectScope = ObjectScope;
+exports.ChildScope = ChildScope;
@@ -0,0 +1,20 @@
+var assert = require('assert'),
+    RestrictionError = require('../../lib/error/RestrictionError');
+
+describe('RestrictionError', function () {
+
+  it('should construct a RestrictionError', function () {
+    var err = new RestrictionError('maxSteps', 'Maximum number of evaluation steps exceeded (1000)');
+    assert(err instanceof Error);
+    assert(err instanceof RestrictionError);
+    assert(err.isRestrictionError);
+    assert.equal(err.restriction, 'maxSteps');
+    assert.equal(err.message, 'Maximum number of evaluation steps exceeded (1000)');
+    assert.equal(err.toString(), 'RestrictionError: Maximum number of evaluation steps exceeded (1000)');
+  });
+
+  it('should throw an error when operator new is missing', function () {
+    assert.throws(function () {RestrictionError('maxSteps', 'message');}, SyntaxError);
+  });
+
+});
@@ -8,6 +8,7 @@ describe('index.js', function () {
     assert(error[0].name, 'ArgumentsError');
     assert(error[1].name, 'DimensionError');
     assert(error[2].name, 'IndexError');
+    assert(error[3].name, 'RestrictionError');
   });
 
 });
\ No newline at end of file
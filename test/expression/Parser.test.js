@@ -146,6 +146,70 @@ describe('parser', function() {
     delete Object.prototype.foo;
   });
 
+  it ('should use a Map as scope', function () {
+    var variables = new Map([['a', 2]]);
+    var parser = math.parser({scope: variables});
+
+    assert.equal(parser.eval('b = a + 1'), 3);
+    assert.equal(variables.get('b'), 3);
+    assert.equal(parser.get('a'), 2);
+
+    parser.set('c', 4);
+    assert.equal(variables.get('c'), 4);
+    assert.deepEqual(parser.getAll(), {a: 2, b: 3, c: 4});
+
+    parser.remove('a');
+    assert.strictEqual(variables.has('a'), false);
+
+    parser.clear();
+    assert.equal(variables.size, 0);
+  });
+
+  it ('should use a plain object as scope', function () {
+    var variables = {a: 2};
+    var parser = math.parser({scope: variables});
+
+    assert.equal(parser.eval('b = a + 1'), 3);
+    assert.deepEqual(variables, {a: 2, b: 3});
+  });
+
+  it ('should use a custom scope', function () {
+    var store = {};
+    var scope = {
+      get: function (name) { return store['var_' + name] },
+      set: function (name, value) { store['var_' + name] = value },
+      has: function (name) { return ('var_' + name) in store },
+      keys: function () {
+        return Object.keys(store).map(function (key) { return key.substring(4) });
+      }
+    };
+    var parser = new Parser({scope: Object.create(scope)});
+
+    parser.eval('x = 3');
+    parser.eval('f(y) = x * y');
+    assert.equal(parser.eval('f(2)'), 6);
+    assert.deepEqual(Object.keys(store), ['var_x', 'var_f']);
+  });
+
+  it ('should evaluate expressions with restrictions', function () {
+    var parser = math.parser({restrict: {functions: ['sqrt'], maxDepth: 3}});
+    assert(parser.restriction instanceof math.expression.Restriction);
+
+    assert.equal(parser.eval('sqrt(16)'), 4);
+    parser.eval('f(n) = n > 0 ? f(n - 1) : n');
+    assert.equal(parser.eval('f(2)'), 0);
+
+    assert.throws(function () {parser.eval('sin(2)')}, /Function sin is not allowed/);
+    assert.throws(function () {parser.eval('f(3)')}, /Maximum depth of function calls exceeded \(3\)/);
+    assert.throws(function () {parser.eval('import({})')}, math.error.RestrictionError);
+  });
+
+  it ('should create a parser without restrictions by default', function () {
+    var parser = math.parser();
+    assert.strictEqual(parser.restriction, null);
+    assert.equal(parser.eval('eval("2 + 3")'), 5);
+  });
+
   it ('should throw an exception when creating a parser without new', function () {
     assert.throws(function () {Parser()}, /Constructor must be called with the new operator/);
   });
@@ -0,0 +1,225 @@
+// test Restriction
+var assert = require('assert');
+var math = require('../../index');
+var Restriction = math.expression.Restriction;
+var RestrictionError = math.error.RestrictionError;
+
+/**
+ * Helper function to parse, compile and evaluate an expression with a restriction
+ * @param {string} expr
+ * @param {Object | Restriction} restrict
+ * @param {Object} [scope]
+ * @return {*} result
+ */
+function evalRestricted(expr, restrict, scope) {
+  return math.parse(expr).compile({restrict: restrict}).eval(scope);
+}
+
+/**
+ * Helper function to test whether a function throws a RestrictionError
+ * @param {function} fn
+ * @param {string} restriction   Name of the expected violated restriction
+ * @param {RegExp} message
+ */
+function assertRestricted(fn, restriction, message) {
+  assert.throws(fn, function (err) {
+    return err instanceof RestrictionError &&
+        err.restriction === restriction &&
+        message.test(err.message);
+  });
+}
+
+describe('Restriction', function() {
+
+  it('should create a Restriction with default options', function() {
+    var restriction = new Restriction();
+    assert(restriction.isRestriction);
+    assert.equal(restriction.type, 'Restriction');
+    assert.strictEqual(restriction.functions, null);
+    assert.strictEqual(restriction.assignment, true);
+    assert.strictEqual(restriction.functionAssignment, true);
+    assert.strictEqual(restriction.maxDepth, Infinity);
+    assert.strictEqual(restriction.maxMatrixSize, Infinity);
+    assert.strictEqual(restriction.maxSteps, Infinity);
+  });
+
+  it('should throw an error in case of invalid options', function() {
+    assert.throws(function () {new Restriction({functions: 'sqrt'})}, /Array expected for option "functions"/);
+    assert.throws(function () {new Restriction({maxSteps: -1})}, /Non-negative number expected for option "maxSteps"/);
+    assert.throws(function () {new Restriction({maxDepth: '2'})}, /Non-negative number expected for option "maxDepth"/);
+  });
+
+  it('should throw an error when calling without new operator', function() {
+    assert.throws(function () {Restriction()}, SyntaxError);
+  });
+
+  it('should evaluate an expression without violations', function() {
+    assert.equal(evalRestricted('sqrt(16) + 2 * pi', {}), 4 + 2 * Math.PI);
+    assert.deepEqual(evalRestricted('2 + 3i', {}), math.complex(2, 3));
+    assert.equal(evalRestricted('a = 2; f(x) = x^a; f(3)', {}).entries[0], 9);
+  });
+
+  it('should not allow unsafe functions by default', function() {
+    assertRestricted(function () {evalRestricted('import({foo: 2})', {})}, 'functions', /Function import is not allowed/);
+    assertRestricted(function () {evalRestricted('createUnit("foo")', {})}, 'functions', /Function createUnit is not allowed/);
+    assertRestricted(function () {evalRestricted('config({number: "BigNumber"})', {})}, 'functions', /Function config is not allowed/);
+    assertRestricted(function () {evalRestricted('eval("2 + 3")', {})}, 'functions', /Function eval is not allowed/);
+    assertRestricted(function () {evalRestricted('parse("2 + 3")', {})}, 'functions', /Function parse is not allowed/);
+    assertRestricted(function () {evalRestricted('simplify("2 x + x")', {})}, 'functions', /Function simplify is not allowed/);
+    assertRestricted(function () {evalRestricted('map([1, 2], eval)', {})}, 'functions', /Function eval is not allowed/);
+  });
+
+  it('should not allow namespaces by default', function() {
+    assertRestricted(function () {evalRestricted('expression.parse("2")', {})}, 'functions', /Function expression is not allowed/);
+    assertRestricted(function () {evalRestricted('type', {})}, 'functions', /Function type is not allowed/);
+  });
+
+  it('should only allow functions in the allow-list', function() {
+    var restrict = {functions: ['sqrt']};
+    assert.equal(evalRestricted('sqrt(16) + 2', restrict), 6);
+    assert.equal(evalRestricted('sqrt(x) * pi', restrict, {x: 4}), 2 * Math.PI);
+    assertRestricted(function () {evalRestricted('sin(2)', restrict)}, 'functions', /Function sin is not allowed/);
+    assertRestricted(function () {evalRestricted('f = sin', restrict)}, 'functions', /Function sin is not allowed/);
+  });
+
+  it('should only allow custom operators when their function is in the allow-list', function() {
+    var mymath = math.create();
+    mymath.expression.operators.add('⊗', {fn: 'kron', precedence: 'multiply'});
+
+    function evalCustom(expr, restrict) {
+      return mymath.parse(expr).compile({restrict: restrict}).eval();
+    }
+
+    assert.deepEqual(evalCustom('[1, 2] ⊗ [3, 4]', {functions: ['kron']}), mymath.matrix([[3, 4, 6, 8]]));
+    assertRestricted(function () {evalCustom('[1, 2] ⊗ [3, 4]', {functions: []})}, 'functions', /Function kron is not allowed/);
+    assert.equal(evalCustom('2 * 3', {functions: []}), 6);
+  });
+
+  it('should allow parameters of defined functions with the name of a function', function() {
+    assert.equal(evalRestricted('f(sin) = sin + 1; f(2)', {functions: []}).entries[0], 3);
+    assert.equal(evalRestricted('g = sin -> sin + 1; g(2)', {functions: []}).entries[0], 3);
+  });
+
+  it('should not allow unsafe properties', function() {
+    assertRestricted(function () {evalRestricted('sqrt.constructor', {})}, 'properties', /Property constructor is not allowed/);
+    assertRestricted(function () {evalRestricted('a["__proto__"]', {}, {a: {}})}, 'properties', /Property __proto__ is not allowed/);
+    assertRestricted(function () {evalRestricted('a.constructor = 2', {}, {a: {}})}, 'properties', /Property constructor is not allowed/);
+    assertRestricted(function () {evalRestricted('a[p]', {}, {a: {}, p: 'constructor'})}, 'properties', /Property constructor is not allowed/);
+    assert.equal(evalRestricted('a[p]', {}, {a: {b: 2}, p: 'b'}), 2);
+  });
+
+  it('should not allow assignments when disabled', function() {
+    assertRestricted(function () {evalRestricted('x = 2', {assignment: false})}, 'assignment', /Assignment of variables is not allowed/);
+    assertRestricted(function () {evalRestricted('A[1] = 2', {assignment: false}, {A: [1]})}, 'assignment', /Assignment of variables is not allowed/);
+    assertRestricted(function () {evalRestricted('for i = 1:3; i; end', {assignment: false})}, 'assignment', /Assignment of variables is not allowed/);
+    assert.equal(evalRestricted('f(x) = x + 1; f(2)', {assignment: false}).entries[0], 3);
+  });
+
+  it('should not allow function definitions when disabled', function() {
+    assertRestricted(function () {evalRestricted('f(x) = x + 1', {functionAssignment: false})}, 'functionAssignment', /Definition of functions is not allowed/);
+    assertRestricted(function () {evalRestricted('map([1, 2], x -> x + 1)', {functionAssignment: false})}, 'functionAssignment', /Definition of functions is not allowed/);
+    assert.equal(evalRestricted('x = 2', {functionAssignment: false}), 2);
+  });
+
+  it('should limit the depth of nested function calls', function() {
+    var expr = 'f(n) = n > 0 ? f(n - 1) : 0; f(';
+    assert.deepEqual(evalRestricted(expr + '9)', {maxDepth: 10}).entries, [0]);
+    assertRestricted(function () {evalRestricted(expr + '10)', {maxDepth: 10})}, 'maxDepth', /Maximum depth of function calls exceeded \(10\)/);
+    assertRestricted(function () {evalRestricted('f(x) = f(x); f(1)', {maxDepth: 100})}, 'maxDepth', /Maximum depth of function calls exceeded \(100\)/);
+    assertRestricted(function () {evalRestricted('g = x -> x > 0 ? g(x - 1) : 0; g(10)', {maxDepth: 10})}, 'maxDepth', /Maximum depth of function calls exceeded \(10\)/);
+  });
+
+  it('should limit the depth of nested calls of a defined function invoked outside the expression', function() {
+    var scope = {};
+    evalRestricted('f(n) = n > 0 ? f(n - 1) : 0', {maxDepth: 5}, scope);
+    assert.strictEqual(scope.f(4), 0);
+    assertRestricted(function () {scope.f(5)}, 'maxDepth', /Maximum depth of function calls exceeded \(5\)/);
+  });
+
+  it('should limit the size of matrices', function() {
+    assert.deepEqual(evalRestricted('zeros(2, 3)', {maxMatrixSize: 6}), math.zeros(2, 3));
+    assertRestricted(function () {evalRestricted('zeros(3, 3)', {maxMatrixSize: 6})}, 'maxMatrixSize', /Maximum matrix size exceeded \(9 > 6\)/);
+    assertRestricted(function () {evalRestricted('1:10', {maxMatrixSize: 6})}, 'maxMatrixSize', /Maximum matrix size exceeded \(10 > 6\)/);
+    assertRestricted(function () {evalRestricted('[1, 2] * 3', {maxMatrixSize: 1})}, 'maxMatrixSize', /Maximum matrix size exceeded \(2 > 1\)/);
+  });
+
+  it('should validate the size of a matrix before creating it', function() {
+    var restriction = {maxMatrixSize: 100};
+    assertRestricted(function () {evalRestricted('zeros(1e5, 1e5)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(10000000000 > 100\)/);
+    assertRestricted(function () {evalRestricted('ones([1e5, 1e5], "sparse")', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(10000000000 > 100\)/);
+    assertRestricted(function () {evalRestricted('eye(1e5)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(10000000000 > 100\)/);
+    assertRestricted(function () {evalRestricted('1:1e9', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(1000000000 > 100\)/);
+    assertRestricted(function () {evalRestricted('range(0, 1e9, 2)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(500000001 > 100\)/);
+    assertRestricted(function () {evalRestricted('range("1:1e9")', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(1000000000 > 100\)/);
+    assertRestricted(function () {evalRestricted('resize([1], [1e5, 1e5])', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(10000000000 > 100\)/);
+    assertRestricted(function () {evalRestricted('A = ones(10, 10); [A, A]', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(200 > 100\)/);
+    assertRestricted(function () {evalRestricted('kron(ones(50), ones(50))', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(2500 > 100\)/);
+    assertRestricted(function () {evalRestricted('A = ones(10, 10); concat(A, A, 1)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(200 > 100\)/);
+
+    assert.deepEqual(evalRestricted('eye(10)', restriction), math.eye(10));
+    assert.deepEqual(evalRestricted('range(1, 101, false)', restriction), math.range(1, 101));
+    assert.deepEqual(evalRestricted('range("0:2:198")', restriction), math.range(0, 200, 2));
+    assert.deepEqual(evalRestricted('zeros(1e5, 1e5)', restriction, {zeros: function () { return 0; }}), 0);
+  });
+
+  it('should validate the size of a matrix before replacing a subset of it', function() {
+    var restriction = {maxSteps: 1000, maxMatrixSize: 1000};
+    assertRestricted(function () {evalRestricted('a = [1]; a[2e6] = 1; size(a)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(2000000 > 1000\)/);
+    assertRestricted(function () {evalRestricted('a = [1]; a[1000, 1000] = 1', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(1000000 > 1000\)/);
+    assertRestricted(function () {evalRestricted('a = "x"; a[1e6] = "y"', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(1000000 > 1000\)/);
+    assertRestricted(function () {evalRestricted('a = {b: [1]}; a.b[5000] = 1', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(5000 > 1000\)/);
+    assertRestricted(function () {evalRestricted('a = ["abc", "def"]; a[2][5000] = "x"', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(5000 > 1000\)/);
+
+    var scope = {a: [1]};
+    evalRestricted('a[1000] = 1', restriction, scope);
+    assert.deepEqual(math.size(scope.a), [1000]);
+
+    scope = {a: [[1, 2], [3, 4]]};
+    evalRestricted('a[1:2, 1] = [5; 6]', restriction, scope);
+    assert.deepEqual(scope.a, [[5, 2], [6, 4]]);
+
+    scope = {a: 'abc'};
+    evalRestricted('a[2] = "x"', restriction, scope);
+    assert.strictEqual(scope.a, 'axc');
+
+    scope = {a: {b: [1]}};
+    evalRestricted('a.b[3] = 2', restriction, scope);
+    assert.deepEqual(scope.a, {b: [1, 0, 2]});
+  });
+
+  it('should restrict the arguments of filter', function() {
+    var restriction = {maxSteps: 50, maxMatrixSize: 10};
+    assert.deepEqual(evalRestricted('filter(1:5, x -> x > 2)', restriction), math.matrix([3, 4, 5]));
+    assert.deepEqual(evalRestricted('filter([3, -2, 5], x > 0)', restriction), math.matrix([3, 5]));
+
+    // a lambda
+    assertRestricted(function () {evalRestricted('filter(1:5, x -> x + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 > 0)', restriction)}, 'maxSteps', /Maximum number of evaluation steps exceeded \(50\)/);
+    assertRestricted(function () {evalRestricted('filter([1], x -> size(zeros(100, 100))[1] > 0)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(10000 > 10\)/);
+
+    // an equation
+    assertRestricted(function () {evalRestricted('filter(1:5, x + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 + 1 > 0)', restriction)}, 'maxSteps', /Maximum number of evaluation steps exceeded \(50\)/);
+    assertRestricted(function () {evalRestricted('filter([1], size(zeros(100, 100))[1] > x)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(10000 > 10\)/);
+
+    // the matrix
+    assertRestricted(function () {evalRestricted('filter(zeros(100, 100), x -> true)', restriction)}, 'maxMatrixSize', /Maximum matrix size exceeded \(10000 > 10\)/);
+  });
+
+  it('should limit the number of evaluation steps', function() {
+    assert.equal(evalRestricted('1 + 1 + 1 + 1', {maxSteps: 3}), 4);
+    assertRestricted(function () {evalRestricted('1 + 1 + 1 + 1 + 1', {maxSteps: 3})}, 'maxSteps', /Maximum number of evaluation steps exceeded \(3\)/);
+    assertRestricted(function () {evalRestricted('f(n) = n > 0 ? f(n - 1) : 0; f(100)', {maxSteps: 100})}, 'maxSteps', /Maximum number of evaluation steps exceeded \(100\)/);
+  });
+
+  it('should reset the number of steps for every evaluation', function() {
+    var restriction = new Restriction({maxSteps: 3});
+    var code = math.parse('1 + 1 + 1').compile({restrict: restriction});
+    assert.equal(code.eval(), 3);
+    assert.equal(code.eval(), 3);
+    assert.equal(restriction.steps, 2);
+  });
+
+  it('should validate an expression when compiling', function() {
+    assertRestricted(function () {math.parse('2 + import({})').compile({restrict: {}})}, 'functions', /Function import is not allowed/);
+  });
+
+});
@@ -29,7 +29,7 @@ describe('eval', function() {
 
   it('should throw an error if wrong number of arguments', function() {
     assert.throws(function () {math.eval()},  /TypeError: Too few arguments/);
-    assert.throws(function () {math.eval('', {}, 3)}, /TypeError: Too many arguments/);
+    assert.throws(function () {math.eval('', {}, {}, 3)}, /TypeError: Too many arguments/);
   });
 
   it('should throw an error with a unit', function() {
@@ -68,6 +68,44 @@ describe('eval', function() {
     assert.deepEqual(math.eval('hello("jos")', scope), 'hello, jos!');
   });
 
+  it('should handle a Map as scope', function() {
+    var scope = new Map([['a', 3], ['b', 4]]);
+    assert.equal(math.eval('a*b', scope), 12);
+    assert.equal(math.eval('c=5', scope), 5);
+    assert.equal(math.format(math.eval('f(x) = x^a', scope)), 'f(x)');
+
+    assert.deepEqual(Array.from(scope.keys()), ['a', 'b', 'c', 'f']);
+    assert.equal(scope.get('f')(3), 27);
+    assert.deepEqual(math.eval(['d = 2', 'c * d'], scope), [2, 10]);
+
+    assert.throws(function () {
+      math.eval('2', new Map([['end', 1]]));
+    }, /Scope contains an illegal symbol, "end" is a reserved keyword/);
+  });
+
+  it('should not leak function parameters into the scope', function() {
+    var scope = {x: 1};
+    math.eval('f(x) = filter([1, 2, 3], y > x)', scope);
+    assert.deepEqual(scope.f(2), math.matrix([3]));
+    assert.deepEqual(Object.keys(scope), ['x', 'f']);
+    assert.equal(scope.x, 1);
+  });
+
+  it('should evaluate an expression with restrictions', function () {
+    assert.equal(math.eval('sqrt(16) + 2', {}, {restrict: {functions: ['sqrt']}}), 6);
+    assert.deepEqual(math.eval(['x = 2', 'x + 1'], {}, {restrict: {maxSteps: 1}}), [2, 3]);
+
+    assert.throws(function () {
+      math.eval('sin(2)', {}, {restrict: {functions: ['sqrt']}});
+    }, math.error.RestrictionError);
+    assert.throws(function () {
+      math.eval('import({})', {}, {restrict: {}});
+    }, /Function import is not allowed/);
+    assert.throws(function () {
+      math.eval('1 + 1 + 1', {}, {restrict: {maxSteps: 1}});
+    }, /Maximum number of evaluation steps exceeded \(1\)/);
+  });
+
   it('should LaTeX eval', function () {
     var expr1 = math.parse('eval(expr)');
     var expr2 = math.parse('eval(expr,scope)');
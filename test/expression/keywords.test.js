@@ -5,7 +5,7 @@ var assert = require('assert'),
 describe('keywords', function() {
 
   it('should return a map with reserved keywords', function() {
-    assert.deepEqual(Object.keys(keywords).sort(), ['end'].sort());
+    assert.deepEqual(Object.keys(keywords).sort(), ['end', 'for', 'function', 'while'].sort());
   });
 
 });
@@ -331,6 +331,25 @@ describe('AccessorNode', function() {
     assert.deepEqual(f, e);
   });
 
+  it ('should stringify an AccessorNode to JSON', function () {
+    var object = new SymbolNode('a');
+    var index = new IndexNode([new ConstantNode(1)]);
+    var n = new AccessorNode(object, index);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'AccessorNode', object: object, index: index});
+  });
+
+  it ('should revive an AccessorNode from JSON', function () {
+    var n = new AccessorNode(new SymbolNode('a'), new IndexNode([new ConstantNode('b')], true));
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof AccessorNode);
+    assert(revived.object instanceof SymbolNode);
+    assert(revived.index instanceof IndexNode);
+    assert.deepEqual(revived, n);
+    assert.equal(revived.toString(), 'a.b');
+  });
+
   it ('should clone an AccessorNode', function () {
     var a = new SymbolNode('a');
     var b = new ConstantNode(2);
@@ -462,4 +481,13 @@ describe('AccessorNode', function() {
     assert.equal(n.toTex({handler: customFunction}), ' a at const\\left(1, number\\right), const\\left(2, number\\right), ');
   });
 
+  it ('should MathML an AccessorNode', function () {
+    assert.equal(math.parse('a[2, 3]').toMathML(),
+        '<msub><mi>a</mi><mrow><mn>2</mn><mo>,</mo><mn>3</mn></mrow></msub>');
+    assert.equal(math.parse('obj.foo').toMathML(),
+        '<mrow><mi>obj</mi><mrow><mo>.</mo><mi>foo</mi></mrow></mrow>');
+    assert.equal(math.parse('(a + c)[1]').toMathML(),
+        '<msub><mrow><mo>(</mo><mrow><mi>a</mi><mo>+</mo><mi>c</mi></mrow><mo>)</mo></mrow><mrow><mn>1</mn></mrow></msub>');
+  });
+
 });
@@ -215,6 +215,25 @@ describe('ArrayNode', function() {
     assert.equal(count, 3);
   });
 
+  it ('should stringify an ArrayNode to JSON', function () {
+    var a = new ConstantNode(1);
+    var b = new SymbolNode('x');
+
+    assert.deepEqual(new ArrayNode([a, b]).toJSON(), {mathjs: 'ArrayNode', items: [a, b]});
+  });
+
+  it ('should revive an ArrayNode from JSON', function () {
+    var n = new ArrayNode([
+      new ArrayNode([new ConstantNode(1), new SymbolNode('x')]),
+      new ArrayNode([new ConstantNode(3), new ConstantNode(4)])
+    ]);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof ArrayNode);
+    assert(revived.items[0] instanceof ArrayNode);
+    assert.deepEqual(revived, n);
+  });
+
   it ('should clone an ArrayNode', function () {
     // [x, 2]
     var a = new SymbolNode('x');
@@ -315,4 +334,16 @@ describe('ArrayNode', function() {
     assert.equal(n.toTex({handler: customFunction}), '\\left[const\\left(1, number\\right), const\\left(2, number\\right), \\right]');
   });
 
+  it ('should MathML an ArrayNode', function () {
+    var v1 = new ArrayNode([new ConstantNode(1), new ConstantNode(2)]);
+    var v2 = new ArrayNode([new ConstantNode(3), new ConstantNode(4)]);
+    var m = new ArrayNode([v1, v2]);
+
+    assert.equal(v1.toMathML(),
+        '<mrow><mo>[</mo><mtable><mtr><mtd><mn>1</mn></mtd></mtr><mtr><mtd><mn>2</mn></mtd></mtr></mtable><mo>]</mo></mrow>');
+    assert.equal(m.toMathML(),
+        '<mrow><mo>[</mo><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>2</mn></mtd></mtr>' +
+        '<mtr><mtd><mn>3</mn></mtd><mtd><mn>4</mn></mtd></mtr></mtable><mo>]</mo></mrow>');
+  });
+
 });
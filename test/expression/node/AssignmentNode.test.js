@@ -401,6 +401,28 @@ describe('AssignmentNode', function() {
     assert.equal(count, 4);
   });
 
+  it ('should stringify an AssignmentNode to JSON', function () {
+    var object = new SymbolNode('a');
+    var value = new ConstantNode(2);
+
+    assert.deepEqual(new AssignmentNode(object, value).toJSON(),
+        {mathjs: 'AssignmentNode', object: object, index: null, value: value});
+  });
+
+  it ('should revive an AssignmentNode from JSON', function () {
+    var n = new AssignmentNode(new SymbolNode('a'), new ConstantNode(2));
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+    assert(revived instanceof AssignmentNode);
+    assert.strictEqual(revived.index, null);
+    assert.deepEqual(revived, n);
+
+    n = new AssignmentNode(new SymbolNode('a'), new IndexNode([new ConstantNode(2)]), new ConstantNode(5));
+    revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+    assert(revived.index instanceof IndexNode);
+    assert.deepEqual(revived, n);
+    assert.equal(revived.toString(), 'a[2] = 5');
+  });
+
   it ('should clone an AssignmentNode without index', function () {
     var object = new SymbolNode('a');
     var value = new ConstantNode(2);
@@ -544,4 +566,12 @@ describe('AssignmentNode', function() {
     assert.equal(n.toTex({handler: customFunction}), ' a\\mbox{equals}const\\left(1, number\\right)');
   });
 
+  it ('should MathML an AssignmentNode', function () {
+    assert.equal(math.parse('x = 2').toMathML(), '<mrow><mi>x</mi><mo>:=</mo><mn>2</mn></mrow>');
+    assert.equal(math.parse('a[2] = 3').toMathML(),
+        '<mrow><msub><mi>a</mi><mrow><mn>2</mn></mrow></msub><mo>:=</mo><mn>3</mn></mrow>');
+    assert.equal(math.parse('obj.foo = 3').toMathML(),
+        '<mrow><mrow><mi>obj</mi><mrow><mo>.</mo><mi>foo</mi></mrow></mrow><mo>:=</mo><mn>3</mn></mrow>');
+  });
+
 });
@@ -224,6 +224,30 @@ describe('BlockNode', function() {
     assert.equal(count, 3);
   });
 
+  it ('should stringify a BlockNode to JSON', function () {
+    var a = new AssignmentNode(new SymbolNode('a'), new ConstantNode(2));
+    var b = new SymbolNode('a');
+    var n = new BlockNode([{node: a, visible: false}, {node: b}]);
+
+    assert.deepEqual(n.toJSON(), {
+      mathjs: 'BlockNode',
+      blocks: [{node: a, visible: false}, {node: b, visible: true}]
+    });
+  });
+
+  it ('should revive a BlockNode from JSON', function () {
+    var n = new BlockNode([
+      {node: new AssignmentNode(new SymbolNode('a'), new ConstantNode(2)), visible: false},
+      {node: new SymbolNode('a'), visible: true}
+    ]);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof BlockNode);
+    assert(revived.blocks[0].node instanceof AssignmentNode);
+    assert.deepEqual(revived, n);
+    assert.equal(revived.toString(), 'a = 2;\na');
+  });
+
   it ('should clone a BlockNode', function () {
     // [x, 2]
     var b = new SymbolNode('x');
@@ -327,4 +351,13 @@ describe('BlockNode', function() {
     assert.equal(n.toTex({handler: customFunction}), 'const\\left(1, number\\right); const\\left(2, number\\right); ');
   });
 
+  it ('should MathML a BlockNode', function () {
+    var n = math.parse('a = 2; a + 1');
+    assert.equal(n.toMathML(),
+        '<mtable columnalign="left">' +
+        '<mtr><mtd><mrow><mrow><mi>a</mi><mo>:=</mo><mn>2</mn></mrow><mo>;</mo></mrow></mtd></mtr>' +
+        '<mtr><mtd><mrow><mi>a</mi><mo>+</mo><mn>1</mn></mrow></mtd></mtr>' +
+        '</mtable>');
+  });
+
 });
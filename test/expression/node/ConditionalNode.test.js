@@ -238,6 +238,25 @@ describe('ConditionalNode', function() {
     assert.deepEqual(f, e);
   });
 
+  it ('should stringify a ConditionalNode to JSON', function () {
+    var condition = new SymbolNode('a');
+    var trueExpr = new ConstantNode(1);
+    var falseExpr = new ConstantNode(2);
+    var n = new ConditionalNode(condition, trueExpr, falseExpr);
+
+    assert.deepEqual(n.toJSON(),
+        {mathjs: 'ConditionalNode', condition: condition, trueExpr: trueExpr, falseExpr: falseExpr});
+  });
+
+  it ('should revive a ConditionalNode from JSON', function () {
+    var n = new ConditionalNode(new SymbolNode('a'), new ConstantNode(1), new ConstantNode(2));
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof ConditionalNode);
+    assert(revived.condition instanceof SymbolNode);
+    assert.deepEqual(revived, n);
+  });
+
   it ('should clone a ConditionalNode itself', function () {
     var condition = new ConstantNode(1);
     var a = new ConstantNode(2);
@@ -330,4 +349,13 @@ describe('ConditionalNode', function() {
     assert.equal(n.toTex({handler: customFunction}), 'if const\\left(1, number\\right) then const\\left(2, number\\right) else const\\left(3, number\\right)');
   });
 
+  it ('should MathML a ConditionalNode', function () {
+    var n = math.parse('x > 0 ? 1 : 2');
+    assert.equal(n.toMathML(),
+        '<mrow><mo>{</mo><mtable columnalign="left">' +
+        '<mtr><mtd><mn>1</mn></mtd><mtd><mrow><mtext>if&#xA0;</mtext><mrow><mi>x</mi><mo>&gt;</mo><mn>0</mn></mrow></mrow></mtd></mtr>' +
+        '<mtr><mtd><mn>2</mn></mtd><mtd><mtext>otherwise</mtext></mtd></mtr>' +
+        '</mtable></mrow>');
+  });
+
 });
@@ -67,11 +67,17 @@ describe('ConstantNode', function() {
     expr = new ConstantNode('null', 'null').compile();
     assert.strictEqual(expr.eval(), null);
 
+    expr = new ConstantNode('5 ft 3 in', 'unit').compile();
+    assert.deepEqual(expr.eval(), math.unit('5.25 ft'));
+
   });
 
   it ('should compile a ConstantNode with bigmath', function () {
     var expr = new bigmath.expression.node.ConstantNode('2.3', 'number').compile();
     assert.deepEqual(expr.eval(), new bigmath.type.BigNumber(2.3));
+
+    expr = new bigmath.expression.node.ConstantNode('5 ft 3 in', 'unit').compile();
+    assert.deepEqual(expr.eval(), bigmath.unit('5.25 ft'));
   });
 
   it ('should find a ConstantNode', function () {
@@ -113,6 +119,21 @@ describe('ConstantNode', function() {
     assert.deepEqual(d,  a);
   });
 
+  it ('should stringify a ConstantNode to JSON', function () {
+    var c = new ConstantNode(2.3);
+    assert.deepEqual(c.toJSON(), {mathjs: 'ConstantNode', value: '2.3', valueType: 'number'});
+    assert.deepEqual(new ConstantNode('hello').toJSON(), {mathjs: 'ConstantNode', value: 'hello', valueType: 'string'});
+  });
+
+  it ('should revive a ConstantNode from JSON', function () {
+    [new ConstantNode(2.3), new ConstantNode('2.3'), new ConstantNode('1e500', 'number'),
+      new ConstantNode(true), new ConstantNode(null), new ConstantNode(undefined)].forEach(function (c) {
+      var revived = JSON.parse(JSON.stringify(c), math.json.reviver);
+      assert(revived instanceof ConstantNode);
+      assert.deepEqual(revived, c);
+    });
+  });
+
   it ('should clone a ConstantNode', function () {
     var a = new ConstantNode(2);
     var b = a.clone();
@@ -145,6 +166,7 @@ describe('ConstantNode', function() {
     assert.equal(new ConstantNode('false', 'boolean').toString(), 'false');
     assert.equal(new ConstantNode('undefined', 'undefined').toString(), 'undefined');
     assert.equal(new ConstantNode('null', 'null').toString(), 'null');
+    assert.equal(new ConstantNode('5 ft 3 in', 'unit').toString(), '5 ft 3 in');
   });
 
   it ('should stringify a ConstantNode with custom toString', function () {
@@ -168,6 +190,7 @@ describe('ConstantNode', function() {
     assert.equal(new ConstantNode('false', 'boolean').toTex(), 'false');
     assert.equal(new ConstantNode('undefined', 'undefined').toTex(), 'undefined');
     assert.equal(new ConstantNode('null', 'null').toTex(), 'null');
+    assert.equal(new ConstantNode('1 h 20 min', 'unit').toTex(), '1~\\mathrm{h}~20~\\mathrm{min}');
   });
 
   it ('should LaTeX a ConstantNode in exponential notation', function () {
@@ -188,4 +211,21 @@ describe('ConstantNode', function() {
     assert.equal(n.toTex({handler: customFunction}), 'const\\left(1, number\\right)');
   });
 
+  it ('should MathML a ConstantNode', function () {
+    assert.equal(new ConstantNode('3', 'number').toMathML(), '<mn>3</mn>');
+    assert.equal(new ConstantNode('-3', 'number').toMathML(), '<mrow><mo>&#x2212;</mo><mn>3</mn></mrow>');
+    assert.equal(new ConstantNode('a<b', 'string').toMathML(), '<ms>a&lt;b</ms>');
+    assert.equal(new ConstantNode('true', 'boolean').toMathML(), '<mi>true</mi>');
+    assert.equal(new ConstantNode('null', 'null').toMathML(), '<mi>null</mi>');
+    assert.equal(new ConstantNode('5 ft 3 in', 'unit').toMathML(),
+        '<mrow><mn>5</mn><mi mathvariant="normal">ft</mi><mn>3</mn><mi mathvariant="normal">in</mi></mrow>');
+  });
+
+  it ('should MathML a ConstantNode in exponential notation', function () {
+    assert.equal(new ConstantNode('1e10', 'number').toMathML(),
+        '<mrow><mn>1</mn><mo>&#x22C5;</mo><msup><mn>10</mn><mn>10</mn></msup></mrow>');
+    assert.equal(new ConstantNode('2.5e-3', 'number').toMathML(),
+        '<mrow><mn>2.5</mn><mo>&#x22C5;</mo><msup><mn>10</mn><mrow><mo>&#x2212;</mo><mn>3</mn></mrow></msup></mrow>');
+  });
+
 });
@@ -0,0 +1,118 @@
+// test ErrorNode
+var assert = require('assert');
+var math = require('../../../index');
+var Node = math.expression.node.Node;
+var ErrorNode = math.expression.node.ErrorNode;
+var SymbolNode = math.expression.node.SymbolNode;
+var BlockNode = math.expression.node.BlockNode;
+
+describe('ErrorNode', function() {
+
+  it ('should create an ErrorNode', function () {
+    var n = new ErrorNode('Value expected (char 5)', '2 + *');
+    assert(n instanceof ErrorNode);
+    assert(n instanceof Node);
+    assert.equal(n.type, 'ErrorNode');
+    assert.equal(n.message, 'Value expected (char 5)');
+    assert.equal(n.text, '2 + *');
+    assert.equal(new ErrorNode('Value expected').text, '');
+  });
+
+  it ('should have isErrorNode', function () {
+    var node = new ErrorNode('Value expected', '2 + *');
+    assert(node.isErrorNode);
+  });
+
+  it ('should throw an error when calling without new operator', function () {
+    assert.throws(function () {ErrorNode('Value expected', '2 + *')}, SyntaxError);
+  });
+
+  it ('should throw an error when calling with wrong arguments', function () {
+    assert.throws(function () {new ErrorNode()}, TypeError);
+    assert.throws(function () {new ErrorNode(2)}, TypeError);
+    assert.throws(function () {new ErrorNode('Value expected', 2)}, TypeError);
+  });
+
+  it ('should throw the syntax error when evaluating an ErrorNode', function () {
+    var n = new ErrorNode('Value expected (char 5)', '2 + *');
+    assert.throws(function () {n.compile().eval()}, /SyntaxError: Value expected \(char 5\)/);
+  });
+
+  it ('should evaluate the statements of a block preceding an ErrorNode', function () {
+    var scope = {};
+    var block = new BlockNode([
+      {node: math.parse('a = 2'), visible: true},
+      {node: new ErrorNode('Value expected (char 5)', 'b = *'), visible: true}
+    ]);
+
+    assert.throws(function () {block.compile().eval(scope)}, SyntaxError);
+    assert.deepEqual(scope, {a: 2});
+  });
+
+  it ('should filter an ErrorNode', function () {
+    var n = new ErrorNode('Value expected', '2 + *');
+    assert.deepEqual(n.filter(function (node) {return node instanceof ErrorNode}),  [n]);
+    assert.deepEqual(n.filter(function (node) {return node instanceof SymbolNode}),  []);
+  });
+
+  it ('should run forEach on an ErrorNode', function () {
+    var n = new ErrorNode('Value expected', '2 + *');
+    n.forEach(function () {
+      assert.ok(false, 'should not execute, error node has no childs')
+    });
+  });
+
+  it ('should map an ErrorNode', function () {
+    var a = new ErrorNode('Value expected', '2 + *');
+    var b = a.map(function () {
+      assert.ok(false, 'should not execute, error node has no childs')
+    });
+
+    assert.notStrictEqual(b, a);
+    assert.deepEqual(b, a);
+  });
+
+  it ('should stringify an ErrorNode to JSON', function () {
+    var n = new ErrorNode('Value expected', '2 + *');
+    assert.deepEqual(n.toJSON(), {mathjs: 'ErrorNode', message: 'Value expected', text: '2 + *'});
+  });
+
+  it ('should revive an ErrorNode from JSON', function () {
+    var json = '{"mathjs":"ErrorNode","message":"Value expected","text":"2 + *"}';
+    var n = JSON.parse(json, math.json.reviver);
+    assert(n instanceof ErrorNode);
+    assert.deepEqual(n, new ErrorNode('Value expected', '2 + *'));
+  });
+
+  it ('should clone an ErrorNode', function () {
+    var a = new ErrorNode('Value expected', '2 + *');
+    var b = a.clone();
+
+    assert(b instanceof ErrorNode);
+    assert.deepEqual(a, b);
+    assert.notStrictEqual(a, b);
+  });
+
+  it ('should test equality of ErrorNodes', function () {
+    var a = new ErrorNode('Value expected', '2 + *');
+    assert.strictEqual(a.equals(new ErrorNode('Value expected', '2 + *')), true);
+    assert.strictEqual(a.equals(new ErrorNode('Value expected', '2 - *')), false);
+    assert.strictEqual(a.equals(new SymbolNode('a')), false);
+  });
+
+  it ('should stringify an ErrorNode', function () {
+    var n = new ErrorNode('Value expected', '2 + *');
+    assert.equal(n.toString(), '2 + *');
+  });
+
+  it ('should LaTeX an ErrorNode', function () {
+    var n = new ErrorNode('Value expected', '2 + *');
+    assert.equal(n.toTex(), '\\mathtt{2 + *}');
+  });
+
+  it ('should MathML an ErrorNode', function () {
+    var n = new ErrorNode('Value expected', '2 + <');
+    assert.equal(n.toMathML(), '<merror><mtext>2 + &lt;</mtext></merror>');
+  });
+
+});
@@ -0,0 +1,228 @@
+// test ForNode
+var assert = require('assert');
+var math = require('../../../index');
+var Node = math.expression.node.Node;
+var ConstantNode = math.expression.node.ConstantNode;
+var SymbolNode = math.expression.node.SymbolNode;
+var OperatorNode = math.expression.node.OperatorNode;
+var AssignmentNode = math.expression.node.AssignmentNode;
+var BlockNode = math.expression.node.BlockNode;
+var RangeNode = math.expression.node.RangeNode;
+var ForNode = math.expression.node.ForNode;
+
+describe('ForNode', function() {
+  var i = new SymbolNode('i');
+  var s = new SymbolNode('s');
+  var range = new RangeNode(new ConstantNode(1), new ConstantNode(3));
+  var sum = new AssignmentNode(s, new OperatorNode('+', 'add', [s, i]));
+  var body = new BlockNode([{node: sum, visible: true}]);
+
+  it ('should create a ForNode', function () {
+    var n = new ForNode(i, range, body);
+    assert(n instanceof ForNode);
+    assert(n instanceof Node);
+    assert.equal(n.type, 'ForNode');
+  });
+
+  it ('should have isForNode', function () {
+    var node = new ForNode(i, range, body);
+    assert(node.isForNode);
+  });
+
+  it ('should throw an error when calling without new operator', function () {
+    assert.throws(function () {ForNode(i, range, body)}, SyntaxError);
+  });
+
+  it ('should throw an error when creating without arguments', function () {
+    assert.throws(function () {new ForNode()}, TypeError);
+    assert.throws(function () {new ForNode(i, range)}, TypeError);
+    assert.throws(function () {new ForNode(i, null, body)}, TypeError);
+    assert.throws(function () {new ForNode(new ConstantNode(2), range, body)}, /SymbolNode expected as variable/);
+  });
+
+  it ('should evaluate a ForNode', function () {
+    var n = new ForNode(i, range, body);
+    var scope = {s: 0};
+    assert.equal(n.compile().eval(scope), 6);
+    assert.deepEqual(scope, {s: 6, i: 3});
+  });
+
+  it ('should evaluate a ForNode over a matrix, an array, and a single value', function () {
+    var n = new ForNode(i, new SymbolNode('values'), body);
+
+    assert.equal(n.compile().eval({s: 0, values: math.matrix([[1, 2], [3, 4]])}), 10);
+    assert.equal(n.compile().eval({s: 0, values: [5, 6]}), 11);
+    assert.equal(n.compile().eval({s: 0, values: 7}), 7);
+  });
+
+  it ('should evaluate to undefined when there are no values', function () {
+    var n = new ForNode(i, new SymbolNode('values'), body);
+    var scope = {s: 0, values: math.matrix([])};
+    assert.strictEqual(n.compile().eval(scope), undefined);
+    assert.deepEqual(scope, {s: 0, values: math.matrix([])});
+  });
+
+  it ('should assign the loop variable locally inside a function', function () {
+    var scope = {};
+    math.eval('function f(i)\n  s = 0\n  for i = 1:i\n    s = s + i\n  end\nend', scope);
+    assert.equal(scope.f(4), 10);
+    assert.strictEqual(scope.i, undefined);
+  });
+
+  it ('should count the iterations of a ForNode as evaluation steps', function () {
+    var n = new ForNode(i, new RangeNode(new ConstantNode(1), new ConstantNode(1000)), new ConstantNode(1));
+    assert.throws(function () {
+      n.compile({restrict: {maxSteps: 100}}).eval();
+    }, /Maximum number of evaluation steps exceeded \(100\)/);
+  });
+
+  it ('should filter a ForNode', function () {
+    var n = new ForNode(i, range, body);
+
+    assert.deepEqual(n.filter(function (node) {return node instanceof ForNode}),  [n]);
+    assert.deepEqual(n.filter(function (node) {return node instanceof RangeNode}),  [range]);
+  });
+
+  it ('should run forEach on a ForNode', function () {
+    var n = new ForNode(i, range, body);
+
+    var nodes = [];
+    var paths = [];
+    n.forEach(function (node, path, parent) {
+      nodes.push(node);
+      paths.push(path);
+      assert.strictEqual(parent, n);
+    });
+
+    assert.equal(nodes.length, 3);
+    assert.strictEqual(nodes[0], i);
+    assert.strictEqual(nodes[1], range);
+    assert.strictEqual(nodes[2], body);
+    assert.deepEqual(paths, ['variable', 'values', 'body']);
+  });
+
+  it ('should map a ForNode', function () {
+    var n = new ForNode(i, range, body);
+
+    var nodes = [];
+    var paths = [];
+    var e = new SymbolNode('values');
+    var f = n.map(function (node, path, parent) {
+      nodes.push(node);
+      paths.push(path);
+      assert.strictEqual(parent, n);
+
+      return node === range ? e : node;
+    });
+
+    assert.equal(nodes.length, 3);
+    assert.deepEqual(paths, ['variable', 'values', 'body']);
+
+    assert.notStrictEqual(f, n);
+    assert.strictEqual(f.variable, i);
+    assert.strictEqual(f.values, e);
+    assert.strictEqual(f.body, body);
+  });
+
+  it ('should throw an error when the map callback does not return a node', function () {
+    var n = new ForNode(i, range, body);
+
+    assert.throws(function () {
+      n.map(function () {});
+    }, /Callback function must return a Node/)
+  });
+
+  it ('should transform a ForNode', function () {
+    var n = new ForNode(i, range, body);
+
+    var e = new ConstantNode(10);
+    var f = n.transform(function (node) {
+      return node instanceof ConstantNode && node.value == '3' ? e : node;
+    });
+
+    assert.notStrictEqual(f, n);
+    assert.equal(f.toString(), 'for i = 1:10\n  s = s + i\nend');
+    assert.equal(n.toString(), 'for i = 1:3\n  s = s + i\nend');
+  });
+
+  it ('should clone a ForNode', function () {
+    var a = new ForNode(i, range, body);
+    var b = a.clone();
+
+    assert(b instanceof ForNode);
+    assert.deepEqual(b, a);
+    assert.notStrictEqual(b, a);
+    assert.strictEqual(b.variable, a.variable);
+    assert.strictEqual(b.values, a.values);
+    assert.strictEqual(b.body, a.body);
+  });
+
+  it ('test equality another Node', function () {
+    var a = new ForNode(i, range, body);
+    var b = new ForNode(i, range, body);
+    var c = new ForNode(new SymbolNode('j'), range, body);
+    var d = new ForNode(i, new ConstantNode(3), body);
+    var e = new ForNode(i, range, new ConstantNode(1));
+
+    assert.strictEqual(a.equals(null), false);
+    assert.strictEqual(a.equals(undefined), false);
+    assert.strictEqual(a.equals(b), true);
+    assert.strictEqual(a.equals(c), false);
+    assert.strictEqual(a.equals(d), false);
+    assert.strictEqual(a.equals(e), false);
+  });
+
+  it ('should stringify a ForNode to JSON', function () {
+    var n = new ForNode(i, range, body);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'ForNode', variable: i, values: range, body: body});
+  });
+
+  it ('should revive a ForNode from JSON', function () {
+    var n = new ForNode(i, range, body);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof ForNode);
+    assert(revived.variable instanceof SymbolNode);
+    assert(revived.values instanceof RangeNode);
+    assert.deepEqual(revived, n);
+  });
+
+  it ('should stringify a ForNode', function () {
+    var n = new ForNode(i, range, body);
+
+    assert.equal(n.toString(), 'for i = 1:3\n  s = s + i\nend');
+  });
+
+  it ('should stringify a ForNode with custom toString', function () {
+    var customFunction = function (node, options) {
+      if (node.type === 'ConstantNode') {
+        return 'const(' + node.value + ', ' + node.valueType + ')'
+      }
+    };
+
+    var n = new ForNode(i, range, body);
+
+    assert.equal(n.toString({handler: customFunction}),
+        'for i = const(1, number):const(3, number)\n  s = s + i\nend');
+  });
+
+  it ('should LaTeX a ForNode', function () {
+    var n = new ForNode(i, range, body);
+
+    // note that s is enclosed in \\mathrm{...} since it's a unit
+    assert.equal(n.toTex(), '\\begin{array}{l}\\mathbf{for}\\; i\\in 1:3\\\\\\quad \\mathrm{s}:=\\mathrm{s}+ i\\\\\\mathbf{end}\\end{array}');
+  });
+
+  it ('should MathML a ForNode', function () {
+    var n = new ForNode(i, range, body);
+
+    assert.equal(n.toMathML(),
+        '<mtable columnalign="left">' +
+        '<mtr><mtd><mrow><mtext mathvariant="bold">for&#xA0;</mtext><mi>i</mi><mo>&#x2208;</mo><mrow><mn>1</mn><mo>:</mo><mn>3</mn></mrow></mrow></mtd></mtr>' +
+        '<mtr><mtd><mrow><mspace width="1em"/><mrow><mi mathvariant="normal">s</mi><mo>:=</mo><mrow><mi mathvariant="normal">s</mi><mo>+</mo><mi>i</mi></mrow></mrow></mrow></mtd></mtr>' +
+        '<mtr><mtd><mtext mathvariant="bold">end</mtext></mtd></mtr>' +
+        '</mtable>');
+  });
+
+});
@@ -11,6 +11,7 @@ var OperatorNode = math.expression.node.OperatorNode;
 var FunctionNode = math.expression.node.FunctionNode;
 var FunctionAssignmentNode = math.expression.node.FunctionAssignmentNode;
 var RangeNode = math.expression.node.RangeNode;
+var BlockNode = math.expression.node.BlockNode;
 
 describe('FunctionAssignmentNode', function() {
 
@@ -69,6 +70,21 @@ describe('FunctionAssignmentNode', function() {
     assert.throws(function () { scope.f()}, /Too few arguments in function f/);
   });
 
+  it ('should compile a FunctionAssignmentNode with a block body', function () {
+    var x = new SymbolNode('x');
+    var y = new SymbolNode('y');
+    var body = new BlockNode([
+      {node: new AssignmentNode(y, new OperatorNode('*', 'multiply', [x, x])), visible: false},
+      {node: new OperatorNode('+', 'add', [y, new ConstantNode(1)]), visible: true}
+    ]);
+    var n = new FunctionAssignmentNode('f', ['x'], body);
+
+    var scope = {};
+    n.compile().eval(scope);
+    assert.equal(scope.f(3), 10);
+    assert.equal(scope.y, 9);
+  });
+
   it ('should eval a recursive FunctionAssignmentNode', function () {
     var x = new SymbolNode('x');
     var one = new ConstantNode(1);
@@ -199,6 +215,25 @@ describe('FunctionAssignmentNode', function() {
     assert.deepEqual(f(3), {a: 2, f: f, x: 3});
   });
 
+  it ('should not leak function arguments passed to functions with rawArgs into the outer scope', function () {
+    var assignScope = function (args, math, scope) {
+      scope.set('x', 'changed');
+      scope.set('b', 'assigned');
+      return scope.get('x');
+    }
+    assignScope.rawArgs = true;
+    math.import({ assignScope: assignScope }, { override: true });
+
+    // f(x) = assignScope(x)
+    var n = new FunctionAssignmentNode('f', ['x'], new FunctionNode('assignScope', [new SymbolNode('x')]));
+
+    var scope = new Map([['a', 2], ['x', 'outer']]);
+    var f = n.eval(scope);
+    assert.equal(f(3), 'changed');
+    assert.equal(scope.get('x'), 'outer');
+    assert.equal(scope.get('b'), 'assigned');
+  });
+
   it ('should filter a FunctionAssignmentNode', function () {
     var a = new ConstantNode(2);
     var x = new SymbolNode('x');
@@ -308,6 +343,32 @@ describe('FunctionAssignmentNode', function() {
     assert.deepEqual(f, e);
   });
 
+  it ('should stringify a FunctionAssignmentNode to JSON', function () {
+    var expr = new SymbolNode('x');
+    var n = new FunctionAssignmentNode('f', [{name: 'x', type: 'number'}, 'y'], expr);
+
+    assert.deepEqual(n.toJSON(), {
+      mathjs: 'FunctionAssignmentNode',
+      name: 'f',
+      params: ['x', 'y'],
+      types: ['number', 'any'],
+      expr: expr
+    });
+  });
+
+  it ('should revive a FunctionAssignmentNode from JSON', function () {
+    var expr = new OperatorNode('+', 'add', [new SymbolNode('x'), new SymbolNode('y')]);
+    var n = new FunctionAssignmentNode('f', [{name: 'x', type: 'number'}, 'y'], expr);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof FunctionAssignmentNode);
+    assert(revived.expr instanceof OperatorNode);
+    assert.deepEqual(revived.params, ['x', 'y']);
+    assert.deepEqual(revived.types, ['number', 'any']);
+    assert.deepEqual(revived, n);
+    assert.equal(revived.eval()(2, 3), 5);
+  });
+
   it ('should clone a FunctionAssignmentNode', function () {
     // f(x) = 2 + x
     var a = new ConstantNode(2);
@@ -368,6 +429,16 @@ describe('FunctionAssignmentNode', function() {
     assert.equal(n.toString(), 'f(x) = (a = 2)');
   });
 
+  it ('should stringify a FunctionAssignmentNode with a block body', function () {
+    var body = new BlockNode([
+      {node: new AssignmentNode(new SymbolNode('y'), new SymbolNode('x')), visible: false},
+      {node: new SymbolNode('y'), visible: true}
+    ]);
+    var n = new FunctionAssignmentNode('f', ['x'], body);
+
+    assert.equal(n.toString(), 'function f(x)\n  y = x;\n  y\nend');
+  });
+
   it ('should stringify a FunctionAssignmentNode with custom toString', function () {
     //Also checks if the custom functions get passed on to the children
     var customFunction = function (node, options) {
@@ -411,6 +482,13 @@ describe('FunctionAssignmentNode', function() {
     assert.equal(n.toTex(), '\\mathrm{f}\\left(x\\right):=\\left( a:=2\\right)');
   });
 
+  it ('should LaTeX a FunctionAssignmentNode with a block body', function () {
+    var n = math.parse('function f(x)\n  y = x^2;\n  y + 1\nend');
+
+    assert.equal(n.toTex(), '\\begin{array}{l}\\mathbf{function}\\;\\mathrm{f}\\left(x\\right)\\\\' +
+        '\\quad  y:={ x}^{2};\\\\\\quad  y+1\\\\\\mathbf{end}\\end{array}');
+  });
+
   it ('should LaTeX a FunctionAssignmentNode with custom toTex', function () {
     //Also checks if the custom functions get passed on to the children
     var customFunction = function (node, options) {
@@ -435,4 +513,19 @@ describe('FunctionAssignmentNode', function() {
     assert.equal(n.toTex({handler: customFunction}), '\\mbox{func}\\left(x, \\right)=const\\left(1, number\\right)');
   });
 
+  it ('should MathML a FunctionAssignmentNode', function () {
+    assert.equal(math.parse('f(x, y) = x + y').toMathML(),
+        '<mrow><mrow><mi>f</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>,</mo><mi>y</mi><mo>)</mo></mrow></mrow>' +
+        '<mo>:=</mo><mrow><mi>x</mi><mo>+</mo><mi>y</mi></mrow></mrow>');
+  });
+
+  it ('should MathML a FunctionAssignmentNode with a block body', function () {
+    assert.equal(math.parse('function f(x)\n  x + 1\nend').toMathML(),
+        '<mtable columnalign="left">' +
+        '<mtr><mtd><mrow><mtext mathvariant="bold">function&#xA0;</mtext><mrow><mi>f</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></mrow></mrow></mtd></mtr>' +
+        '<mtr><mtd><mrow><mspace width="1em"/><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow></mrow></mtd></mtr>' +
+        '<mtr><mtd><mtext mathvariant="bold">end</mtext></mtd></mtr>' +
+        '</mtable>');
+  });
+
 });
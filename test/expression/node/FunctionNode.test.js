@@ -148,6 +148,20 @@ describe('FunctionNode', function() {
     assert.equal(n.compile().eval(scope), 'myFunction(4, 5)');
   });
 
+  it ('should pass the plain object used as scope to a function with rawArgs', function () {
+    var mymath = math.create();
+    function myFunction (args, _math, _scope) {
+      return _scope.a;
+    }
+    myFunction.rawArgs = true;
+    mymath.import({myFunction: myFunction});
+
+    var scope = {a: 42};
+    assert.equal(mymath.eval('myFunction(1)', scope), 42);
+    assert.deepEqual(mymath.eval('f(a) = myFunction(1); f(7)', scope).entries, [7]);
+    assert.equal(scope.a, 42);
+  });
+
   it ('should compile a FunctionNode with overloaded a raw function', function () {
     var mymath = math.create();
     function myFunction (args, _math, _scope) {
@@ -337,6 +351,29 @@ describe('FunctionNode', function() {
     assert.equal(count, 3);
   });
 
+  it ('should stringify a FunctionNode to JSON', function () {
+    var fn = new SymbolNode('sqrt');
+    var a = new ConstantNode(4);
+    var n = new FunctionNode(fn, [a]);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'FunctionNode', fn: fn, args: [a]});
+  });
+
+  it ('should revive a FunctionNode from JSON', function () {
+    var n = new FunctionNode(new SymbolNode('sqrt'), [new ConstantNode(4)]);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+    assert(revived instanceof FunctionNode);
+    assert(revived.fn instanceof SymbolNode);
+    assert.deepEqual(revived, n);
+    assert.equal(revived.eval(), 2);
+
+    // method call
+    n = new FunctionNode(new AccessorNode(new SymbolNode('obj'), new IndexNode([new ConstantNode('f')], true)), []);
+    revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+    assert(revived.fn instanceof AccessorNode);
+    assert.deepEqual(revived, n);
+  });
+
   it ('should clone a FunctionNode', function () {
     // add(2, 3)
     var s = new SymbolNode('add');
@@ -580,4 +617,35 @@ describe('FunctionNode', function() {
     assert.throws(function () {tree.toTex()}, TypeError);
   });
 
+  it ('should MathML a FunctionNode', function () {
+    assert.equal(math.parse('sin(x)').toMathML(),
+        '<mrow><mi>sin</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></mrow>');
+    assert.equal(math.parse('sqrt(4)').toMathML(), '<msqrt><mn>4</mn></msqrt>');
+    assert.equal(math.parse('nthRoot(8, 3)').toMathML(), '<mroot><mn>8</mn><mn>3</mn></mroot>');
+    assert.equal(math.parse('abs(x)').toMathML(), '<mrow><mo>|</mo><mi>x</mi><mo>|</mo></mrow>');
+    assert.equal(math.parse('f(x)(2)').toMathML(),
+        '<mrow><mrow><mi>f</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></mrow>' +
+        '<mo>&#x2061;</mo><mrow><mo>(</mo><mn>2</mn><mo>)</mo></mrow></mrow>');
+  });
+
+  it ('should MathML a FunctionNode with a custom handler for a single function', function () {
+    var handler = {
+      'binomial': function (node, options) {
+        return '<mrow><mo>(</mo><mfrac linethickness="0">' + node.args[0].toMathML(options) +
+            node.args[1].toMathML(options) + '</mfrac><mo>)</mo></mrow>';
+      }
+    };
+    assert.equal(math.parse('binomial(n, 2)').toMathML({handler: handler}),
+        '<mrow><mo>(</mo><mfrac linethickness="0"><mi>n</mi><mn>2</mn></mfrac><mo>)</mo></mrow>');
+  });
+
+  it ('should MathML a FunctionNode with callback attached to the function', function () {
+    var customMath = math.create();
+    customMath.add.toMathML = function (node, options) {
+      return '<mrow>' + node.args[0].toMathML(options) + '<mtext>plus</mtext>' + node.args[1].toMathML(options) + '</mrow>';
+    };
+
+    assert.equal(customMath.parse('add(1,2)').toMathML(), '<mrow><mn>1</mn><mtext>plus</mtext><mn>2</mn></mrow>');
+  });
+
 });
@@ -137,6 +137,25 @@ describe('IndexNode', function() {
     assert.deepEqual(f, e);
   });
 
+  it ('should stringify an IndexNode to JSON', function () {
+    var prop = new ConstantNode('prop');
+    var n = new IndexNode([prop], true);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'IndexNode', dimensions: [prop], dotNotation: true});
+  });
+
+  it ('should revive an IndexNode from JSON', function () {
+    var n = new IndexNode([new ConstantNode(2), new RangeNode(new ConstantNode(1), new SymbolNode('end'))]);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+    assert(revived instanceof IndexNode);
+    assert(revived.dimensions[1] instanceof RangeNode);
+    assert.strictEqual(revived.dotNotation, false);
+    assert.deepEqual(revived, n);
+
+    n = new IndexNode([new ConstantNode('prop')], true);
+    assert.deepEqual(JSON.parse(JSON.stringify(n), math.json.reviver), n);
+  });
+
   it ('should clone an IndexNode', function () {
     var b = new ConstantNode(2);
     var c = new ConstantNode(1);
@@ -251,4 +270,12 @@ describe('IndexNode', function() {
     assert.equal(n.toTex({handler: customFunction}), 'const\\left(1, number\\right), const\\left(2, number\\right)');
   });
 
+  it ('should MathML an IndexNode', function () {
+    var n1 = new IndexNode([new ConstantNode(1), new ConstantNode(2)]);
+    var n2 = new IndexNode([new ConstantNode('foo', 'string')], true);
+
+    assert.equal(n1.toMathML(), '<mrow><mn>1</mn><mo>,</mo><mn>2</mn></mrow>');
+    assert.equal(n2.toMathML(), '<mrow><mo>.</mo><mi>foo</mi></mrow>');
+  });
+
 });
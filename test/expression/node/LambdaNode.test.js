@@ -0,0 +1,255 @@
+// test LambdaNode
+var assert = require('assert');
+var math = require('../../../index').create();
+var Node = math.expression.node.Node;
+var ConstantNode = math.expression.node.ConstantNode;
+var SymbolNode = math.expression.node.SymbolNode;
+var AssignmentNode = math.expression.node.AssignmentNode;
+var OperatorNode = math.expression.node.OperatorNode;
+var LambdaNode = math.expression.node.LambdaNode;
+
+describe('LambdaNode', function() {
+  var x = new SymbolNode('x');
+  var y = new SymbolNode('y');
+  var two = new ConstantNode(2);
+  var square = new OperatorNode('^', 'pow', [x, two]);
+  var product = new OperatorNode('*', 'multiply', [x, y]);
+
+  it ('should create a LambdaNode', function () {
+    var n = new LambdaNode(['x'], square);
+    assert(n instanceof LambdaNode);
+    assert(n instanceof Node);
+    assert.equal(n.type, 'LambdaNode');
+  });
+
+  it ('should have isLambdaNode', function () {
+    var node = new LambdaNode(['x'], square);
+    assert(node.isLambdaNode);
+  });
+
+  it ('should throw an error when calling without new operator', function () {
+    assert.throws(function () {LambdaNode(['x'], square)}, SyntaxError);
+  });
+
+  it ('should throw an error on wrong constructor arguments', function () {
+    assert.throws(function () {new LambdaNode()}, TypeError);
+    assert.throws(function () {new LambdaNode(['x'])}, TypeError);
+    assert.throws(function () {new LambdaNode('x', square)}, TypeError);
+    assert.throws(function () {new LambdaNode([2], square)}, TypeError);
+  });
+
+  it ('should compile a LambdaNode', function () {
+    var n = new LambdaNode(['x'], square);
+
+    var scope = {};
+    var fn = n.compile().eval(scope);
+    assert.equal(typeof fn, 'function');
+    assert.equal(fn(3), 9);
+    assert.deepEqual(scope, {});
+  });
+
+  it ('should compile a LambdaNode with multiple or no parameters', function () {
+    assert.equal(new LambdaNode(['x', 'y'], product).compile().eval()(3, 4), 12);
+    assert.equal(new LambdaNode([], two).compile().eval()(), 2);
+  });
+
+  it ('should throw an error when invoking a LambdaNode with a wrong number of arguments', function () {
+    var fn = new LambdaNode(['x', 'y'], product).compile().eval();
+    assert.throws(function () {fn(2)}, /TypeError: Too few arguments/);
+    assert.throws(function () {fn(2, 3, 4)}, /TypeError: Too many arguments/);
+  });
+
+  it ('should resolve symbols from the surrounding scope when invoked', function () {
+    var n = new LambdaNode(['x'], product);
+
+    var scope = {y: 2};
+    var fn = n.compile().eval(scope);
+    assert.equal(fn(3), 6);
+    scope.y = 5;
+    assert.equal(fn(3), 15);
+  });
+
+  it ('should create closures over parameters of an enclosing function', function () {
+    var scope = {};
+    math.eval('adder(a) = x -> x + a', scope);
+
+    var add2 = scope.adder(2);
+    var add3 = scope.adder(3);
+    assert.equal(add2(10), 12);
+    assert.equal(add3(10), 13);
+  });
+
+  it ('should assign parameters of a LambdaNode locally', function () {
+    var n = new LambdaNode(['x'], new AssignmentNode(x, square));
+
+    var scope = {x: 1};
+    assert.equal(n.compile().eval(scope)(3), 9);
+    assert.deepEqual(scope, {x: 1});
+  });
+
+  it ('should pass a LambdaNode as callback to map, filter and forEach', function () {
+    assert.deepEqual(math.eval('map([1, 2, 3], x -> x^2)'), math.matrix([1, 4, 9]));
+    assert.deepEqual(math.eval('map([4, 5], (value, index) -> index[1])'), math.matrix([1, 2]));
+    assert.deepEqual(math.eval('filter([6, -2, -1, 4, 3], x -> x > 0)'), math.matrix([6, 4, 3]));
+
+    var scope = {sum: 0};
+    math.eval('forEach([1, 2, 3], x -> sum = sum + x)', scope);
+    assert.equal(scope.sum, 6);
+  });
+
+  it ('should filter a LambdaNode', function () {
+    var n = new LambdaNode(['x'], square);
+
+    assert.deepEqual(n.filter(function (node) {return node instanceof LambdaNode}),  [n]);
+    assert.deepEqual(n.filter(function (node) {return node instanceof SymbolNode}),  [x]);
+    assert.deepEqual(n.filter(function (node) {return node instanceof ConstantNode}),  [two]);
+  });
+
+  it ('should run forEach on a LambdaNode', function () {
+    var n = new LambdaNode(['x'], square);
+
+    var nodes = [];
+    var paths = [];
+    n.forEach(function (node, path, parent) {
+      nodes.push(node);
+      paths.push(path);
+      assert.strictEqual(parent, n);
+    });
+
+    assert.equal(nodes.length, 1);
+    assert.strictEqual(nodes[0], square);
+    assert.deepEqual(paths, ['expr']);
+  });
+
+  it ('should map a LambdaNode', function () {
+    var n = new LambdaNode(['x'], square);
+
+    var nodes = [];
+    var paths = [];
+    var e = new ConstantNode(3);
+    var f = n.map(function (node, path, parent) {
+      nodes.push(node);
+      paths.push(path);
+      assert.strictEqual(parent, n);
+
+      return e;
+    });
+
+    assert.equal(nodes.length, 1);
+    assert.strictEqual(nodes[0], square);
+    assert.deepEqual(paths, ['expr']);
+
+    assert.notStrictEqual(f, n);
+    assert.deepEqual(f.params, ['x']);
+    assert.notStrictEqual(f.params, n.params);
+    assert.strictEqual(f.expr, e);
+  });
+
+  it ('should throw an error when the map callback does not return a node', function () {
+    var n = new LambdaNode(['x'], square);
+
+    assert.throws(function () {
+      n.map(function () {});
+    }, /Callback function must return a Node/)
+  });
+
+  it ('should transform a LambdaNode', function () {
+    var n = new LambdaNode(['x'], square);
+
+    var e = new ConstantNode(3);
+    var f = n.transform(function (node) {
+      return node instanceof ConstantNode ? e : node;
+    });
+
+    assert.notStrictEqual(f, n);
+    assert.equal(f.toString(), 'x -> x ^ 3');
+    assert.equal(n.toString(), 'x -> x ^ 2');
+  });
+
+  it ('should clone a LambdaNode', function () {
+    var a = new LambdaNode(['x'], square);
+    var b = a.clone();
+
+    assert(b instanceof LambdaNode);
+    assert.deepEqual(a, b);
+    assert.notStrictEqual(a, b);
+    assert.notStrictEqual(a.params, b.params);
+    assert.strictEqual(a.expr, b.expr);
+  });
+
+  it ('test equality another Node', function () {
+    var a = new LambdaNode(['x'], square);
+    var b = new LambdaNode(['x'], square);
+    var c = new LambdaNode(['x', 'y'], square);
+    var d = new LambdaNode(['x'], product);
+
+    assert.strictEqual(a.equals(null), false);
+    assert.strictEqual(a.equals(undefined), false);
+    assert.strictEqual(a.equals(b), true);
+    assert.strictEqual(a.equals(c), false);
+    assert.strictEqual(a.equals(d), false);
+  });
+
+  it ('should stringify a LambdaNode to JSON', function () {
+    var n = new LambdaNode(['x'], square);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'LambdaNode', params: ['x'], expr: square});
+  });
+
+  it ('should revive a LambdaNode from JSON', function () {
+    var n = new LambdaNode(['x', 'y'], product);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof LambdaNode);
+    assert(revived.expr instanceof OperatorNode);
+    assert.deepEqual(revived, n);
+  });
+
+  it ('should respect the \'all\' parenthesis option', function () {
+    var n = new LambdaNode(['x'], square);
+
+    assert.equal(n.toString({parenthesis: 'all'}), 'x -> (x ^ 2)');
+    assert.equal(n.toTex({parenthesis: 'all'}), 'x\\mapsto \\left({ x}^{2}\\right)');
+  });
+
+  it ('should stringify a LambdaNode', function () {
+    assert.equal(new LambdaNode(['x'], square).toString(), 'x -> x ^ 2');
+    assert.equal(new LambdaNode(['x', 'y'], product).toString(), '(x, y) -> x * y');
+    assert.equal(new LambdaNode([], two).toString(), '() -> 2');
+  });
+
+  it ('should stringify a nested LambdaNode', function () {
+    var n = new LambdaNode(['x'], new LambdaNode(['y'], product));
+
+    assert.equal(n.toString(), 'x -> (y -> x * y)');
+  });
+
+  it ('should stringify a LambdaNode with custom toString', function () {
+    var customFunction = function (node, options) {
+      if (node.type === 'LambdaNode') {
+        return 'lambda(' + node.params.join(', ') + ', ' + node.expr.toString(options) + ')';
+      }
+      else if (node.type === 'ConstantNode') {
+        return 'const(' + node.value + ', ' + node.valueType + ')'
+      }
+    };
+
+    var n = new LambdaNode(['x'], square);
+
+    assert.equal(n.toString({handler: customFunction}), 'lambda(x, x ^ const(2, number))');
+  });
+
+  it ('should LaTeX a LambdaNode', function () {
+    assert.equal(new LambdaNode(['x'], square).toTex(), 'x\\mapsto { x}^{2}');
+    assert.equal(new LambdaNode(['x', 'y'], product).toTex(), '\\left(x,y\\right)\\mapsto  x\\cdot y');
+  });
+
+  it ('should MathML a LambdaNode', function () {
+    assert.equal(new LambdaNode(['x'], square).toMathML(),
+        '<mrow><mi>x</mi><mo>&#x21A6;</mo><msup><mi>x</mi><mn>2</mn></msup></mrow>');
+    assert.equal(new LambdaNode(['x', 'y'], product).toMathML(),
+        '<mrow><mrow><mo>(</mo><mi>x</mi><mo>,</mo><mi>y</mi><mo>)</mo></mrow><mo>&#x21A6;</mo>' +
+        '<mrow><mi>x</mi><mo>&#x22C5;</mo><mi>y</mi></mrow></mrow>');
+  });
+
+});
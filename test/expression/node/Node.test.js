@@ -117,6 +117,24 @@ describe('Node', function() {
     }, /_toTex not implemented for Node/);
   });
 
+  it ('should throw an error when calling _toMathML', function () {
+    assert.throws(function () {
+      var node = new Node();
+      node._toMathML();
+    }, /_toMathML not implemented for Node/);
+  });
+
+  it ('should use a custom toMathML handler for every node', function () {
+    var handler = function (node, options) {
+      if (node.isSymbolNode) {
+        return '<mi>symbol</mi>';
+      }
+    };
+    var node = math.parse('x + 2');
+    assert.equal(node.toMathML({handler: handler}), '<mrow><mi>symbol</mi><mo>+</mo><mn>2</mn></mrow>');
+    assert.throws(function () {node.toMathML({handler: 2})}, /Object or function expected as callback/);
+  });
+
   it ('should ignore custom toString if it returns nothing', function () {
     var callback1 = function (node, callback) {};
     var callback2 = {
@@ -204,6 +204,27 @@ describe('ObjectNode', function() {
     assert.equal(count, 5);
   });
 
+  it ('should stringify an ObjectNode to JSON', function () {
+    var b = new ConstantNode(1);
+    var c = new SymbolNode('x');
+    var n = new ObjectNode({b: b, c: c});
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'ObjectNode', properties: {b: b, c: c}});
+  });
+
+  it ('should revive an ObjectNode from JSON', function () {
+    var n = new ObjectNode({
+      a: new ConstantNode(1),
+      b: new ObjectNode({c: new SymbolNode('x')})
+    });
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof ObjectNode);
+    assert(revived.properties.b instanceof ObjectNode);
+    assert(revived.properties.b.properties.c instanceof SymbolNode);
+    assert.deepEqual(revived, n);
+  });
+
   it ('should clone an ObjectNode', function () {
     var a = new SymbolNode('x');
     var b = new ConstantNode(2);
@@ -282,4 +303,11 @@ describe('ObjectNode', function() {
     assert.equal(n.toTex({handler: customFunction}), '\\left\\{\\begin{array}{ll}\\mathbf{a:} & const\\left(1, number\\right)\\\\\n\\mathbf{b:} & const\\left(2, number\\right)\\\\\\end{array}\\right\\}');
   });
 
+  it ('should MathML an ObjectNode', function () {
+    var n = new ObjectNode({a: new ConstantNode(2)});
+    assert.equal(n.toMathML(),
+        '<mrow><mo>{</mo><mtable columnalign="left"><mtr><mtd><mrow><mi mathvariant="bold">a</mi><mo>:</mo></mrow></mtd>' +
+        '<mtd><mn>2</mn></mtd></mtr></mtable><mo>}</mo></mrow>');
+  });
+
 });
@@ -161,6 +161,31 @@ describe('OperatorNode', function() {
     assert.deepEqual(g,  f);
   });
 
+  it ('should stringify an OperatorNode to JSON', function () {
+    var a = new ConstantNode(2);
+    var b = new SymbolNode('x');
+    var n = new OperatorNode('*', 'multiply', [a, b], true);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'OperatorNode', op: '*', fn: 'multiply', args: [a, b], implicit: true});
+  });
+
+  it ('should revive an OperatorNode from JSON', function () {
+    var n = new OperatorNode('*', 'multiply', [new ConstantNode(2), new SymbolNode('x')], true);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof OperatorNode);
+    assert(revived.args[0] instanceof ConstantNode);
+    assert(revived.args[1] instanceof SymbolNode);
+    assert.strictEqual(revived.implicit, true);
+    assert.deepEqual(revived, n);
+    assert.equal(revived.toString({implicit: 'hide'}), '2 x');
+
+    n = new OperatorNode('-', 'unaryMinus', [
+      new OperatorNode('!', 'factorial', [new SymbolNode('x')])
+    ]);
+    assert.deepEqual(JSON.parse(JSON.stringify(n), math.json.reviver), n);
+  });
+
   it ('should clone an OperatorNode', function () {
     // x^2-x
     var a = new SymbolNode('x');
@@ -724,4 +749,57 @@ describe('OperatorNode', function() {
     assert.equal(h.toTex({implicit: 'hide'}), '2~\\left(3+4\\right)');
     assert.equal(h.toTex({implicit: 'show'}), '2\\cdot\\left(3+4\\right)');
   });
+
+  it ('should MathML an OperatorNode', function () {
+    assert.equal(math.parse('a + 2').toMathML(), '<mrow><mi>a</mi><mo>+</mo><mn>2</mn></mrow>');
+    assert.equal(math.parse('a - 2').toMathML(), '<mrow><mi>a</mi><mo>&#x2212;</mo><mn>2</mn></mrow>');
+    assert.equal(math.parse('a < 2').toMathML(), '<mrow><mi>a</mi><mo>&lt;</mo><mn>2</mn></mrow>');
+    assert.equal(math.parse('-a').toMathML(), '<mrow><mo>&#x2212;</mo><mi>a</mi></mrow>');
+    assert.equal(math.parse('a!').toMathML(), '<mrow><mi>a</mi><mo>!</mo></mrow>');
+    assert.equal(math.parse("a'").toMathML(), '<msup><mi>a</mi><mo>&#x22A4;</mo></msup>');
+  });
+
+  it ('should MathML fractions and powers', function () {
+    assert.equal(math.parse('(a + 1) / c').toMathML({parenthesis: 'auto'}),
+        '<mfrac><mrow><mi>a</mi><mo>+</mo><mn>1</mn></mrow><mi>c</mi></mfrac>');
+    assert.equal(math.parse('a^(c + 1)').toMathML({parenthesis: 'auto'}),
+        '<msup><mi>a</mi><mrow><mi>c</mi><mo>+</mo><mn>1</mn></mrow></msup>');
+    assert.equal(math.parse('(a + 1)^2').toMathML({parenthesis: 'auto'}),
+        '<msup><mrow><mo>(</mo><mrow><mi>a</mi><mo>+</mo><mn>1</mn></mrow><mo>)</mo></mrow><mn>2</mn></msup>');
+    assert.equal(math.parse('(a / c)^2').toMathML({parenthesis: 'auto'}),
+        '<msup><mrow><mo>(</mo><mfrac><mi>a</mi><mi>c</mi></mfrac><mo>)</mo></mrow><mn>2</mn></msup>');
+  });
+
+  it ('should not MathML parentheses around the numerator and denominator of a fraction', function () {
+    assert.equal(math.parse('a / (x + c)').toMathML(),
+        '<mfrac><mi>a</mi><mrow><mi>x</mi><mo>+</mo><mi>c</mi></mrow></mfrac>');
+    assert.equal(math.parse('((a + 1)) / (c)').toMathML({parenthesis: 'keep'}),
+        '<mfrac><mrow><mi>a</mi><mo>+</mo><mn>1</mn></mrow><mi>c</mi></mfrac>');
+  });
+
+  it ('should MathML an OperatorNode with the parenthesis option', function () {
+    var n = math.parse('(a + c) * 3');
+    assert.equal(n.toMathML({parenthesis: 'keep'}),
+        '<mrow><mrow><mo>(</mo><mrow><mi>a</mi><mo>+</mo><mi>c</mi></mrow><mo>)</mo></mrow><mo>&#x22C5;</mo><mn>3</mn></mrow>');
+    assert.equal(math.parse('a + c * 3').toMathML({parenthesis: 'all'}),
+        '<mrow><mi>a</mi><mo>+</mo><mrow><mo>(</mo><mrow><mi>c</mi><mo>&#x22C5;</mo><mn>3</mn></mrow><mo>)</mo></mrow></mrow>');
+  });
+
+  it ('should MathML an OperatorNode with implicit multiplication', function () {
+    var n = math.parse('4a');
+    assert.equal(n.toMathML(), '<mrow><mn>4</mn><mo>&#x2062;</mo><mi>a</mi></mrow>');
+    assert.equal(n.toMathML({implicit: 'hide'}), '<mrow><mn>4</mn><mo>&#x2062;</mo><mi>a</mi></mrow>');
+    assert.equal(n.toMathML({implicit: 'show'}), '<mrow><mn>4</mn><mo>&#x22C5;</mo><mi>a</mi></mrow>');
+  });
+
+  it ('should MathML an OperatorNode with more than two arguments', function () {
+    var a = new ConstantNode(2);
+    var b = new SymbolNode('x');
+    var c = new ConstantNode(3);
+    assert.equal(new OperatorNode('+', 'add', [a, b, c]).toMathML(),
+        '<mrow><mn>2</mn><mo>+</mo><mi>x</mi><mo>+</mo><mn>3</mn></mrow>');
+    assert.equal(new OperatorNode('-', 'subtract', [a, b, c]).toMathML(),
+        '<mrow><mi>subtract</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mn>2</mn><mo>,</mo><mi>x</mi><mo>,</mo><mn>3</mn><mo>)</mo></mrow></mrow>');
+  });
+
 });
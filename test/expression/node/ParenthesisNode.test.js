@@ -101,6 +101,22 @@ describe('ParenthesisNode', function() {
     assert.deepEqual(d,  a);
   });
 
+  it ('should stringify a ParenthesisNode to JSON', function () {
+    var a = new ConstantNode(1);
+    var n = new ParenthesisNode(a);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'ParenthesisNode', content: a});
+  });
+
+  it ('should revive a ParenthesisNode from JSON', function () {
+    var n = new ParenthesisNode(new OperatorNode('+', 'add', [new ConstantNode(1), new ConstantNode(2)]));
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof ParenthesisNode);
+    assert(revived.content instanceof OperatorNode);
+    assert.deepEqual(revived, n);
+  });
+
   it ('should clone a ParenthesisNode', function () {
     var a = new ConstantNode(1);
     var n = new ParenthesisNode(a);
@@ -196,4 +212,14 @@ describe('ParenthesisNode', function() {
 
     assert.equal(n.toTex({handler: customFunction}), '\\left[1\\right]');
   });
+
+  it ('should MathML a ParenthesisNode', function () {
+    var a = new ConstantNode(2);
+    var n = new ParenthesisNode(a);
+
+    assert.equal(n.toMathML(), '<mrow><mo>(</mo><mn>2</mn><mo>)</mo></mrow>');
+    assert.equal(n.toMathML({parenthesis: 'auto'}), '<mn>2</mn>');
+    assert.equal(n.toMathML({parenthesis: 'all'}), '<mn>2</mn>');
+  });
+
 });
@@ -208,6 +208,29 @@ describe('RangeNode', function() {
     assert.deepEqual(f, e);
   });
 
+  it ('should stringify a RangeNode to JSON', function () {
+    var start = new ConstantNode(0);
+    var end = new ConstantNode(10);
+    var step = new ConstantNode(2);
+
+    assert.deepEqual(new RangeNode(start, end, step).toJSON(),
+        {mathjs: 'RangeNode', start: start, end: end, step: step});
+    assert.deepEqual(new RangeNode(start, end).toJSON(),
+        {mathjs: 'RangeNode', start: start, end: end, step: null});
+  });
+
+  it ('should revive a RangeNode from JSON', function () {
+    var n = new RangeNode(new ConstantNode(0), new SymbolNode('end'), new ConstantNode(2));
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+    assert(revived instanceof RangeNode);
+    assert.deepEqual(revived, n);
+
+    n = new RangeNode(new ConstantNode(0), new ConstantNode(10));
+    revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+    assert.strictEqual(revived.step, null);
+    assert.deepEqual(revived, n);
+  });
+
   it ('should clone a RangeNode', function () {
     var start = new ConstantNode(0);
     var end = new ConstantNode(10);
@@ -373,4 +396,13 @@ describe('RangeNode', function() {
       return new RangeNode(new ConstantNode(start), new ConstantNode(end), new ConstantNode(step));
     }
   }
+
+  it ('should MathML a RangeNode', function () {
+    assert.equal(math.parse('1:10').toMathML(), '<mrow><mn>1</mn><mo>:</mo><mn>10</mn></mrow>');
+    assert.equal(math.parse('0:2:10').toMathML(),
+        '<mrow><mn>0</mn><mo>:</mo><mn>2</mn><mo>:</mo><mn>10</mn></mrow>');
+    assert.equal(math.parse('(1:2):3').toMathML({parenthesis: 'auto'}),
+        '<mrow><mrow><mo>(</mo><mrow><mn>1</mn><mo>:</mo><mn>2</mn></mrow><mo>)</mo></mrow><mo>:</mo><mn>3</mn></mrow>');
+  });
+
 });
@@ -91,6 +91,18 @@ describe('SymbolNode', function() {
     assert.deepEqual(d,  a);
   });
 
+  it ('should stringify a SymbolNode to JSON', function () {
+    var s = new SymbolNode('x');
+    assert.deepEqual(s.toJSON(), {mathjs: 'SymbolNode', name: 'x'});
+    assert.equal(JSON.stringify(s), '{"mathjs":"SymbolNode","name":"x"}');
+  });
+
+  it ('should revive a SymbolNode from JSON', function () {
+    var s = JSON.parse('{"mathjs":"SymbolNode","name":"x"}', math.json.reviver);
+    assert(s instanceof SymbolNode);
+    assert.deepEqual(s, new SymbolNode('x'));
+  });
+
   it ('should clone a SymbolNode', function () {
     var a = new SymbolNode('x');
     var b = a.clone();
@@ -164,4 +176,11 @@ describe('SymbolNode', function() {
     assert.equal(mult.toTex(), '1\\cdot E');
   });
 
+  it ('should MathML a SymbolNode', function () {
+    assert.equal(new SymbolNode('foo').toMathML(), '<mi>foo</mi>');
+    assert.equal(new SymbolNode('alpha').toMathML(), '<mi>&#x3B1;</mi>');
+    assert.equal(new SymbolNode('x_2').toMathML(), '<msub><mi>x</mi><mn>2</mn></msub>');
+    assert.equal(new SymbolNode('cm').toMathML(), '<mi mathvariant="normal">cm</mi>');
+  });
+
 });
@@ -0,0 +1,223 @@
+// test WhileNode
+var assert = require('assert');
+var approx = require('../../../tools/approx');
+var math = require('../../../index');
+var Node = math.expression.node.Node;
+var ConstantNode = math.expression.node.ConstantNode;
+var SymbolNode = math.expression.node.SymbolNode;
+var OperatorNode = math.expression.node.OperatorNode;
+var AssignmentNode = math.expression.node.AssignmentNode;
+var BlockNode = math.expression.node.BlockNode;
+var WhileNode = math.expression.node.WhileNode;
+
+describe('WhileNode', function() {
+  var x = new SymbolNode('x');
+  var condition = new OperatorNode('<', 'smaller', [x, new ConstantNode(3)]);
+  var increment = new AssignmentNode(x, new OperatorNode('+', 'add', [x, new ConstantNode(1)]));
+  var body = new BlockNode([{node: increment, visible: false}]);
+
+  it ('should create a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+    assert(n instanceof WhileNode);
+    assert(n instanceof Node);
+    assert.equal(n.type, 'WhileNode');
+  });
+
+  it ('should have isWhileNode', function () {
+    var node = new WhileNode(condition, body);
+    assert(node.isWhileNode);
+  });
+
+  it ('should throw an error when calling without new operator', function () {
+    assert.throws(function () {WhileNode(condition, body)}, SyntaxError);
+  });
+
+  it ('should throw an error when creating without arguments', function () {
+    assert.throws(function () {new WhileNode()}, TypeError);
+    assert.throws(function () {new WhileNode(condition)}, TypeError);
+    assert.throws(function () {new WhileNode(null, body)}, TypeError);
+  });
+
+  it ('should evaluate a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+    var scope = {x: 0};
+    assert.equal(n.compile().eval(scope), 3);
+    assert.deepEqual(scope, {x: 3});
+  });
+
+  it ('should evaluate to undefined when the body is not evaluated', function () {
+    var n = new WhileNode(condition, body);
+    var scope = {x: 5};
+    assert.strictEqual(n.compile().eval(scope), undefined);
+    assert.deepEqual(scope, {x: 5});
+  });
+
+  it ('should evaluate a WhileNode with a body which is no BlockNode', function () {
+    var n = new WhileNode(condition, increment);
+    var scope = {x: 1};
+    assert.equal(n.compile().eval(scope), 3);
+  });
+
+  it ('should evaluate a WhileNode with non-boolean conditions', function () {
+    var n = new WhileNode(x, new AssignmentNode(x, new OperatorNode('-', 'subtract', [x, new ConstantNode(1)])));
+    assert.equal(n.compile().eval({x: 4}), 0);
+    approx.deepEqual(n.compile().eval({x: math.bignumber(2)}), math.bignumber(0));
+    assert.throws(function () {n.compile().eval({x: {}})}, /Unsupported type of condition/);
+  });
+
+  it ('should count the iterations of a WhileNode as evaluation steps', function () {
+    var n = new WhileNode(new ConstantNode(true), new ConstantNode(1));
+    assert.throws(function () {
+      n.compile({restrict: {maxSteps: 100}}).eval();
+    }, /Maximum number of evaluation steps exceeded \(100\)/);
+  });
+
+  it ('should filter a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+
+    assert.deepEqual(n.filter(function (node) {return node instanceof WhileNode}),  [n]);
+    assert.deepEqual(n.filter(function (node) {return node instanceof AssignmentNode}),  [increment]);
+  });
+
+  it ('should run forEach on a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+
+    var nodes = [];
+    var paths = [];
+    n.forEach(function (node, path, parent) {
+      nodes.push(node);
+      paths.push(path);
+      assert.strictEqual(parent, n);
+    });
+
+    assert.equal(nodes.length, 2);
+    assert.strictEqual(nodes[0], condition);
+    assert.strictEqual(nodes[1], body);
+    assert.deepEqual(paths, ['condition', 'body']);
+  });
+
+  it ('should map a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+
+    var nodes = [];
+    var paths = [];
+    var e = new ConstantNode(false);
+    var f = n.map(function (node, path, parent) {
+      nodes.push(node);
+      paths.push(path);
+      assert.strictEqual(parent, n);
+
+      return node === condition ? e : node;
+    });
+
+    assert.equal(nodes.length, 2);
+    assert.deepEqual(paths, ['condition', 'body']);
+
+    assert.notStrictEqual(f, n);
+    assert.strictEqual(f.condition, e);
+    assert.strictEqual(f.body, body);
+  });
+
+  it ('should throw an error when the map callback does not return a node', function () {
+    var n = new WhileNode(condition, body);
+
+    assert.throws(function () {
+      n.map(function () {});
+    }, /Callback function must return a Node/)
+  });
+
+  it ('should transform a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+
+    var e = new ConstantNode(10);
+    var f = n.transform(function (node) {
+      return node instanceof ConstantNode && node.value == '3' ? e : node;
+    });
+
+    assert.notStrictEqual(f, n);
+    assert.equal(f.toString(), 'while x < 10\n  x = x + 1;\nend');
+    assert.equal(n.toString(), 'while x < 3\n  x = x + 1;\nend');
+  });
+
+  it ('should clone a WhileNode', function () {
+    var a = new WhileNode(condition, body);
+    var b = a.clone();
+
+    assert(b instanceof WhileNode);
+    assert.deepEqual(b, a);
+    assert.notStrictEqual(b, a);
+    assert.strictEqual(b.condition, a.condition);
+    assert.strictEqual(b.body, a.body);
+  });
+
+  it ('test equality another Node', function () {
+    var a = new WhileNode(condition, body);
+    var b = new WhileNode(condition, body);
+    var c = new WhileNode(new ConstantNode(false), body);
+    var d = new WhileNode(condition, new ConstantNode(1));
+
+    assert.strictEqual(a.equals(null), false);
+    assert.strictEqual(a.equals(undefined), false);
+    assert.strictEqual(a.equals(b), true);
+    assert.strictEqual(a.equals(c), false);
+    assert.strictEqual(a.equals(d), false);
+  });
+
+  it ('should stringify a WhileNode to JSON', function () {
+    var n = new WhileNode(condition, body);
+
+    assert.deepEqual(n.toJSON(), {mathjs: 'WhileNode', condition: condition, body: body});
+  });
+
+  it ('should revive a WhileNode from JSON', function () {
+    var n = new WhileNode(condition, body);
+    var revived = JSON.parse(JSON.stringify(n), math.json.reviver);
+
+    assert(revived instanceof WhileNode);
+    assert(revived.body instanceof BlockNode);
+    assert.deepEqual(revived, n);
+  });
+
+  it ('should stringify a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+
+    assert.equal(n.toString(), 'while x < 3\n  x = x + 1;\nend');
+  });
+
+  it ('should stringify a nested WhileNode', function () {
+    var n = math.parse('while x < 3\n  while y < 3\n    y = y + 1\n  end\nend');
+
+    assert.equal(n.toString(), 'while x < 3\n  while y < 3\n    y = y + 1\n  end\nend');
+  });
+
+  it ('should stringify a WhileNode with custom toString', function () {
+    var customFunction = function (node, options) {
+      if (node.type === 'ConstantNode') {
+        return 'const(' + node.value + ', ' + node.valueType + ')'
+      }
+    };
+
+    var n = new WhileNode(condition, body);
+
+    assert.equal(n.toString({handler: customFunction}),
+        'while x < const(3, number)\n  x = x + const(1, number);\nend');
+  });
+
+  it ('should LaTeX a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+
+    assert.equal(n.toTex(), '\\begin{array}{l}\\mathbf{while}\\; x<3\\\\\\quad  x:= x+1;\\\\\\mathbf{end}\\end{array}');
+  });
+
+  it ('should MathML a WhileNode', function () {
+    var n = new WhileNode(condition, body);
+
+    assert.equal(n.toMathML(),
+        '<mtable columnalign="left">' +
+        '<mtr><mtd><mrow><mtext mathvariant="bold">while&#xA0;</mtext><mrow><mi>x</mi><mo>&lt;</mo><mn>3</mn></mrow></mrow></mtd></mtr>' +
+        '<mtr><mtd><mrow><mspace width="1em"/><mrow><mrow><mi>x</mi><mo>:=</mo><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow></mrow><mo>;</mo></mrow></mrow></mtd></mtr>' +
+        '<mtr><mtd><mtext mathvariant="bold">end</mtext></mtd></mtr>' +
+        '</mtable>');
+  });
+
+});
@@ -5,7 +5,7 @@ var index = require('../../../lib/expression/node/index');
 describe('node/index', function() {
 
   it('should contain all nodes', function() {
-    assert.equal(index.length, 16);
+    assert.equal(index.length, 20);
   });
 
 });
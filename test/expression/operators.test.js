@@ -1,7 +1,7 @@
 var assert = require('assert');
 
 var math = require('../../index');
-var operators = require('../../lib/expression/operators');
+var operators = math.expression.operators;
 var OperatorNode = math.expression.node.OperatorNode;
 var AssignmentNode = math.expression.node.AssignmentNode;
 var SymbolNode = math.expression.node.SymbolNode;
@@ -111,4 +111,65 @@ describe('operators', function () {
     assert.equal(operators.isAssociativeWith(p, sub, 'auto'), true);
     assert.equal(operators.isAssociativeWith(p, sub, 'keep'), null);
   });
+
+  describe('custom operators', function () {
+
+    it('should add a custom operator', function () {
+      var mymath = math.create();
+      var a = new mymath.expression.node.ConstantNode(1);
+      var kron = new mymath.expression.node.OperatorNode('⊗', 'kron', [a, a]);
+      var multiply = new mymath.expression.node.OperatorNode('*', 'multiply', [a, a]);
+
+      assert.strictEqual(mymath.expression.operators.getPrecedence(kron, 'keep'), null);
+
+      mymath.expression.operators.add('⊗', {fn: 'kron', precedence: 'multiply', latex: '\\otimes'});
+
+      assert.deepEqual(mymath.expression.operators.get('⊗'), {op: '⊗', fn: 'kron', latex: '\\otimes'});
+      assert.strictEqual(mymath.expression.operators.get('#'), undefined);
+      assert.equal(mymath.expression.operators.getPrecedence(kron, 'keep'),
+          mymath.expression.operators.getPrecedence(multiply, 'keep'));
+      assert.equal(mymath.expression.operators.getAssociativity(kron, 'keep'), 'left');
+      assert.deepEqual(mymath.expression.operators.getCustomOperators('divide'), {'⊗': 'kron'});
+      assert.deepEqual(mymath.expression.operators.getCustomOperators('add'), {});
+    });
+
+    it('should add a custom operator as alias of a built-in operator', function () {
+      var mymath = math.create();
+      mymath.expression.operators.add('∙', {fn: 'multiply'});
+
+      assert.deepEqual(mymath.expression.operators.get('∙'), {op: '∙', fn: 'multiply', latex: undefined});
+      assert.deepEqual(mymath.expression.operators.getCustomOperators('multiply'), {'∙': 'multiply'});
+    });
+
+    it('should not add a custom operator to other math.js instances', function () {
+      var mymath = math.create();
+      mymath.expression.operators.add('⊗', {fn: 'kron', precedence: 'multiply'});
+
+      assert.strictEqual(math.expression.operators.get('⊗'), undefined);
+      assert.strictEqual(math.create().expression.operators.get('⊗'), undefined);
+    });
+
+    it('should throw an error when adding an invalid operator', function () {
+      var mymath = math.create();
+      var operators = mymath.expression.operators;
+
+      assert.throws(function () {operators.add(2, {fn: 'kron', precedence: 'multiply'})}, /Invalid operator "2"/);
+      assert.throws(function () {operators.add('', {fn: 'kron', precedence: 'multiply'})}, /Invalid operator ""/);
+      assert.throws(function () {operators.add('a b', {fn: 'kron', precedence: 'multiply'})}, /Invalid operator "a b"/);
+      assert.throws(function () {operators.add('*2', {fn: 'kron', precedence: 'multiply'})}, /Invalid operator "\*2"/);
+      assert.throws(function () {operators.add('+', {fn: 'kron', precedence: 'multiply'})}, /Operator "\+" already exists/);
+      assert.throws(function () {operators.add('mod', {fn: 'kron', precedence: 'multiply'})}, /Operator "mod" already exists/);
+      assert.throws(function () {operators.add('end', {fn: 'kron', precedence: 'multiply'})}, /Operator "end" already exists/);
+      assert.throws(function () {operators.add('⊗')}, /String expected for option "fn"/);
+      assert.throws(function () {operators.add('⊗', {fn: 'kron'})}, /String expected for option "precedence"/);
+      assert.throws(function () {operators.add('⊗', {fn: 'kron', precedence: 'foo'})}, /Invalid precedence "foo"/);
+      assert.throws(function () {operators.add('⊗', {fn: 'kron', precedence: 'pow'})}, /Invalid precedence "pow"/);
+      assert.throws(function () {operators.add('⊗', {fn: 'kron', precedence: 'unaryMinus'})}, /Invalid precedence "unaryMinus"/);
+      assert.throws(function () {operators.add('⊗', {fn: 'add', precedence: 'multiply'})}, /function add already has a different precedence/);
+
+      operators.add('⊗', {fn: 'kron', precedence: 'multiply'});
+      assert.throws(function () {operators.add('⊗', {fn: 'kron', precedence: 'multiply'})}, /Operator "⊗" already exists/);
+    });
+
+  });
 });
@@ -23,6 +23,20 @@ function parseAndEval(expr, scope) {
   return parse(expr).eval(scope);
 }
 
+/**
+ * Helper function to get the error thrown by a function
+ * @param {function} fn
+ * @return {Error | undefined} error
+ */
+function catchError(fn) {
+  try {
+    fn();
+  }
+  catch (err) {
+    return err;
+  }
+}
+
 describe('parse', function() {
 
   it('should parse a single expression', function() {
@@ -94,6 +108,115 @@ describe('parse', function() {
 
   });
 
+  it('should parse letters of other scripts and subscripts in symbols', function() {
+    var scope = {};
+
+    math.eval('\u0434\u043B\u0438\u043D\u0430 = 2', scope); // Cyrillic
+    assert.strictEqual(scope['\u0434\u043B\u0438\u043D\u0430'], 2);
+
+    math.eval('\u9AD8\u3055 = 3', scope); // CJK and hiragana
+    assert.strictEqual(scope['\u9AD8\u3055'], 3);
+
+    math.eval('\u03B1\u2081 = 4', scope); // Greek alpha with subscript one
+    assert.strictEqual(scope['\u03B1\u2081'], 4);
+
+    math.eval('v\u1D66 = 5', scope); // subscript Greek beta
+    assert.strictEqual(scope['v\u1D66'], 5);
+
+    assert.equal(math.eval('\u03B1\u2081 + v\u1D66', scope), 9);
+
+    // a subscript cannot start a symbol
+    assert.throws(function () {math.parse('\u2081')}, /Syntax error/);
+  });
+
+  it('should LaTeX unicode greek letters and subscripts', function() {
+    assert.equal(math.parse('\u03B8').toTex(), '\\theta');
+    assert.equal(math.parse('\u03B1\u2081 + x\u2081\u2082').toTex(), '\\alpha_{1}+ x_{12}');
+  });
+
+  describe('unicode operators', function () {
+
+    function assertSameNodes (unicode, ascii) {
+      assert.deepEqual(parse(unicode), parse(ascii));
+      assert.equal(parse(unicode).toString(), parse(ascii).toString());
+    }
+
+    it('should parse unicode operators like their ascii form', function() {
+      assertSameNodes('2 \u00D7 3', '2 * 3');
+      assertSameNodes('2 \u22C5 3', '2 * 3');
+      assertSameNodes('6 \u00F7 3', '6 / 3');
+      assertSameNodes('6 \u2212 3', '6 - 3');
+      assertSameNodes('\u2212x', '-x');
+      assertSameNodes('a \u2264 b', 'a <= b');
+      assertSameNodes('a \u2265 b', 'a >= b');
+      assertSameNodes('a \u2260 b', 'a != b');
+      assertSameNodes('a\u00D7b\u00F7c', 'a*b/c');
+
+      assert.equal(math.eval('2 \u00D7 3 \u2212 8 \u00F7 4'), 4);
+      assert.equal(math.eval('2 \u2264 3 and 3 \u2260 4'), true);
+    });
+
+    it('should parse pi', function() {
+      assertSameNodes('\u03C0', 'pi');
+      assertSameNodes('2\u03C0r', '2 pi r');
+      assertSameNodes('sin(\u03C0 / 2)', 'sin(pi / 2)');
+
+      assert.equal(math.eval('2\u03C0'), 2 * Math.PI);
+    });
+
+    it('should parse square roots', function() {
+      assertSameNodes('\u221Ax', 'sqrt(x)');
+      assertSameNodes('\u221A(x + 1)', 'sqrt(x + 1)');
+      assertSameNodes('\u221A(4)^2', 'sqrt(4)^2');
+      assertSameNodes('\u221A\u221A16', 'sqrt(sqrt(16))');
+      assertSameNodes('\u221A2 x', 'sqrt(2) x');
+      assertSameNodes('\u221Ax^2', 'sqrt(x^2)');
+      assertSameNodes('\u221A-4', 'sqrt(-4)');
+      assertSameNodes('2\u221A3', '2 sqrt(3)');
+      assertSameNodes('2\u221Ax', '2 sqrt(x)');
+      assertSameNodes('a \u221A(b + 1)', 'a sqrt(b + 1)');
+
+      assert.equal(math.eval('\u221A16 + 1'), 5);
+      assert.equal(math.eval('2\u221A16'), 8);
+      assert.deepEqual(math.eval('\u221A-4'), math.complex(0, 2));
+    });
+
+    it('should parse exponents in superscript', function() {
+      assertSameNodes('x\u00B2', 'x^2');
+      assertSameNodes('x\u00B3 + 1', 'x^3 + 1');
+      assertSameNodes('x\u207B\u00B9', 'x^-1');
+      assertSameNodes('x\u207A\u00B9', 'x^+1');
+      assertSameNodes('x\u00B9\u2070', 'x^10');
+      assertSameNodes('2x\u00B2', '2x^2');
+      assertSameNodes('-x\u00B2', '-x^2');
+      assertSameNodes('2^x\u00B2', '2^x^2');
+      assertSameNodes('(x + 1)\u00B2', '(x + 1)^2');
+      assertSameNodes('\u03C0r\u00B2', 'pi r^2');
+
+      assert.equal(math.eval('3\u00B2 + 4\u00B2'), 25);
+      assert.equal(math.eval('2\u207B\u00B9'), 0.5);
+      assert.equal(math.eval('(1 + 1)\u00B3'), 8);
+      assert.equal(math.eval('5 cm\u00B2').toString(), '5 cm^2');
+    });
+
+    it('should throw an error on a superscript sign without digits', function() {
+      assert.throws(function () {parse('x\u207B')}, /SyntaxError: Superscript digit expected in exponent "\u207B" \(char 2\)/);
+      assert.throws(function () {parse('x\u00B2\u207B')}, /SyntaxError: Superscript digit expected/);
+      assert.throws(function () {parse('\u00B2')}, /SyntaxError/);
+    });
+
+    it('should not allow unicode operators as custom operators', function() {
+      var mymath = math.create();
+      assert.throws(function () {
+        mymath.expression.operators.add('\u00D7', {fn: 'kron', precedence: 'multiply'});
+      }, /Operator "\u00D7" already exists/);
+      assert.throws(function () {
+        mymath.expression.operators.add('\u221A', {fn: 'kron', precedence: 'multiply'});
+      }, /Operator "\u221A" already exists/);
+    });
+
+  });
+
   describe('multiline', function () {
 
     it('should parse multiline expressions', function() {
@@ -410,6 +533,51 @@ describe('parse', function() {
       approx.deepEqual(parseAndEval('a in', {a: 5}), new Unit(5, 'in'));
       approx.deepEqual(parseAndEval('0.5in + 1.5in to cm'), new Unit(5.08, 'cm').to('cm'));
     });
+
+    it('should parse compound quantities', function () {
+      assert.equal(parseAndEval('5 ft 3 in').toString(), '5.25 ft');
+      assert.equal(parseAndEval('2 lb 4 oz').toString(), '2.25 lb');
+      assert.equal(parseAndEval('1 h 20 min 30 sec to s').toString(), '4830 s');
+      assert.equal(parseAndEval('-5 ft 3 in').toString(), '-5.25 ft');
+      assert.equal(parseAndEval('5 ft 3 in to in').format(14), '63 in');
+      assert.equal(parseAndEval('2 * (5 ft 3 in)').toString(), '10.5 ft');
+      assert.equal(parseAndEval('5 ft 3 in + 1 ft').toString(), '6.25 ft');
+
+      assert.equal(math.parse('5 ft 3 in').toString(), '5 ft 3 in');
+      assert.equal(math.parse('-5 ft 3 in to cm').toString(), '-5 ft 3 in to cm');
+      assert.equal(math.parse('1 h 20 min').toTex(), '1~\\mathrm{h}~20~\\mathrm{min}');
+    });
+
+    it('should parse a compound quantity as a constant', function () {
+      var node = math.parse('5 ft 3 in');
+      assert.ok(node instanceof math.expression.node.ConstantNode);
+      assert.strictEqual(node.valueType, 'unit');
+      assert.strictEqual(node.value, '5 ft 3 in');
+
+      // the function unit and unit names which are functions are not resolved from the scope
+      assert.equal(parseAndEval('1 h 20 min to s', {unit: function () { return 'unit'; }}).toString(), '4800 s');
+      assert.equal(math.parse('5 ft 3 in').compile({restrict: {functions: []}}).eval().toString(), '5.25 ft');
+    });
+
+    it('should bind a compound quantity stronger than operators', function () {
+      assert.equal(parseAndEval('2 * 5 ft 3 in').toString(), '10.5 ft');
+      assert.equal(parseAndEval('5 ft 3 in * 2').toString(), '10.5 ft');
+      assert.equal(parseAndEval('21 ft / 5 ft 3 in').toString(), '4');
+      assert.equal(parseAndEval('x 5 ft 3 in', {x: 2}).toString(), '10.5 ft');
+      assert.equal(math.parse('2 * 5 ft 3 in').toString(), '2 * 5 ft 3 in');
+    });
+
+    it('should keep implicit multiplication of a unit and a number', function () {
+      assert.equal(parseAndEval('2 m 3').toString(), '6 m');
+      assert.equal(parseAndEval('2 m 3 x', {x: 2}).toString(), '12 m');
+      assert.equal(math.parse('2 m 3').toString(), '2 m 3');
+    });
+
+    it('should throw an error for a compound quantity with incompatible units', function () {
+      assert.throws(function () {parseAndEval('5 ft 3 s')},
+          /Units of compound quantity do not match, cannot combine "ft" and "s" \(char 8\)/);
+      assert.throws(function () {parseAndEval('1 h 20 min 3 kg')}, /cannot combine "h" and "kg"/);
+    });
   });
 
   describe('complex', function () {
@@ -1013,6 +1181,143 @@ describe('parse', function() {
     });
   });
 
+  describe('control flow', function () {
+
+    it('should parse a while loop', function() {
+      var scope = {};
+      assert.equal(parseAndEval('x = 1\nwhile x < 100\n  x = 2 * x\nend', scope).entries[1], 128);
+      assert.equal(scope.x, 128);
+      assert.equal(parseAndEval('n = 0; while n < 3; n = n + 1; end; n', scope).entries[0], 3);
+      assert.strictEqual(parseAndEval('while false; 1; end'), undefined);
+    });
+
+    it('should parse a for loop', function() {
+      var scope = {s: 0};
+      assert.equal(parseAndEval('for i = 1:10\n  s = s + i\nend', scope), 55);
+      assert.deepEqual(scope, {s: 55, i: 10});
+      assert.equal(parseAndEval('p = 1; for v = [2, 3; 4, 5]; p = p * v; end; p').entries[0], 120);
+    });
+
+    it('should parse nested loops', function() {
+      var scope = {};
+      parseAndEval('s = 0\nfor i = 1:3\n  for j = 1:i\n    s = s + j\n  end\nend', scope);
+      assert.equal(scope.s, 10);
+    });
+
+    it('should parse a function with a block body', function() {
+      var scope = {};
+      var fn = parseAndEval('function hypot2(a, b)\n  a2 = a^2;\n  b2 = b^2\n  sqrt(a2 + b2)\nend', scope);
+      assert.equal(fn.syntax, 'hypot2(a, b)');
+      assert.equal(scope.hypot2(3, 4), 5);
+      assert.equal(parseAndEval('hypot2(6, 8)', scope), 10);
+      assert.equal(scope.a2, 36);
+    });
+
+    it('should assign function parameters locally', function() {
+      var scope = {n: 10};
+      parseAndEval('function fact(n)\n  r = 1\n  while n > 1\n    r = r * n\n    n = n - 1\n  end\n  r\nend', scope);
+      assert.equal(scope.fact(5), 120);
+      assert.equal(scope.n, 10);
+    });
+
+    it('should parse a function with an empty body', function() {
+      var scope = {};
+      parseAndEval('function f()\nend', scope);
+      assert.strictEqual(scope.f(), undefined);
+    });
+
+    it('should stringify control flow', function() {
+      var expr = 'function f(x)\n  s = 0;\n  for i = 1:x\n    while s < i\n      s = s + 1\n    end\n  end\n  s\nend';
+      assert.equal(parse(expr).toString(), expr);
+      assert.equal(parse('while x < 3; x = x + 1; end').toString(), 'while x < 3\n  x = x + 1;\nend');
+    });
+
+    it('should not allow keywords as variable or function names', function() {
+      assert.throws(function () {parseAndEval('end = 2')}, /Cannot assign to symbol "end"/);
+      assert.throws(function () {parseAndEval('for(x) = x')}, SyntaxError);
+    });
+
+    it('should throw an error on invalid control flow', function() {
+      assert.throws(function () {parse('while x < 3\n  x = x + 1')}, /SyntaxError: Keyword end expected \(char 24\)/);
+      assert.throws(function () {parse('while x < 3 = 1; end')}, /SyntaxError: Newline or semicolon expected \(char 13\)/);
+      assert.throws(function () {parse('for 2 = 1:3; end')}, /SyntaxError: Symbol expected as loop variable \(char 5\)/);
+      assert.throws(function () {parse('for i in 1:3; end')}, /SyntaxError: Operator = expected \(char 7\)/);
+      assert.throws(function () {parse('function (x); end')}, /SyntaxError: Symbol expected as function name \(char 10\)/);
+      assert.throws(function () {parse('function f x; end')}, /SyntaxError: Parenthesis \( expected \(char 12\)/);
+      assert.throws(function () {parse('function f(x y); end')}, /SyntaxError: Parenthesis \) expected \(char 14\)/);
+      assert.throws(function () {parse('function f(2); end')}, /SyntaxError: Symbol expected as function parameter \(char 12\)/);
+
+      assert.deepEqual(catchError(function () {parse('while x; 1')}).expected, ['end']);
+      assert.deepEqual(catchError(function () {parse('while x = 1; end')}).expected, ['newline', ';']);
+    });
+  });
+
+  describe('anonymous functions', function () {
+
+    it('should parse anonymous functions', function() {
+      assert.equal(parseAndEval('x -> x^2')(3), 9);
+      assert.equal(parseAndEval('(x) -> x^2')(3), 9);
+      assert.equal(parseAndEval('(x, y) -> x * y')(3, 4), 12);
+      assert.equal(parseAndEval('() -> 42')(), 42);
+      assert.equal(parseAndEval('x ->\n  x + 1')(2), 3);
+    });
+
+    it('should parse anonymous functions with a fat arrow', function() {
+      assert.equal(parseAndEval('x => x^2')(3), 9);
+      assert.equal(parseAndEval('(x, y) => x * y')(3, 4), 12);
+    });
+
+    it('should parse anonymous functions as function arguments', function() {
+      assert.deepEqual(parseAndEval('map([1, 2, 3], x -> x^2)'), math.matrix([1, 4, 9]));
+      assert.deepEqual(parseAndEval('filter([6, -2, -1, 4, 3], x -> x > 0)'), math.matrix([6, 4, 3]));
+      assert.deepEqual(parseAndEval('sort([3, 10, 2], (a, b) -> b - a)'), math.matrix([10, 3, 2]));
+    });
+
+    it('should parse anonymous functions in assignments, matrices, objects and conditionals', function() {
+      var scope = {};
+      parseAndEval('f = x -> 2x', scope);
+      assert.equal(scope.f(3), 6);
+      assert.equal(parseAndEval('[x -> x + 1, x -> x + 2]').get([1])(1), 3);
+      assert.equal(parseAndEval('{a: x -> x + 1}').a(1), 2);
+      assert.equal(parseAndEval('true ? x -> x + 1 : x -> x + 2')(1), 2);
+    });
+
+    it('should parse nested anonymous functions', function() {
+      assert.equal(parseAndEval('add = x -> y -> x + y; add(2)(3)').entries[0], 5);
+    });
+
+    it('should evaluate anonymous functions as closures', function() {
+      var scope = {};
+      parseAndEval('scale(n) = map([1, 2, 3], x -> x * n)', scope);
+      assert.deepEqual(scope.scale(10), math.matrix([10, 20, 30]));
+
+      parseAndEval('offset = 1; g = x -> x + offset', scope);
+      parseAndEval('offset = 5', scope);
+      assert.equal(scope.g(1), 6);
+    });
+
+    it('should stringify anonymous functions', function() {
+      assert.equal(parse('map(A, x -> x ^ 2)').toString(), 'map(A, x -> x ^ 2)');
+      assert.equal(parse('(x, y) => x * y').toString(), '(x, y) -> x * y');
+      assert.equal(parse('() -> 2').toString(), '() -> 2');
+    });
+
+    it('should not confuse parentheses with parameters of an anonymous function', function() {
+      assert.equal(parseAndEval('(1 + 2) * 3'), 9);
+      assert.equal(parseAndEval('(x) * 3', {x: 2}), 6);
+      assert.equal(parseAndEval('x - 1', {x: 2}), 1);
+    });
+
+    it('should throw an error on invalid anonymous functions', function() {
+      assert.throws(function () {parse('(x, y)')}, /SyntaxError: Parenthesis \) expected \(char 3\)/);
+      assert.throws(function () {parse('(x, ) -> 1')}, /SyntaxError: Parenthesis \) expected \(char 3\)/);
+      assert.throws(function () {parse('(x y) -> 1')}, /SyntaxError: Unexpected operator -> \(char 7\)/);
+      assert.throws(function () {parse('(2) -> 1')}, /SyntaxError: Unexpected operator -> \(char 5\)/);
+      assert.throws(function () {parse('2 * x -> x')}, /SyntaxError: Unexpected operator -> \(char 7\)/);
+      assert.throws(function () {parse('x ->')}, /SyntaxError: Unexpected end of expression \(char 5\)/);
+    });
+  });
+
   describe ('parentheses', function () {
     it('should parse parentheses overriding the default precedence', function () {
       approx.equal(parseAndEval('2 - (2 - 2)'), 2);
@@ -1685,6 +1990,97 @@ describe('parse', function() {
     });
   });
 
+  describe('custom operators', function () {
+    var mymath = math.create();
+    mymath.expression.operators.add('⊗', {fn: 'kron', precedence: 'multiply', latex: '\\otimes'});
+    mymath.expression.operators.add('·', {fn: 'dot', precedence: 'multiply', latex: '\\cdot'});
+    mymath.expression.operators.add('cross', {fn: 'cross', precedence: 'multiply'});
+    mymath.expression.operators.add('<=>', {fn: 'compare', precedence: 'equal'});
+    mymath.expression.operators.add('|||', {fn: 'max', precedence: 'bitOr'});
+
+    it('should parse and evaluate custom operators', function () {
+      assert.deepEqual(mymath.eval('[1, 2] ⊗ [3, 4]'), mymath.matrix([[3, 4, 6, 8]]));
+      assert.equal(mymath.eval('[1, 2, 3] · [4, 5, 6]'), 32);
+      assert.deepEqual(mymath.eval('[1, 0, 0] cross [0, 1, 0]'), mymath.matrix([0, 0, 1]));
+      assert.equal(mymath.eval('2 <=> 3'), -1);
+      assert.equal(mymath.eval('2 ||| 3'), 3);
+    });
+
+    it('should parse custom operators with the given precedence', function () {
+      var node = mymath.parse('a + b ⊗ c');
+      assert.equal(node.fn, 'add');
+      assert.equal(node.args[1].fn, 'kron');
+
+      node = mymath.parse('a * b ⊗ c');
+      assert.equal(node.fn, 'kron');
+      assert.equal(node.args[0].fn, 'multiply');
+
+      node = mymath.parse('a ⊗ b * c');
+      assert.equal(node.fn, 'multiply');
+      assert.equal(node.args[0].fn, 'kron');
+
+      node = mymath.parse('a + 2 <=> b');
+      assert.equal(node.op, '<=>');
+      assert.equal(node.args[0].fn, 'add');
+
+      // the longest operator wins
+      node = mymath.parse('a ||| b | c');
+      assert.equal(node.op, '|');
+      assert.equal(node.args[0].op, '|||');
+    });
+
+    it('should not parse custom operators of another math.js instance', function () {
+      assert.throws(function () {math.parse('a ⊗ b')}, /Syntax error in part "⊗ b"/);
+      assert.equal(math.parse('a cross b').toString(), 'a cross b');  // implicit multiplication
+      assert.equal(math.parse('a cross b').fn, 'multiply');
+    });
+
+    it('should still parse a named custom operator as function', function () {
+      assert.deepEqual(mymath.eval('cross([1, 0, 0], [0, 1, 0])'), mymath.matrix([0, 0, 1]));
+    });
+
+    it('should stringify custom operators', function () {
+      assert.equal(mymath.parse('a ⊗ b').toString(), 'a ⊗ b');
+      assert.equal(mymath.parse('(a + b) ⊗ c').toString({parenthesis: 'auto'}), '(a + b) ⊗ c');
+      assert.equal(mymath.parse('a + (b ⊗ c)').toString({parenthesis: 'auto'}), 'a + b ⊗ c');
+      assert.equal(mymath.parse('a ⊗ (b · c)').toString({parenthesis: 'auto'}), 'a ⊗ (b · c)');
+      assert.equal(mymath.parse('a cross b').toString(), 'a cross b');
+    });
+
+    it('should LaTeX custom operators', function () {
+      assert.equal(mymath.parse('x ⊗ y').toTex(), ' x\\otimes y');
+      assert.equal(mymath.parse('(x + y) ⊗ z').toTex({parenthesis: 'auto'}), '\\left( x+ y\\right)\\otimes z');
+      assert.equal(mymath.parse('x cross y').toTex(), ' x\\mathbin{\\mathrm{cross}} y');
+    });
+
+    it('should LaTeX custom symbol operators without latex option as text', function () {
+      assert.equal(mymath.parse('x <=> y').toTex(), ' x\\mathbin{\\text{<=>}} y');
+      assert.equal(mymath.parse('x ||| y').toTex(), ' x\\mathbin{\\text{|||}} y');
+
+      var math2 = math.create();
+      math2.expression.operators.add('\u00B7', {fn: 'dot', precedence: 'multiply'});
+      math2.expression.operators.add('&&&', {fn: 'cross', precedence: 'multiply'});
+      math2.expression.operators.add('**', {fn: 'multiply'});
+      assert.equal(math2.parse('x \u00B7 y').toTex(), ' x\\mathbin{\\text{\u00B7}} y');
+      assert.equal(math2.parse('x &&& y').toTex(), ' x\\mathbin{\\text{\\&\\&\\&}} y');
+      assert.equal(math2.parse('x ** y').toTex(), ' x\\cdot y');  // LaTeX of the operator of multiply
+    });
+
+    it('should round-trip custom operators through toString', function () {
+      function removeParentheses (node) {
+        return node.transform(function (node) {
+          return node.isParenthesisNode ? removeParentheses(node.content) : node;
+        });
+      }
+
+      ['a ⊗ b', '(a + b) ⊗ c', 'a · b ⊗ c', 'a ⊗ (b · c)', '-(a ⊗ b)', 'x <=> y + 1'].forEach(function (expr) {
+        var node = removeParentheses(mymath.parse(expr));
+        var str = node.toString({parenthesis: 'auto'});
+        assert.ok(removeParentheses(mymath.parse(str)).equals(node), expr + ' -> ' + str);
+      });
+    });
+  });
+
   describe('functions', function () {
     it('should evaluate function "mod"', function () {
       approx.equal(parseAndEval('mod(8, 3)'), 2);
@@ -1850,6 +2246,17 @@ describe('parse', function() {
 
   describe('errors', function () {
 
+    it('should attach the location of the offending token to a SyntaxError', function () {
+      var err = catchError(function () {parse('2 + (3');});
+      assert.ok(err instanceof SyntaxError);
+      assert.strictEqual(err.char, 7);
+      assert.deepEqual(err.location, {start: 6, end: 6, line: 1, column: 7});
+
+      err = catchError(function () {parse('a = 2\n2 +* 3');});
+      assert.ok(err instanceof SyntaxError);
+      assert.deepEqual(err.location, {start: 9, end: 10, line: 2, column: 4});
+    });
+
     it('should return IndexErrors with one based indices', function () {
       // functions throw a zero-based error
       assert.throws(function () {math.subset([1,2,3], math.index(4));}, /Index out of range \(4 > 2\)/);
@@ -1994,6 +2401,207 @@ describe('parse', function() {
 
   });
 
+  describe('locations', function () {
+
+    function text (expr, node) {
+      return expr.substring(node.location.start, node.location.end);
+    }
+
+    it('should not attach locations by default', function() {
+      var node = parse('2 + x');
+      assert.strictEqual(node.location, undefined);
+      assert.strictEqual(node.args[0].location, undefined);
+      assert.strictEqual(node.args[1].location, undefined);
+    });
+
+    it('should attach a location to every node', function() {
+      var expr = 'a = 3\nf(x) = x^2; b.c[2:end] + {q: "s"}';
+      var node = parse(expr, {locations: true});
+
+      var texts = [];
+      node.traverse(function (node) {
+        assert.ok(node.location, 'node ' + node.type + ' should have a location');
+        texts.push(text(expr, node));
+      });
+
+      assert.deepEqual(texts, [
+        expr, 'a = 3', 'a', '3', 'f(x) = x^2', 'x^2', 'x', '2',
+        'b.c[2:end] + {q: "s"}', 'b.c[2:end]', 'b.c', 'b', '.c', 'c',
+        '[2:end]', '2:end', '2', 'end', '{q: "s"}', '"s"'
+      ]);
+    });
+
+    it('should attach line and column of a node', function() {
+      var node = parse('2 * (x + 1)', {locations: true});
+      assert.deepEqual(node.location, {start: 0, end: 11, line: 1, column: 1});
+      assert.deepEqual(node.args[1].location, {start: 4, end: 11, line: 1, column: 5});
+      assert.deepEqual(node.args[1].content.args[1].location, {start: 9, end: 10, line: 1, column: 10});
+
+      var block = parse('a = 2\n\n  sqrt(a)', {locations: true});
+      assert.deepEqual(block.blocks[1].node.location, {start: 9, end: 16, line: 3, column: 3});
+      assert.deepEqual(block.blocks[1].node.args[0].location, {start: 14, end: 15, line: 3, column: 8});
+    });
+
+    it('should attach locations to operators, functions and matrices', function() {
+      var expr = '-x! + [1, 2; 3, 4] * sin(y)\'';
+      var node = parse(expr, {locations: true});
+      assert.equal(text(expr, node.args[0]), '-x!');
+      assert.equal(text(expr, node.args[0].args[0]), 'x!');
+      assert.equal(text(expr, node.args[1]), '[1, 2; 3, 4] * sin(y)\'');
+      assert.equal(text(expr, node.args[1].args[0]), '[1, 2; 3, 4]');
+      assert.equal(text(expr, node.args[1].args[0].items[1]), '3, 4');
+      assert.equal(text(expr, node.args[1].args[1]), 'sin(y)\'');
+      assert.equal(text(expr, node.args[1].args[1].args[0]), 'sin(y)');
+    });
+
+    it('should attach an empty location to implicit nodes', function() {
+      var node = parse('A[:]', {locations: true});
+      var range = node.index.dimensions[0];
+      assert.deepEqual(range.location, {start: 2, end: 3, line: 1, column: 3});
+      assert.deepEqual(range.start.location, {start: 2, end: 2, line: 1, column: 3});
+      assert.deepEqual(range.end.location, {start: 3, end: 3, line: 1, column: 4});
+
+      assert.deepEqual(parse('', {locations: true}).location, {start: 0, end: 0, line: 1, column: 1});
+    });
+
+    it('should attach the location of a node to errors thrown while evaluating it', function() {
+      var node = parse('x = 2\n3 * foo', {locations: true});
+      var err = catchError(function () {node.eval();});
+      assert.ok(/Undefined symbol foo/.test(err.message));
+      assert.deepEqual(err.location, {start: 10, end: 13, line: 2, column: 5});
+
+      err = catchError(function () {parse('2 + sqrt("a")', {locations: true}).eval();});
+      assert.ok(/Cannot convert "a" to a number/.test(err.message));
+      assert.deepEqual(err.location, {start: 4, end: 13, line: 1, column: 5});
+
+      err = catchError(function () {parse('A[4]', {locations: true}).eval({A: [1, 2, 3]});});
+      assert.ok(err instanceof math.error.IndexError);
+      assert.deepEqual(err.location, {start: 0, end: 4, line: 1, column: 1});
+    });
+
+    it('should keep the locations when cloning nodes', function() {
+      var expr = '2 * sin(x) + [1, y]';
+      var node = parse(expr, {locations: true});
+      node.traverse(function (node) {
+        assert.deepEqual(node.clone().location, node.location);
+      });
+
+      var clone = node.cloneDeep();
+      assert.deepEqual(clone.location, node.location);
+      assert.equal(text(expr, clone.args[0].args[1]), 'sin(x)');
+      assert.equal(text(expr, clone.args[0].args[1].args[0]), 'x');
+      assert.equal(text(expr, clone.args[1].items[1]), 'y');
+
+      assert.strictEqual(parse(expr).clone().location, undefined);
+      assert.strictEqual(parse(expr).cloneDeep().args[0].location, undefined);
+    });
+
+    it('should not attach a location to runtime errors without the option locations', function() {
+      var err = catchError(function () {parse('3 * foo').eval();});
+      assert.ok(/Undefined symbol foo/.test(err.message));
+      assert.strictEqual(err.location, undefined);
+    });
+
+  });
+
+  describe('recover', function () {
+
+    it('should return the node and an empty list with errors for a valid expression', function() {
+      var result = parse('a = 2\nb = a * 3', {recover: true});
+      assert.equal(result.node.toString(), 'a = 2\nb = a * 3');
+      assert.deepEqual(result.errors, []);
+    });
+
+    it('should report all syntax errors of a multi-line expression', function() {
+      var expr = 'a = 2 + * 3\nc = 4; d = 5 $ 6\ne = [1, 2; 3]\nf(x) = x^2\nb = (3';
+      var result = parse(expr, {recover: true});
+
+      assert.deepEqual(result.errors.map(function (err) {
+        return err.message;
+      }), [
+        'Value expected (char 9)',
+        'Syntax error in part "$ 6" (char 26)',
+        'Column dimensions mismatch (1 != 2) (char 43)',
+        'Parenthesis ) expected (char 61)'
+      ]);
+      result.errors.forEach(function (err) {
+        assert.ok(err instanceof SyntaxError);
+      });
+
+      assert.deepEqual(result.errors[0].expected, ['value']);
+      assert.deepEqual(result.errors[0].location, {start: 8, end: 9, line: 1, column: 9});
+      assert.deepEqual(result.errors[3].expected, [')']);
+      assert.deepEqual(result.errors[3].location, {start: 60, end: 60, line: 5, column: 7});
+    });
+
+    it('should replace statements containing an error with an ErrorNode', function() {
+      var expr = 'a = 2 + * 3\nb = 4; c = 3)\nf(x) = x^2';
+      var result = parse(expr, {recover: true});
+      var blocks = result.node.blocks;
+
+      assert.ok(result.node instanceof math.expression.node.BlockNode);
+      assert.deepEqual(blocks.map(function (block) {
+        return block.node.type;
+      }), ['ErrorNode', 'AssignmentNode', 'ErrorNode', 'FunctionAssignmentNode']);
+
+      assert.equal(blocks[0].node.text, 'a = 2 + * 3');
+      assert.equal(blocks[0].node.message, 'Value expected (char 9)');
+      assert.equal(blocks[2].node.text, 'c = 3)');
+      assert.equal(blocks[2].node.message, 'Unexpected operator ) (char 25)');
+      assert.equal(result.node.toString(), 'a = 2 + * 3\nb = 4;\nc = 3)\nf(x) = x ^ 2');
+    });
+
+    it('should attach locations to ErrorNodes', function() {
+      var result = parse('a = 2\nb = (3 +', {recover: true, locations: true});
+      assert.deepEqual(result.node.blocks[1].node.location, {start: 6, end: 14, line: 2, column: 1});
+    });
+
+    it('should recover from invalid tokens at the start of a statement', function() {
+      var result = parse('2e+ 3\n$\nsqrt(4)', {recover: true});
+      assert.deepEqual(result.errors.map(function (err) {
+        return err.message;
+      }), [
+        'Digit expected, got " " (char 1)',
+        'Syntax error in part "$" (char 7)'
+      ]);
+      assert.equal(result.node.blocks[2].node.toString(), 'sqrt(4)');
+    });
+
+    it('should report unexpected parts at the end of a statement', function() {
+      var result = parse('2 3 4\n5 ) 6', {recover: true});
+      assert.deepEqual(result.errors.map(function (err) {
+        return err.message;
+      }), [
+        'Unexpected part "3" (char 3)',
+        'Unexpected operator ) (char 9)'
+      ]);
+    });
+
+    it('should throw the syntax error when evaluating an ErrorNode', function() {
+      var scope = {};
+      var result = parse('x = 3; y = 2 +; x * 2', {recover: true});
+      assert.throws(function () { result.node.eval(scope); }, /SyntaxError: Value expected \(char 15\)/);
+      assert.deepEqual(scope, {x: 3});
+    });
+
+    it('should parse multiple expressions with recover', function() {
+      var results = parse(['2 +', '3 * 4'], {recover: true});
+      assert.equal(results.length, 2);
+      assert.equal(results[0].errors.length, 1);
+      assert.equal(results[0].node.type, 'ErrorNode');
+      assert.equal(results[1].errors.length, 0);
+      assert.equal(results[1].node.toString(), '3 * 4');
+    });
+
+    it('should attach the expected tokens to a SyntaxError', function() {
+      assert.deepEqual(catchError(function () {parse('sqrt(2');}).expected, [',', ')']);
+      assert.deepEqual(catchError(function () {parse('[1, 2');}).expected, [',', ';', ']']);
+      assert.deepEqual(catchError(function () {parse('{a 2}');}).expected, [':']);
+      assert.deepEqual(catchError(function () {parse('2 )');}).expected, []);
+    });
+
+  });
+
   describe ('expose test functions', function () {
     it('should expose isAlpha', function() {
       assert.ok('should expose isAlpha', typeof math.expression.parse.isAlpha === 'function')
@@ -2003,6 +2611,25 @@ describe('parse', function() {
       assert.ok('should expose isAlpha', typeof math.expression.parse.isValidLatinOrGreek === 'function')
     });
 
+    it('should expose isValidUnicodeLetter', function() {
+      assert.ok(typeof math.expression.parse.isValidUnicodeLetter === 'function')
+      assert.strictEqual(math.expression.parse.isValidUnicodeLetter('\u0434'), true)
+      assert.strictEqual(math.expression.parse.isValidUnicodeLetter('a'), false)
+    });
+
+    it('should expose isSubscript and isSuperscript', function() {
+      assert.strictEqual(math.expression.parse.isSubscript('\u2081'), true)
+      assert.strictEqual(math.expression.parse.isSubscript('1'), false)
+      assert.strictEqual(math.expression.parse.isSuperscript('\u00B2'), true)
+      assert.strictEqual(math.expression.parse.isSuperscript('2'), false)
+    });
+
+    it('should not accept the operators \u00D7 and \u00F7 as alpha characters', function() {
+      assert.strictEqual(math.expression.parse.isAlpha('\u00D7', '', ''), false)
+      assert.strictEqual(math.expression.parse.isAlpha('\u00F7', '', ''), false)
+      assert.strictEqual(math.expression.parse.isAlpha('\u00F6', '', ''), true)
+    });
+
     it('should expose isValidMathSymbol', function() {
       assert.ok('should expose isAlpha', typeof math.expression.parse.isValidMathSymbol === 'function')
     });
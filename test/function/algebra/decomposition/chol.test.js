@@ -0,0 +1,173 @@
+var assert = require('assert'),
+    approx = require('../../../../tools/approx'),
+    math = require('../../../../index'),
+    market = require('../../../../tools/matrixmarket');
+
+describe('chol', function () {
+
+  it('should decompose matrix, 3 x 3, array', function () {
+    var m = [
+      [4, 2, -2],
+      [2, 10, 2],
+      [-2, 2, 5]
+    ];
+
+    var r = math.chol(m);
+
+    assert.strictEqual(r.p, null);
+    assert(Array.isArray(r.L));
+    approx.deepEqual(r.L, [
+      [2, 0, 0],
+      [1, 3, 0],
+      [-1, 1, Math.sqrt(3)]
+    ]);
+  });
+
+  it('should decompose matrix, 3 x 3, dense matrix', function () {
+    var m = math.matrix([
+      [4, 2, -2],
+      [2, 10, 2],
+      [-2, 2, 5]
+    ]);
+
+    var r = math.chol(m);
+
+    assert.strictEqual(r.L.storage(), 'dense');
+    // verify M = L * L'
+    approx.deepEqual(math.multiply(r.L, math.transpose(r.L)).valueOf(), m.valueOf());
+  });
+
+  it('should decompose matrix, 3 x 3, sparse matrix', function () {
+    var m = math.sparse([
+      [4, 2, -2],
+      [2, 10, 2],
+      [-2, 2, 5]
+    ]);
+
+    var r = math.chol(m);
+
+    assert.strictEqual(r.L.storage(), 'sparse');
+    // verify M = L * L'
+    approx.deepEqual(math.multiply(r.L, math.transpose(r.L)).valueOf(), m.valueOf());
+  });
+
+  it('should decompose matrix, 3 x 3, bignumbers', function () {
+    var m = math.bignumber([
+      [4, 2, -2],
+      [2, 10, 2],
+      [-2, 2, 5]
+    ]);
+
+    var r = math.chol(m);
+
+    assert(r.L[2][2] instanceof math.type.BigNumber);
+    assert.deepEqual(r.L[2][2], math.sqrt(math.bignumber(3)));
+    assert.deepEqual(r.L[1][0], math.bignumber(1));
+  });
+
+  it('should decompose matrix, 2 x 2, complex numbers', function () {
+    var m = [
+      [2, math.complex(0, 1)],
+      [math.complex(0, -1), 2]
+    ];
+
+    var r = math.chol(m);
+
+    // verify M = L * L^H
+    var lh = math.conj(math.transpose(r.L));
+    var p = math.multiply(r.L, lh);
+    approx.deepEqual(p[0][1], math.complex(0, 1));
+    approx.deepEqual(p[1][0], math.complex(0, -1));
+    approx.equal(math.re(p[1][1]), 2);
+  });
+
+  it('should decompose matrix, 48 x 48, natural ordering (order=0), matrix market', function (done) {
+    // import matrix
+    market.import('tools/matrices/bcsstk01.tar.gz', ['bcsstk01/bcsstk01.mtx'])
+      .then(function (matrices) {
+        // matrix
+        var m = matrices[0];
+
+        var r = math.chol(m, 0);
+
+        // verify M = L * L'
+        assert.strictEqual(r.p, null);
+        approx.deepEqual(m.valueOf(), math.multiply(r.L, math.transpose(r.L)).valueOf());
+
+        // indicate test has completed
+        done();
+      })
+      .fail(function (error) {
+        // indicate test has completed
+        done(error);
+      });
+  });
+
+  it('should decompose matrix, 48 x 48, amd(A+A\') (order=1), matrix market', function (done) {
+    // import matrix
+    market.import('tools/matrices/bcsstk01.tar.gz', ['bcsstk01/bcsstk01.mtx'])
+      .then(function (matrices) {
+        // matrix
+        var m = matrices[0];
+
+        var r0 = math.chol(m, 0);
+        var r1 = math.chol(m, 1);
+
+        // verify M[p,p] = L * L'
+        approx.deepEqual(_permute(m, r1.p).valueOf(), math.multiply(r1.L, math.transpose(r1.L)).valueOf());
+        // fill-reducing ordering
+        assert(r1.L._values.length < r0.L._values.length);
+
+        // indicate test has completed
+        done();
+      })
+      .fail(function (error) {
+        // indicate test has completed
+        done(error);
+      });
+  });
+
+  it('should throw an error when the matrix is not symmetric', function () {
+    assert.throws(function () { math.chol([[4, 2], [1, 4]]); }, /Matrix must be symmetric positive definite/);
+    assert.throws(function () { math.chol(math.sparse([[4, 2], [0, 4]])); }, /Matrix must be symmetric positive definite/);
+  });
+
+  it('should throw an error when the matrix is not positive definite', function () {
+    assert.throws(function () { math.chol([[1, 2], [2, 1]]); }, /Matrix must be symmetric positive definite/);
+    assert.throws(function () { math.chol(math.sparse([[0, 1], [1, 0]]), 1); }, /Matrix must be symmetric positive definite/);
+  });
+
+  it('should throw an error in case of invalid matrix size', function () {
+    assert.throws(function () { math.chol([[1, 2, 3], [2, 1, 4]]); }, /RangeError: Matrix must be square \(size: \[2, 3\]\)/);
+    assert.throws(function () { math.chol([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+  });
+
+  it('should throw an error in case of invalid order', function () {
+    assert.throws(function () { math.chol([[1]], 2); }, /Symbolic Ordering and Analysis order must be an integer number in the interval \[0, 1\]/);
+    assert.throws(function () { math.chol([[1]], 0.5); }, /Symbolic Ordering and Analysis order must be an integer number in the interval \[0, 1\]/);
+  });
+
+  it('should have a toString method', function () {
+    var r = math.chol(math.matrix([[4, 2], [2, 10]]));
+    assert.strictEqual(r.toString(), 'L: [[2, 0], [1, 3]]\n');
+  });
+
+  /**
+   * C = A(p,p) where p is the inverse of permutation vector pinv.
+   */
+  var _permute = function (A, pinv) {
+    // C(pinv[i], pinv[j]) = A(i, j)
+    var n = A._size[0];
+    var data = A.valueOf();
+    var c = [];
+    for (var i = 0; i < n; i++) {
+      c[pinv[i]] = [];
+    }
+    for (i = 0; i < n; i++) {
+      for (var j = 0; j < n; j++) {
+        c[pinv[i]][pinv[j]] = data[i][j];
+      }
+    }
+    return c;
+  };
+});
@@ -0,0 +1,170 @@
+var assert = require('assert'),
+    approx = require('../../../../tools/approx'),
+    math = require('../../../../index'),
+    market = require('../../../../tools/matrixmarket');
+
+describe('qr', function () {
+
+  it('should decompose matrix, 2 x 2, array', function () {
+    var r = math.qr([[3, 0], [4, 5]]);
+
+    assert(Array.isArray(r.Q));
+    assert(Array.isArray(r.R));
+    approx.deepEqual(r.Q, [[0.6, -0.8], [0.8, 0.6]]);
+    approx.deepEqual(r.R, [[5, 4], [0, 3]]);
+  });
+
+  it('should decompose matrix, 3 x 2, dense matrix', function () {
+    var m = math.matrix([[3, 1], [4, 2], [0, 2]]);
+
+    var r = math.qr(m);
+
+    assert(r.Q instanceof math.type.DenseMatrix);
+    assert.deepEqual(r.Q.size(), [3, 3]);
+    assert.deepEqual(r.R.size(), [3, 2]);
+    _verify(m.valueOf(), r.Q.valueOf(), r.R.valueOf());
+  });
+
+  it('should decompose matrix, 2 x 4, dense matrix', function () {
+    var m = math.matrix([[1, 2, 3, 4], [5, 6, 7, 8.5]]);
+
+    var r = math.qr(m);
+
+    assert.deepEqual(r.Q.size(), [2, 2]);
+    assert.deepEqual(r.R.size(), [2, 4]);
+    _verify(m.valueOf(), r.Q.valueOf(), r.R.valueOf());
+  });
+
+  it('should decompose a rank deficient matrix', function () {
+    var m = [[1, 2], [2, 4], [3, 6]];
+
+    var r = math.qr(m);
+
+    _verify(m, r.Q, r.R);
+    approx.equal(r.R[1][1], 0);
+  });
+
+  it('should decompose matrix with bignumbers', function () {
+    var m = math.bignumber([[12, -51, 4], [6, 167, -68], [-4, 24, -41]]);
+
+    var r = math.qr(m);
+
+    assert(r.R[0][0] instanceof math.type.BigNumber);
+    assert.deepEqual(r.R[0][0], math.bignumber(14));
+    assert.deepEqual(r.R[1][1], math.bignumber(175));
+    assert.deepEqual(r.R[2][2], math.bignumber(35));
+    _verify(math.number(m), math.number(r.Q), math.number(r.R));
+  });
+
+  it('should decompose matrix with complex numbers', function () {
+    var m = [[math.complex(1, 1), 2], [3, math.complex(0, -2)], [1, 1]];
+
+    var r = math.qr(m);
+
+    _verify(m, r.Q, r.R);
+    // diagonal of R is real and non negative
+    assert.strictEqual(typeof r.R[0][0], 'number');
+    assert(r.R[0][0] > 0);
+    assert.strictEqual(typeof r.R[1][1], 'number');
+    assert(r.R[1][1] > 0);
+  });
+
+  it('should decompose matrix, 3 x 2, sparse matrix', function () {
+    var m = math.sparse([[3, 1], [4, 2], [0, 2]]);
+
+    var r = math.qr(m);
+
+    assert(r.Q instanceof math.type.SparseMatrix);
+    assert(r.R instanceof math.type.SparseMatrix);
+    assert.strictEqual(r.q, null);
+    _verify(m.valueOf(), r.Q.valueOf(), r.R.valueOf());
+    // same result as the dense decomposition
+    var d = math.qr(m.valueOf());
+    approx.deepEqual(r.Q.valueOf(), d.Q);
+    approx.deepEqual(r.R.valueOf(), d.R);
+  });
+
+  it('should decompose matrix, 2 x 3, sparse matrix', function () {
+    var m = math.sparse([[1, 0, 2], [0, 3, 4]]);
+
+    var r = math.qr(m);
+
+    assert.deepEqual(r.Q.size(), [2, 2]);
+    assert.deepEqual(r.R.size(), [2, 3]);
+    _verify(m.valueOf(), r.Q.valueOf(), r.R.valueOf());
+  });
+
+  it('should decompose matrix, 130 x 130, natural ordering (order=0), matrix market', function (done) {
+    // import matrix
+    market.import('tools/matrices/arc130.tar.gz', ['arc130/arc130.mtx'])
+      .then(function (matrices) {
+        // matrix
+        var m = matrices[0];
+
+        var r = math.qr(m, 0);
+
+        _verify(m.valueOf(), r.Q.valueOf(), r.R.valueOf());
+
+        // indicate test has completed
+        done();
+      })
+      .fail(function (error) {
+        // indicate test has completed
+        done(error);
+      });
+  });
+
+  it('should decompose matrix, 130 x 130, amd(A\'*A) (order=3), matrix market', function (done) {
+    // import matrix
+    market.import('tools/matrices/arc130.tar.gz', ['arc130/arc130.mtx'])
+      .then(function (matrices) {
+        // matrix
+        var m = matrices[0];
+
+        var r0 = math.qr(m, 0);
+        var r3 = math.qr(m, 3);
+
+        // verify A(:,q) = Q * R
+        var data = m.valueOf().map(function (row) {
+          return r3.q.map(function (j) {
+            return row[j];
+          });
+        });
+        _verify(data, r3.Q.valueOf(), r3.R.valueOf());
+        // fill-reducing ordering
+        assert(r3.R._values.length < r0.R._values.length);
+
+        // indicate test has completed
+        done();
+      })
+      .fail(function (error) {
+        // indicate test has completed
+        done(error);
+      });
+  });
+
+  it('should have a toString method', function () {
+    var r = math.qr(math.matrix([[2, 0], [0, 3]]));
+    assert.strictEqual(r.toString(), 'Q: [[1, 0], [0, 1]]\nR: [[2, 0], [0, 3]]');
+  });
+
+  it('should throw an error in case of invalid input', function () {
+    assert.throws(function () { math.qr([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { math.qr(math.sparse([[1]]), 4); }, /Symbolic Ordering and Analysis order must be an integer number in the interval \[0, 3\]/);
+    assert.throws(function () { math.qr(2); }, /TypeError: Unexpected type of argument/);
+  });
+
+  /**
+   * Verify A = Q * R, Q' * Q = I and R is upper triangular
+   */
+  var _verify = function (A, Q, R) {
+    var I = math.eye(Q[0].length).valueOf();
+    assert(math.norm(math.flatten(math.subtract(math.multiply(Q, R), A))) < 1e-12);
+    assert(math.norm(math.flatten(math.subtract(math.multiply(math.conj(math.transpose(Q)), Q), I))) < 1e-12);
+    for (var i = 0; i < R.length; i++) {
+      for (var j = 0; j < i && j < R[i].length; j++) {
+        approx.equal(math.abs(R[i][j]), 0);
+      }
+    }
+  };
+});
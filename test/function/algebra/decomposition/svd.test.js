@@ -0,0 +1,137 @@
+var assert = require('assert'),
+    approx = require('../../../../tools/approx'),
+    math = require('../../../../index');
+
+describe('svd', function () {
+
+  /**
+   * Verify A = U * diag(S) * V' and the orthonormality of U and V
+   */
+  function _verify (a, r) {
+    var u = r.U.valueOf();
+    var s = r.S.valueOf();
+    var v = r.V.valueOf();
+    var k = s.length;
+    // singular values are non negative and sorted in descending order
+    for (var i = 0; i < k; i++) {
+      assert(s[i] >= 0);
+      if (i > 0)
+        assert(s[i] <= s[i - 1]);
+    }
+    var usv = math.multiply(math.multiply(u, math.diag(s)), math.transpose(v));
+    assert(math.norm(math.subtract(usv, a.valueOf()), 'fro') < 1e-12 * Math.max(1, math.norm(a, 'fro')));
+    assert(math.norm(math.subtract(math.multiply(math.transpose(u), u), math.eye(k)), 'fro') < 1e-12);
+    assert(math.norm(math.subtract(math.multiply(math.transpose(v), v), math.eye(k)), 'fro') < 1e-12);
+  }
+
+  it('should decompose matrix, 2 x 2, array', function () {
+    var r = math.svd([[3, 0], [4, 5]]);
+
+    assert(Array.isArray(r.U));
+    assert(Array.isArray(r.S));
+    assert(Array.isArray(r.V));
+    approx.deepEqual(r.S, [3 * Math.sqrt(5), Math.sqrt(5)]);
+    approx.deepEqual(r.U, [[1 / Math.sqrt(10), 3 / Math.sqrt(10)], [3 / Math.sqrt(10), -1 / Math.sqrt(10)]]);
+    approx.deepEqual(r.V, [[Math.SQRT1_2, Math.SQRT1_2], [Math.SQRT1_2, -Math.SQRT1_2]]);
+  });
+
+  it('should decompose matrix, 3 x 2, dense matrix', function () {
+    var m = math.matrix([[1, 2], [3, 4], [5, 6]]);
+
+    var r = math.svd(m);
+
+    assert(r.U instanceof math.type.DenseMatrix);
+    assert(r.S instanceof math.type.DenseMatrix);
+    assert(r.V instanceof math.type.DenseMatrix);
+    assert.deepEqual(r.U.size(), [3, 2]);
+    assert.deepEqual(r.S.size(), [2]);
+    assert.deepEqual(r.V.size(), [2, 2]);
+    approx.deepEqual(r.S.valueOf(), [9.525518091565107, 0.514300580658644]);
+    _verify(m, r);
+  });
+
+  it('should decompose matrix, 2 x 3, dense matrix', function () {
+    var m = math.matrix([[1, 2, 3], [4, 5, 6]]);
+
+    var r = math.svd(m);
+
+    assert.deepEqual(r.U.size(), [2, 2]);
+    assert.deepEqual(r.S.size(), [2]);
+    assert.deepEqual(r.V.size(), [3, 2]);
+    approx.deepEqual(r.S.valueOf(), [9.508032000695723, 0.7728696356734847]);
+    _verify(m, r);
+  });
+
+  it('should decompose rank deficient matrices', function () {
+    var m = [[1, 2], [2, 4], [3, 6]];
+    var r = math.svd(m);
+    approx.deepEqual(r.S, [Math.sqrt(70), 0]);
+    _verify(m, r);
+
+    m = [[1, 2, 3], [2, 4, 6], [1, 1, 1], [0, 0, 0]];
+    r = math.svd(m);
+    assert.strictEqual(r.S.length, 3);
+    approx.equal(r.S[2], 0);
+    _verify(m, r);
+
+    m = [[0, 0, 0], [0, 0, 0]];
+    r = math.svd(m);
+    assert.deepEqual(r.S, [0, 0]);
+    _verify(m, r);
+  });
+
+  it('should decompose a larger matrix', function () {
+    var m = [];
+    for (var i = 0; i < 15; i++) {
+      m[i] = [];
+      for (var j = 0; j < 10; j++)
+        m[i][j] = Math.sin(i * 10 + j + 1);
+    }
+    _verify(m, math.svd(m));
+    _verify(math.transpose(m), math.svd(math.transpose(m)));
+  });
+
+  it('should decompose matrix with bignumbers', function () {
+    var a = math.bignumber([[3, 0], [4, 5]]);
+    var r = math.svd(a);
+    r.U.concat(r.S, r.V).forEach(function (value) {
+      (Array.isArray(value) ? value : [value]).forEach(function (x) {
+        assert(x instanceof math.type.BigNumber);
+      });
+    });
+    assert.strictEqual(r.S[0].toString().slice(0, 40), math.sqrt(math.bignumber(45)).toString().slice(0, 40));
+    assert.strictEqual(r.S[1].toString().slice(0, 40), math.sqrt(math.bignumber(5)).toString().slice(0, 40));
+    // A = U * diag(S) * V' with BigNumber precision
+    var usv = math.multiply(math.multiply(r.U, math.diag(r.S)), math.transpose(r.V));
+    assert(math.smaller(math.norm(math.subtract(usv, a), 'fro'), math.bignumber('1e-50')));
+  });
+
+  it('should decompose a sparse matrix', function () {
+    var m = math.sparse([[3, 0], [4, 5]]);
+    var r = math.svd(m);
+    approx.deepEqual(r.S.valueOf(), [3 * Math.sqrt(5), Math.sqrt(5)]);
+    _verify(m, r);
+  });
+
+  it('should handle empty and single value matrices', function () {
+    assert.deepEqual(math.svd([[-2]]), {U: [[-1]], S: [2], V: [[1]]});
+    assert.deepEqual(math.svd([[0]]), {U: [[1]], S: [0], V: [[1]]});
+    var r = math.svd([[3], [4]]);
+    approx.deepEqual(r, {U: [[0.6], [0.8]], S: [5], V: [[1]]});
+  });
+
+  it('should be available in the expression parser', function () {
+    approx.deepEqual(math.eval('svd([3, 0; 4, 5]).S'), math.matrix([3 * Math.sqrt(5), Math.sqrt(5)]));
+  });
+
+  it('should have a string representation', function () {
+    var r = math.svd(math.matrix([[2, 0], [0, 1]]));
+    assert.strictEqual(r.toString(), 'U: [[1, 0], [0, 1]]\nS: [2, 1]\nV: [[1, 0], [0, 1]]');
+  });
+
+  it('should throw an error in case of invalid input', function () {
+    assert.throws(function () { math.svd([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { math.svd([[math.complex(1, 1)]]); }, /TypeError: Matrix must contain numbers or BigNumbers/);
+    assert.throws(function () { math.svd(2); }, /TypeError: Unexpected type of argument/);
+  });
+});
@@ -0,0 +1,88 @@
+// test expand
+var assert = require('assert');
+var math = require('../../../index');
+
+describe('expand', function() {
+
+  function expandAndCompare(left, right) {
+    assert.equal(math.expand(left).toString(), right);
+  }
+
+  function expandAndCompareEval (expr, scope) {
+    var res = math.expand(expr);
+    assert.ok(Math.abs(res.eval(scope) - math.eval(expr, scope)) < 1e-12);
+  }
+
+  it('should multiply out products of sums', function() {
+    expandAndCompare('(a+b)*(a-b)', 'a ^ 2 - b ^ 2');
+    expandAndCompare('(x+1)*(x+2)*(x+3)', 'x ^ 3 + 6 * x ^ 2 + 11 * x + 6');
+    expandAndCompare('2*(x-y)', '2 * x - 2 * y');
+    expandAndCompare('-(x+y)', '-x - y');
+  });
+
+  it('should multiply out integer powers of sums', function() {
+    expandAndCompare('(x+1)^2', 'x ^ 2 + 2 * x + 1');
+    expandAndCompare('(a+b)^3', 'a ^ 3 + 3 * a ^ 2 * b + 3 * a * b ^ 2 + b ^ 3');
+    expandAndCompare('(x/2+1)^2', 'x ^ 2 / 4 + x + 1');
+    expandAndCompare('(x+1)^0', '1');
+    expandAndCompare('(x+1)^-2', '1 / (x + 1) ^ 2');
+  });
+
+  it('should collect like terms', function() {
+    expandAndCompare('(x+1)^2 - x^2', '2 * x + 1');
+    expandAndCompare('(x+y)^3 - (x-y)^3', '6 * x ^ 2 * y + 2 * y ^ 3');
+    expandAndCompare('0.1*x + 0.2*x', '3 * x / 10');
+    expandAndCompare('x - x', '0');
+  });
+
+  it('should collect like factors', function() {
+    expandAndCompare('x*y*x/y', 'x ^ 2');
+    expandAndCompare('(x^2)^3', 'x ^ 6');
+    expandAndCompare('x^0.5*x^0.5', 'x');
+    expandAndCompare('2^3*x', '8 * x');
+  });
+
+  it('should distribute division over sums', function() {
+    expandAndCompare('(x+1)/y', 'x / y + 1 / y');
+    expandAndCompare('(x+1)/(x+1)', '1');
+    expandAndCompare('(x+1)/(2y)', 'x / (2 * y) + 1 / (2 * y)');
+  });
+
+  it('should handle subexpressions which cannot be expanded like variables', function() {
+    expandAndCompare('2*sin(x)*(sin(x)+3)', '2 * sin(x) ^ 2 + 6 * sin(x)');
+    expandAndCompare('sin((x+1)^2)', 'sin(x ^ 2 + 2 * x + 1)');
+    expandAndCompare('x^n*x^n', '(x ^ n) ^ 2');
+    expandAndCompare('foo(x)', 'foo(x)');
+  });
+
+  it('should not change the value of the expression', function() {
+    expandAndCompareEval('(x+1)^2 - x^2', {x: 1.3});
+    expandAndCompareEval('(x-y)^3/(x*y) - y/x + sin(x)*(x+cos(y))', {x: 2.5, y: -0.3});
+    expandAndCompareEval('1.23456789012345678*x + 1', {x: 3});
+  });
+
+  it('should accept a node', function() {
+    var res = math.expand(math.parse('(x+1)^2'));
+    assert.ok(res && res.isNode);
+    assert.equal(res.toString(), 'x ^ 2 + 2 * x + 1');
+  });
+
+  it('should throw an error in case of division by zero', function() {
+    assert.throws(function () { math.expand('x/(y-y)'); }, /Cannot expand expression, division by zero/);
+  });
+
+  it('should throw an error in case of wrong arguments', function() {
+    assert.throws(function () { math.expand(); }, /TypeError: Too few arguments/);
+    assert.throws(function () { math.expand({}); }, /TypeError: Unexpected type of argument/);
+  });
+
+  describe('expression parser', function () {
+
+    it('should evaluate expand containing string value', function() {
+      var res = math.eval('expand("(a+b)^2")');
+      assert.ok(res && res.isNode);
+      assert.equal(res.toString(), 'a ^ 2 + 2 * a * b + b ^ 2');
+    });
+  });
+
+});
@@ -0,0 +1,108 @@
+// test rationalize
+var assert = require('assert');
+var math = require('../../../index');
+
+describe('rationalize', function() {
+
+  function rationalizeAndCompare(left, right, scope) {
+    assert.equal(math.rationalize(left, scope || {}).toString(), right);
+  }
+
+  function rationalizeAndCompareEval (expr, scope) {
+    var res = math.rationalize(expr);
+    assert.ok(Math.abs(res.eval(scope) - math.eval(expr, scope)) < 1e-12);
+  }
+
+  it('should transform a sum of fractions into a single fraction', function() {
+    rationalizeAndCompare('(x+1)/(x-1) + 2/x', '(x ^ 2 + 3 * x - 2) / (x ^ 2 - x)');
+    rationalizeAndCompare('1/x + 1/y', '(x + y) / (x * y)');
+    rationalizeAndCompare('x/(x+1) + 1/(x+1)', '1');
+    rationalizeAndCompare('2x/( (2x-1) / (3x+2) ) - 5x/ ( (3x+4) / (2x^2-5) ) + 3',
+        '(-20 * x ^ 4 + 28 * x ^ 3 + 104 * x ^ 2 + 6 * x - 12) / (6 * x ^ 2 + 5 * x - 4)');
+  });
+
+  it('should expand products and powers', function() {
+    rationalizeAndCompare('(2x+1)^2', '4 * x ^ 2 + 4 * x + 1');
+    rationalizeAndCompare('(x+y)^3', 'x ^ 3 + 3 * x ^ 2 * y + 3 * x * y ^ 2 + y ^ 3');
+    rationalizeAndCompare('(x-1)*(x+1)', 'x ^ 2 - 1');
+    rationalizeAndCompare('x^-2', '1 / x ^ 2');
+    rationalizeAndCompare('(x-1)^0', '1');
+    rationalizeAndCompare('x - x', '0');
+  });
+
+  it('should normalize the coefficients', function() {
+    rationalizeAndCompare('0.1*x + 0.2', '(x + 2) / 10');
+    rationalizeAndCompare('1/3 + x', '(3 * x + 1) / 3');
+    rationalizeAndCompare('(2x+2)/(4x)', '(x + 1) / (2 * x)');
+    rationalizeAndCompare('-x/(-y)', 'x / y');
+    rationalizeAndCompare('x/(1-x)', '-x / (x - 1)');
+  });
+
+  it('should cancel common factors of univariate expressions', function() {
+    rationalizeAndCompare('(x^2-1)/(2x-2)', '(x + 1) / 2');
+    rationalizeAndCompare('(x^3-x)/(x^2+x)', 'x - 1');
+  });
+
+  it('should evaluate constant subexpressions', function() {
+    rationalizeAndCompare('x * 2^3 + sqrt(4)', '8 * x + 2');
+  });
+
+  it('should substitute the values of a scope', function() {
+    rationalizeAndCompare('x/y + a', '(x + 3 * y) / y', {a: 3});
+    rationalizeAndCompare('x^n', 'x ^ 3', {n: 3});
+    rationalizeAndCompare('a*x', '2 * x / 3', {a: math.fraction(2, 3)});
+    rationalizeAndCompare('a*x', '-2 * x', {a: math.bignumber(-2)});
+  });
+
+  it('should not change the value of the expression', function() {
+    rationalizeAndCompareEval('(x+1)/(x-1) + 2/x', {x: 1.7});
+    rationalizeAndCompareEval('(x-y)^3/(x*y) - y/x', {x: 2.5, y: -0.3});
+    rationalizeAndCompareEval('0.5 * x / (0.25 + x^2)', {x: 3});
+  });
+
+  it('should return details', function() {
+    var res = math.rationalize('(x+1)/(x-1) + 2/x', true);
+    assert.equal(res.expression.toString(), '(x ^ 2 + 3 * x - 2) / (x ^ 2 - x)');
+    assert.equal(res.numerator.toString(), 'x ^ 2 + 3 * x - 2');
+    assert.equal(res.denominator.toString(), 'x ^ 2 - x');
+    assert.deepEqual(res.variables, ['x']);
+    assert.deepEqual(res.coefficients, [-2, 3, 1]);
+
+    res = math.rationalize(math.parse('(2x+1)^2'), {}, true);
+    assert.equal(res.denominator, null);
+    assert.deepEqual(res.coefficients, [1, 4, 4]);
+
+    res = math.rationalize('x*y + a', {a: 2}, true);
+    assert.deepEqual(res.variables, ['x', 'y']);
+    assert.deepEqual(res.coefficients, []);
+  });
+
+  it('should throw an error for expressions which are not rational', function() {
+    assert.throws(function () { math.rationalize('sin(x)'); }, /Cannot rationalize expression, function sin has non constant arguments/);
+    assert.throws(function () { math.rationalize('x^y'); }, /Cannot rationalize expression, exponent must be a constant integer/);
+    assert.throws(function () { math.rationalize('x^0.5'); }, /exponent must be a constant integer/);
+    assert.throws(function () { math.rationalize('1/(x-x)'); }, /Cannot rationalize expression, division by zero/);
+    assert.throws(function () { math.rationalize('[x, 2]'); }, /Unimplemented node type/);
+    assert.throws(function () { math.rationalize('x', {x: 'a'}); }, /TypeError: Number expected for variable "x" in scope/);
+  });
+
+  it('should throw an error in case of wrong arguments', function() {
+    assert.throws(function () { math.rationalize(); }, /TypeError: Too few arguments/);
+    assert.throws(function () { math.rationalize({}); }, /TypeError: Unexpected type of argument/);
+  });
+
+  describe('expression parser', function () {
+
+    it('should evaluate rationalize containing string value', function() {
+      var res = math.eval('rationalize("1/x + 1/y")');
+      assert.ok(res && res.isNode);
+      assert.equal(res.toString(), '(x + y) / (x * y)');
+    });
+
+    it('should evaluate rationalize with a scope', function() {
+      var res = math.eval('rationalize("x/y + a", {a: 3})');
+      assert.equal(res.toString(), '(x + 3 * y) / y');
+    });
+  });
+
+});
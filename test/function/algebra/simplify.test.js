@@ -29,6 +29,11 @@ describe('simplify', function() {
     simplifyAndCompare('3+sin(4)', '2.2431975046920716');
   });
 
+  it('should keep compound quantities', function() {
+    simplifyAndCompare('5 ft 3 in', '5 ft 3 in');
+    simplifyAndCompare('x * 5 ft 3 in', '5 ft 3 in * x');
+  });
+
   it('should collect like terms', function() {
     simplifyAndCompare('x+x', '2*x');
     simplifyAndCompare('2x+x', '3*x');
@@ -54,6 +59,15 @@ describe('simplify', function() {
     simplifyAndCompare('foo(x)', 'foo(x)');
   });
 
+  it('should expand and collect terms with option expand', function() {
+    assert.equal(math.simplify('(x+1)^2 - x^2', {expand: true}).toString(), '2 * x + 1');
+    assert.equal(math.simplify('(x+1)*(x-1) - (x^2 - 1)', {expand: true}).toString(), '0');
+    assert.equal(math.simplify('x*y + x*z', {expand: true}).toString(), 'x * y + x * z');
+    assert.equal(math.simplify(math.parse('(a+b)^2'), {expand: true}).toString(), 'a ^ 2 + 2 * a * b + b ^ 2');
+    assert.equal(math.simplify('2x+x', ['n+n -> 2*n'], {expand: true}).toString(), '3 * x');
+    assert.equal(math.simplify('(x+1)^2 - x^2', {expand: false}).toString(), '(x + 1) ^ 2 - x ^ 2');
+  });
+
   describe('expression parser' ,function () {
 
     it('should evaluate simplify containing string value', function() {
@@ -62,6 +76,12 @@ describe('simplify', function() {
       assert.equal(res.toString(), '5 * x');
     });
 
+    it('should evaluate simplify with options', function() {
+      var res = math.eval('simplify("(x+1)^2 - x^2", {expand: true})');
+      assert.ok(res && res.isNode)
+      assert.equal(res.toString(), '2 * x + 1');
+    });
+
     it('should evaluate simplify containing nodes', function() {
       var res = math.eval('simplify(parse("2x + 3x"))');
       assert.ok(res && res.isNode)
@@ -0,0 +1,93 @@
+// test cholsolve
+var assert = require('assert'),
+    approx = require('../../../../tools/approx'),
+    market = require('../../../../tools/matrixmarket'),
+    math = require('../../../../index');
+
+describe('cholsolve', function () {
+
+  var a = [
+    [4, 2, -2],
+    [2, 10, 2],
+    [-2, 2, 5]
+  ];
+
+  it('should solve linear system 3 x 3, arrays', function () {
+    var x = math.cholsolve(a, [2, 28, 17]);
+
+    assert(Array.isArray(x));
+    approx.deepEqual(x, [[1], [2], [3]]);
+  });
+
+  it('should solve linear system 3 x 3, matrices', function () {
+    var x = math.cholsolve(math.matrix(a), math.matrix([2, 28, 17]));
+
+    assert(x instanceof math.type.DenseMatrix);
+    approx.deepEqual(x, math.matrix([[1], [2], [3]]));
+  });
+
+  it('should solve linear system 3 x 3, sparse matrices', function () {
+    var x = math.cholsolve(math.sparse(a), [[2], [28], [17]]);
+
+    assert(x instanceof math.type.DenseMatrix);
+    approx.deepEqual(x, math.matrix([[1], [2], [3]]));
+  });
+
+  it('should solve linear system 3 x 3, sparse matrix with ordering', function () {
+    var x = math.cholsolve(math.sparse(a), [2, 28, 17], 1);
+
+    approx.deepEqual(x, math.matrix([[1], [2], [3]]));
+  });
+
+  it('should solve linear system 3 x 3, bignumbers', function () {
+    var x = math.cholsolve(math.bignumber(a), math.bignumber([4, 2, -2]));
+
+    assert(x[0][0] instanceof math.type.BigNumber);
+    assert.deepEqual(math.number(x), [[1], [0], [0]]);
+  });
+
+  it('should solve linear system 3 x 3, cholesky decomposition', function () {
+    var f = math.chol(a);
+
+    approx.deepEqual(math.cholsolve(f, [2, 28, 17]), math.matrix([[1], [2], [3]]));
+    approx.deepEqual(math.cholsolve(f, [4, 2, -2]), math.matrix([[1], [0], [0]]));
+  });
+
+  it('should solve linear system 48 x 48, amd(A+A\') (order=1), matrix market', function (done) {
+    // import matrix
+    market.import('tools/matrices/bcsstk01.tar.gz', ['bcsstk01/bcsstk01.mtx'])
+      .then(function (matrices) {
+        // matrix
+        var m = matrices[0];
+        // b vector
+        var b = [];
+        for (var i = 0; i < 48; i++)
+          b.push([i + 1]);
+
+        var f = math.chol(m, 1);
+        var x = math.cholsolve(f, b);
+
+        // compare with lusolve
+        approx.deepEqual(x.valueOf(), math.lusolve(m, b).valueOf());
+
+        // indicate test has completed
+        done();
+      })
+      .fail(function (error) {
+        // indicate test has completed
+        done(error);
+      });
+  });
+
+  it('should throw an error in case of a matrix which is not positive definite', function () {
+    assert.throws(function () { math.cholsolve([[1, 2], [2, 1]], [1, 1]); }, /Matrix must be symmetric positive definite/);
+  });
+
+  it('should throw an error in case of invalid decomposition', function () {
+    assert.throws(function () { math.cholsolve({L: 2}, [1, 1]); }, /TypeError: Invalid Matrix Cholesky decomposition/);
+  });
+
+  it('should throw an error in case of dimension mismatch', function () {
+    assert.throws(function () { math.cholsolve(a, [1, 2]); }, /RangeError: Dimension mismatch/);
+  });
+});
@@ -0,0 +1,97 @@
+// test lstsq
+var assert = require('assert'),
+    approx = require('../../../../tools/approx'),
+    math = require('../../../../index');
+
+describe('lstsq', function () {
+
+  it('should solve an overdetermined system, arrays', function () {
+    var r = math.lstsq([[1, 0], [1, 1], [1, 2]], [1, 3, 4]);
+
+    assert(Array.isArray(r.x));
+    approx.deepEqual(r.x, [[7 / 6], [1.5]]);
+    approx.deepEqual(r.residuals, [[-1 / 6], [1 / 3], [-1 / 6]]);
+    assert.strictEqual(r.rank, 2);
+  });
+
+  it('should solve an overdetermined system, matrices', function () {
+    var r = math.lstsq(math.matrix([[1, 0], [1, 1], [1, 2]]), math.matrix([[1], [3], [4]]));
+
+    assert(r.x instanceof math.type.DenseMatrix);
+    assert(r.residuals instanceof math.type.DenseMatrix);
+    approx.deepEqual(r.x, math.matrix([[7 / 6], [1.5]]));
+    assert.strictEqual(r.rank, 2);
+  });
+
+  it('should solve an overdetermined system, sparse matrix', function () {
+    var r = math.lstsq(math.sparse([[1, 0], [1, 1], [1, 2]]), [1, 3, 4]);
+
+    approx.deepEqual(r.x, math.matrix([[7 / 6], [1.5]]));
+  });
+
+  it('should solve a square system', function () {
+    var a = [[-2, 3], [2, 1]];
+    var b = [11, 9];
+
+    var r = math.lstsq(a, b);
+
+    approx.deepEqual(r.x, math.lusolve(a, b));
+    approx.deepEqual(r.residuals, [[0], [0]]);
+    assert.strictEqual(r.rank, 2);
+  });
+
+  it('should return the minimum norm solution of an underdetermined system', function () {
+    var r = math.lstsq([[1, 2, 3], [4, 5, 6]], [6, 15]);
+
+    approx.deepEqual(r.x, [[1], [1], [1]]);
+    assert.strictEqual(r.rank, 2);
+
+    approx.deepEqual(math.lstsq([[1, 1]], [2]).x, [[1], [1]]);
+  });
+
+  it('should return the minimum norm solution of a rank deficient system', function () {
+    var r = math.lstsq([[1, 2], [2, 4], [3, 6]], [1, 2, 3]);
+
+    approx.deepEqual(r.x, [[0.2], [0.4]]);
+    assert.strictEqual(r.rank, 1);
+
+    r = math.lstsq([[0, 0], [0, 0]], [1, 2]);
+    assert.deepEqual(r.x, [[0], [0]]);
+    assert.deepEqual(r.residuals, [[1], [2]]);
+    assert.strictEqual(r.rank, 0);
+  });
+
+  it('should solve a system with bignumbers', function () {
+    var r = math.lstsq(math.bignumber([[1, 0], [1, 1], [1, 2]]), math.bignumber([1, 3, 4]));
+
+    assert(r.x[0][0] instanceof math.type.BigNumber);
+    assert.strictEqual(math.round(r.x[0][0], 40).toString(), math.round(math.divide(math.bignumber(7), 6), 40).toString());
+    assert.strictEqual(math.round(r.x[1][0], 40).toString(), '1.5');
+  });
+
+  it('should solve a system with complex numbers', function () {
+    var a = [[math.complex(1, 1), 0], [1, 1], [0, math.complex(0, 2)]];
+    var b = [1, 2, 3];
+
+    var r = math.lstsq(a, b);
+
+    // normal equations A' * (b - A * x) = 0
+    var n = math.multiply(math.conj(math.transpose(a)), r.residuals);
+    approx.equal(math.abs(n[0][0]), 0);
+    approx.equal(math.abs(n[1][0]), 0);
+  });
+
+  it('should be available in the expression parser', function () {
+    var r = math.eval('lstsq([1, 0; 1, 1; 1, 2], [1, 3, 4])');
+
+    approx.deepEqual(r.x, math.matrix([[7 / 6], [1.5]]));
+    assert.strictEqual(r.rank, 2);
+  });
+
+  it('should throw an error in case of invalid input', function () {
+    assert.throws(function () { math.lstsq([1, 2], [1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { math.lstsq([[1, 2], [3, 4]], [1, 2, 3]); }, /RangeError: Dimension mismatch. Matrix rows must match vector length./);
+    assert.throws(function () { math.lstsq([[1, 2], [3, 4]], [[1, 2], [3, 4]]); }, /RangeError: Dimension mismatch/);
+    assert.throws(function () { math.lstsq([[1, 2], [3, 4]]); }, /TypeError: Too few arguments/);
+  });
+});
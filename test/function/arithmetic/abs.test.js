@@ -76,8 +76,8 @@ describe('abs', function () {
     u = math.abs(math.unit('-5 m'));
     assert.equal(u.toString(), '5 m');
 
-    u = math.abs(math.unit('-283.15 degC'));
-    assert.equal(u.toString(), '-263.15 degC');
+    u = math.abs(math.unit('-5 deltaC'));
+    assert.equal(u.toString(), '5 deltaC');
 
     u = math.abs(math.unit(math.fraction(2,3), 'm'));
     assert.equal(u.toString(), '2/3 m');
@@ -86,6 +86,11 @@ describe('abs', function () {
     assert.equal(u.toString(), '5 in');
   });
 
+  it('should throw an error for a unit with an offset', function () {
+    assert.throws(function () {math.abs(math.unit('-283.15 degC'))},
+        /Cannot calculate the absolute value of unit "degC" with an offset/);
+  });
+
   it('should throw an error in case of invalid number of arguments', function() {
     assert.throws(function () {math.abs()}, /TypeError: Too few arguments/);
     assert.throws(function () {math.abs(1, 2)}, /TypeError: Too many arguments/);
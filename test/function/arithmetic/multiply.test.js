@@ -158,6 +158,18 @@ describe('multiply', function() {
       assert.equal(math.format(multiply(unit(math.complex(2, 3), 'g'), math.complex(4, 5)), 14), '(-7 + 22i) g');
     });
 
+    it('should throw an error when multiplying a unit with an offset', function() {
+      assert.throws(function () {multiply(unit('5 degC'), 2)}, /Cannot multiply unit "degC" with an offset/);
+      assert.throws(function () {multiply(2, unit('5 degC'))}, /Cannot multiply unit "degC" with an offset/);
+      assert.throws(function () {multiply(unit('5 degC'), unit('2 m'))}, /Cannot multiply unit "degC" with an offset/);
+      assert.equal(multiply(unit('5 deltaC'), 2).toString(), '10 deltaC');
+    });
+
+    it('should not apply the offset of a valueless unit in a product', function() {
+      assert.equal(math.divide(unit('4.18 J'), unit('degC')).toString(), '4.18 J / degC');
+      assert.equal(math.divide(unit('4.18 J'), unit('degC')).to('J/K').toString(), '4.18 J / K');
+    });
+
     it('should multiply a number and a unit without value correctly', function() {
       assert.equal(multiply(2, unit('mm')).toString(), '2 mm');
       assert.equal(multiply(2, unit('km')).toString(), '2 km');
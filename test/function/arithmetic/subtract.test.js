@@ -99,6 +99,24 @@ describe('subtract', function() {
     assert.deepEqual(subtract(math.unit(math.complex(10,10), 'K'), math.unit(3, 'K')), math.unit(math.complex(7,10), 'K'));
   });
 
+  it('should subtract units with an offset', function() {
+    assert.equal(subtract(math.unit(30, 'degC'), math.unit(20, 'degC')).format(14), '10 deltaC');
+    assert.equal(subtract(math.unit(100, 'degF'), math.unit(32, 'degF')).format(14), '68 deltaF');
+    assert.equal(subtract(math.unit(30, 'degC'), math.unit(50, 'degF')).format(14), '20 deltaC');
+    assert.equal(subtract(math.unit(30, 'degC'), math.unit(5, 'deltaC')).format(14), '25 degC');
+    assert.equal(subtract(math.unit(30, 'degC'), math.unit(5, 'K')).format(14), '25 degC');
+    assert.throws(function () { subtract(math.unit(5, 'deltaC'), math.unit(20, 'degC')); },
+        /Cannot subtract unit "degC" with an offset from unit "deltaC"/);
+  });
+
+  it('should subtract logarithmic units', function() {
+    assert.equal(subtract(math.unit(10, 'dBm'), math.unit(7, 'dBm')).format(14), '3 dB');
+    assert.equal(subtract(math.unit(10, 'dBm'), math.unit(3, 'dB')).format(14), '7 dBm');
+    assert.equal(subtract(math.unit(6, 'dBV'), math.unit(0, 'dBV')).format(14), '6 dB');
+    assert.throws(function () { subtract(math.unit(3, 'dB'), math.unit(10, 'dBm')); }, /Cannot subtract units "dB" and "dBm"/);
+    assert.throws(function () { subtract(math.unit(10, 'dBm'), math.unit(1, 'mW')); }, /Cannot subtract units "dBm" and "mW"/);
+  });
+
   it('should throw an error if subtracting two quantities of different units', function() {
     assert.throws(function () {
       subtract(math.unit(5, 'km'), math.unit(100, 'gram'));
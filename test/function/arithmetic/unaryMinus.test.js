@@ -56,6 +56,11 @@ describe('unaryMinus', function() {
     assert.equal(math.unaryMinus(math.unit(complex(2,-4), 'gal')).toString(), '(-2 + 4i) gal');
   });
 
+  it('should perform unary minus of a logarithmic ratio', function() {
+    assert.equal(math.unaryMinus(math.unit(3, 'dB')).format(14), '-3 dB');
+    assert.throws(function () {math.unaryMinus(math.unit(3, 'dBm'))}, /Cannot scale logarithmic level "dBm"/);
+  });
+
   it('should perform element-wise unary minus on a matrix', function() {
     a2 = math.matrix([[1,2],[3,4]]);
     var a7 = math.unaryMinus(a2);
@@ -0,0 +1,38 @@
+var assert = require('assert');
+var approx = require('../../../tools/approx');
+var math = require('../../../index');
+var cond = math.cond;
+
+describe('cond', function() {
+
+  it('should return the condition number of a matrix', function() {
+    approx.equal(cond([[1, 0], [0, 2]]), 2);
+    approx.equal(cond([[1, 2], [3, 4]]), 14.933034373659268);
+    approx.equal(cond([[1, 1], [1, 1.001]]), 4002.0007501256664);
+    approx.equal(cond(math.matrix([[1, 2], [3, 4], [5, 6]])), 18.52157086055554);
+    approx.equal(cond(math.matrix([[2, 0, 0], [0, 3, 0]])), 1.5);
+  });
+
+  it('should return the condition number of a matrix with bignumbers', function() {
+    var r = cond(math.bignumber([[1, 0], [0, 2]]));
+    assert(r instanceof math.type.BigNumber);
+    assert.deepEqual(r, math.bignumber(2));
+    assert.deepEqual(cond(math.bignumber([[0, 0], [0, 0]])), math.bignumber(Infinity));
+  });
+
+  it('should return Infinity for singular matrices', function() {
+    assert.strictEqual(cond([[1, 2], [2, 4]]), Infinity);
+    assert.strictEqual(cond([[0, 0], [0, 0]]), Infinity);
+  });
+
+  it('should be available in the expression parser', function() {
+    approx.equal(math.eval('cond([1, 0; 0, 4])'), 4);
+  });
+
+  it('should throw an error in case of invalid input', function() {
+    assert.throws(function () { cond([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { cond([[]]); }, /RangeError: Cannot calculate the condition number of an empty matrix/);
+    assert.throws(function () { cond(2); }, /TypeError: Unexpected type of argument/);
+    assert.throws(function () { cond(); }, /TypeError: Too few arguments/);
+  });
+});
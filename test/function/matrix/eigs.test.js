@@ -0,0 +1,135 @@
+var assert = require('assert');
+var approx = require('../../../tools/approx');
+var math = require('../../../index');
+var BigNumber = math.type.BigNumber;
+var Complex = math.type.Complex;
+var DenseMatrix = math.type.DenseMatrix;
+var eigs = math.eigs;
+
+/**
+ * Verify A * v = lambda * v for all eigenvalues and eigenvectors
+ */
+function verify (A, r) {
+  var values = r.values.valueOf();
+  var vectors = r.vectors.valueOf();
+  A = A.valueOf();
+  for (var i = 0; i < values.length; i++) {
+    var v = vectors.map(function (row) {
+      return row[i];
+    });
+    var diff = math.subtract(math.multiply(A, v), math.multiply(values[i], v));
+    assert(math.norm(diff) < 1e-12, 'eigenpair ' + i + ' does not match');
+    approx.equal(math.norm(v), 1);
+  }
+}
+
+describe('eigs', function() {
+
+  it('should calculate the eigenvalues and eigenvectors of a symmetric matrix', function() {
+    var A = [[2, 1], [1, 2]];
+    var r = eigs(A);
+
+    assert(Array.isArray(r.values));
+    assert(Array.isArray(r.vectors));
+    approx.deepEqual(r.values, [1, 3]);
+    approx.deepEqual(r.vectors, [[Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2]]);
+    verify(A, r);
+  });
+
+  it('should return eigenvalues of a symmetric matrix in ascending order', function() {
+    var A = [[9, 4, 0], [4, 3, 0], [0, 0, 2]];
+    var r = eigs(A);
+
+    approx.deepEqual(r.values, [1, 2, 11]);
+    verify(A, r);
+    // eigenvectors are orthonormal
+    approx.deepEqual(math.multiply(math.transpose(r.vectors), r.vectors), math.eye(3).valueOf());
+  });
+
+  it('should calculate the eigenvalues of a matrix', function() {
+    var A = math.matrix([[2, 1], [1, 2]]);
+    var r = eigs(A);
+
+    assert(r.values instanceof DenseMatrix);
+    assert(r.vectors instanceof DenseMatrix);
+    approx.deepEqual(r.values, math.matrix([1, 3]));
+  });
+
+  it('should calculate the eigenvalues of a symmetric matrix with bignumbers', function() {
+    var A = math.bignumber([[2, 1], [1, 2]]);
+    var r = eigs(A);
+
+    assert(r.values[0] instanceof BigNumber);
+    assert.strictEqual(math.round(r.values[0], 50).toString(), '1');
+    assert.strictEqual(math.round(r.values[1], 50).toString(), '3');
+    assert.strictEqual(math.round(r.vectors[0][1], 50).toString(), math.round(math.sqrt(math.bignumber(0.5)), 50).toString());
+  });
+
+  it('should calculate the eigenvalues and eigenvectors of a general real matrix', function() {
+    var A = [[1, 2, 3], [4, 5, 6], [7, 8, 10]];
+    var r = eigs(A);
+
+    approx.deepEqual(r.values, [-0.9057402099130052, 0.19824726114057434, 16.707493048772424]);
+    verify(A, r);
+
+    A = [[1, 2], [3, 4]];
+    r = eigs(A);
+    approx.deepEqual(r.values, [(5 - Math.sqrt(33)) / 2, (5 + Math.sqrt(33)) / 2]);
+    verify(A, r);
+  });
+
+  it('should calculate complex eigenvalues of a general real matrix', function() {
+    var A = [[0, -1], [1, 0]];
+    var r = eigs(A);
+
+    assert(r.values[0] instanceof Complex);
+    approx.deepEqual(r.values, [math.complex(0, -1), math.complex(0, 1)]);
+    verify(A, r);
+
+    A = [[1, -2, 0], [2, 1, 0], [0, 0, 3]];
+    r = eigs(A);
+    approx.deepEqual(r.values, [math.complex(1, -2), math.complex(1, 2), 3]);
+    verify(A, r);
+  });
+
+  it('should calculate the eigenvalues of a general matrix with bignumbers', function() {
+    var r = eigs(math.bignumber([[1, 2], [3, 4]]));
+
+    approx.deepEqual(r.values, [(5 - Math.sqrt(33)) / 2, (5 + Math.sqrt(33)) / 2]);
+  });
+
+  it('should calculate the eigenvalues of a larger matrix', function() {
+    var A = [];
+    for (var i = 0; i < 12; i++) {
+      A[i] = [];
+      for (var j = 0; j < 12; j++) {
+        A[i][j] = Math.sin(i * 12 + j + 1);
+      }
+    }
+    verify(A, eigs(A));
+    verify(math.add(A, math.transpose(A)), eigs(math.add(A, math.transpose(A))));
+  });
+
+  it('should calculate the eigenvalues of a matrix with small values', function() {
+    approx.deepEqual(eigs([[1e-20, 2e-20], [2e-20, 1e-20]]).values, [-1e-20, 3e-20]);
+  });
+
+  it('should handle trivial matrices', function() {
+    assert.deepEqual(eigs([[5]]), {values: [5], vectors: [[1]]});
+    assert.deepEqual(eigs([[0, 0], [0, 0]]).values, [0, 0]);
+    assert.deepEqual(eigs([[1, 1], [0, 1]]).values, [1, 1]);
+  });
+
+  it('should be available in the expression parser', function() {
+    var r = math.eval('eigs([2, 1; 1, 2])');
+    approx.deepEqual(r.values, math.matrix([1, 3]));
+  });
+
+  it('should throw an error in case of invalid input', function() {
+    assert.throws(function () { eigs([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { eigs([[1, 2, 3], [4, 5, 6]]); }, /RangeError: Matrix must be square \(size: \[2, 3\]\)/);
+    assert.throws(function () { eigs([[math.complex(1, 1), 2], [2, 1]]); }, /TypeError: Matrix must contain numbers or BigNumbers/);
+    assert.throws(function () { eigs(2); }, /TypeError: Unexpected type of argument/);
+    assert.throws(function () { eigs(); }, /TypeError: Too few arguments/);
+  });
+});
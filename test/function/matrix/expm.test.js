@@ -0,0 +1,67 @@
+var assert = require('assert');
+var approx = require('../../../tools/approx');
+var math = require('../../../index');
+var expm = math.expm;
+
+describe('expm', function() {
+
+  it('should calculate the exponential of a matrix', function() {
+    assert.deepEqual(expm([[0, 0], [0, 0]]), [[1, 0], [0, 1]]);
+    approx.deepEqual(expm([[0, 1], [0, 0]]), [[1, 1], [0, 1]]);
+    approx.deepEqual(expm([[1, 0], [0, 2]]), [[Math.E, 0], [0, Math.E * Math.E]]);
+    approx.deepEqual(expm([[0, 2], [-2, 0]]), [[Math.cos(2), Math.sin(2)], [-Math.sin(2), Math.cos(2)]]);
+    approx.deepEqual(expm([[1, 2], [3, 4]]), [
+      [51.968956198705044, 74.73656456700328],
+      [112.10484685050491, 164.07380304920997]
+    ]);
+  });
+
+  it('should calculate the exponential of a matrix with a large norm', function() {
+    approx.deepEqual(expm([[-49, 24], [-64, 31]]), [
+      [-0.735758758144758, 0.551819099658100],
+      [-1.471517599088267, 1.103638240715535]
+    ]);
+    approx.deepEqual(expm([[20, 0], [0, -20]]), [[Math.exp(20), 0], [0, Math.exp(-20)]]);
+  });
+
+  it('should calculate the exponential of a DenseMatrix', function() {
+    var r = expm(math.matrix([[0, 1], [0, 0]]));
+    assert(r instanceof math.type.DenseMatrix);
+    approx.deepEqual(r.valueOf(), [[1, 1], [0, 1]]);
+  });
+
+  it('should calculate the exponential of a matrix with complex numbers', function() {
+    approx.deepEqual(expm([[math.complex(0, Math.PI)]]), [[math.complex(-1, 0)]]);
+    approx.deepEqual(expm([[math.complex(0, 1), 0], [0, 0]]), [[math.complex(Math.cos(1), Math.sin(1)), 0], [0, 1]]);
+  });
+
+  it('should calculate the exponential of a matrix with bignumbers', function() {
+    var r = expm(math.bignumber([[1, 0], [0, 2]]));
+    assert(r[0][0] instanceof math.type.BigNumber);
+    var expected = [[math.exp(math.bignumber(1)), 0], [0, math.exp(math.bignumber(2))]];
+    assert(math.smaller(math.norm(math.subtract(r, expected), 'fro'), math.bignumber('1e-60')));
+
+    r = expm(math.bignumber([[0, 2], [-2, 0]]));
+    var cos = math.cos(math.bignumber(2));
+    var sin = math.sqrt(math.subtract(1, math.square(cos)));
+    expected = [[cos, sin], [math.unaryMinus(sin), cos]];
+    assert(math.smaller(math.norm(math.subtract(r, expected), 'fro'), math.bignumber('1e-60')));
+  });
+
+  it('should be the inverse of logm', function() {
+    var a = [[1, 2, 0], [0, 1, 1], [1, 0, 3]];
+    approx.deepEqual(math.logm(expm(a)), a);
+  });
+
+  it('should be available in the expression parser', function() {
+    approx.deepEqual(math.eval('expm([0, 1; 0, 0])'), math.matrix([[1, 1], [0, 1]]));
+  });
+
+  it('should throw an error in case of invalid input', function() {
+    assert.throws(function () { expm([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { expm([[1, 2, 3], [4, 5, 6]]); }, /RangeError: Matrix must be square \(size: \[2, 3\]\)/);
+    assert.throws(function () { expm([['a']]); }, /TypeError: Matrix must contain numbers, BigNumbers or Complex numbers/);
+    assert.throws(function () { expm(2); }, /TypeError: Unexpected type of argument/);
+    assert.throws(function () { expm(); }, /TypeError: Too few arguments/);
+  });
+});
@@ -0,0 +1,60 @@
+var assert = require('assert');
+var approx = require('../../../tools/approx');
+var math = require('../../../index');
+var logm = math.logm;
+
+describe('logm', function() {
+
+  it('should calculate the logarithm of a matrix', function() {
+    assert.deepEqual(logm([[1, 0], [0, 1]]), [[0, 0], [0, 0]]);
+    approx.deepEqual(logm([[1, 1], [0, 1]]), [[0, 1], [0, 0]]);
+    approx.deepEqual(logm([[Math.E, 0], [0, 1]]), [[1, 0], [0, 0]]);
+    approx.deepEqual(logm([[2, 0], [0, 3]]), [[Math.log(2), 0], [0, Math.log(3)]]);
+    approx.deepEqual(logm([[Math.cos(1), -Math.sin(1)], [Math.sin(1), Math.cos(1)]]), [[0, -1], [1, 0]]);
+  });
+
+  it('should be the inverse of expm', function() {
+    var a = [[1, 2], [0, 3]];
+    approx.deepEqual(logm(math.expm(a)), a);
+
+    a = [[0.5, -1, 0.25], [1, 0.2, 0], [0, 0.3, -0.4]];
+    approx.deepEqual(logm(math.expm(a)), a);
+  });
+
+  it('should return a complex result for a matrix with negative eigenvalues', function() {
+    var r = logm([[-1, 0], [0, -1]]);
+    assert(r[0][0].isComplex);
+    approx.equal(r[0][0].im, Math.PI);
+    approx.equal(r[1][1].im, Math.PI);
+
+    var a = [[1, 2], [3, 4]];
+    approx.deepEqual(math.expm(logm(a)), [[math.complex(1, 0), math.complex(2, 0)], [math.complex(3, 0), math.complex(4, 0)]]);
+  });
+
+  it('should calculate the logarithm of a matrix with complex numbers', function() {
+    approx.deepEqual(logm([[math.complex(0, 1)]]), [[math.complex(0, Math.PI / 2)]]);
+  });
+
+  it('should calculate the logarithm of a DenseMatrix', function() {
+    var r = logm(math.matrix([[1, 1], [0, 1]]));
+    assert(r instanceof math.type.DenseMatrix);
+    approx.deepEqual(r.valueOf(), [[0, 1], [0, 0]]);
+    approx.deepEqual(logm(math.bignumber([[2, 0], [0, 3]])), [[Math.log(2), 0], [0, Math.log(3)]]);
+  });
+
+  it('should be available in the expression parser', function() {
+    approx.deepEqual(math.eval('logm([1, 1; 0, 1])'), math.matrix([[0, 1], [0, 0]]));
+  });
+
+  it('should throw an error in case of a singular matrix', function() {
+    assert.throws(function () { logm([[0, 0], [0, 1]]); }, /Error: Cannot calculate logarithm, matrix is singular/);
+  });
+
+  it('should throw an error in case of invalid input', function() {
+    assert.throws(function () { logm([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { logm([[1, 2, 3], [4, 5, 6]]); }, /RangeError: Matrix must be square \(size: \[2, 3\]\)/);
+    assert.throws(function () { logm([['a']]); }, /TypeError: Matrix must contain numbers, BigNumbers or Complex numbers/);
+    assert.throws(function () { logm(2); }, /TypeError: Unexpected type of argument/);
+    assert.throws(function () { logm(); }, /TypeError: Too few arguments/);
+  });
+});
@@ -0,0 +1,60 @@
+var assert = require('assert');
+var approx = require('../../../tools/approx');
+var math = require('../../../index');
+var pinv = math.pinv;
+
+describe('pinv', function() {
+
+  it('should return the inverse of a non-singular square matrix', function() {
+    approx.deepEqual(pinv([[1, 2], [3, 4]]), [[-2, 1], [1.5, -0.5]]);
+    approx.deepEqual(pinv([[1, 4, 7], [3, 0, 5], [-1, 9, 11]]), math.inv([[1, 4, 7], [3, 0, 5], [-1, 9, 11]]));
+  });
+
+  it('should return the pseudo-inverse of a singular matrix', function() {
+    approx.deepEqual(pinv([[1, 2], [2, 4]]), [[0.04, 0.08], [0.08, 0.16]]);
+    assert.deepEqual(pinv([[0, 0], [0, 0]]), [[0, 0], [0, 0]]);
+  });
+
+  it('should return the pseudo-inverse of a rectangular matrix', function() {
+    approx.deepEqual(pinv([[1], [2]]), [[0.2, 0.4]]);
+    approx.deepEqual(pinv([[1, 2, 3]]), [[1 / 14], [2 / 14], [3 / 14]]);
+    approx.deepEqual(pinv([[1, 2], [3, 4], [5, 6]]), [[-4 / 3, -1 / 3, 2 / 3], [13 / 12, 1 / 3, -5 / 12]]);
+  });
+
+  it('should satisfy the Moore-Penrose conditions', function() {
+    var a = [[1, 2, 3], [4, 5, 6], [7, 8, 9], [1, 0, 1]];
+    var x = pinv(a);
+    assert(math.norm(math.subtract(math.multiply(math.multiply(a, x), a), a), 'fro') < 1e-12);
+    assert(math.norm(math.subtract(math.multiply(math.multiply(x, a), x), x), 'fro') < 1e-12);
+    // A * X and X * A are symmetric
+    assert(math.norm(math.subtract(math.multiply(a, x), math.transpose(math.multiply(a, x))), 'fro') < 1e-12);
+    assert(math.norm(math.subtract(math.multiply(x, a), math.transpose(math.multiply(x, a))), 'fro') < 1e-12);
+  });
+
+  it('should return the pseudo-inverse of a matrix', function() {
+    var r = pinv(math.matrix([[1], [2]]));
+    assert(r instanceof math.type.DenseMatrix);
+    approx.deepEqual(r.valueOf(), [[0.2, 0.4]]);
+
+    r = pinv(math.sparse([[2, 0], [0, 0]]));
+    assert(r instanceof math.type.SparseMatrix);
+    assert.deepEqual(r.valueOf(), [[0.5, 0], [0, 0]]);
+  });
+
+  it('should return the pseudo-inverse of a matrix with bignumbers', function() {
+    var r = pinv(math.bignumber([[1, 2], [3, 4]]));
+    assert(r[0][0] instanceof math.type.BigNumber);
+    assert.deepEqual(math.round(r, 50), math.bignumber([[-2, 1], [1.5, -0.5]]));
+    assert.deepEqual(pinv(math.bignumber([[0, 0], [0, 0]])), math.bignumber([[0, 0], [0, 0]]));
+  });
+
+  it('should be available in the expression parser', function() {
+    approx.deepEqual(math.eval('pinv([1, 2; 2, 4])'), math.matrix([[0.04, 0.08], [0.08, 0.16]]));
+  });
+
+  it('should throw an error in case of invalid input', function() {
+    assert.throws(function () { pinv([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { pinv(2); }, /TypeError: Unexpected type of argument/);
+    assert.throws(function () { pinv(); }, /TypeError: Too few arguments/);
+  });
+});
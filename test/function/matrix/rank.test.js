@@ -0,0 +1,33 @@
+var assert = require('assert');
+var math = require('../../../index');
+var rank = math.rank;
+
+describe('rank', function() {
+
+  it('should return the rank of a matrix', function() {
+    assert.strictEqual(rank([[1, 2], [3, 4]]), 2);
+    assert.strictEqual(rank([[1, 2], [2, 4]]), 1);
+    assert.strictEqual(rank([[0, 0], [0, 0]]), 0);
+    assert.strictEqual(rank([[1, 2, 3], [4, 5, 6], [7, 8, 9]]), 2);
+    assert.strictEqual(rank(math.matrix([[1, 2, 3], [2, 4, 6]])), 1);
+    assert.strictEqual(rank(math.matrix([[1, 0], [0, 1], [1, 1]])), 2);
+    assert.strictEqual(rank(math.bignumber([[1, 2], [3, 4]])), 2);
+    assert.strictEqual(rank([[]]), 0);
+  });
+
+  it('should return the rank of a matrix with a given tolerance', function() {
+    assert.strictEqual(rank([[1, 0], [0, 1e-6]]), 2);
+    assert.strictEqual(rank([[1, 0], [0, 1e-6]], 1e-3), 1);
+    assert.strictEqual(rank(math.matrix([[1, 0], [0, 1e-6]]), 1e-9), 2);
+  });
+
+  it('should be available in the expression parser', function() {
+    assert.strictEqual(math.eval('rank([1, 2, 3; 2, 4, 6])'), 1);
+  });
+
+  it('should throw an error in case of invalid input', function() {
+    assert.throws(function () { rank([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { rank(2); }, /TypeError: Unexpected type of argument/);
+    assert.throws(function () { rank(); }, /TypeError: Too few arguments/);
+  });
+});
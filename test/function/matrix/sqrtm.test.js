@@ -0,0 +1,75 @@
+var assert = require('assert');
+var approx = require('../../../tools/approx');
+var math = require('../../../index');
+var sqrtm = math.sqrtm;
+
+/**
+ * Largest absolute value of X * X - A, relative to the largest absolute value of A
+ */
+function residual (x, a) {
+  return math.max(math.abs(math.subtract(math.multiply(x, x), a))) / math.max(math.abs(a));
+}
+
+describe('sqrtm', function() {
+
+  it('should calculate the square root of a matrix', function() {
+    approx.deepEqual(sqrtm([[4]]), [[2]]);
+    approx.deepEqual(sqrtm([[4, 0], [0, 9]]), [[2, 0], [0, 3]]);
+    approx.deepEqual(sqrtm([[33, 24], [48, 57]]), [[5, 2], [4, 7]]);
+    approx.deepEqual(sqrtm([[1, 1], [0, 1]]), [[1, 0.5], [0, 1]]);
+    assert.deepEqual(sqrtm([[0, 0], [0, 0]]), [[0, 0], [0, 0]]);
+  });
+
+  it('should return a real result for a real matrix with complex eigenvalues', function() {
+    var r = sqrtm([[0, -1], [1, 0]]);
+    assert.strictEqual(typeof r[0][0], 'number');
+    approx.deepEqual(r, [[Math.SQRT1_2, -Math.SQRT1_2], [Math.SQRT1_2, Math.SQRT1_2]]);
+  });
+
+  it('should return a complex result for a matrix with negative eigenvalues', function() {
+    approx.deepEqual(sqrtm([[-4, 0], [0, -9]]), [[math.complex(0, 2), math.complex(0, 0)], [math.complex(0, 0), math.complex(0, 3)]]);
+    var a = [[1, 2], [3, 4]];
+    var r = sqrtm(a);
+    assert(r[0][0].isComplex);
+    assert(residual(r, a) < 1e-14);
+  });
+
+  it('should calculate the square root of a matrix with complex numbers', function() {
+    var a = [[math.complex(1, 2), 3], [math.complex(0, -1), 4]];
+    assert(residual(sqrtm(a), a) < 1e-14);
+    approx.deepEqual(sqrtm([[math.complex(0, 2)]]), [[math.complex(1, 1)]]);
+  });
+
+  it('should calculate the square root of a larger matrix', function() {
+    var a = [];
+    for (var i = 0; i < 12; i++) {
+      a[i] = [];
+      for (var j = 0; j < 12; j++)
+        a[i][j] = Math.sin(i * 12 + j + 1);
+    }
+    assert(residual(sqrtm(a), a) < 1e-13);
+  });
+
+  it('should calculate the square root of a DenseMatrix', function() {
+    var r = sqrtm(math.matrix([[4, 0], [0, 9]]));
+    assert(r instanceof math.type.DenseMatrix);
+    approx.deepEqual(r.valueOf(), [[2, 0], [0, 3]]);
+    approx.deepEqual(sqrtm(math.bignumber([[4, 0], [0, 9]])), [[2, 0], [0, 3]]);
+  });
+
+  it('should be available in the expression parser', function() {
+    approx.deepEqual(math.eval('sqrtm([33, 24; 48, 57])'), math.matrix([[5, 2], [4, 7]]));
+  });
+
+  it('should throw an error when the square root does not exist', function() {
+    assert.throws(function () { sqrtm([[0, 1], [0, 0]]); }, /Error: Matrix square root does not exist/);
+  });
+
+  it('should throw an error in case of invalid input', function() {
+    assert.throws(function () { sqrtm([1, 2]); }, /RangeError: Matrix must be two dimensional \(size: \[2\]\)/);
+    assert.throws(function () { sqrtm([[1, 2, 3], [4, 5, 6]]); }, /RangeError: Matrix must be square \(size: \[2, 3\]\)/);
+    assert.throws(function () { sqrtm([['a']]); }, /TypeError: Matrix must contain numbers, BigNumbers or Complex numbers/);
+    assert.throws(function () { sqrtm(2); }, /TypeError: Unexpected type of argument/);
+    assert.throws(function () { sqrtm(); }, /TypeError: Too few arguments/);
+  });
+});
@@ -3,7 +3,6 @@ var error = require('../../../lib/error/index');
 var seed = require('seed-random');
 var _ = require('underscore');
 var math = require('../../../index');
-math.import(require('../../../lib/function/probability/distribution'));
 
 var Matrix = math.type.Matrix;
 var distribution = math.distribution;
@@ -580,29 +579,261 @@ describe('distribution', function () {
 
   describe('distribution.normal', function() {
 
-    it('should pick numbers in [0, 1] following a normal distribution', function() {
+    it('should pick numbers following a normal distribution', function() {
       var picked = [], count, dist = distribution('normal');
 
       _.times(100000, function() {
         picked.push(dist.random())
       });
+
+      count = _.filter(picked, function(val) { return val < -1 }).length;
+      assertApproxEqual(count/picked.length, 0.1587, 0.01);
       count = _.filter(picked, function(val) { return val < 0 }).length;
-      assert.equal(count, 0);
-      count = _.filter(picked, function(val) { return val > 1 }).length;
-      assert.equal(count, 0);
-
-      count = _.filter(picked, function(val) { return val < 0.25 }).length;
-      assertApproxEqual(count/picked.length, 0.07, 0.01);
-      count = _.filter(picked, function(val) { return val < 0.4 }).length;
-      assertApproxEqual(count/picked.length, 0.27, 0.01);
-      count = _.filter(picked, function(val) { return val < 0.5 }).length;
       assertApproxEqual(count/picked.length, 0.5, 0.01);
-      count = _.filter(picked, function(val) { return val < 0.6 }).length;
-      assertApproxEqual(count/picked.length, 0.73, 0.01);
-      count = _.filter(picked, function(val) { return val < 0.75 }).length;
-      assertApproxEqual(count/picked.length, 0.93, 0.01);
+      count = _.filter(picked, function(val) { return val < 1 }).length;
+      assertApproxEqual(count/picked.length, 0.8413, 0.01);
+      count = _.filter(picked, function(val) { return val < 1.96 }).length;
+      assertApproxEqual(count/picked.length, 0.975, 0.01);
+    });
+
+    it('should pick numbers following a normal distribution with given mean and standard deviation', function() {
+      var picked = distribution('normal', 100, 15).random([10000]);
+
+      assertApproxEqual(math.mean(picked), 100, 0.5);
+      assertApproxEqual(math.std(picked), 15, 0.5);
+    });
+
+    it('should calculate pdf, cdf and inv', function() {
+      var dist = distribution('normal', 100, 15);
+      assertApproxEqual(dist.pdf(100), 1 / (15 * Math.sqrt(2 * Math.PI)), 1e-15);
+      assertApproxEqual(dist.cdf(130), 0.9772498680518208, 1e-14);
+      assertApproxEqual(dist.inv(0.9772498680518208), 130, 1e-9);
+      assert.strictEqual(dist.inv(0.5), 100);
+      assert.strictEqual(dist.inv(0), -Infinity);
+      assert.strictEqual(dist.inv(1), Infinity);
+
+      dist = distribution('normal');
+      assertApproxEqual(dist.cdf(1.96), 0.9750021048517795, 1e-14);
+      assertApproxEqual(dist.cdf(-10), 7.61985302416047e-24, 1e-36);
+      assertApproxEqual(dist.inv(0.975), 1.959963984540054, 1e-12);
+    });
+
+    it('should calculate mean and variance', function() {
+      var dist = distribution('normal', 100, 15);
+      assert.strictEqual(dist.mean(), 100);
+      assert.strictEqual(dist.variance(), 225);
+    });
+
+    it('should throw an error for randomInt and pickRandom', function() {
+      assert.throws(function () { distribution('normal').randomInt(-15, -5); },
+          /Error: Function randomInt is only available for the uniform distribution/);
+      assert.throws(function () { distribution('poisson', 4).pickRandom([1, 2, 3], 2); },
+          /Error: Function pickRandom is only available for the uniform distribution/);
+    });
+
+  });
+
+  describe('continuous distributions', function() {
+
+    it('should calculate the uniform distribution', function() {
+      var dist = distribution('uniform', 2, 6);
+      assert.strictEqual(dist.pdf(3), 0.25);
+      assert.strictEqual(dist.pdf(7), 0);
+      assert.strictEqual(dist.cdf(3), 0.25);
+      assert.strictEqual(dist.cdf(1), 0);
+      assert.strictEqual(dist.cdf(7), 1);
+      assert.strictEqual(dist.inv(0.5), 4);
+      assert.strictEqual(dist.mean(), 4);
+      assertApproxEqual(dist.variance(), 4 / 3, 1e-15);
+    });
+
+    it('should calculate the lognormal distribution', function() {
+      var dist = distribution('lognormal', 0, 1);
+      assertApproxEqual(dist.pdf(1), 0.3989422804014327, 1e-15);
+      assert.strictEqual(dist.pdf(0), 0);
+      assertApproxEqual(dist.cdf(Math.E), 0.8413447460685429, 1e-14);
+      assertApproxEqual(dist.inv(0.5), 1, 1e-14);
+      assertApproxEqual(dist.mean(), Math.exp(0.5), 1e-14);
+    });
+
+    it('should calculate the exponential distribution', function() {
+      var dist = distribution('exponential', 2);
+      assertApproxEqual(dist.pdf(1), 2 * Math.exp(-2), 1e-15);
+      assertApproxEqual(dist.cdf(1), 1 - Math.exp(-2), 1e-15);
+      assertApproxEqual(dist.inv(1 - Math.exp(-2)), 1, 1e-14);
+      assert.strictEqual(dist.mean(), 0.5);
+      assert.strictEqual(dist.variance(), 0.25);
+    });
+
+    it('should calculate the gamma distribution', function() {
+      var dist = distribution('gamma', 2, 1.5);
+      assertApproxEqual(dist.pdf(3), 3 / 2.25 * Math.exp(-2), 1e-14);
+      assertApproxEqual(dist.cdf(3), 1 - 3 * Math.exp(-2), 1e-14);
+      assertApproxEqual(dist.inv(1 - 3 * Math.exp(-2)), 3, 1e-9);
+      assert.strictEqual(dist.mean(), 3);
+      assert.strictEqual(dist.variance(), 4.5);
+    });
+
+    it('should calculate the beta distribution', function() {
+      var dist = distribution('beta', 2, 3);
+      assertApproxEqual(dist.pdf(0.4), 12 * 0.4 * 0.36, 1e-14);
+      assertApproxEqual(dist.cdf(0.4), 0.5248, 1e-14);
+      assertApproxEqual(dist.inv(0.5248), 0.4, 1e-9);
+      assertApproxEqual(dist.mean(), 0.4, 1e-15);
+      assertApproxEqual(dist.variance(), 0.04, 1e-15);
     });
 
+    it('should calculate the chi-squared distribution', function() {
+      var dist = distribution('chiSquared', 1);
+      assertApproxEqual(dist.cdf(3.841458820694124), 0.95, 1e-12);
+      assertApproxEqual(dist.inv(0.95), 3.841458820694124, 1e-9);
+      dist = distribution('chiSquared', 4);
+      assertApproxEqual(dist.pdf(2), 0.5 * Math.exp(-1), 1e-15);
+      assert.strictEqual(dist.mean(), 4);
+      assert.strictEqual(dist.variance(), 8);
+    });
+
+    it('should calculate the Student\'s t distribution', function() {
+      var dist = distribution('studentT', 10);
+      assertApproxEqual(dist.cdf(2.5), 0.984276577881695, 1e-12);
+      assertApproxEqual(dist.cdf(-2.5), 1 - 0.984276577881695, 1e-12);
+      assertApproxEqual(dist.inv(0.975), 2.228138851986274, 1e-9);
+      assertApproxEqual(distribution('studentT', 1).pdf(0), 1 / Math.PI, 1e-15);
+      assert.strictEqual(dist.mean(), 0);
+      assert.strictEqual(dist.variance(), 1.25);
+      assert.ok(isNaN(distribution('studentT', 1).mean()));
+      assert.strictEqual(distribution('studentT', 2).variance(), Infinity);
+    });
+
+    it('should calculate the F distribution', function() {
+      var dist = distribution('f', 5, 10);
+      assertApproxEqual(dist.cdf(3.325834530413011), 0.95, 1e-12);
+      assertApproxEqual(dist.inv(0.95), 3.325834530413011, 1e-9);
+      assert.strictEqual(dist.mean(), 1.25);
+    });
+  });
+
+  describe('discrete distributions', function() {
+
+    it('should calculate the Poisson distribution', function() {
+      var dist = distribution('poisson', 4);
+      assertApproxEqual(dist.pdf(2), 8 * Math.exp(-4), 1e-15);
+      assert.strictEqual(dist.pdf(2.5), 0);
+      assert.strictEqual(dist.pdf(-1), 0);
+      assertApproxEqual(dist.cdf(2), 13 * Math.exp(-4), 1e-14);
+      assertApproxEqual(dist.cdf(2.5), 13 * Math.exp(-4), 1e-14);
+      assert.strictEqual(dist.inv(0.5), 4);
+      assert.strictEqual(dist.inv(0.2), 2);
+      assert.strictEqual(dist.inv(0), 0);
+      assert.strictEqual(dist.mean(), 4);
+      assert.strictEqual(dist.variance(), 4);
+    });
+
+    it('should calculate the binomial distribution', function() {
+      var dist = distribution('binomial', 10, 0.5);
+      assertApproxEqual(dist.pdf(3), 120 / 1024, 1e-15);
+      assertApproxEqual(dist.cdf(3), 176 / 1024, 1e-14);
+      assert.strictEqual(dist.cdf(10), 1);
+      assert.strictEqual(dist.inv(0.5), 5);
+      assert.strictEqual(dist.inv(1), 10);
+      assert.strictEqual(dist.mean(), 5);
+      assert.strictEqual(dist.variance(), 2.5);
+    });
+
+    it('should calculate the geometric distribution', function() {
+      var dist = distribution('geometric', 0.25);
+      assertApproxEqual(dist.pdf(3), 0.75 * 0.75 * 0.25, 1e-15);
+      assert.strictEqual(dist.pdf(0), 0);
+      assertApproxEqual(dist.cdf(3), 1 - 0.75 * 0.75 * 0.75, 1e-15);
+      assert.strictEqual(dist.inv(0.75), 5);
+      assert.strictEqual(dist.mean(), 4);
+      assert.strictEqual(dist.variance(), 12);
+    });
+
+    it('should pick integer values', function() {
+      var picked = distribution('poisson', 4).random([1000]);
+      picked.forEach(function (value) {
+        assert.ok(math.isInteger(value) && value >= 0);
+      });
+      assertApproxEqual(math.mean(picked), 4, 0.2);
+
+      picked = distribution('binomial', 10, 0.3).random([1000]);
+      picked.forEach(function (value) {
+        assert.ok(math.isInteger(value) && value >= 0 && value <= 10);
+      });
+      assertApproxEqual(math.mean(picked), 3, 0.2);
+    });
+  });
+
+  describe('sampling', function() {
+
+    it('should pick numbers following the mean of each distribution', function() {
+      var params = {
+        lognormal: [0, 0.5],
+        exponential: [2],
+        gamma: [0.5, 2],
+        beta: [2, 3],
+        chiSquared: [3],
+        studentT: [5],
+        f: [5, 10],
+        geometric: [0.25]
+      };
+      Object.keys(params).forEach(function (name) {
+        var dist = distribution.apply(null, [name].concat(params[name]));
+        var picked = dist.random([5000]);
+        var tolerance = 5 * Math.sqrt(dist.variance() / picked.length);
+        assertApproxEqual(math.mean(picked), dist.mean(), tolerance);
+      });
+    });
+
+    it('should pick a matrix with random numbers', function() {
+      var picked = distribution('normal').random(math.matrix([2, 3]));
+      assert.ok(picked instanceof Matrix);
+      assert.deepEqual(picked.size(), [2, 3]);
+    });
+
+    it('should pick reproducible numbers with a random seed', function() {
+      var math2 = math.create({randomSeed: 'a'});
+      var first = math2.distribution('gamma', 3).random([5]);
+      math2.config({randomSeed: 'a'});
+      assert.deepEqual(math2.distribution('gamma', 3).random([5]), first);
+    });
+  });
+
+  describe('pdf, cdf and inv', function() {
+
+    it('should evaluate arrays and matrices element wise', function() {
+      var dist = distribution('exponential', 1);
+      assert.deepEqual(dist.cdf([0, 0, 0]), [0, 0, 0]);
+      var res = dist.pdf(math.matrix([[0], [0]]));
+      assert.ok(res instanceof Matrix);
+      assert.deepEqual(res.valueOf(), [[1], [1]]);
+    });
+
+    it('should throw an error in case of a probability outside [0, 1]', function() {
+      assert.throws(function () { distribution('normal').inv(1.5); }, /Probability must be in the interval \[0, 1\] \(value: 1.5\)/);
+      assert.throws(function () { distribution('poisson', 2).inv(-0.1); }, /Probability must be in the interval/);
+    });
+
+    it('should throw an error in case of invalid arguments', function() {
+      assert.throws(function () { distribution('normal').cdf('foo'); }, TypeError);
+      assert.throws(function () { distribution('normal').random(2); }, TypeError);
+      assert.throws(function () { distribution('normal').random([2], 3); }, error.ArgumentsError);
+    });
+  });
+
+  it('should throw an error in case of missing or invalid parameters', function() {
+    assert.throws(function () { distribution('beta', 2); }, /Parameter beta of the beta distribution is required/);
+    assert.throws(function () { distribution('normal', 0, 0); }, /Parameter sigma of the normal distribution must be a positive number \(value: 0\)/);
+    assert.throws(function () { distribution('binomial', 2.5, 0.5); }, /Parameter n of the binomial distribution/);
+    assert.throws(function () { distribution('binomial', 10, 1.5); }, /Parameter p of the binomial distribution/);
+    assert.throws(function () { distribution('uniform', 2, 1); }, /Parameter max of the uniform distribution/);
+    assert.throws(function () { distribution('exponential', 1, 2); }, error.ArgumentsError);
+  });
+
+  it('should evaluate distributions in the expression parser', function() {
+    assertApproxEqual(math.eval('distribution("normal", 0, 1).cdf(1.96)'), 0.9750021048517795, 1e-14);
+    assert.strictEqual(math.eval('distribution("binomial", 10, 0.5).mean()'), 5);
   });
 
   it('should throw an error in case of unknown distribution name', function() {
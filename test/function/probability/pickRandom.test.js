@@ -9,6 +9,15 @@ describe('pickRandom', function () {
     assert.equal(typeof math.pickRandom, 'function');
   })
 
+  it('should pick reproducible values with a random seed', function () {
+    var possibles = [11, 22, 33, 44, 55, 66, 77, 88, 99];
+    var math1 = math.create({randomSeed: 'pick'});
+    var first = [math1.pickRandom(possibles), math1.pickRandom(possibles, 3), math1.pickRandom(possibles, [1, 2, 3, 4, 5, 6, 7, 8, 9])];
+
+    math1.config({randomSeed: 'pick'});
+    assert.deepEqual([math1.pickRandom(possibles), math1.pickRandom(possibles, 3), math1.pickRandom(possibles, [1, 2, 3, 4, 5, 6, 7, 8, 9])], first);
+  });
+
   it('should LaTeX pickRandom', function () {
     var expression = math.parse('pickRandom([1,2,3])');
     assert.equal(expression.toTex(), '\\mathrm{pickRandom}\\left(\\begin{bmatrix}1\\\\2\\\\3\\\\\\end{bmatrix}\\right)');
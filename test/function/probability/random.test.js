@@ -9,6 +9,42 @@ describe('random', function () {
     assert.equal(typeof math.random, 'function');
   })
 
+  it('should generate reproducible values with a random seed', function () {
+    var math1 = math.create({randomSeed: 'a'});
+    var first = [math1.random(), math1.random([2, 3]), math1.random(5, 10)];
+
+    var math2 = math.create({randomSeed: 'a'});
+    assert.deepEqual([math2.random(), math2.random([2, 3]), math2.random(5, 10)], first);
+
+    // changing the random seed reseeds the generator
+    math2.config({randomSeed: 'b'});
+    assert.notDeepEqual(math2.random(), first[0]);
+    math2.config({randomSeed: 'a'});
+    assert.deepEqual(math2.random(), first[0]);
+
+    // the expression parser uses the same generator
+    math2.config({randomSeed: 'a'});
+    assert.deepEqual(math2.eval('random()'), first[0]);
+  });
+
+  it('should not affect other instances when setting a random seed', function () {
+    var math1 = math.create({randomSeed: 'a'});
+    var math2 = math.create({randomSeed: 'a'});
+    var value = math1.random();
+
+    math2.config({randomSeed: 'b'});
+    math2.random();
+    math1.config({randomSeed: 'a'});
+    assert.strictEqual(math1.random(), value);
+  });
+
+  it('should generate random values without a random seed', function () {
+    var math1 = math.create({randomSeed: 'a'});
+    math1.config({randomSeed: null});
+    assert.strictEqual(math1.config().randomSeed, null);
+    assert.notStrictEqual(math1.random(), math1.random());
+  });
+
   it('should LaTeX random', function () {
     var expression = math.parse('random(0,1)');
     assert.equal(expression.toTex(), '\\mathrm{random}\\left(0,1\\right)');
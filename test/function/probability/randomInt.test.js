@@ -9,6 +9,14 @@ describe('randomInt', function () {
     assert.equal(typeof math.randomInt, 'function');
   })
 
+  it('should generate reproducible values with a random seed', function () {
+    var math1 = math.create({randomSeed: 42});
+    var first = [math1.randomInt(100), math1.randomInt([2, 3], 10, 20)];
+
+    math1.config({randomSeed: 42});
+    assert.deepEqual([math1.randomInt(100), math1.randomInt([2, 3], 10, 20)], first);
+  });
+
   it('should LaTeX randomInt', function () {
     var expression = math.parse('randomInt(0,100)');
     assert.equal(expression.toTex(), '\\mathrm{randomInt}\\left(0,100\\right)');
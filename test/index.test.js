@@ -11,6 +11,7 @@ describe('factory', function() {
       number: 'number',
       precision: 64,
       predictable: false,
+      randomSeed: null,
       epsilon: 1e-12
     });
   });
@@ -27,6 +28,7 @@ describe('factory', function() {
       number: 'BigNumber',
       precision: 64,
       predictable: false,
+      randomSeed: null,
       epsilon: 1e-12
     });
   });
@@ -59,6 +61,7 @@ describe('factory', function() {
       number: 'number',
       precision: 64,
       predictable: false,
+      randomSeed: null,
       epsilon: 1e-12
     });
 
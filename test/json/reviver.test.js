@@ -139,6 +139,47 @@ describe('reviver', function () {
     assert.deepEqual(obj, m);
   });
 
+  it('should parse a stringified expression tree', function () {
+    var json = '{"mathjs":"OperatorNode","op":"*","fn":"multiply","args":[' +
+        '{"mathjs":"ConstantNode","value":"2","valueType":"number"},' +
+        '{"mathjs":"SymbolNode","name":"x"}],"implicit":true}';
+    var node = new math.expression.node.OperatorNode('*', 'multiply', [
+      new math.expression.node.ConstantNode(2),
+      new math.expression.node.SymbolNode('x')
+    ], true);
+
+    var obj = JSON.parse(json, reviver);
+
+    assert(obj instanceof math.expression.node.OperatorNode);
+    assert(obj.args[0] instanceof math.expression.node.ConstantNode);
+    assert(obj.args[1] instanceof math.expression.node.SymbolNode);
+    assert.deepEqual(obj, node);
+  });
+
+  it('should parse stringified expression trees of all node types', function () {
+    var expressions = [
+      '2 x + 3 y ^ 2',
+      'f(x, y) = x ^ 2 + y',
+      'a[1:2:5, end] = {b: [1, 2; 3, 4], c: "str"}',
+      'x > 0 ? sqrt(x) : -x; y = 2',
+      'obj.prop(2) + (a + b)',
+      '5 cm to inch'
+    ];
+
+    expressions.forEach(function (expr) {
+      var node = math.parse(expr);
+      var json = JSON.stringify(node);
+      var obj = JSON.parse(json, reviver);
+
+      assert(obj.isNode);
+      assert.equal(obj.toString(), node.toString());
+      assert.equal(JSON.stringify(obj), json);
+    });
+
+    var scope = {x: 4};
+    assert.deepEqual(JSON.parse(JSON.stringify(math.parse('f(x) = x^2')), reviver).eval(scope)(3), 9);
+  });
+
   it('should parse a stringified Help', function () {
     var json = '{"mathjs":"Help","name":"foo","description":"bar"}';
     var h = new math.type.Help({name: 'foo', description: 'bar'});
@@ -434,6 +434,76 @@ describe('Unit', function() {
     });
   });
 
+  describe('toBest', function() {
+
+    it ('should convert a unit to the best unit of a list of candidates', function () {
+      var u1 = new Unit(0.5, 'm');
+      var u2 = u1.toBest(['mm', 'cm', 'm', 'km']);
+      assert.equal(u2.toString(), '50 cm');
+      assert.equal(u2.fixPrefix, true);
+      assert.notStrictEqual(u2, u1);
+      assert.equal(u1.toString(), '0.5 m');
+
+      assert.equal(new Unit(1500, 'm').toBest(['mm', 'cm', 'm', 'km']).toString(), '1.5 km');
+      assert.equal(new Unit(2, 'mm').toBest(['mm', 'cm', 'm', 'km']).toString(), '2 mm');
+      assert.equal(new Unit(2, 'inch').toBest([new Unit(null, 'cm'), new Unit(null, 'inch')]).toString(), '2 inch');
+    });
+
+    it ('should choose the candidate closest to the range when no candidate is in range', function () {
+      assert.equal(new Unit(1e7, 'm').toBest(['mm', 'm', 'km']).toString(), '10000 km');
+      assert.equal(new Unit(1e-5, 'm').toBest(['mm', 'm', 'km']).toString(), '0.01 mm');
+      assert.equal(new Unit(0, 'm').toBest(['m', 'mm']).toString(), '0 m');
+    });
+
+    it ('should convert a unit to the best unit using a custom range', function () {
+      var u1 = new Unit(0.5, 'm');
+      assert.equal(u1.toBest(['mm', 'cm', 'm', 'km'], {min: 100}).toString(), '500 mm');
+      assert.equal(u1.toBest(['mm', 'cm', 'm', 'km'], {min: 0.1, max: 10}).toString(), '0.5 m');
+    });
+
+    it ('should convert a unit to the best prefix when no candidates are provided', function () {
+      assert.equal(new Unit(0.5, 'm').toBest().toString(), '500 mm');
+      assert.equal(new Unit(12345, 'g').toBest().toString(), '12.345 kg');
+      assert.equal(new Unit(3, 'N').toBest().toString(), '3 N');
+      assert.equal(new Unit(0.5, 'm').toBest({max: 10}).toString(), '0.5 m');
+      assert.equal(new Unit(0.5, 'm').toBest({min: 0.1, max: 10}).toString(), '0.5 m');
+    });
+
+    it ('should only use non-scientific prefixes when enabled', function () {
+      assert.equal(new Unit(0.5, 'm').toBest({scientific: false}).toString(), '5 dm');
+      assert.equal(new Unit(0.05, 'm').toBest({scientific: false}).toString(), '5 cm');
+      assert.equal(new Unit(0.05, 'm').toBest().toString(), '50 mm');
+    });
+
+    it ('should convert compound units to the best unit', function () {
+      assert.equal(new Unit(0.5, 'm/s').toBest(['m/s', 'km/h']).toString(), '1.8 km / h');
+      assert.equal(new Unit(20, 'm/s').toBest(['m/s', 'km/h']).toString(), '20 m / s');
+      assert.equal(new Unit(0.002, 'm/s').toBest().toString(), '2 mm / s');
+      assert.equal(new Unit(2e-6, 'm^2').toBest().toString(), '2 mm^2');
+      assert.equal(math.eval('5 kN * 3 m').toBest().toString(), '15 kJ');
+    });
+
+    it ('should convert units with other numeric types to the best unit', function () {
+      var u1 = new Unit(math.bignumber(12345), 'g').toBest();
+      assert.deepEqual(u1.toNumeric(), math.bignumber(12.345));
+      assert.equal(u1.units[0].prefix.name, 'k');
+
+      var u2 = new Unit(math.fraction(1, 4), 'km').toBest();
+      assert.deepEqual(u2.toNumeric(), math.fraction(250));
+      assert.equal(u2.units[0].prefix.name, '');
+
+      assert.equal(new Unit(math.complex(3000, 4000), 'mm').toBest().toString(), '(3 + 4i) m');
+    });
+
+    it ('should throw an error on invalid arguments', function () {
+      var u1 = new Unit(0.5, 'm');
+      assert.throws(function () {u1.toBest(['kg'])}, /Units do not match/);
+      assert.throws(function () {u1.toBest([])}, /Array with at least one unit expected/);
+      assert.throws(function () {u1.toBest({min: 10, max: 5})}, /Invalid range \[10, 5\)/);
+      assert.throws(function () {u1.toBest({min: 0})}, /Invalid range \[0, 1000\)/);
+    });
+  });
+
   describe('toString', function() {
 
     it('should convert to string properly', function() {
@@ -607,6 +677,60 @@ describe('Unit', function() {
       assert.equal(unit1.units[0].unit.name, "dyn");
     });
 
+    it('should simplify units according to a user-defined unit system', function() {
+      var MyUnit = math.create().type.Unit;
+      MyUnit.createUnitSystem('engineering', {
+        LENGTH: 'mm',
+        FORCE: 'kN',
+        PRESSURE: 'MPa'
+      });
+      MyUnit.setUnitSystem('engineering');
+      assert.equal(MyUnit.getUnitSystem(), 'engineering');
+
+      var unit1 = new MyUnit(2000, 'N');
+      unit1.isUnitListSimplified = false;
+      assert.equal(unit1.toString(), '2 kN');
+
+      var unit2 = new MyUnit(125e6, 'Pa');
+      unit2.isUnitListSimplified = false;
+      assert.equal(unit2.toString(), '125 MPa');
+
+      // base quantities which are not defined are taken from the si system
+      var unit3 = new MyUnit(3, 'lbm');
+      unit3.isUnitListSimplified = false;
+      assert.equal(unit3.toString(), '1.36077711 kg');
+      assert.equal(unit3.units[0].unit.name, 'g');
+      assert.equal(unit3.units[0].prefix.name, 'k');
+    });
+
+    it('should extend and override a user-defined unit system', function() {
+      var MyUnit = math.create().type.Unit;
+      MyUnit.createUnitSystem('custom', {LENGTH: 'inch'}, {extend: 'us'});
+      MyUnit.setUnitSystem('custom');
+
+      var unit1 = new MyUnit(10, 'N');
+      unit1.isUnitListSimplified = false;
+      assert.equal(unit1.toString(), '2.248089430997105 lbf');
+      assert.equal(unit1.units[0].unit.name, 'lbf');
+
+      MyUnit.createUnitSystem('custom', {FORCE: 'dyn'}, {override: true});
+      assert.equal(MyUnit.getUnitSystem(), 'custom');
+      unit1.isUnitListSimplified = false;
+      assert.equal(unit1.format(2), '1 Mdyn');
+      assert.equal(unit1.units[0].unit.name, 'dyn');
+    });
+
+    it('should throw an error when creating an invalid unit system', function() {
+      assert.throws(function () {Unit.createUnitSystem(2, {})}, /TypeError: createUnitSystem expects first parameter to be of type 'string'/);
+      assert.throws(function () {Unit.createUnitSystem('custom')}, /TypeError: createUnitSystem expects second parameter to be of type 'Object'/);
+      assert.throws(function () {Unit.createUnitSystem('si', {})}, /Cannot create unit system "si": a unit system with that name already exists/);
+      assert.throws(function () {Unit.createUnitSystem('custom', {}, {extend: 'foo'})}, /Unit system foo does not exist/);
+      assert.throws(function () {Unit.createUnitSystem('custom', {SPEED: 'knot'})}, /Unknown base quantity "SPEED"/);
+      assert.throws(function () {Unit.createUnitSystem('custom', {LENGTH: 'foo'})}, /Unit "foo" not found/);
+      assert.throws(function () {Unit.createUnitSystem('custom', {LENGTH: 'kg'})}, /Unit "kg" is not a unit of LENGTH/);
+      assert.strictEqual(Unit.UNIT_SYSTEMS.custom, undefined);
+    });
+
     it('should correctly simplify units when unit system is "auto"', function() {
       Unit.setUnitSystem('auto');
       var unit1 = new Unit(5, "lbf min / s");
@@ -748,6 +872,20 @@ describe('Unit', function() {
       assert.equal(math.eval('abs(4000i VAR)').format(), "4 kW");
     });
 
+    it('should format a unit as a compound quantity', function() {
+      assert.equal(new Unit(5.25, 'ft').format({split: ['ft', 'in']}), '5 ft 3 in');
+      assert.equal(new Unit(-5.25, 'ft').format({split: ['ft', 'in']}), '-5 ft 3 in');
+      assert.equal(new Unit(1, 'm').format({split: ['ft', 'in'], precision: 3}), '3 ft 3.37 in');
+      assert.equal(new Unit(4830, 's').format({split: ['h', 'min', 's']}), '1 h 20 min 30 s');
+      assert.equal(new Unit(2.25, 'lb').format({split: [new Unit(null, 'lb'), 'oz']}), '2 lb 4 oz');
+      assert.equal(math.format(new Unit(5.25, 'ft'), {split: ['ft', 'in']}), '5 ft 3 in');
+    });
+
+    it('should parse a formatted compound quantity', function() {
+      var unit = new Unit(1, 'm');
+      approx.equal(Unit.parse(unit.format({split: ['ft', 'in']})).to('m').toNumber(), 1);
+    });
+
     it('should ignore properties in Object.prototype when finding the best prefix', function() {
       Object.prototype.foo = 'bar';
 
@@ -915,7 +1053,23 @@ describe('Unit', function() {
       assert.throws(function () {Unit.parse('meter.')}, /Unexpected "\."/);
       assert.throws(function () {Unit.parse('meter/')}, /Trailing characters/);
       assert.throws(function () {Unit.parse('/meter')}, /Unexpected "\/"/);
-      assert.throws(function () {Unit.parse('45 kg 34 m')}, /Unexpected "3"/);
+      assert.throws(function () {Unit.parse('45 kg 34 m')}, /Units of compound quantity "45 kg 34 m" do not match/);
+    });
+
+    it('should parse compound quantities', function() {
+      assert.equal(Unit.parse('5 ft 3 in').toString(), '5.25 ft');
+      assert.equal(Unit.parse('2 lb 4 oz').toString(), '2.25 lb');
+      assert.equal(Unit.parse('1 h 20 min').to('min').toString(), '80 min');
+      assert.equal(Unit.parse('1h 20min 30s').to('s').toString(), '4830 s');
+      assert.equal(Unit.parse('-5 ft 3 in').toString(), '-5.25 ft');
+      assert(Unit.parse('5 ft 3 in').equals(Unit.parse('63 in')));
+    });
+
+    it('should throw an exception when parsing an invalid compound quantity', function() {
+      assert.throws(function () {Unit.parse('5 ft 3 s')}, /Units of compound quantity "5 ft 3 s" do not match/);
+      assert.throws(function () {Unit.parse('5 ft 3 m^2')}, /Invalid compound quantity "5 ft 3 m\^2": every part must consist of a value and a single unit/);
+      assert.throws(function () {Unit.parse('0 degC 5 K')}, /Invalid compound quantity/);
+      assert.throws(function () {Unit.parse('5 ft 3')}, /"3" contains no units/);
     });
 
     it('should throw an exception when parsing an invalid type of argument', function() {
@@ -1161,6 +1315,133 @@ describe('Unit', function() {
     });
   });
 
+  describe('temperature differences', function() {
+
+    it('should convert temperature differences', function() {
+      assert.equal(new Unit(5, 'deltaC').to('deltaF').format(14), '9 deltaF');
+      assert.equal(new Unit(9, 'deltaF').to('K').format(14), '5 K');
+      assert.equal(new Unit(300, 'K').to('deltaC').format(14), '300 deltaC');
+    });
+
+    it('should not convert between absolute temperatures and differences', function() {
+      assert.throws(function () {new Unit(20, 'degC').to('deltaF')},
+          /Cannot convert unit "degC" to "deltaF": an absolute temperature cannot be converted to a temperature difference/);
+      assert.throws(function () {new Unit(5, 'deltaC').to('degF')}, /Cannot convert unit "deltaC" to "degF"/);
+    });
+
+    it('should add differences to absolute temperatures', function() {
+      assert.equal(math.add(new Unit(20, 'degC'), new Unit(5, 'deltaC')).format(14), '25 degC');
+      assert.equal(math.add(new Unit(5, 'deltaC'), new Unit(20, 'degC')).format(14), '25 degC');
+      assert.equal(math.add(new Unit(20, 'degC'), new Unit(9, 'deltaF')).format(14), '25 degC');
+      assert.equal(math.add(new Unit(5, 'K'), new Unit(20, 'degC')).format(14), '25 degC');
+      assert.equal(math.add(new Unit(5, 'deltaC'), new Unit(9, 'deltaF')).format(14), '10 deltaC');
+    });
+
+    it('should evaluate temperature differences in expressions', function() {
+      assert.equal(math.eval('(30 degC - 20 degC) * 2').format(14), '20 deltaC');
+      assert.equal(math.eval('20 degC + (50 degF - 40 degF)').format(14), '25.555555555556 degC');
+      assert.equal(math.eval('4.18 J / (g deltaC) * 2 g * 5 deltaC').format(14), '41.8 J');
+    });
+
+    it('should throw an error for ambiguous operations on units with an offset', function() {
+      assert.throws(function () {math.add(new Unit(20, 'degC'), new Unit(10, 'degC'))},
+          /Cannot add units "degC" and "degC" with an offset: the sum of two absolute temperatures is ambiguous/);
+      assert.throws(function () {math.divide(new Unit(20, 'degC'), 2)}, /Cannot divide unit "degC" with an offset/);
+      assert.throws(function () {math.pow(new Unit(20, 'degC'), 2)}, /Cannot calculate the power of unit "degC" with an offset/);
+      assert.throws(function () {math.unaryMinus(new Unit(20, 'degC'))}, /Cannot negate unit "degC" with an offset/);
+      assert.equal(math.pow(new Unit(null, 'degC'), 2).toString(), 'degC^2');
+    });
+  });
+
+  describe('logarithmic units', function() {
+
+    it('should convert logarithmic units from and to linear units', function() {
+      assert.equal(new Unit(20, 'dBm').to('mW').format(14), '100 mW');
+      assert.equal(new Unit(-10, 'dBm').to('mW').format(14), '0.1 mW');
+      assert.equal(new Unit(1, 'W').to('dBm').format(14), '30 dBm');
+      assert.equal(new Unit(0, 'dBW').to('dBm').format(14), '30 dBm');
+      assert.equal(new Unit(6, 'dBV').to('V').format(5), '1.9953 V');
+      assert.equal(new Unit(60, 'dBuV').to('mV').format(14), '1 mV');
+      assert.equal(new Unit(0, 'dBu').to('V').format(5), '0.7746 V');
+      assert(new Unit(0, 'dBm').equals(new Unit(1, 'mW')));
+    });
+
+    it('should throw an error when converting a value which is not positive to a logarithmic unit', function() {
+      assert.throws(function () { new Unit(-1, 'W').to('dBm'); }, /Cannot express a value which is not positive in logarithmic unit "dBm"/);
+      assert.throws(function () { new Unit(0, 'W').to('dBm'); }, /Cannot express a value which is not positive in logarithmic unit "dBm"/);
+      assert.throws(function () { new Unit(math.bignumber(-2), 'mW').to('dBm'); }, /not positive/);
+      assert.throws(function () { math.eval('-1 W to dBm'); }, /not positive/);
+      assert.throws(function () { math.eval('0 V to dBV'); }, /not positive/);
+      assert.equal(new Unit(-3, 'dBm').to('mW').to('dBm').format(14), '-3 dBm');
+    });
+
+    it('should convert logarithmic ratios', function() {
+      assert.equal(new Unit(1, 'bel').to('dB').format(14), '10 dB');
+      assert.equal(new Unit(1, 'Np').to('dB').format(5), '8.6859 dB');
+      assert.equal(new Unit(20, 'dB').to('neper').format(5), '2.3026 neper');
+      assert.equal(new Unit(3, 'decibels').format(14), '3 decibels');
+    });
+
+    it('should add gains to levels and ratios', function() {
+      assert.equal(math.add(new Unit(10, 'dBm'), new Unit(3, 'dB')).format(14), '13 dBm');
+      assert.equal(math.add(new Unit(3, 'dB'), new Unit(10, 'dBm')).format(14), '13 dBm');
+      assert.equal(math.add(new Unit(3, 'dB'), new Unit(4, 'dB')).format(14), '7 dB');
+      assert.equal(math.add(new Unit(1, 'Np'), new Unit(0, 'dB')).format(14), '1 Np');
+
+      // a gain of 6 dB doubles a voltage (approximately)
+      assert.equal(math.add(new Unit(0, 'dBV'), new Unit(6, 'dB')).to('V').format(3), '2 V');
+    });
+
+    it('should scale ratios by a number', function() {
+      assert.equal(math.multiply(new Unit(3, 'dB'), 2).format(14), '6 dB');
+      assert.equal(math.multiply(2, new Unit(3, 'dB')).format(14), '6 dB');
+      assert.equal(math.divide(new Unit(6, 'dB'), 2).format(14), '3 dB');
+      assert.equal(math.abs(new Unit(-3, 'dB')).format(14), '3 dB');
+    });
+
+    it('should evaluate logarithmic units in expressions', function() {
+      assert.equal(math.eval('10 dBm + 3 dB - 2 dB to mW').format(5), '12.589 mW');
+      assert.equal(math.eval('20 dBm - 0 dBm').format(14), '20 dB');
+    });
+
+    it('should keep logarithmic values exact', function() {
+      assert.strictEqual(new Unit(3, 'dB').toNumber('dB'), 3);
+      assert.strictEqual(new Unit(3, 'dB').clone().toNumber(), 3);
+      assert.strictEqual(new Unit(-3, 'dB').toString(), '-3 dB');
+      assert.strictEqual(math.eval('-3 dB').toString(), '-3 dB');
+      assert.strictEqual(math.eval('10 dBm - 7 dBm').toNumber('dB'), 3);
+      assert.strictEqual(math.eval('10 dBV - 7 dBV').toNumber('dB'), 3);
+      assert.strictEqual(math.eval('10 dBm + 3 dB').toNumber('dBm'), 13);
+      assert.strictEqual(math.eval('10 dBV - 3 dB').toNumber('dBV'), 7);
+      assert.strictEqual(math.eval('3 dB * 2').toNumber('dB'), 6);
+    });
+
+    it('should calculate with logarithmic units configured as BigNumber', function() {
+      var bigmath = math.create({number: 'BigNumber'});
+      var unit = bigmath.eval('20 dBm to W');
+      assert(unit.value.isBigNumber);
+      assert.equal(unit.toString(), '0.1 W');
+      assert.equal(bigmath.eval('1 W to dBm').toString(), '30 dBm');
+    });
+
+    it('should throw an error for meaningless operations', function() {
+      assert.throws(function () {math.add(new Unit(10, 'dBm'), new Unit(10, 'dBm'))},
+          /Cannot add units "dBm" and "dBm": only a ratio like dB can be added to a level like dBm/);
+      assert.throws(function () {math.add(new Unit(10, 'dBm'), new Unit(1, 'W'))},
+          /Cannot add units "dBm" and "W": a logarithmic unit can only be combined with another logarithmic unit/);
+      assert.throws(function () {math.subtract(new Unit(10, 'dBm'), new Unit(10, 'dBV'))}, /Cannot subtract units "dBm" and "dBV"/);
+      assert.throws(function () {math.multiply(new Unit(10, 'dBm'), 2)}, /Cannot scale logarithmic level "dBm"/);
+      assert.throws(function () {math.multiply(new Unit(10, 'dB'), new Unit(2, 'm'))}, /Cannot multiply units "dB" and "m"/);
+      assert.throws(function () {math.divide(new Unit(10, 'dBm'), new Unit(2, 'dBm'))}, /Cannot divide units "dBm" and "dBm"/);
+      assert.throws(function () {math.pow(new Unit(10, 'dB'), 2)}, /Cannot raise logarithmic unit "dB" to a power/);
+    });
+
+    it('should not combine logarithmic units with other units', function() {
+      assert.throws(function () {Unit.parse('5 dBm/Hz')}, /Logarithmic unit in "5 dBm\/Hz" cannot be combined with other units or powers/);
+      assert.throws(function () {Unit.parse('5 dB^2')}, /cannot be combined with other units or powers/);
+    });
+  });
+
   describe('splitUnit', function() {
     it('should split a unit into parts', function() {
       assert.equal((new Unit(1, 'm')).splitUnit(['ft', 'in']).toString(), "3 ft,3.3700787401574765 in");
@@ -6,6 +6,26 @@ describe('util.latex', function() {
     assert.equal(latex.toSymbol('alpha_1'), '\\alpha_{1}');
   });
 
+  it('should convert unicode greek letters', function () {
+    assert.equal(latex.toSymbol('\u03B8'), '\\theta');
+    assert.equal(latex.toSymbol('\u03A9'), '\\Omega');
+    assert.equal(latex.toSymbol('\u0394x'), '{\\Delta}x');
+    assert.equal(latex.toSymbol('\u03B8_1'), '\\theta_{1}');
+  });
+
+  it('should convert symbols with unicode subscripts', function () {
+    assert.equal(latex.toSymbol('x\u2081'), 'x_{1}');
+    assert.equal(latex.toSymbol('\u03B8\u2081\u2082'), '\\theta_{12}');
+    assert.equal(latex.toSymbol('a\u2099\u208A\u2081'), 'a_{n+1}');
+    assert.equal(latex.toSymbol('v\u1D66'), 'v_{\\beta}');
+  });
+
+  it('should escape special characters', function () {
+    assert.equal(latex.escape('a&b'), 'a\\&b');
+    assert.equal(latex.escape('%{x}_1'), '\\%\\{x\\}\\_1');
+    assert.equal(latex.escape('~^\\'), '\\textasciitilde{}\\textasciicircum{}\\textbackslash{}');
+  });
+
   it('should convert units', function () {
     assert.equal(latex.toSymbol('deg', true), '^\\circ');
   });
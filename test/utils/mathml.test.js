@@ -0,0 +1,30 @@
+var assert = require('assert'),
+    mathml = require('../../lib/utils/mathml');
+
+describe('util.mathml', function() {
+  it('should convert symbols', function () {
+    assert.equal(mathml.toSymbol('x'), '<mi>x</mi>');
+    assert.equal(mathml.toSymbol('alpha'), '<mi>&#x3B1;</mi>');
+  });
+
+  it('should convert symbols with indices', function () {
+    assert.equal(mathml.toSymbol('alpha_1'), '<msub><mi>&#x3B1;</mi><mn>1</mn></msub>');
+    assert.equal(mathml.toSymbol('x_12'), '<msub><mi>x</mi><mn>12</mn></msub>');
+    assert.equal(mathml.toSymbol('x_a1'), '<msub><mi>x</mi><mi>a1</mi></msub>');
+    assert.equal(mathml.toSymbol('_a'), '<mi>_a</mi>');
+  });
+
+  it('should convert units', function () {
+    assert.equal(mathml.toSymbol('cm', true), '<mi mathvariant="normal">cm</mi>');
+    assert.equal(mathml.toSymbol('deg', true), '<mi mathvariant="normal">&#xB0;</mi>');
+  });
+
+  it('should escape special characters', function () {
+    assert.equal(mathml.escape('a < b && c > "d"'), 'a &lt; b &amp;&amp; c &gt; &quot;d&quot;');
+  });
+
+  it('should format a function call', function () {
+    assert.equal(mathml.toFunction('<mi>f</mi>', ['<mi>x</mi>', '<mn>2</mn>']),
+        '<mrow><mi>f</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>,</mo><mn>2</mn><mo>)</mo></mrow></mrow>');
+  });
+});
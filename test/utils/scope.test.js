@@ -0,0 +1,162 @@
+// test scope utils
+var assert = require('assert'),
+    scope = require('../../lib/utils/scope');
+
+describe ('scope', function () {
+
+  describe('isScope', function() {
+
+    it('should test whether an object implements the scope interface', function () {
+      assert.strictEqual(scope.isScope(new Map()), true);
+      assert.strictEqual(scope.isScope(new scope.ObjectScope({})), true);
+    });
+
+    it('should not consider a plain object as scope', function () {
+      assert.strictEqual(scope.isScope({}), false);
+      assert.strictEqual(scope.isScope({get: 1}), false);
+
+      var noop = function () {};
+      assert.strictEqual(scope.isScope({get: noop, set: noop, has: noop, keys: noop}), false);
+
+      var bare = Object.create(null);
+      bare.get = bare.set = bare.has = bare.keys = noop;
+      assert.strictEqual(scope.isScope(bare), false);
+    });
+
+    it('should not consider other values as scope', function () {
+      assert.strictEqual(scope.isScope(undefined), false);
+      assert.strictEqual(scope.isScope(null), false);
+      assert.strictEqual(scope.isScope('get'), false);
+      assert.strictEqual(scope.isScope([]), false);
+    });
+
+  });
+
+  describe('createScope', function() {
+
+    it('should return a scope unchanged', function () {
+      var map = new Map();
+      assert.strictEqual(scope.createScope(map), map);
+    });
+
+    it('should wrap a plain object', function () {
+      var object = {a: 2};
+      var s = scope.createScope(object);
+
+      assert(s instanceof scope.ObjectScope);
+      assert.strictEqual(s.has('a'), true);
+      assert.strictEqual(s.has('b'), false);
+      assert.equal(s.get('a'), 2);
+
+      s.set('b', 3);
+      assert.deepEqual(object, {a: 2, b: 3});
+      assert.deepEqual(s.keys(), ['a', 'b']);
+
+      s['delete']('a');
+      assert.deepEqual(object, {b: 3});
+    });
+
+    it('should see inherited properties of a plain object', function () {
+      var s = scope.createScope(Object.create({a: 2}));
+      assert.strictEqual(s.has('a'), true);
+      assert.equal(s.get('a'), 2);
+      assert.deepEqual(s.keys(), []);
+    });
+
+    it('should create an empty scope', function () {
+      assert.deepEqual(scope.createScope().keys(), []);
+    });
+
+  });
+
+  describe('createChildScope', function() {
+
+    it('should read variables from the child and the parent', function () {
+      var child = scope.createChildScope({a: 2, b: 3}, {b: 4, c: 5});
+
+      assert.equal(child.get('a'), 2);
+      assert.equal(child.get('b'), 4);
+      assert.equal(child.get('c'), 5);
+      assert.strictEqual(child.has('a'), true);
+      assert.strictEqual(child.has('c'), true);
+      assert.strictEqual(child.has('d'), false);
+      assert.deepEqual(child.keys(), ['b', 'c', 'a']);
+    });
+
+    it('should write local variables to the child only', function () {
+      var parent = {a: 2, b: 3};
+      var child = scope.createChildScope(parent, {b: 4});
+
+      child.set('b', 6);
+      child.set('c', 7);
+      assert.equal(child.get('b'), 6);
+      assert.equal(child.get('c'), 7);
+      assert.deepEqual(parent, {a: 2, b: 3, c: 7});
+
+      child['delete']('b');
+      assert.equal(child.get('b'), 3);
+      child['delete']('b');
+      assert.deepEqual(parent, {a: 2, c: 7});
+    });
+
+    it('should create a child scope of a Map', function () {
+      var parent = new Map([['a', 2]]);
+      var child = scope.createChildScope(parent, {x: 3});
+
+      child.set('b', 4);
+      assert.deepEqual(child.keys(), ['x', 'a', 'b']);
+      assert.strictEqual(parent.has('x'), false);
+      assert.equal(parent.get('b'), 4);
+    });
+
+  });
+
+  describe('toRawScope', function() {
+
+    it('should return the plain object of a scope created from one', function () {
+      var object = {a: 2};
+      assert.strictEqual(scope.toRawScope(scope.createScope(object)), object);
+    });
+
+    it('should return a copy extended with the local variables of a child scope', function () {
+      var object = {a: 2, b: 3};
+      var child = scope.createChildScope(scope.createChildScope(object, {b: 4}), {c: 5});
+      var raw = scope.toRawScope(child);
+
+      assert.deepEqual(raw, {a: 2, b: 4, c: 5});
+      raw.d = 6;
+      assert.deepEqual(object, {a: 2, b: 3});
+    });
+
+    it('should return other scopes as is', function () {
+      var map = new Map([['a', 2]]);
+      var child = scope.createChildScope(map, {x: 3});
+      assert.strictEqual(scope.toRawScope(map), map);
+      assert.strictEqual(scope.toRawScope(child), child);
+    });
+
+  });
+
+  describe('keys', function() {
+
+    it('should get the keys of a scope returning an array', function () {
+      assert.deepEqual(scope.keys(scope.createScope({a: 1, b: 2})), ['a', 'b']);
+    });
+
+    it('should get the keys of a scope returning an iterator', function () {
+      assert.deepEqual(scope.keys(new Map([['a', 1], ['b', 2]])), ['a', 'b']);
+    });
+
+  });
+
+  describe('setVariable', function() {
+
+    it('should set a variable and return its value', function () {
+      var map = new Map();
+      assert.equal(scope.setVariable(map, 'a', 2), 2);
+      assert.equal(map.get('a'), 2);
+    });
+
+  });
+
+});
@@ -41,7 +41,6 @@ var SYNTAX = {
 };
 
 var IGNORE_FUNCTIONS = {
-  distribution: true
 };
 
 var IGNORE_WARNINGS = {